@@ -11,6 +11,7 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { authorize, verifyAccess, DEFAULT_REDIRECT_URI } = require('../src/oauthWebFlow');
 
 // ANSI colors for better UX
 const colors = {
@@ -103,9 +104,10 @@ async function chooseAuthMethod() {
   log('How do you want to connect to Salesforce?\n');
   log('1. OAuth (Recommended) - Most secure, requires Connected App');
   log('2. Username + Password - Simple, good for testing');
-  log('3. I have credentials already - Skip to testing\n');
+  log('3. JWT Bearer - Headless servers, works with MFA, requires Connected App with a certificate');
+  log('4. I have credentials already - Skip to testing\n');
 
-  const choice = await ask('Enter your choice (1-3): ');
+  const choice = await ask('Enter your choice (1-4): ');
 
   switch (choice) {
     case '1':
@@ -113,6 +115,8 @@ async function chooseAuthMethod() {
     case '2':
       return 'password';
     case '3':
+      return 'jwt';
+    case '4':
       return 'existing';
     default:
       warn('Invalid choice, defaulting to Username + Password');
@@ -149,8 +153,16 @@ async function collectOAuthCredentials() {
   info('You\'ll need to create a Connected App first:');
   log('  1. Setup → App Manager → New Connected App');
   log('  2. Enable OAuth Settings');
-  log('  3. Add "Refresh Token" and "Full Access" scopes');
-  log('  4. Set callback URL to: http://localhost:3978/oauth/callback\n');
+  log('  3. Add the "Manage user data via APIs (api)" and "Perform requests at any time (refresh_token, offline_access)" scopes');
+  log(`  4. Set callback URL to: ${DEFAULT_REDIRECT_URI}`);
+  log('  5. Check "Require Proof Key for Code Exchange (PKCE)"\n');
+
+  const browser = await ask('Sign in with your browser to get a refresh token? (yes/no, "no" to paste one): ');
+  if (!browser.toLowerCase().startsWith('n')) {
+    const credentials = await runBrowserSignIn();
+    if (credentials) return credentials;
+    warn('Falling back to pasting a refresh token.\n');
+  }
 
   const clientId = await ask('Client ID (Consumer Key): ');
   const clientSecret = await ask('Client Secret (Consumer Secret): ');
@@ -162,11 +174,160 @@ async function collectOAuthCredentials() {
     SF_CLIENT_SECRET: clientSecret,
     SF_REFRESH_TOKEN: refreshToken,
     SF_INSTANCE_URL: instanceUrl,
-    SF_REDIRECT_URI: 'http://localhost:3978/oauth/callback',
+    SF_REDIRECT_URI: DEFAULT_REDIRECT_URI,
     SF_LOGIN_URL: 'https://login.salesforce.com'
   };
 }
 
+// Tokens from the browser sign-in, saved to the token store once .env is written
+let signedInTokens = null;
+
+// Best effort; the URL is printed either way
+function openBrowser(url) {
+  const { spawn } = require('child_process');
+  const [command, args] = process.platform === 'darwin' ? ['open', [url]]
+    : process.platform === 'win32' ? ['cmd', ['/c', 'start', '""', url.replace(/&/g, '^&')]]
+      : ['xdg-open', [url]];
+  try {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch (_) {}
+}
+
+/**
+ * Authorization code flow with PKCE: returns the .env values, or null when
+ * the user gives up.
+ */
+async function runBrowserSignIn() {
+  const clientId = await ask('Client ID (Consumer Key): ');
+  const clientSecret = await ask('Client Secret (press Enter if the app does not require one): ');
+  const isSandbox = await ask('Is this a Sandbox? (yes/no): ');
+  const loginUrl = isSandbox.toLowerCase().startsWith('y')
+    ? 'https://test.salesforce.com'
+    : 'https://login.salesforce.com';
+  const redirectUri = await ask(`Callback URL (default ${DEFAULT_REDIRECT_URI}): `) || DEFAULT_REDIRECT_URI;
+
+  let tokens;
+  for (;;) {
+    try {
+      tokens = await authorize({
+        loginUrl,
+        clientId,
+        clientSecret,
+        redirectUri,
+        onAuthorizeUrl: async (url) => {
+          info(`Waiting for the sign-in on ${redirectUri} ...\n`);
+          log('Open this URL and sign in to Salesforce:\n');
+          log(`  ${colors.bright}${url}${colors.reset}\n`);
+          openBrowser(url);
+        }
+      });
+      break;
+    } catch (err) {
+      error(err.message);
+      const retry = await ask('Try the browser sign-in again? (yes/no): ');
+      if (!retry.toLowerCase().startsWith('y')) return null;
+    }
+  }
+  success(`Signed in; refresh token received for ${tokens.instanceUrl}`);
+
+  const credentials = {
+    SF_CLIENT_ID: clientId,
+    SF_CLIENT_SECRET: clientSecret,
+    SF_REFRESH_TOKEN: tokens.refreshToken,
+    SF_INSTANCE_URL: tokens.instanceUrl,
+    SF_REDIRECT_URI: redirectUri,
+    SF_LOGIN_URL: loginUrl
+  };
+  Object.assign(credentials, await offerTokenStoreKey());
+  signedInTokens = tokens;
+
+  const verify = await ask('Verify access now with /me and /limits? (yes/no): ');
+  if (verify.toLowerCase().startsWith('y')) {
+    try {
+      const { identity, limits } = await verifyAccess(tokens);
+      success(`/me: ${identity.display_name} (${identity.username}), org ${identity.organization_id}`);
+      const api = limits.DailyApiRequests;
+      success(`/limits: ${api ? `${api.Remaining} of ${api.Max} daily API requests left` : 'OK'}`);
+    } catch (err) {
+      warn(`Verification failed: ${err.message}`);
+    }
+  }
+
+  return credentials;
+}
+
+/**
+ * The token store only writes encrypted files; offer to create its key.
+ * Returns the .env values for the key, if one was created.
+ */
+async function offerTokenStoreKey() {
+  if (process.env.TOKEN_STORE_KEY || process.env.TOKEN_STORE_KEY_FILE) return {};
+  const create = await ask('Create an encryption key for the token store (token-store.key)? (yes/no): ');
+  if (!create.toLowerCase().startsWith('y')) {
+    info('Skipped; without a key tokens are only kept in memory while the server runs.');
+    return {};
+  }
+  const keyFile = path.join(process.cwd(), 'token-store.key');
+  if (!fs.existsSync(keyFile)) {
+    fs.writeFileSync(keyFile, `${require('crypto').randomBytes(32).toString('hex')}\n`, { mode: 0o600 });
+    success(`Created ${keyFile} (keep it out of version control)`);
+  }
+  process.env.TOKEN_STORE_KEY_FILE = keyFile;
+  return { TOKEN_STORE_KEY_FILE: keyFile };
+}
+
+// After createEnvFile, so the token store is configured from the new .env
+async function saveToTokenStore(tokens) {
+  try {
+    const { saveToken } = require('../src/tokenStore');
+    await saveToken(tokens);
+    if (process.env.TOKEN_STORE_KEY || process.env.TOKEN_STORE_KEY_FILE) success('Saved tokens to the token store');
+  } catch (err) {
+    warn(`Could not save tokens to the token store: ${err.message}`);
+  }
+}
+
+async function collectJwtCredentials() {
+  header('Step 2: Enter JWT Bearer Credentials');
+
+  info('You\'ll need a Connected App that trusts your certificate:');
+  log('  1. Create a key pair: openssl req -x509 -newkey rsa:2048 -nodes -keyout server.key -out server.crt -days 365');
+  log('  2. Setup → App Manager → New Connected App → Enable OAuth Settings');
+  log('  3. Check "Use digital signatures" and upload server.crt');
+  log('  4. Add the "Manage user data via APIs (api)" and "Perform requests at any time" scopes');
+  log('  5. Manage → Edit Policies → "Admin approved users are pre-authorized", then add your profile or permission set\n');
+
+  const clientId = await ask('Client ID (Consumer Key): ');
+  const username = await ask('Salesforce Username to act as: ');
+
+  const { loadPrivateKey } = require('../src/jwtBearer');
+  let keyFile;
+  for (;;) {
+    keyFile = path.resolve(await ask('Private key file (default ./server.key): ') || 'server.key');
+    try {
+      loadPrivateKey({ privateKeyFile: keyFile });
+      success(`Private key loaded from ${keyFile}`);
+      break;
+    } catch (err) {
+      error(err.message);
+    }
+  }
+
+  const isSandbox = await ask('Is this a Sandbox? (yes/no): ');
+  const loginUrl = isSandbox.toLowerCase().startsWith('y')
+    ? 'https://test.salesforce.com'
+    : 'https://login.salesforce.com';
+
+  return {
+    SF_CLIENT_ID: clientId,
+    SF_USERNAME: username,
+    SF_JWT_PRIVATE_KEY_FILE: keyFile,
+    SF_LOGIN_URL: loginUrl
+  };
+}
+
 function createEnvFile(credentials) {
   const envPath = path.join(process.cwd(), '.env');
 
@@ -202,12 +363,12 @@ async function testConnection() {
     const { getConnection } = require('../src/sfConnection');
     const conn = await getConnection();
 
-    // Test query
-    const result = await conn.query('SELECT Id, Name FROM User WHERE Id = \'' + conn.userInfo.user_id + '\' LIMIT 1');
+    // Identity works for every auth method; only password logins set userInfo up front
+    const identity = await conn.identity();
 
     success('Connection successful!');
-    log(`\nConnected as: ${colors.bright}${result.records[0].Name}${colors.reset}`);
-    log(`Organization: ${colors.bright}${conn.userInfo.organization_id}${colors.reset}`);
+    log(`\nConnected as: ${colors.bright}${identity.display_name} (${identity.username})${colors.reset}`);
+    log(`Organization: ${colors.bright}${identity.organization_id}${colors.reset}`);
     log(`Instance: ${colors.bright}${conn.instanceUrl}${colors.reset}\n`);
 
     return true;
@@ -328,11 +489,14 @@ async function main() {
 
       if (authMethod === 'oauth') {
         credentials = await collectOAuthCredentials();
+      } else if (authMethod === 'jwt') {
+        credentials = await collectJwtCredentials();
       } else {
         credentials = await collectPasswordCredentials();
       }
 
       createEnvFile(credentials);
+      if (signedInTokens) await saveToTokenStore(signedInTokens);
 
       const success = await testConnection();
       if (!success) {
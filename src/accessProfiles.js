@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * Named access profiles for API keys. A profile narrows the global allowlist
+ * for the keys that use it: which objects they can query, which fields and
+ * operators per object, and the largest LIMIT. Anything the allowlist does not
+ * allow stays disallowed.
+ *
+ * api-keys.json:
+ *   {
+ *     "profiles": {
+ *       "support": {
+ *         "objects": {
+ *           "Case": { "fields": ["Id", "CaseNumber", "Subject", "Status"], "operators": { "Status": ["=", "IN"] } },
+ *           "Contact": {}
+ *         },
+ *         "maxLimit": 100
+ *       }
+ *     },
+ *     "keys": [{ "key": "sk_...", "name": "support-bot", "profile": "support" }]
+ *   }
+ *
+ * An object entry without `fields` allows every allowlisted field of it; one
+ * without `operators` keeps the allowlist operators.
+ *
+ * Row policies: `rowFilters` ({ Object: where }) on a profile or on an entry
+ * of the top-level `users` map (keyed by the X-User-Id a request carries) are
+ * ANDed into every query the caller runs against that object. A user id is
+ * only accepted from keys it is bound to, through a `users` list on the key
+ * or on its profile; keys with bound users must name one of them. A profile
+ * with `requireUser: true` refuses requests that do not name a user either.
+ *
+ * `masking` on a profile adds field masking rules for its keys (see
+ * src/masking.js).
+ */
+
+const { OPERATORS, DEFAULT_MAX_LIMIT } = require('./allowlist');
+const { normalizeMaskingRules } = require('./masking');
+
+const PROFILE_KEYS = ['objects', 'maxLimit', 'description', 'rowFilters', 'requireUser', 'users', 'masking'];
+const USER_KEYS = ['rowFilters', 'description'];
+const FIELD_PATH_RE = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/;
+const MAX_FILTER_DEPTH = 5;
+const OBJECT_KEYS = ['fields', 'operators'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeObjectEntry(errors, where, entry) {
+  if (entry === true) return { fields: null, operators: null };
+  if (!isPlainObject(entry)) {
+    errors.push(`${where} must be true or an object with fields/operators`);
+    return null;
+  }
+  for (const key of Object.keys(entry)) {
+    if (!OBJECT_KEYS.includes(key)) errors.push(`${where} has unknown key "${key}"`);
+  }
+  let fields = null;
+  if (entry.fields !== undefined) {
+    if (!Array.isArray(entry.fields) || !entry.fields.every((f) => typeof f === 'string' && f)) {
+      errors.push(`${where}.fields must be an array of field names`);
+    } else {
+      fields = entry.fields.slice();
+    }
+  }
+  let operators = null;
+  if (entry.operators !== undefined) {
+    if (!isPlainObject(entry.operators)) {
+      errors.push(`${where}.operators must be a map of field name to operator list`);
+    } else {
+      operators = {};
+      for (const [field, ops] of Object.entries(entry.operators)) {
+        if (!Array.isArray(ops)) {
+          errors.push(`${where}.operators.${field} must be an array`);
+          continue;
+        }
+        operators[field] = ops.map((op) => String(op).toUpperCase());
+        const unknown = operators[field].filter((op) => !OPERATORS.includes(op));
+        if (unknown.length) errors.push(`${where}.operators.${field} has unknown operator(s): ${unknown.join(', ')}`);
+      }
+    }
+  }
+  return { fields, operators };
+}
+
+function checkFilterNode(errors, where, node, depth) {
+  if (depth > MAX_FILTER_DEPTH) {
+    errors.push(`${where} nests deeper than ${MAX_FILTER_DEPTH} levels`);
+    return;
+  }
+  if (Array.isArray(node)) {
+    node.forEach((child, i) => checkFilterNode(errors, `${where}[${i}]`, child, depth + 1));
+    return;
+  }
+  if (!isPlainObject(node)) {
+    errors.push(`${where} must be a condition or an and/or/not group`);
+    return;
+  }
+  if ('and' in node || 'or' in node) {
+    const key = 'and' in node ? 'and' : 'or';
+    if (!Array.isArray(node[key]) || !node[key].length) errors.push(`${where}.${key} must be a non-empty array`);
+    else node[key].forEach((child, i) => checkFilterNode(errors, `${where}.${key}[${i}]`, child, depth + 1));
+    return;
+  }
+  if ('not' in node) {
+    checkFilterNode(errors, `${where}.not`, node.not, depth + 1);
+    return;
+  }
+  if (typeof node.field !== 'string' || !FIELD_PATH_RE.test(node.field)) errors.push(`${where}.field must be a field name`);
+  const op = String(node.op || '=').toUpperCase();
+  if (!OPERATORS.includes(op)) errors.push(`${where}.op "${node.op}" is not a supported operator`);
+  if (node.value === undefined) errors.push(`${where}.value is required`);
+}
+
+/**
+ * Validate row filters ({ Object: condition | condition[] }) into
+ * { Object: [condition, ...] }, each list ANDed together when applied
+ */
+function normalizeRowFilters(errors, where, spec) {
+  if (spec === undefined) return {};
+  if (!isPlainObject(spec)) {
+    errors.push(`${where} must map object names to conditions`);
+    return {};
+  }
+  const filters = {};
+  for (const [objectName, node] of Object.entries(spec)) {
+    checkFilterNode(errors, `${where}.${objectName}`, node, 0);
+    filters[objectName] = Array.isArray(node) ? node.slice() : [node];
+  }
+  return filters;
+}
+
+/**
+ * A `users` list binding user ids to a key or profile; null when absent
+ */
+function normalizeUserList(errors, where, value) {
+  if (value === undefined) return null;
+  if (!Array.isArray(value) || !value.length || !value.every((id) => typeof id === 'string' && id)) {
+    errors.push(`${where} must be a non-empty array of user ids`);
+    return null;
+  }
+  return Array.from(new Set(value));
+}
+
+/**
+ * Validate and normalize one profile. Throws with every problem found.
+ */
+function normalizeProfile(name, spec) {
+  const errors = [];
+  const where = `profiles.${name}`;
+  if (!isPlainObject(spec)) throw new Error(`${where} must be an object`);
+  for (const key of Object.keys(spec)) {
+    if (!PROFILE_KEYS.includes(key)) errors.push(`${where} has unknown key "${key}"`);
+  }
+  const objects = {};
+  if (!isPlainObject(spec.objects) || !Object.keys(spec.objects).length) {
+    errors.push(`${where}.objects must name at least one object`);
+  } else {
+    for (const [objectName, entry] of Object.entries(spec.objects)) {
+      const normalized = normalizeObjectEntry(errors, `${where}.objects.${objectName}`, entry);
+      if (normalized) objects[objectName] = normalized;
+    }
+  }
+  let maxLimit = null;
+  if (spec.maxLimit !== undefined) {
+    if (!Number.isInteger(spec.maxLimit) || spec.maxLimit < 1 || spec.maxLimit > DEFAULT_MAX_LIMIT) {
+      errors.push(`${where}.maxLimit must be an integer between 1 and ${DEFAULT_MAX_LIMIT}`);
+    } else {
+      maxLimit = spec.maxLimit;
+    }
+  }
+  const rowFilters = normalizeRowFilters(errors, `${where}.rowFilters`, spec.rowFilters);
+  if (spec.requireUser !== undefined && typeof spec.requireUser !== 'boolean') {
+    errors.push(`${where}.requireUser must be a boolean`);
+  }
+  const users = normalizeUserList(errors, `${where}.users`, spec.users);
+  const masking = normalizeMaskingRules(errors, `${where}.masking`, spec.masking);
+  if (errors.length) throw new Error(`Invalid access profile: ${errors.join('; ')}`);
+  return { name, objects, maxLimit, rowFilters, requireUser: spec.requireUser === true, users, masking };
+}
+
+/**
+ * Normalize the `profiles` section of api-keys.json into a name -> profile map
+ */
+function parseProfiles(profiles = {}) {
+  if (!isPlainObject(profiles)) throw new Error('Invalid access profiles: profiles must be an object');
+  const parsed = new Map();
+  for (const [name, spec] of Object.entries(profiles)) {
+    parsed.set(name, normalizeProfile(name, spec));
+  }
+  return parsed;
+}
+
+/**
+ * Normalize the `users` section of api-keys.json: user id -> { rowFilters }
+ */
+function parseUsers(users = {}) {
+  if (!isPlainObject(users)) throw new Error('Invalid row policy users: users must be an object');
+  const errors = [];
+  const parsed = new Map();
+  for (const [userId, spec] of Object.entries(users)) {
+    const where = `users.${userId}`;
+    if (!isPlainObject(spec)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(spec)) {
+      if (!USER_KEYS.includes(key)) errors.push(`${where} has unknown key "${key}"`);
+    }
+    parsed.set(userId, { userId, rowFilters: normalizeRowFilters(errors, `${where}.rowFilters`, spec.rowFilters) });
+  }
+  if (errors.length) throw new Error(`Invalid row policy users: ${errors.join('; ')}`);
+  return parsed;
+}
+
+/**
+ * Combine row filters from several sources; every condition applies
+ */
+function mergeRowFilters(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [objectName, nodes] of Object.entries(source || {})) {
+      merged[objectName] = (merged[objectName] || []).concat(nodes);
+    }
+  }
+  return merged;
+}
+
+/**
+ * JSON view of a profile for /allowlist and logs
+ */
+function describeProfile(profile) {
+  if (!profile) return null;
+  return {
+    name: profile.name,
+    objects: Object.keys(profile.objects),
+    maxLimit: profile.maxLimit,
+    rowFilteredObjects: Object.keys(profile.rowFilters || {}),
+    maskedObjects: Object.keys(profile.masking || {}),
+  };
+}
+
+module.exports = {
+  parseProfiles,
+  parseUsers,
+  normalizeProfile,
+  normalizeUserList,
+  mergeRowFilters,
+  describeProfile,
+};
@@ -1,5 +1,8 @@
 'use strict';
 
+const crypto = require('crypto');
+const { currentOrgName } = require('./orgContext');
+
 // Read-only allowlist for objects and their fields that the chatbot can access.
 // Includes per-field allowed operators and default field sets.
 // Now enhanced with dynamic discovery from context bundles.
@@ -11,11 +14,20 @@ try {
   // Dynamic allowlist not available, use static only
 }
 
+// Once an object has been described for the connected user, the rules below
+// are intersected with its field-level security (see fieldSecurity.js).
+const fieldSecurity = require('./fieldSecurity');
+
 const DEFAULT_MAX_LIMIT = 200;
 
 // Allowed operators per field. If omitted, defaults to equality only.
 // Common safe ops: '=', '!=', 'LIKE', 'IN', 'NOT IN', '>', '>=', '<', '<='
-const OBJECTS = {
+// groupable lists fields usable in GROUP BY; aggregates lists the aggregate
+// functions allowed per field. COUNT(Id) is always allowed on listed objects.
+// geolocation lists compound address/location fields that safe-query `near`
+// may measure DISTANCE from; they need not be selectable fields.
+// This built-in map is the default; ALLOWLIST_FILE replaces it (see allowlistConfig.js).
+const BUILTIN_OBJECTS = {
   Account: {
     fields: [
       'Id',
@@ -42,6 +54,12 @@ const OBJECTS = {
       'BillingCity': ['=', 'LIKE'],
       'BillingState': ['=', 'LIKE'],
     },
+    groupable: ['Industry', 'Type', 'BillingCity', 'BillingState', 'Owner.Id', 'Owner.Name'],
+    aggregates: {
+      'CreatedDate': ['MIN', 'MAX'],
+      'LastModifiedDate': ['MIN', 'MAX'],
+    },
+    geolocation: ['BillingAddress', 'ShippingAddress'],
   },
   Contact: {
     fields: [
@@ -67,6 +85,10 @@ const OBJECTS = {
       'Account.Id': ['=', 'IN'],
       'CreatedDate': ['>', '>=', '<', '<='],
     },
+    groupable: ['Owner.Id', 'Owner.Name', 'Account.Id', 'Account.Name'],
+    aggregates: {
+      'CreatedDate': ['MIN', 'MAX'],
+    },
   },
   Opportunity: {
     fields: [
@@ -144,6 +166,37 @@ const OBJECTS = {
       'HasOpportunityLineItem': ['=', '!='],
       'Pricebook2Id': ['=', 'IN'],
     },
+    groupable: ['StageName', 'IsClosed', 'IsWon', 'Type', 'LeadSource', 'ForecastCategory', 'ForecastCategoryName', 'CurrencyIsoCode', 'RecordType.DeveloperName', 'CloseDate', 'Owner.Id', 'Owner.Name', 'Account.Id', 'Account.Name'],
+    aggregates: {
+      'Amount': ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'],
+      'ExpectedRevenue': ['SUM', 'AVG', 'MIN', 'MAX'],
+      'TotalOpportunityQuantity': ['SUM', 'AVG', 'MIN', 'MAX'],
+      'Probability': ['AVG', 'MIN', 'MAX'],
+      'CloseDate': ['MIN', 'MAX'],
+      'CreatedDate': ['MIN', 'MAX'],
+      'Account.Id': ['COUNT_DISTINCT'],
+    },
+  },
+  OpportunityContactRole: {
+    fields: [
+      'Id',
+      'OpportunityId',
+      'ContactId',
+      'Contact.Name',
+      'Role',
+      'IsPrimary',
+      'CreatedDate',
+    ],
+    defaultFields: ['Id', 'ContactId', 'Contact.Name', 'Role', 'IsPrimary'],
+    operators: {
+      'OpportunityId': ['=', 'IN'],
+      'ContactId': ['=', 'IN'],
+      'Role': ['=', 'IN', 'NOT IN'],
+      'IsPrimary': ['=', '!='],
+      'CreatedDate': ['>', '>=', '<', '<='],
+    },
+    groupable: ['Role', 'IsPrimary'],
+    aggregates: {},
   },
   Lead: {
     fields: [
@@ -188,6 +241,11 @@ const OBJECTS = {
       'ConvertedContactId': ['=', 'IN'],
       'ConvertedOpportunityId': ['=', 'IN'],
     },
+    groupable: ['Status', 'LeadSource', 'Industry', 'Rating', 'IsConverted', 'Owner.Id', 'Owner.Name'],
+    aggregates: {
+      'CreatedDate': ['MIN', 'MAX'],
+      'ConvertedDate': ['MIN', 'MAX'],
+    },
   },
   Case: {
     fields: [
@@ -231,6 +289,11 @@ const OBJECTS = {
       'LastModifiedDate': ['>', '>=', '<', '<='],
       'ClosedDate': ['>', '>=', '<', '<='],
     },
+    groupable: ['Status', 'Priority', 'Type', 'Reason', 'Origin', 'IsClosed', 'IsEscalated', 'Owner.Id', 'Owner.Name', 'Account.Id', 'Account.Name'],
+    aggregates: {
+      'CreatedDate': ['MIN', 'MAX'],
+      'ClosedDate': ['MIN', 'MAX'],
+    },
   },
   Task: {
     fields: [
@@ -269,6 +332,10 @@ const OBJECTS = {
       'CreatedDate': ['>', '>=', '<', '<='],
       'LastModifiedDate': ['>', '>=', '<', '<='],
     },
+    groupable: ['Status', 'Priority', 'IsClosed', 'IsHighPriority', 'ActivityDate', 'Owner.Id', 'Owner.Name'],
+    aggregates: {
+      'ActivityDate': ['MIN', 'MAX'],
+    },
   },
   Event: {
     fields: [
@@ -308,6 +375,11 @@ const OBJECTS = {
       'CreatedDate': ['>', '>=', '<', '<='],
       'LastModifiedDate': ['>', '>=', '<', '<='],
     },
+    groupable: ['IsAllDayEvent', 'Owner.Id', 'Owner.Name'],
+    aggregates: {
+      'DurationInMinutes': ['SUM', 'AVG', 'MIN', 'MAX'],
+      'StartDateTime': ['MIN', 'MAX'],
+    },
   },
   User: {
     fields: [
@@ -347,67 +419,221 @@ const OBJECTS = {
       'LastModifiedDate': ['>', '>=', '<', '<='],
       'LastLoginDate': ['>', '>=', '<', '<='],
     },
+    groupable: ['IsActive', 'UserRole.Name', 'Profile.Name', 'Title', 'Department', 'Division'],
+    aggregates: {
+      'LastLoginDate': ['MIN', 'MAX'],
+    },
   },
 };
 
-function isObjectAllowed(objectName) {
+const BUILTIN_INFO = {
+  source: 'builtin',
+  path: null,
+  version: 'builtin',
+  hash: `sha256:${crypto.createHash('sha256').update(JSON.stringify(BUILTIN_OBJECTS)).digest('hex')}`,
+};
+
+// The shared allowlist, plus one per org that has its own allowlist file
+// (see orgRegistry.js). Orgs without one use the shared allowlist.
+let shared = { objects: Object.assign({}, BUILTIN_OBJECTS), info: Object.assign({ loadedAt: new Date().toISOString() }, BUILTIN_INFO) };
+const byOrg = new Map();
+
+function activeAllowlist() {
+  return byOrg.get(currentOrgName()) || shared;
+}
+
+// A live view of the current org's map, so modules holding a reference to
+// OBJECTS always see the current allowlist, including after reloads.
+const OBJECTS = new Proxy({}, {
+  get: (_, name) => activeAllowlist().objects[name],
+  has: (_, name) => name in activeAllowlist().objects,
+  ownKeys: () => Reflect.ownKeys(activeAllowlist().objects),
+  getOwnPropertyDescriptor: (_, name) => {
+    const objects = activeAllowlist().objects;
+    return Object.prototype.hasOwnProperty.call(objects, name)
+      ? { value: objects[name], writable: false, enumerable: true, configurable: true }
+      : undefined;
+  },
+  set: () => false,
+  deleteProperty: () => false,
+});
+
+/**
+ * Swap the active allowlist. `info` describes where it came from
+ * ({ source, path, version, hash }). With `orgName` only that org's
+ * allowlist changes; otherwise the shared one does.
+ */
+function setAllowlist(objects, info, orgName) {
+  const entry = { objects: Object.assign({}, objects), info: Object.assign({ loadedAt: new Date().toISOString() }, info) };
+  if (orgName) byOrg.set(orgName, entry);
+  else shared = entry;
+}
+
+// Back to the built-in map for everyone, dropping org-specific allowlists
+function useBuiltinAllowlist() {
+  byOrg.clear();
+  setAllowlist(BUILTIN_OBJECTS, BUILTIN_INFO);
+}
+
+// Whether `orgName` has an allowlist of its own rather than the shared one
+function hasOrgAllowlist(orgName) {
+  return byOrg.has(orgName);
+}
+
+function getAllowlistInfo(orgName) {
+  const entry = orgName === undefined ? activeAllowlist() : byOrg.get(orgName) || shared;
+  return Object.assign({}, entry.info);
+}
+
+// Every lookup below takes an optional access profile (see accessProfiles.js),
+// which narrows the allowlist for one API key. Profiles never widen it.
+function profileEntry(profile, objectName) {
+  return profile ? (profile.objects && profile.objects[objectName]) || null : undefined;
+}
+
+function profileAllowsField(profile, objectName, field) {
+  const entry = profileEntry(profile, objectName);
+  if (entry === undefined) return true;
+  return !!entry && (!entry.fields || entry.fields.includes(field));
+}
+
+function isObjectAllowed(objectName, profile) {
   const staticAllowed = !!OBJECTS[objectName];
   const dynamicAllowed = dynamicAllowlist ? dynamicAllowlist.isDynamicObjectAllowed(objectName) : false;
-  return staticAllowed || dynamicAllowed;
+  return (staticAllowed || dynamicAllowed)
+    && fieldSecurity.isObjectQueryable(objectName) !== false
+    && profileEntry(profile, objectName) !== null;
 }
 
-function getAllowedFields(objectName) {
+// true unless describe says the connected user lacks the capability
+function hasFieldAccess(objectName, field, flag) {
+  const access = fieldSecurity.getFieldAccess(objectName, field);
+  return !access || (access.accessible && access[flag]);
+}
+
+function usableOnly(objectName, fields, profile) {
+  return fields.filter((f) => hasFieldAccess(objectName, f, 'accessible') && profileAllowsField(profile, objectName, f));
+}
+
+function getAllowedFields(objectName, profile) {
   const spec = OBJECTS[objectName];
   const staticFields = spec ? spec.fields : [];
   
   // Use dynamic allowlist if available, otherwise fall back to static
   if (dynamicAllowlist) {
     try {
-      return dynamicAllowlist.getDynamicAllowedFields(objectName, staticFields);
+      return usableOnly(objectName, dynamicAllowlist.getDynamicAllowedFields(objectName, staticFields), profile);
     } catch (_) {}
   }
-  return staticFields;
+  return usableOnly(objectName, staticFields, profile);
 }
 
-function getDefaultFields(objectName) {
+// A profile that excludes every default field falls back to its own field list
+function getDefaultFields(objectName, profile) {
   const spec = OBJECTS[objectName];
-  return spec && Array.isArray(spec.defaultFields) ? spec.defaultFields : [];
+  const defaults = spec && Array.isArray(spec.defaultFields) ? usableOnly(objectName, spec.defaultFields, profile) : [];
+  if (defaults.length || !profile) return defaults;
+  return getAllowedFields(objectName, profile);
 }
 
-function isOperatorAllowed(objectName, field, op) {
+function getAllowedOperators(objectName, field, profile) {
+  if (!hasFieldAccess(objectName, field, 'filterable') || !profileAllowsField(profile, objectName, field)) return [];
   const spec = OBJECTS[objectName];
   const staticOps = (spec && spec.operators && spec.operators[field]) || ['='];
+  const entry = profileEntry(profile, objectName);
+  const limitTo = (ops) => (entry && entry.operators && entry.operators[field] ? ops.filter((op) => entry.operators[field].includes(op)) : ops);
   
   // Use dynamic allowlist if available, otherwise fall back to static
   if (dynamicAllowlist) {
     try {
-      const ops = dynamicAllowlist.getDynamicAllowedOperators(objectName, field, staticOps);
-      return ops.includes(String(op).toUpperCase());
+      return limitTo(dynamicAllowlist.getDynamicAllowedOperators(objectName, field, staticOps));
     } catch (_) {}
   }
-  return staticOps.includes(String(op).toUpperCase());
+  return limitTo(staticOps);
 }
 
-function filterAllowedFields(objectName, requestedFields) {
-  const allowed = new Set(getAllowedFields(objectName));
+function isOperatorAllowed(objectName, field, op, profile) {
+  return getAllowedOperators(objectName, field, profile).includes(String(op).toUpperCase());
+}
+
+const AGGREGATE_FUNCTIONS = ['COUNT', 'COUNT_DISTINCT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+// Operators accepted in allowlist files and profiles
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'LIKE', 'IN', 'NOT IN'];
+
+function isFieldGroupable(objectName, field, profile) {
+  const spec = OBJECTS[objectName];
+  return !!(spec && Array.isArray(spec.groupable) && spec.groupable.includes(field))
+    && hasFieldAccess(objectName, field, 'groupable')
+    && profileAllowsField(profile, objectName, field);
+}
+
+function isFieldGeolocation(objectName, field, profile) {
+  const spec = OBJECTS[objectName];
+  return !!(spec && Array.isArray(spec.geolocation) && spec.geolocation.includes(field))
+    && hasFieldAccess(objectName, field, 'filterable')
+    && profileAllowsField(profile, objectName, field);
+}
+
+function isFieldSortable(objectName, field, profile) {
+  return hasFieldAccess(objectName, field, 'sortable') && profileAllowsField(profile, objectName, field);
+}
+
+// COUNT() and COUNT(Id) only reveal row counts, so they are allowed on any
+// allowlisted object; everything else must be listed under aggregates.
+function getAllowedAggregates(objectName, field, profile) {
+  const spec = OBJECTS[objectName];
+  const fns = spec && spec.aggregates && spec.aggregates[field];
+  if (!Array.isArray(fns) || !hasFieldAccess(objectName, field, 'accessible')) return [];
+  return profileAllowsField(profile, objectName, field) ? fns : [];
+}
+
+function isAggregateAllowed(objectName, fn, field, profile) {
+  const name = String(fn || '').toUpperCase();
+  if (!AGGREGATE_FUNCTIONS.includes(name) || !isObjectAllowed(objectName, profile)) return false;
+  if (name === 'COUNT' && (!field || field === 'Id')) return true;
+  return getAllowedAggregates(objectName, field, profile).includes(name);
+}
+
+function filterAllowedFields(objectName, requestedFields, profile) {
+  const allowed = new Set(getAllowedFields(objectName, profile));
   const list = Array.isArray(requestedFields) ? requestedFields : [];
   return list.filter((f) => allowed.has(f));
 }
 
-function clampLimit(limit) {
+function getMaxLimit(profile) {
+  return profile && profile.maxLimit ? Math.min(profile.maxLimit, DEFAULT_MAX_LIMIT) : DEFAULT_MAX_LIMIT;
+}
+
+function clampLimit(limit, profile) {
+  const max = getMaxLimit(profile);
   const n = Number.parseInt(limit, 10);
-  if (!Number.isFinite(n) || n <= 0) return 50;
-  return Math.min(n, DEFAULT_MAX_LIMIT);
+  if (!Number.isFinite(n) || n <= 0) return Math.min(50, max);
+  return Math.min(n, max);
 }
 
 module.exports = {
   OBJECTS,
+  BUILTIN_OBJECTS,
+  setAllowlist,
+  useBuiltinAllowlist,
+  hasOrgAllowlist,
+  getAllowlistInfo,
   isObjectAllowed,
   getAllowedFields,
   getDefaultFields,
+  getAllowedOperators,
   isOperatorAllowed,
   filterAllowedFields,
+  isFieldGroupable,
+  isFieldGeolocation,
+  isFieldSortable,
+  getAllowedAggregates,
+  isAggregateAllowed,
   clampLimit,
+  getMaxLimit,
+  AGGREGATE_FUNCTIONS,
+  OPERATORS,
   DEFAULT_MAX_LIMIT,
 };
 
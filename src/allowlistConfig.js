@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * Loads the allowlist from a versioned JSON or YAML file (ALLOWLIST_FILE)
+ * instead of the built-in map, validates it, and reloads it when the file
+ * changes. An invalid file fails startup; an invalid edit at runtime is
+ * logged and the previous version stays active.
+ *
+ * File format:
+ *   version: "2024-06-01"
+ *   objects:
+ *     Account:
+ *       fields: [Id, Name, Industry]
+ *       defaultFields: [Id, Name]
+ *       operators: { Name: ["=", "LIKE"] }
+ *       groupable: [Industry]
+ *       aggregates: { Id: [COUNT_DISTINCT] }
+ *       geolocation: [BillingAddress]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('yaml');
+const { logger } = require('./middleware/logger');
+const { listOrgs } = require('./orgRegistry');
+const { setAllowlist, getAllowlistInfo, AGGREGATE_FUNCTIONS, OPERATORS } = require('./allowlist');
+
+const OBJECT_KEYS = ['fields', 'defaultFields', 'operators', 'groupable', 'aggregates', 'geolocation'];
+const OBJECT_NAME_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+const FIELD_NAME_RE = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/;
+const POLL_INTERVAL_MS = 2000;
+
+class AllowlistConfigError extends Error {
+  constructor(file, errors) {
+    super(`Invalid allowlist file ${file}: ${errors.join('; ')}`);
+    this.name = 'AllowlistConfigError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkFieldList(errors, where, list, fields) {
+  if (!Array.isArray(list)) {
+    errors.push(`${where} must be an array of field names`);
+    return;
+  }
+  list.forEach((field, i) => {
+    if (typeof field !== 'string' || !FIELD_NAME_RE.test(field)) {
+      errors.push(`${where}[${i}] is not a valid field name`);
+    } else if (fields && !fields.has(field)) {
+      errors.push(`${where}[${i}] "${field}" is not in fields`);
+    }
+  });
+}
+
+function checkFieldMap(errors, where, map, fields, allowed, label) {
+  if (!isPlainObject(map)) {
+    errors.push(`${where} must be a map of field name to ${label} list`);
+    return;
+  }
+  for (const [field, values] of Object.entries(map)) {
+    if (!fields.has(field) && !(label === 'function' && field === 'Id')) {
+      errors.push(`${where}.${field} is not in fields`);
+    }
+    if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`${where}.${field} must be a non-empty array`);
+      continue;
+    }
+    values.forEach((value, i) => {
+      const normalized = typeof value === 'string' ? value.toUpperCase() : value;
+      if (!allowed.includes(normalized)) {
+        errors.push(`${where}.${field}[${i}] unknown ${label} "${value}" (expected one of ${allowed.join(', ')})`);
+      }
+    });
+  }
+}
+
+/**
+ * Check a parsed allowlist document. Returns a list of error messages, each
+ * prefixed with the path of the offending entry.
+ */
+function validateAllowlistConfig(doc) {
+  const errors = [];
+  if (!isPlainObject(doc)) return ['top level must be an object with version and objects'];
+
+  for (const key of Object.keys(doc)) {
+    if (key !== 'version' && key !== 'objects') errors.push(`unknown top-level key "${key}"`);
+  }
+  if (!['string', 'number'].includes(typeof doc.version) || String(doc.version).trim() === '') {
+    errors.push('version is required (string or number)');
+  }
+  if (!isPlainObject(doc.objects) || Object.keys(doc.objects).length === 0) {
+    errors.push('objects must be a non-empty map of object name to spec');
+    return errors;
+  }
+
+  for (const [name, spec] of Object.entries(doc.objects)) {
+    const where = `objects.${name}`;
+    if (!OBJECT_NAME_RE.test(name)) errors.push(`${where} is not a valid object name`);
+    if (!isPlainObject(spec)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(spec)) {
+      if (!OBJECT_KEYS.includes(key)) errors.push(`${where} has unknown key "${key}"`);
+    }
+    if (!Array.isArray(spec.fields) || spec.fields.length === 0) {
+      errors.push(`${where}.fields must be a non-empty array of field names`);
+      continue;
+    }
+    checkFieldList(errors, `${where}.fields`, spec.fields);
+    const fields = new Set(spec.fields);
+    if (spec.defaultFields !== undefined) checkFieldList(errors, `${where}.defaultFields`, spec.defaultFields, fields);
+    if (spec.groupable !== undefined) checkFieldList(errors, `${where}.groupable`, spec.groupable, fields);
+    // Geolocation fields are only measured, never selected, so they need not be in fields
+    if (spec.geolocation !== undefined) checkFieldList(errors, `${where}.geolocation`, spec.geolocation);
+    if (spec.operators !== undefined) checkFieldMap(errors, `${where}.operators`, spec.operators, fields, OPERATORS, 'operator');
+    if (spec.aggregates !== undefined) checkFieldMap(errors, `${where}.aggregates`, spec.aggregates, fields, AGGREGATE_FUNCTIONS, 'function');
+  }
+  return errors;
+}
+
+/**
+ * Normalize a validated document into the OBJECTS shape used by allowlist.js
+ */
+function toObjectsMap(doc) {
+  const upper = (map) => Object.fromEntries(Object.entries(map).map(([f, list]) => [f, list.map((v) => v.toUpperCase())]));
+  const objects = {};
+  for (const [name, spec] of Object.entries(doc.objects)) {
+    objects[name] = {
+      fields: spec.fields.slice(),
+      defaultFields: (spec.defaultFields || []).slice(),
+      operators: upper(spec.operators || {}),
+      groupable: (spec.groupable || []).slice(),
+      aggregates: upper(spec.aggregates || {}),
+      geolocation: (spec.geolocation || []).slice(),
+    };
+  }
+  return objects;
+}
+
+function parseAllowlist(text, file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.json') return JSON.parse(text);
+  if (ext === '.yaml' || ext === '.yml') return YAML.parse(text);
+  throw new Error(`Unsupported allowlist file extension "${ext}" (use .json, .yaml or .yml)`);
+}
+
+/**
+ * Read, parse and validate an allowlist file without activating it.
+ * Throws AllowlistConfigError when the file does not match the schema.
+ */
+function readAllowlistFile(file) {
+  const resolved = path.resolve(file);
+  const text = fs.readFileSync(resolved, 'utf8');
+  let doc;
+  try {
+    doc = parseAllowlist(text, resolved);
+  } catch (err) {
+    throw new AllowlistConfigError(resolved, [err.message]);
+  }
+  const errors = validateAllowlistConfig(doc);
+  if (errors.length) throw new AllowlistConfigError(resolved, errors);
+  return {
+    objects: toObjectsMap(doc),
+    info: {
+      source: 'file',
+      path: resolved,
+      version: String(doc.version),
+      hash: `sha256:${crypto.createHash('sha256').update(text).digest('hex')}`,
+    },
+  };
+}
+
+/**
+ * Load and activate an allowlist file, for one org when `orgName` is given
+ * (otherwise as the shared allowlist). Returns the new allowlist info.
+ */
+function loadAllowlistFile(file, orgName) {
+  const { objects, info } = readAllowlistFile(file);
+  setAllowlist(objects, info, orgName);
+  logger.info('Allowlist loaded', { path: info.path, version: info.version, hash: info.hash, objects: Object.keys(objects).length, org: orgName });
+  return getAllowlistInfo(orgName);
+}
+
+/**
+ * Reload the active file if its content changed. Errors are logged and the
+ * previous allowlist stays in place. Returns true when a new version was
+ * activated.
+ */
+function reloadAllowlistFile(file, orgName) {
+  const current = getAllowlistInfo(orgName);
+  try {
+    const { objects, info } = readAllowlistFile(file);
+    if (info.hash === current.hash) return false;
+    setAllowlist(objects, info, orgName);
+    logger.info('Allowlist reloaded', { path: info.path, from: current.version, to: info.version, hash: info.hash, org: orgName });
+    return true;
+  } catch (err) {
+    logger.error('Allowlist reload rejected, keeping previous version', {
+      path: path.resolve(file),
+      version: current.version,
+      error: err.message,
+      org: orgName,
+    });
+    return false;
+  }
+}
+
+// Watched file and listener per org ('' for the shared allowlist)
+const watchers = new Map();
+
+function watchAllowlistFile(file, { interval = POLL_INTERVAL_MS, orgName } = {}) {
+  unwatchAllowlistFile(orgName);
+  const watchedFile = path.resolve(file);
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    if (curr.nlink === 0) {
+      logger.warn('Allowlist file removed, keeping current version', { path: watchedFile, org: orgName });
+      return;
+    }
+    reloadAllowlistFile(watchedFile, orgName);
+  };
+  watchers.set(orgName || '', { file: watchedFile, listener });
+  const watcher = fs.watchFile(watchedFile, { interval }, listener);
+  if (watcher && typeof watcher.unref === 'function') watcher.unref();
+}
+
+function unwatchAllowlistFile(orgName) {
+  const watched = watchers.get(orgName || '');
+  if (!watched) return;
+  fs.unwatchFile(watched.file, watched.listener);
+  watchers.delete(orgName || '');
+}
+
+/**
+ * Startup hook: loads ALLOWLIST_FILE when set (throwing if it is invalid) and
+ * optionally watches it. Without the variable the built-in map stays active.
+ * Orgs with their own allowlistFile (see orgRegistry.js) are loaded too.
+ */
+function initAllowlistFromEnv({ watch = false } = {}) {
+  const file = process.env.ALLOWLIST_FILE;
+  if (file) {
+    loadAllowlistFile(file);
+    if (watch) watchAllowlistFile(file);
+  }
+  for (const org of listOrgs()) {
+    if (!org.allowlistFile) continue;
+    loadAllowlistFile(org.allowlistFile, org.name);
+    if (watch) watchAllowlistFile(org.allowlistFile, { orgName: org.name });
+  }
+  return getAllowlistInfo();
+}
+
+module.exports = {
+  initAllowlistFromEnv,
+  loadAllowlistFile,
+  reloadAllowlistFile,
+  readAllowlistFile,
+  validateAllowlistConfig,
+  watchAllowlistFile,
+  unwatchAllowlistFile,
+  AllowlistConfigError,
+};
@@ -4,8 +4,17 @@ const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
 
+const { DEFAULT_ORG } = require('./orgRegistry');
+const { currentOrgName } = require('./orgContext');
+
 const ANALYTICS_FILE_PATH = path.resolve(__dirname, '..', 'analytics.json');
 
+// Each org has its own partition; the "default" org keeps analytics.json
+function analyticsFilePath(orgName = currentOrgName()) {
+  if (orgName === DEFAULT_ORG) return ANALYTICS_FILE_PATH;
+  return path.resolve(__dirname, '..', `analytics.${orgName}.json`);
+}
+
 async function readJson(filePath) {
   try {
     const txt = await fsp.readFile(filePath, 'utf8');
@@ -28,23 +37,24 @@ async function writeJson(filePath, obj) {
 async function recordQueryEvent(event) {
   const nowIso = new Date().toISOString();
   const payload = Object.assign({ ts: nowIso }, event);
-  const data = await readJson(ANALYTICS_FILE_PATH);
+  const filePath = analyticsFilePath();
+  const data = await readJson(filePath);
   data.queries.push(payload);
   // Cap file size to last 5k entries to keep it reasonable
   if (data.queries.length > 5000) {
     data.queries = data.queries.slice(data.queries.length - 5000);
   }
-  await writeJson(ANALYTICS_FILE_PATH, data);
+  await writeJson(filePath, data);
 }
 
 async function getRecentQueries(limit = 50) {
-  const data = await readJson(ANALYTICS_FILE_PATH);
+  const data = await readJson(analyticsFilePath());
   const arr = data.queries || [];
   return arr.slice(Math.max(0, arr.length - limit)).reverse();
 }
 
 async function getTopFields({ objectName, top = 20 }) {
-  const data = await readJson(ANALYTICS_FILE_PATH);
+  const data = await readJson(analyticsFilePath());
   const counts = new Map();
   for (const q of data.queries || []) {
     if (objectName && q.objectName !== objectName) continue;
@@ -61,6 +71,7 @@ module.exports = {
   recordQueryEvent,
   getRecentQueries,
   getTopFields,
+  analyticsFilePath,
   ANALYTICS_FILE_PATH,
 };
 
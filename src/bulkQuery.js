@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * Bulk API 2.0 query jobs for extracts too large for REST paging. Jobs are
+ * created from SOQL built by the safe-query builder, polled through the
+ * server, and their CSV result pages (one per Sforce-Locator) are parsed as
+ * they stream in so masking can be applied per column before the rows are
+ * written back to the caller.
+ *
+ * Only jobs created through this server are reachable, and only by the API
+ * key (and X-User-Id) that created them: results were filtered for that
+ * caller when the SOQL was built.
+ */
+
+const crypto = require('crypto');
+const { maskValue, ruleForPath } = require('./masking');
+
+const DEFAULT_PAGE_SIZE = 10000;
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+class BulkApiError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = 'BulkApiError';
+    this.status = status;
+    this.code = code || null;
+  }
+}
+
+function bulkPageSize() {
+  const n = Number.parseInt(process.env.BULK_PAGE_SIZE, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_PAGE_SIZE;
+}
+
+/**
+ * Safe-query payload features Bulk API 2.0 cannot run. Aggregates are already
+ * refused by the export limit in buildSafeSoql.
+ */
+function assertBulkPayload(payload) {
+  const unsupported = [];
+  if (Array.isArray(payload.children) && payload.children.length) unsupported.push('children');
+  if (Array.isArray(payload.typeof) && payload.typeof.length) unsupported.push('typeof');
+  if (payload.near !== undefined) unsupported.push('near');
+  if (unsupported.length) throw new Error(`Bulk queries do not support ${unsupported.join(', ')}`);
+}
+
+// These requests bypass jsforce (results are streamed and need the
+// Sforce-Locator header), so jsforce does not refresh an expired session for
+// them. A REST call through the connection does: it comes back 401 too, and
+// jsforce re-authenticates with the connection's refreshFn (the connection
+// manager's) before retrying it. Skipped when another request already did.
+async function refreshSession(conn, rejectedToken) {
+  if (conn.accessToken !== rejectedToken) return;
+  try {
+    await conn.request(`/services/data/v${conn.version}/limits`);
+  } catch (err) {
+    throw new BulkApiError(401, `Salesforce session expired and could not be refreshed: ${err.message}`, 'INVALID_SESSION_ID');
+  }
+}
+
+// Calls the Bulk 2.0 query resource with the connection's session; a
+// rejected session is refreshed and the request retried once
+async function bulkFetch(conn, method, path, body, accept = 'application/json') {
+  const send = (accessToken) => fetch(`${conn.instanceUrl}/services/data/v${conn.version}/jobs/query${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      Accept: accept,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const token = conn.accessToken;
+  let response = await send(token);
+  if (response.status === 401) {
+    await response.body?.cancel();
+    await refreshSession(conn, token);
+    response = await send(conn.accessToken);
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    let detail = null;
+    try {
+      detail = JSON.parse(text);
+    } catch (_) {}
+    const first = Array.isArray(detail) ? detail[0] : detail;
+    throw new BulkApiError(response.status, (first && first.message) || text || `Bulk API request failed (HTTP ${response.status})`, first && first.errorCode);
+  }
+  return response;
+}
+
+async function createQueryJob(conn, soql) {
+  const response = await bulkFetch(conn, 'POST', '', { operation: 'query', query: soql, contentType: 'CSV', columnDelimiter: 'COMMA', lineEnding: 'LF' });
+  return response.json();
+}
+
+async function getQueryJob(conn, jobId) {
+  const response = await bulkFetch(conn, 'GET', `/${encodeURIComponent(jobId)}`);
+  return response.json();
+}
+
+async function abortQueryJob(conn, jobId) {
+  const response = await bulkFetch(conn, 'PATCH', `/${encodeURIComponent(jobId)}`, { state: 'Aborted' });
+  return response.json();
+}
+
+/**
+ * Incremental CSV parser: feed() text as it arrives and get back the rows
+ * completed so far (arrays of strings); quoted fields may span chunks.
+ */
+function createCsvParser() {
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+  let quoteSeen = false;
+  let started = false;
+
+  function feed(text) {
+    const rows = [];
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (c === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else {
+          if (c === '"') quoteSeen = true;
+          else field += c;
+          continue;
+        }
+      }
+      if (c === '"' && !field) {
+        inQuotes = true;
+        started = true;
+      } else if (c === ',') {
+        row.push(field);
+        field = '';
+        started = true;
+      } else if (c === '\n') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        started = false;
+      } else if (c !== '\r') {
+        field += c;
+        started = true;
+      }
+    }
+    return rows;
+  }
+
+  function end() {
+    if (!started && !row.length) return [];
+    row.push(field);
+    const last = row;
+    row = [];
+    field = '';
+    inQuotes = quoteSeen = started = false;
+    return [last];
+  }
+
+  return { feed, end };
+}
+
+/**
+ * Result pages of a completed job as { records, done }, one batch per
+ * network chunk. Records are keyed by the CSV header (Account.Name for
+ * related fields); each locator page repeats the header.
+ */
+async function* bulkResultPages(conn, jobId, options = {}) {
+  const pageSize = options.pageSize || bulkPageSize();
+  let locator = null;
+  let pending = [];
+  do {
+    const query = `maxRecords=${pageSize}${locator ? `&locator=${encodeURIComponent(locator)}` : ''}`;
+    const response = await bulkFetch(conn, 'GET', `/${encodeURIComponent(jobId)}/results?${query}`, null, 'text/csv');
+    const next = response.headers.get('sforce-locator');
+    locator = next && next !== 'null' ? next : null;
+    const parser = createCsvParser();
+    const decoder = new TextDecoder();
+    let headers = null;
+    const toRecords = (rows) => {
+      if (!headers && rows.length) headers = rows.shift();
+      return rows.map((values) => Object.fromEntries(headers.map((h, i) => [h, values[i] === undefined ? '' : values[i]])));
+    };
+    for await (const chunk of response.body) {
+      const records = toRecords(parser.feed(decoder.decode(chunk, { stream: true })));
+      if (!records.length) continue;
+      // Hold one batch back so the last one can be marked done
+      if (pending.length) yield { records: pending, done: false };
+      pending = records;
+    }
+    const rest = toRecords([...parser.feed(decoder.decode()), ...parser.end()]);
+    if (rest.length) {
+      if (pending.length) yield { records: pending, done: false };
+      pending = rest;
+    }
+  } while (locator);
+  yield { records: pending, done: true };
+}
+
+// Row masker for CSV columns; each column's rule (related columns included)
+// is resolved once through ruleForPath
+function createColumnMasker(objectName, rules) {
+  const columnRules = new Map();
+  const ruleFor = (column) => {
+    if (!columnRules.has(column)) columnRules.set(column, ruleForPath(rules, objectName, column));
+    return columnRules.get(column);
+  };
+  return (row) => {
+    const out = {};
+    for (const [column, value] of Object.entries(row)) {
+      const rule = ruleFor(column);
+      // Empty cells are nulls in Bulk CSV and stay empty
+      out[column] = rule && value !== '' ? maskValue(value, rule) : value;
+    }
+    return out;
+  };
+}
+
+/**
+ * Jobs created through this server, with the caller (key, X-User-Id and
+ * org) that owns them. Entries expire after a day.
+ */
+function createJobRegistry(ttlMs = JOB_TTL_MS) {
+  const jobs = new Map();
+  const ownerKey = (owner) => crypto.createHash('sha256').update(`${owner.key || ''}\n${owner.userId || ''}\n${owner.org || ''}`).digest('hex');
+  const prune = () => {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, entry] of jobs) {
+      if (entry.createdAt < cutoff) jobs.delete(id);
+    }
+  };
+  return {
+    add(id, owner, details) {
+      prune();
+      jobs.set(id, Object.assign({ id, owner: ownerKey(owner), createdAt: Date.now() }, details));
+    },
+    get(id, owner) {
+      prune();
+      const entry = jobs.get(id);
+      return entry && entry.owner === ownerKey(owner) ? entry : null;
+    },
+  };
+}
+
+module.exports = {
+  BulkApiError,
+  assertBulkPayload,
+  createQueryJob,
+  getQueryJob,
+  abortQueryJob,
+  createCsvParser,
+  bulkResultPages,
+  createColumnMasker,
+  createJobRegistry,
+};
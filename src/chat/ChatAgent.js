@@ -852,8 +852,12 @@ Remember: I'm here to help you understand your Salesforce sales data, manage ter
       options: enhancedOptions 
     });
 
+    // Totals are computed with an aggregate query over the same owner scope
+    const scope = { where: Array.isArray(options.where) ? [...options.where] : [] };
+    this.applyOwnerFiltering(scope, enhancedOptions);
+
     // Add territory-specific analysis
-    const territoryAnalysis = await this.analyzeTerritoryPerformance(result, objectName, ownerName || ownerId);
+    const territoryAnalysis = await this.analyzeTerritoryPerformance(result, objectName, ownerName || ownerId, scope.where);
 
     return {
       ...result,
@@ -872,7 +876,7 @@ Remember: I'm here to help you understand your Salesforce sales data, manage ter
     queryPayload.where = queryPayload.where || [];
 
     if (options.ownerId) {
-      queryPayload.where.push({ field: 'OwnerId', op: '=', value: options.ownerId });
+      queryPayload.where.push({ field: 'Owner.Id', op: '=', value: options.ownerId });
     } else if (options.ownerName) {
       queryPayload.where.push({ field: 'Owner.Name', op: 'LIKE', value: `%${options.ownerName}%` });
     }
@@ -884,12 +888,50 @@ Remember: I'm here to help you understand your Salesforce sales data, manage ter
   }
 
   /**
-   * Analyze territory performance based on query results
+   * Fetch opportunity counts and amounts grouped by open/won/lost state.
+   * Returns null if the aggregate query is unavailable.
+   */
+  async fetchOpportunityTotals(where) {
+    try {
+      const result = await this.sfdcClient.safeQuery('Opportunity', {
+        where,
+        aggregates: [
+          { fn: 'COUNT', alias: 'recordCount' },
+          { fn: 'COUNT', field: 'Amount', alias: 'amountCount' },
+          { fn: 'SUM', field: 'Amount', alias: 'totalAmount' }
+        ],
+        groupBy: ['IsClosed', 'IsWon'],
+        limit: 10
+      });
+      if (!result || !result.aggregate || !Array.isArray(result.records)) return null;
+
+      const totals = { recordCount: 0, amountCount: 0, totalAmount: 0, pipelineCount: 0, closedWonCount: 0, closedLostCount: 0 };
+      for (const row of result.records) {
+        const count = row.recordCount || 0;
+        totals.recordCount += count;
+        totals.amountCount += row.amountCount || 0;
+        totals.totalAmount += row.totalAmount || 0;
+        if (!row.IsClosed) totals.pipelineCount += count;
+        else if (row.IsWon) totals.closedWonCount += count;
+        else totals.closedLostCount += count;
+      }
+      return totals;
+    } catch (error) {
+      console.warn('[ChatAgent] Aggregate totals unavailable, using returned records:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Analyze territory performance. Opportunity totals come from an aggregate
+   * query over `where` so they are not capped by the record limit; the
+   * returned records are only used when that query is unavailable.
    */
-  async analyzeTerritoryPerformance(queryResult, objectName, salesperson) {
+  async analyzeTerritoryPerformance(queryResult, objectName, salesperson, where = []) {
     const records = queryResult.records || [];
+    const totals = objectName === 'Opportunity' ? await this.fetchOpportunityTotals(where) : null;
     
-    if (records.length === 0) {
+    if (records.length === 0 && !(totals && totals.recordCount)) {
       return {
         summary: `No ${objectName} records found for ${salesperson || 'this salesperson'}`,
         metrics: {},
@@ -905,23 +947,34 @@ Remember: I'm here to help you understand your Salesforce sales data, manage ter
 
     // Opportunity-specific analysis
     if (objectName === 'Opportunity') {
-      const amounts = records
-        .map(r => parseFloat(r.Amount))
-        .filter(a => !isNaN(a));
-      
-      const closedWon = records.filter(r => r.StageName === 'Closed Won' || r.IsWon === true);
-      const closedLost = records.filter(r => r.StageName === 'Closed Lost' || (r.IsClosed === true && r.IsWon === false));
-      const pipeline = records.filter(r => r.IsClosed === false);
+      let counts;
+      if (totals) {
+        counts = totals;
+      } else {
+        const amounts = records
+          .map(r => parseFloat(r.Amount))
+          .filter(a => !isNaN(a));
+        counts = {
+          recordCount: records.length,
+          amountCount: amounts.length,
+          totalAmount: amounts.reduce((sum, amt) => sum + amt, 0),
+          pipelineCount: records.filter(r => r.IsClosed === false).length,
+          closedWonCount: records.filter(r => r.StageName === 'Closed Won' || r.IsWon === true).length,
+          closedLostCount: records.filter(r => r.StageName === 'Closed Lost' || (r.IsClosed === true && r.IsWon === false)).length
+        };
+      }
+      const decided = counts.closedWonCount + counts.closedLostCount;
 
       analysis.metrics = {
-        totalValue: amounts.reduce((sum, amt) => sum + amt, 0),
-        averageValue: amounts.length > 0 ? amounts.reduce((sum, amt) => sum + amt, 0) / amounts.length : 0,
-        pipelineCount: pipeline.length,
-        closedWonCount: closedWon.length,
-        closedLostCount: closedLost.length,
-        winRate: (closedWon.length + closedLost.length) > 0 ? 
-          (closedWon.length / (closedWon.length + closedLost.length) * 100).toFixed(1) : 'N/A'
+        totalValue: counts.totalAmount,
+        averageValue: counts.amountCount > 0 ? counts.totalAmount / counts.amountCount : 0,
+        totalCount: counts.recordCount,
+        pipelineCount: counts.pipelineCount,
+        closedWonCount: counts.closedWonCount,
+        closedLostCount: counts.closedLostCount,
+        winRate: decided > 0 ? (counts.closedWonCount / decided * 100).toFixed(1) : 'N/A'
       };
+      analysis.metricsSource = totals ? 'aggregate' : 'records';
 
       analysis.insights = [];
       if (analysis.metrics.totalValue > 0) {
@@ -930,8 +983,8 @@ Remember: I'm here to help you understand your Salesforce sales data, manage ter
       if (analysis.metrics.winRate !== 'N/A') {
         analysis.insights.push(`Win rate: ${analysis.metrics.winRate}%`);
       }
-      if (pipeline.length > 0) {
-        analysis.insights.push(`${pipeline.length} active opportunities in pipeline`);
+      if (counts.pipelineCount > 0) {
+        analysis.insights.push(`${counts.pipelineCount} active opportunities in pipeline`);
       }
     }
 
@@ -346,6 +346,36 @@ runner.test('ChatAgent handles unknown functions gracefully', async () => {
   runner.assert(result.error.includes('Unknown function'), 'Should identify unknown function error');
 });
 
+runner.test('ChatAgent territory metrics use aggregate totals, not the record sample', async () => {
+  const mockSFDC = new MockSFDCClient();
+  let aggregateOptions = null;
+  mockSFDC.safeQuery = async (objectName, options = {}) => {
+    if (!options.aggregates) return mockSFDC.mockData.queryResult.results;
+    aggregateOptions = options;
+    return {
+      aggregate: true,
+      records: [
+        { IsClosed: false, IsWon: false, recordCount: 300, amountCount: 300, totalAmount: 3000000 },
+        { IsClosed: true, IsWon: true, recordCount: 30, amountCount: 30, totalAmount: 900000 },
+        { IsClosed: true, IsWon: false, recordCount: 10, amountCount: 10, totalAmount: 100000 }
+      ]
+    };
+  };
+  const agent = new ChatAgent(mockSFDC, { llmAdapter: new MockLlmAdapter() });
+
+  const queryResult = mockSFDC.mockData.queryResult.results;
+  const where = [{ field: 'Owner.Name', op: 'LIKE', value: '%Kim%' }];
+  const analysis = await agent.analyzeTerritoryPerformance(queryResult, 'Opportunity', 'Kim', where);
+
+  runner.assertEqual(aggregateOptions.where, where, 'Should scope the aggregate to the owner filter');
+  runner.assertEqual(analysis.metricsSource, 'aggregate');
+  runner.assertEqual(analysis.metrics.totalCount, 340);
+  runner.assertEqual(analysis.metrics.totalValue, 4000000);
+  runner.assertEqual(analysis.metrics.pipelineCount, 300);
+  runner.assertEqual(analysis.metrics.winRate, '75.0');
+  agent.destroy();
+});
+
 // Export for use in other test files
 if (require.main === module) {
   runner.run().then(success => {
@@ -83,7 +83,27 @@ async function runAllTests() {
   const testSuites = [
     ['Goal System', './Goal.test.js'],
     ['Goal Manager', './GoalManager.test.js'],
-    ['Chat Agent', './ChatAgent.test.js']
+    ['Chat Agent', './ChatAgent.test.js'],
+    ['SOQL Parser', '../../test/soqlParser.test.js'],
+    ['Query Policy', '../../test/queryPolicy.test.js'],
+    ['Safe Query', '../../test/safeQuery.test.js'],
+    ['Format', '../../test/format.test.js'],
+    ['Safe Query Explain', '../../test/safeQueryExplain.test.js'],
+    ['Allowlist Config', '../../test/allowlistConfig.test.js'],
+    ['Field Security', '../../test/fieldSecurity.test.js'],
+    ['Access Profiles', '../../test/accessProfiles.test.js'],
+    ['Row Policies', '../../test/rowPolicy.test.js'],
+    ['Masking', '../../test/masking.test.js'],
+    ['Value Validation', '../../test/valueValidation.test.js'],
+    ['Date Literals', '../../test/dateLiterals.test.js'],
+    ['Export', '../../test/exporter.test.js'],
+    ['Bulk Query', '../../test/bulkQuery.test.js'],
+    ['Cursors', '../../test/cursors.test.js'],
+    ['Orgs', '../../test/orgs.test.js'],
+    ['JWT Bearer', '../../test/jwtBearer.test.js'],
+    ['Connection Manager', '../../test/connectionManager.test.js'],
+    ['Token Store', '../../test/tokenStore.test.js'],
+    ['OAuth Web Flow', '../../test/oauthWebFlow.test.js']
   ];
   
   let allPassed = true;
@@ -51,6 +51,22 @@ class SFDCHelperClient {
     return { identity, limits };
   }
 
+  /**
+   * List the Salesforce orgs the server fronts; `current` is the one this
+   * client's requests go to (the `org` option, or the server default)
+   */
+  async listOrgs() {
+    return this._request('GET', '/orgs');
+  }
+
+  /**
+   * Resolve a SOQL date literal (THIS_FISCAL_QUARTER, LAST_N_DAYS:30, ...)
+   * to start/end dates using the org's fiscal year
+   */
+  async resolveDateLiteral(literal) {
+    return this._request('GET', `/org/date-literals/${encodeURIComponent(literal)}`);
+  }
+
   /**
    * Get the dynamic allowlist (static + discovered fields)
    */
@@ -127,16 +143,111 @@ class SFDCHelperClient {
 
   /**
    * Safe query with allowlist validation and optional flattening
-   * This is the main method for chatbot queries
+   * This is the main method for chatbot queries. Pass options.next (the
+   * `next` cursor of a previous result) for the following page.
    */
   async safeQuery(objectName, options = {}) {
+    const { format = 'json' } = options; // json, ndjson, csv
+    if (options.next) {
+      return this._request('POST', '/safe-query', { object: objectName, next: options.next });
+    }
+    const payload = await this._buildSafeQueryPayload(objectName, options);
+    const endpoint = format === 'json' ? '/safe-query' : `/safe-query?format=${format}`;
+    return this._request('POST', endpoint, payload);
+  }
+
+  /**
+   * Export every row of a safe query (up to the API key's export row cap) as
+   * NDJSON or CSV text; the server follows queryMore and streams the pages
+   */
+  async exportSafeQuery(objectName, options = {}) {
+    const { format = 'ndjson' } = options;
+    const payload = await this._buildSafeQueryPayload(objectName, options);
+    // No limit means "up to the cap" rather than the safe-query default of 50
+    if (options.limit === undefined) delete payload.limit;
+    payload.format = format;
+    return this._request('POST', '/safe-query/export', payload);
+  }
+
+  /**
+   * Run a safe query as a Bulk API 2.0 job: create it, poll until it
+   * finishes and return the masked CSV. options: the safeQuery options plus
+   * pollInterval (ms, default 2000) and timeout (ms, default 10 minutes;
+   * the job is cancelled when it runs out)
+   */
+  async bulkQuery(objectName, options = {}) {
+    const { pollInterval = 2000, timeout = 10 * 60 * 1000 } = options;
+    let job = await this.createBulkQuery(objectName, options);
+    const deadline = Date.now() + timeout;
+    while (!['JobComplete', 'Failed', 'Aborted'].includes(job.state)) {
+      if (Date.now() >= deadline) {
+        await this.cancelBulkQuery(job.id);
+        throw new Error(`Bulk query job ${job.id} did not finish within ${timeout}ms and was cancelled`);
+      }
+      await this._delay(pollInterval);
+      job = await this.getBulkQueryJob(job.id);
+    }
+    if (job.state !== 'JobComplete') {
+      const error = new Error(`Bulk query job ${job.id} ${job.state}${job.errorMessage ? `: ${job.errorMessage}` : ''}`);
+      error.job = job;
+      throw error;
+    }
+    return this.getBulkQueryResults(job.id);
+  }
+
+  /**
+   * Create a Bulk API 2.0 query job from safeQuery options; returns the job
+   * status (poll it with getBulkQueryJob)
+   */
+  async createBulkQuery(objectName, options = {}) {
+    const payload = await this._buildSafeQueryPayload(objectName, options);
+    // No limit means "up to the export cap" rather than the safe-query default of 50
+    if (options.limit === undefined) delete payload.limit;
+    delete payload.flatten;
+    return this._request('POST', '/bulk/query', payload);
+  }
+
+  async getBulkQueryJob(jobId) {
+    return this._request('GET', `/bulk/query/${encodeURIComponent(jobId)}`);
+  }
+
+  async cancelBulkQuery(jobId) {
+    return this._request('POST', `/bulk/query/${encodeURIComponent(jobId)}/cancel`);
+  }
+
+  /**
+   * CSV results of a completed bulk query job
+   */
+  async getBulkQueryResults(jobId) {
+    return this._request('GET', `/bulk/query/${encodeURIComponent(jobId)}/results`);
+  }
+
+  /**
+   * Dry-run a safe query: generated SOQL, kept/dropped items, allowlist rules
+   * and the Salesforce query plan, without fetching records
+   */
+  async explainSafeQuery(objectName, options = {}) {
+    const payload = await this._buildSafeQueryPayload(objectName, options);
+    return this._request('POST', '/safe-query/explain', payload);
+  }
+
+  /**
+   * Validate safeQuery options and turn them into a /safe-query payload
+   */
+  async _buildSafeQueryPayload(objectName, options) {
     const {
       fields = null, // Use default fields if not specified
       where = [],
       orderBy = null,
       limit = 50,
       flatten = true,
-      format = 'json' // json, ndjson, csv
+      aggregates = null, // [{ fn, field?, alias? }] switches to an aggregate query
+      groupBy = null,
+      having = null,
+      children = null, // [{ relationship, fields?, where?, orderBy?, limit? }]
+      typeof: typeOf = null, // [{ field, when: { Object: [fields] }, else? }] for polymorphic lookups
+      near = null, // { field, latitude, longitude, radius?, unit? } distance filter
+      strict = undefined // reject instead of dropping disallowed fields/clauses (server default if unset)
     } = options;
 
     // Validation
@@ -144,16 +255,18 @@ class SFDCHelperClient {
       throw new Error('objectName is required and must be a string');
     }
 
-    if (where && !Array.isArray(where)) {
-      throw new Error('where conditions must be an array');
+    if (where && typeof where !== 'object') {
+      throw new Error('where must be an array of conditions or an { and | or | not } group');
     }
 
     if (limit && (typeof limit !== 'number' || limit <= 0)) {
       throw new Error('limit must be a positive number');
     }
 
-    // Use default fields if none specified (org-aware)
-    const queryFields = fields || await this.getDefaultFields(objectName);
+    const isAggregate = Array.isArray(aggregates) && aggregates.length > 0;
+
+    // Use default fields if none specified (org-aware); aggregate queries select their own columns
+    const queryFields = fields || (isAggregate ? undefined : await this.getDefaultFields(objectName));
     
     const payload = {
       object: objectName,
@@ -167,8 +280,29 @@ class SFDCHelperClient {
       payload.orderBy = orderBy;
     }
 
-    const endpoint = format === 'json' ? '/safe-query' : `/safe-query?format=${format}`;
-    return this._request('POST', endpoint, payload);
+    if (typeof strict === 'boolean') {
+      payload.strict = strict;
+    }
+
+    if (Array.isArray(children) && children.length) {
+      payload.children = children;
+    }
+
+    if (Array.isArray(typeOf) && typeOf.length) {
+      payload.typeof = typeOf;
+    }
+
+    if (near) {
+      payload.near = near;
+    }
+
+    if (isAggregate) {
+      payload.aggregates = aggregates;
+      if (groupBy) payload.groupBy = groupBy;
+      if (having) payload.having = having;
+    }
+
+    return payload;
   }
 
   /**
@@ -189,6 +323,15 @@ class SFDCHelperClient {
     return this._request('GET', `/query?${params.toString()}`);
   }
 
+  /**
+   * Export every row of a raw SOQL query (up to the API key's export row
+   * cap) as NDJSON or CSV text
+   */
+  async exportQuery(soql, options = {}) {
+    const { format = 'ndjson' } = options;
+    return this._request('POST', '/query/export', { soql, format });
+  }
+
   /**
    * SOSL search across multiple objects
    */
@@ -204,9 +347,13 @@ class SFDCHelperClient {
   }
 
   /**
-   * Get changes since a timestamp
+   * Get changes since a timestamp; `next` (a cursor from a previous result)
+   * fetches the following page instead
    */
-  async getChanges(objectName, since, limit = 100) {
+  async getChanges(objectName, since, limit = 100, next = null) {
+    if (next) {
+      return this._request('GET', `/changes/${objectName}?next=${encodeURIComponent(next)}`);
+    }
     const sinceParam = typeof since === 'string' ? since : since.toISOString();
     return this._request('GET', `/changes/${objectName}?since=${encodeURIComponent(sinceParam)}&limit=${limit}`);
   }
@@ -353,7 +500,10 @@ class SFDCHelperClient {
       method,
       headers: {
         'Content-Type': 'application/json',
-        'User-Agent': 'sfdc-helper-client/1.0.0'
+        'User-Agent': 'sfdc-helper-client/1.0.0',
+        ...(this.options.apiKey ? { 'X-API-Key': this.options.apiKey } : {}),
+        ...(this.options.userId ? { 'X-User-Id': this.options.userId } : {}),
+        ...(this.options.org ? { 'X-SF-Org': this.options.org } : {})
       },
       timeout: this.options.timeout
     };
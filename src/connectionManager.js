@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Keeps one org's Salesforce connection usable. A failed login is not cached:
+ * the next request tries again once a backoff delay (1s doubling to 60s) has
+ * passed, and requests in between fail fast instead of hammering the login
+ * endpoint. When Salesforce rejects a session (HTTP 401, INVALID_SESSION_ID)
+ * jsforce calls refreshFn, which re-authenticates from scratch and lets
+ * jsforce retry the request once; a session rejected again right after that
+ * is reported instead of retried.
+ *
+ * States: idle -> connecting -> connected, connected -> reconnecting ->
+ * connected | disconnected, disconnected -> reconnecting (after the backoff).
+ * Every transition is logged and status() feeds /health/ready.
+ */
+
+const { logger } = require('./middleware/logger');
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+// A fresh session rejected within this window is not refreshed again
+const MIN_REAUTH_INTERVAL_MS = 10 * 1000;
+
+class ConnectionUnavailableError extends Error {
+  constructor(name, lastError, retryAt) {
+    const seconds = Math.max(Math.ceil((retryAt - Date.now()) / 1000), 0);
+    super(`Salesforce connection for org "${name}" is unavailable (next attempt in ${seconds}s): ${lastError ? lastError.message : 'unknown error'}`);
+    this.name = 'ConnectionUnavailableError';
+    this.code = 'SF_UNAVAILABLE';
+    this.retryAt = new Date(retryAt).toISOString();
+  }
+}
+
+/**
+ * options:
+ *   name          org name, for logs and errors
+ *   authenticate  ({ fresh }) => Promise<{ accessToken, instanceUrl }>; fresh
+ *                 means the previous session was rejected, so cached tokens
+ *                 must not be reused
+ *   build         (credentials, refreshFn) => connection, called once
+ *   baseDelayMs, maxDelayMs, minReauthIntervalMs  for tests
+ */
+function createConnectionManager(options) {
+  const { name, authenticate, build } = options;
+  const baseDelayMs = options.baseDelayMs || BASE_DELAY_MS;
+  const maxDelayMs = options.maxDelayMs || MAX_DELAY_MS;
+  const minReauthIntervalMs = options.minReauthIntervalMs !== undefined ? options.minReauthIntervalMs : MIN_REAUTH_INTERVAL_MS;
+
+  let state = 'idle';
+  let since = Date.now();
+  let connection = null;
+  let inFlight = null;
+  let attempts = 0;
+  let lastError = null;
+  let nextAttemptAt = 0;
+  let lastFreshAuthAt = 0;
+
+  function transition(to, details = {}) {
+    if (to === state) return;
+    const entry = Object.assign({ org: name, from: state, to }, details);
+    if (to === 'disconnected') logger.warn('Salesforce connection state changed', entry);
+    else logger.info('Salesforce connection state changed', entry);
+    state = to;
+    since = Date.now();
+  }
+
+  function fail(err) {
+    attempts += 1;
+    lastError = err;
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    nextAttemptAt = Date.now() + delay;
+    transition('disconnected', { error: err.message, attempts, retryInMs: delay });
+  }
+
+  function attempt(fresh) {
+    if (inFlight) return inFlight;
+    if (nextAttemptAt > Date.now()) return Promise.reject(new ConnectionUnavailableError(name, lastError, nextAttemptAt));
+    transition(connection ? 'reconnecting' : 'connecting', attempts ? { attempt: attempts + 1 } : {});
+    inFlight = Promise.resolve()
+      .then(() => authenticate({ fresh }))
+      .then((credentials) => {
+        attempts = 0;
+        lastError = null;
+        nextAttemptAt = 0;
+        if (fresh) lastFreshAuthAt = Date.now();
+        if (!connection) {
+          connection = build(credentials, refreshFn);
+        } else {
+          if (credentials.instanceUrl) connection.instanceUrl = credentials.instanceUrl;
+          connection.accessToken = credentials.accessToken;
+        }
+        transition('connected');
+        return credentials;
+      }, (err) => {
+        fail(err);
+        throw err;
+      })
+      .finally(() => { inFlight = null; });
+    return inFlight;
+  }
+
+  // jsforce refreshFn: called when a request comes back 401
+  function refreshFn(_conn, callback) {
+    if (lastFreshAuthAt && Date.now() - lastFreshAuthAt < minReauthIntervalMs) {
+      const err = new Error('Salesforce rejected the session right after re-authenticating');
+      err.code = 'SF_SESSION_REJECTED';
+      fail(err);
+      return callback(err);
+    }
+    if (state === 'connected') logger.warn('Salesforce session rejected, re-authenticating', { org: name });
+    attempt(true).then((credentials) => callback(null, credentials.accessToken, credentials), (err) => callback(err));
+  }
+
+  /**
+   * The connection, connecting first if needed. Once built the same object
+   * is returned for good; re-authentication updates it in place.
+   */
+  async function get() {
+    if (connection) return connection;
+    await attempt(false);
+    return connection;
+  }
+
+  function status() {
+    return {
+      state,
+      since: new Date(since).toISOString(),
+      attempts,
+      lastError: lastError ? lastError.message : null,
+      nextAttemptAt: nextAttemptAt > Date.now() ? new Date(nextAttemptAt).toISOString() : null,
+    };
+  }
+
+  return { get, status, refreshFn };
+}
+
+module.exports = {
+  ConnectionUnavailableError,
+  createConnectionManager,
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { maskRecords } = require('./masking');
+
 function truncate(text, max = 8000) {
   const s = String(text || '');
   return s.length > max ? s.slice(0, max) + '…' : s;
@@ -115,6 +117,9 @@ function renderInsightsMarkdown(insights) {
     for (const sug of suggestions) {
       lines.push(`- ${sug.title}: ${JSON.stringify(sug.where)}`);
     }
+    if (insights.summary && insights.summary.rowFilter) {
+      lines.push(`- Row filter (always applied): \`${insights.summary.rowFilter}\``);
+    }
   }
 
   if (fieldsDetail.length) {
@@ -454,7 +459,7 @@ function renderOrgSettingsSection(extra) {
   return renderLines(lines);
 }
 
-function renderQueriesSection(queryRuns, objectName) {
+function renderQueriesSection(queryRuns, objectName, masking) {
   const lines = [];
   lines.push(`# Query Library (${objectName})`);
   lines.push('');
@@ -466,15 +471,17 @@ function renderQueriesSection(queryRuns, objectName) {
     lines.push('```');
     if (Array.isArray(q.records) && q.records.length) {
       lines.push('Sample Records:');
-      lines.push(renderTable(q.records, 10));
+      const objectForRules = (q.payload && q.payload.object) || objectName;
+      lines.push(renderTable(maskRecords(q.records, objectForRules, masking), 10));
     }
     lines.push('');
   }
   return renderLines(lines);
 }
 
-// Build segmented files mapping
-function renderInsightsSegments(insights, extras) {
+// Build segmented files mapping. options.masking: the caller's field masking
+// rules, applied to sample records written into the bundle
+function renderInsightsSegments(insights, extras, options = {}) {
   const objectName = insights.summary && insights.summary.objectName;
   const files = {};
   files['summary.md'] = renderSummarySection(insights);
@@ -489,7 +496,7 @@ function renderInsightsSegments(insights, extras) {
   if (extras.stageHistory) files['stage_history.md'] = renderStageHistorySection(extras.stageHistory);
   if (extras.closedDateRule) files['closed_date_rule.md'] = renderClosedDateRuleSection(extras.closedDateRule);
   if (extras.orgSettings) files['org_settings.md'] = renderOrgSettingsSection(extras.orgSettings);
-  if (Array.isArray(extras.queryRuns)) files['queries.md'] = renderQueriesSection(extras.queryRuns, objectName);
+  if (Array.isArray(extras.queryRuns)) files['queries.md'] = renderQueriesSection(extras.queryRuns, objectName, options.masking);
   return files;
 }
 
@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Opaque pagination cursors. Paged responses return a token instead of
+ * Salesforce's nextRecordsUrl: the locator is encrypted together with the
+ * route, object, caller and whatever the route needs to shape the next page,
+ * and the token is signed with HMAC-SHA256. A cursor is only resumed when
+ * the signature matches, it has not expired (CURSOR_TTL_SECONDS, default
+ * 900, about as long as Salesforce keeps a query locator) and it comes back
+ * from the same API key and X-User-Id on the same route and org.
+ *
+ * CURSOR_SECRET signs cursors; without it a random per-process secret is
+ * used, so cursors do not survive a restart or work across instances.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 900;
+const VERSION = 1;
+
+class CursorError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CursorError';
+    this.code = code;
+  }
+}
+
+let generatedSecret = null;
+
+function cursorSecret() {
+  if (process.env.CURSOR_SECRET) return process.env.CURSOR_SECRET;
+  if (!generatedSecret) generatedSecret = crypto.randomBytes(32).toString('hex');
+  return generatedSecret;
+}
+
+function cursorTtlSeconds() {
+  const n = Number.parseInt(process.env.CURSOR_TTL_SECONDS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_SECONDS;
+}
+
+// Separate encryption and signing keys derived from the one secret
+function deriveKeys(secret) {
+  const derive = (label) => crypto.createHmac('sha256', secret).update(label).digest();
+  return { encryption: derive('sfdc-helper cursor encryption'), signature: derive('sfdc-helper cursor signature') };
+}
+
+// caller: { key, userId, org }, the raw API key, X-User-Id (null when unset)
+// and the Salesforce org the locator belongs to
+function callerFingerprint(caller) {
+  const { key, userId, org } = caller || {};
+  return crypto.createHash('sha256').update(`${key || ''}\n${userId || ''}\n${org || ''}`).digest('base64url').slice(0, 22);
+}
+
+/**
+ * Token for the page after `nextRecordsUrl`. page: { route, object,
+ * nextRecordsUrl, context }; options: secret, ttlSeconds, now (ms) for tests.
+ */
+function issueCursor(page, caller, options = {}) {
+  const keys = deriveKeys(options.secret || cursorSecret());
+  const now = options.now || Date.now();
+  const payload = {
+    v: VERSION,
+    r: page.route,
+    o: page.object || null,
+    u: page.nextRecordsUrl,
+    c: page.context || null,
+    k: callerFingerprint(caller),
+    e: Math.floor(now / 1000) + (options.ttlSeconds || cursorTtlSeconds()),
+  };
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-ctr', keys.encryption, iv);
+  const body = Buffer.concat([iv, cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  const signature = crypto.createHmac('sha256', keys.signature).update(body).digest();
+  return `${body.toString('base64url')}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verify and open a cursor presented to `expected.route` (and, when given,
+ * for `expected.object`). Returns { nextRecordsUrl, object, context } or
+ * throws CursorError: INVALID_CURSOR (malformed or tampered), CURSOR_EXPIRED,
+ * CURSOR_CALLER_MISMATCH or CURSOR_ROUTE_MISMATCH.
+ */
+function readCursor(token, expected, caller, options = {}) {
+  const invalid = () => new CursorError('INVALID_CURSOR', 'Invalid cursor: not issued by this server or modified');
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2 || !parts[0] || !parts[1]) throw invalid();
+  const keys = deriveKeys(options.secret || cursorSecret());
+  const body = Buffer.from(parts[0], 'base64url');
+  const signature = Buffer.from(parts[1], 'base64url');
+  const expectedSignature = crypto.createHmac('sha256', keys.signature).update(body).digest();
+  if (body.length <= 16 || signature.length !== expectedSignature.length || !crypto.timingSafeEqual(signature, expectedSignature)) {
+    throw invalid();
+  }
+  let payload;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-ctr', keys.encryption, body.subarray(0, 16));
+    payload = JSON.parse(Buffer.concat([decipher.update(body.subarray(16)), decipher.final()]).toString('utf8'));
+  } catch (_) {
+    throw invalid();
+  }
+  if (!payload || payload.v !== VERSION) throw invalid();
+  if (payload.r !== expected.route || (expected.object && payload.o !== expected.object)) {
+    throw new CursorError('CURSOR_ROUTE_MISMATCH', `Cursor was issued by another endpoint or object (${payload.r}${payload.o ? ` ${payload.o}` : ''})`);
+  }
+  const now = options.now || Date.now();
+  if (payload.e * 1000 <= now) throw new CursorError('CURSOR_EXPIRED', 'Cursor expired; run the query again');
+  if (payload.k !== callerFingerprint(caller)) throw new CursorError('CURSOR_CALLER_MISMATCH', 'Cursor was issued to a different API key, user or org');
+  return { nextRecordsUrl: payload.u, object: payload.o, context: payload.c };
+}
+
+module.exports = {
+  CursorError,
+  DEFAULT_TTL_SECONDS,
+  issueCursor,
+  readCursor,
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * SOQL relative date literals: the full grammar (TODAY, LAST_90_DAYS,
+ * THIS_FISCAL_QUARTER, LAST_N_FISCAL_YEARS:n, N_DAYS_AGO:n, ...) and
+ * resolution to concrete start/end dates. Fiscal literals follow standard
+ * fiscal years starting in the org's FiscalYearStartMonth (1-12).
+ */
+
+// Unit names as they appear in literals (plural for the :n forms)
+const UNITS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  QUARTER: 'quarter',
+  YEAR: 'year',
+  FISCAL_QUARTER: 'fiscalQuarter',
+  FISCAL_YEAR: 'fiscalYear',
+};
+
+// name -> { kind: this|last|next|lastN|nextN|ago, unit, n? }
+const FIXED_LITERALS = {
+  YESTERDAY: { kind: 'ago', unit: 'day', n: 1 },
+  TODAY: { kind: 'this', unit: 'day' },
+  TOMORROW: { kind: 'next', unit: 'day' },
+  LAST_90_DAYS: { kind: 'lastN', unit: 'day', n: 90 },
+  NEXT_90_DAYS: { kind: 'nextN', unit: 'day', n: 90 },
+};
+const N_LITERALS = {};
+for (const [name, unit] of Object.entries(UNITS)) {
+  if (unit !== 'day') {
+    FIXED_LITERALS[`THIS_${name}`] = { kind: 'this', unit };
+    FIXED_LITERALS[`LAST_${name}`] = { kind: 'last', unit };
+    FIXED_LITERALS[`NEXT_${name}`] = { kind: 'next', unit };
+  }
+  N_LITERALS[`LAST_N_${name}S`] = { kind: 'lastN', unit };
+  N_LITERALS[`NEXT_N_${name}S`] = { kind: 'nextN', unit };
+  N_LITERALS[`N_${name}S_AGO`] = { kind: 'ago', unit };
+}
+
+const LITERAL_RE = /^([A-Z][A-Z0-9_]*)(?::(.*))?$/;
+
+class DateLiteralError extends Error {
+  constructor(literal, message) {
+    super(`Invalid date literal ${literal}: ${message}`);
+    this.name = 'DateLiteralError';
+    this.code = 'INVALID_DATE_LITERAL';
+    this.literal = literal;
+  }
+}
+
+/**
+ * Parse a date literal into { literal, kind, unit, n }. Returns null for
+ * strings that are not date literals; throws DateLiteralError for known
+ * literal names used wrongly (LAST_N_DAYS without :n, TODAY:3, ...).
+ */
+function parseDateLiteral(value) {
+  if (typeof value !== 'string') return null;
+  const m = LITERAL_RE.exec(value);
+  if (!m) return null;
+  const [, name, arg] = m;
+  if (FIXED_LITERALS[name]) {
+    if (arg !== undefined) throw new DateLiteralError(value, `${name} does not take a number`);
+    return Object.assign({ literal: value }, FIXED_LITERALS[name]);
+  }
+  if (N_LITERALS[name]) {
+    if (arg === undefined) throw new DateLiteralError(value, `${name} needs a number, e.g. ${name}:3`);
+    if (!/^\d+$/.test(arg)) throw new DateLiteralError(value, `${name} expects a whole number, got "${arg}"`);
+    return Object.assign({ literal: value, n: Number(arg) }, N_LITERALS[name]);
+  }
+  return null;
+}
+
+function isDateLiteral(value) {
+  try {
+    return parseDateLiteral(value) !== null;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Calendar arithmetic on UTC dates (time of day is always 00:00)
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function addDays(date, days) {
+  return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days);
+}
+
+function monthIndex(date) {
+  return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+function fromMonthIndex(index) {
+  return utcDate(Math.floor(index / 12), index % 12, 1);
+}
+
+function mod(a, b) {
+  return ((a % b) + b) % b;
+}
+
+// Start of the period containing `today`, shifted by `offset` periods
+function periodStart(unit, today, offset, fiscalOffset) {
+  switch (unit) {
+    case 'day':
+      return addDays(today, offset);
+    case 'week':
+      // Weeks start on Sunday, as in the default Salesforce locale
+      return addDays(today, -today.getUTCDay() + offset * 7);
+    default: {
+      const size = { month: 1, quarter: 3, year: 12, fiscalQuarter: 3, fiscalYear: 12 }[unit];
+      const shift = unit.startsWith('fiscal') ? fiscalOffset : 0;
+      const index = monthIndex(today);
+      return fromMonthIndex(index - mod(index - shift, size) + offset * size);
+    }
+  }
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Today's date in the given IANA time zone (UTC when not set)
+function todayIn(now, timeZone) {
+  if (!timeZone) return utcDate(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+  const [year, month, day] = parts.split('-').map(Number);
+  return utcDate(year, month - 1, day);
+}
+
+/**
+ * Resolve a date literal to inclusive { start, end } dates (YYYY-MM-DD).
+ * options: fiscalYearStartMonth (1-12, default 1), timeZone (IANA, for what
+ * "today" means; default UTC), now (Date, default the current time).
+ */
+function resolveDateLiteral(literal, options = {}) {
+  const parsed = parseDateLiteral(String(literal));
+  if (!parsed) throw new DateLiteralError(literal, 'not a SOQL date literal');
+  const fiscalYearStartMonth = options.fiscalYearStartMonth === undefined ? 1 : Number(options.fiscalYearStartMonth);
+  if (!Number.isInteger(fiscalYearStartMonth) || fiscalYearStartMonth < 1 || fiscalYearStartMonth > 12) {
+    throw new Error(`fiscalYearStartMonth must be 1-12, got ${options.fiscalYearStartMonth}`);
+  }
+  const today = todayIn(options.now || new Date(), options.timeZone);
+  const start = (offset) => periodStart(parsed.unit, today, offset, fiscalYearStartMonth - 1);
+  const { kind, n } = parsed;
+  let range;
+  if (kind === 'this') range = [start(0), start(1)];
+  else if (kind === 'last') range = [start(-1), start(0)];
+  else if (kind === 'next') range = [start(1), start(2)];
+  else if (kind === 'ago') range = [start(-n), start(-n + 1)];
+  // LAST_N_DAYS includes today; the other LAST_N_ forms end with the previous period
+  else if (kind === 'lastN') range = parsed.unit === 'day' ? [start(-n), start(1)] : [start(-n), start(0)];
+  else range = [start(1), start(n + 1)];
+  return {
+    literal: parsed.literal,
+    start: isoDay(range[0]),
+    end: isoDay(addDays(range[1], -1)),
+    fiscalYearStartMonth,
+    timeZone: options.timeZone || 'UTC',
+  };
+}
+
+module.exports = {
+  parseDateLiteral,
+  isDateLiteral,
+  resolveDateLiteral,
+  DateLiteralError,
+  DATE_LITERAL_NAMES: [...Object.keys(FIXED_LITERALS), ...Object.keys(N_LITERALS).map((name) => `${name}:n`)],
+};
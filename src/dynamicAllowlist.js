@@ -2,10 +2,12 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { tryParseSoql, collectFieldReferences, walkConditions } = require('./soqlUtils');
+const { perOrg } = require('./orgContext');
 
-// Cache for discovered fields from context bundles
-const discoveredFields = new Map(); // objectName -> Set of fields
-const discoveredOperators = new Map(); // objectName -> Map(field -> Set of operators)
+// Cache for discovered fields from context bundles, per org
+const discoveredFields = perOrg(() => new Map()); // objectName -> Set of fields
+const discoveredOperators = perOrg(() => new Map()); // objectName -> Map(field -> Set of operators)
 
 /**
  * Analyze context bundles to discover actually used fields and operators
@@ -34,8 +36,8 @@ async function analyzeContextBundles(baseDir = 'context_bundles') {
  * Analyze a single context bundle to extract field usage
  */
 async function analyzeBundle(bundlePath, objectName) {
-  const fieldsSet = discoveredFields.get(objectName) || new Set();
-  const operatorsMap = discoveredOperators.get(objectName) || new Map();
+  const fieldsSet = discoveredFields().get(objectName) || new Set();
+  const operatorsMap = discoveredOperators().get(objectName) || new Map();
   
   try {
     // Analyze list views for field usage
@@ -60,8 +62,8 @@ async function analyzeBundle(bundlePath, objectName) {
     } catch (_) {}
     
     // Store discovered fields and operators
-    discoveredFields.set(objectName, fieldsSet);
-    discoveredOperators.set(objectName, operatorsMap);
+    discoveredFields().set(objectName, fieldsSet);
+    discoveredOperators().set(objectName, operatorsMap);
     
     console.log(`[dynamicAllowlist] Discovered ${fieldsSet.size} fields for ${objectName}`);
   } catch (err) {
@@ -73,18 +75,24 @@ async function analyzeBundle(bundlePath, objectName) {
  * Extract fields from list views markdown
  */
 function extractFieldsFromListViews(content, fieldsSet, operatorsMap) {
-  // Parse list view queries and columns
-  const queryMatches = content.match(/query: SELECT ([^FROM]+) FROM/gi);
+  // Parse list view queries with the SOQL parser so functions, aliases and
+  // nested WHERE groups are read correctly
+  const queryLines = content.match(/query: SELECT [^\n]+/gi);
   const columnMatches = content.match(/columns: ([^\n]+)/gi);
   
-  if (queryMatches) {
-    for (const match of queryMatches) {
-      const selectClause = match.replace(/query: SELECT\s+/i, '').replace(/\s+FROM$/i, '');
-      const fields = selectClause.split(',').map(f => f.trim().replace(/^toLabel\(/, '').replace(/\)$/, '').replace(/^convertCurrency\(/, '').replace(/\)$/, ''));
-      fields.forEach(field => {
-        if (field && !field.includes('(') && !field.includes('*')) {
-          fieldsSet.add(field);
-        }
+  if (queryLines) {
+    for (const line of queryLines) {
+      const ast = tryParseSoql(line.replace(/^query:\s+/i, ''));
+      if (!ast) continue;
+      const refs = collectFieldReferences(ast);
+      refs.select.forEach(field => fieldsSet.add(field));
+      walkConditions(ast.where, (comparison) => {
+        if (comparison.left.type !== 'Field') return;
+        const field = comparison.left.name;
+        const op = comparison.operator === '<>' ? '!=' : comparison.operator;
+        const fieldOps = operatorsMap.get(field) || new Set();
+        fieldOps.add(op);
+        operatorsMap.set(field, fieldOps);
       });
     }
   }
@@ -100,14 +108,6 @@ function extractFieldsFromListViews(content, fieldsSet, operatorsMap) {
       });
     }
   }
-  
-  // Extract WHERE conditions to infer operators
-  const whereMatches = content.match(/WHERE[^ORDER]+/gi);
-  if (whereMatches) {
-    for (const whereClause of whereMatches) {
-      extractOperatorsFromWhere(whereClause, operatorsMap);
-    }
-  }
 }
 
 /**
@@ -158,44 +158,11 @@ function extractFieldsFromUsage(content, fieldsSet) {
   }
 }
 
-/**
- * Extract operators from WHERE clauses
- */
-function extractOperatorsFromWhere(whereClause, operatorsMap) {
-  // Common operator patterns
-  const operatorPatterns = [
-    { pattern: /(\w+(?:\.\w+)*)\s*=\s*/, op: '=' },
-    { pattern: /(\w+(?:\.\w+)*)\s*!=\s*/, op: '!=' },
-    { pattern: /(\w+(?:\.\w+)*)\s*LIKE\s+/, op: 'LIKE' },
-    { pattern: /(\w+(?:\.\w+)*)\s*IN\s*\(/, op: 'IN' },
-    { pattern: /(\w+(?:\.\w+)*)\s*NOT\s+IN\s*\(/, op: 'NOT IN' },
-    { pattern: /(\w+(?:\.\w+)*)\s*>\s*/, op: '>' },
-    { pattern: /(\w+(?:\.\w+)*)\s*>=\s*/, op: '>=' },
-    { pattern: /(\w+(?:\.\w+)*)\s*<\s*/, op: '<' },
-    { pattern: /(\w+(?:\.\w+)*)\s*<=\s*/, op: '<=' },
-  ];
-  
-  operatorPatterns.forEach(({ pattern, op }) => {
-    const matches = whereClause.match(new RegExp(pattern.source, 'gi'));
-    if (matches) {
-      matches.forEach(match => {
-        const fieldMatch = match.match(pattern);
-        if (fieldMatch && fieldMatch[1]) {
-          const field = fieldMatch[1];
-          const fieldOps = operatorsMap.get(field) || new Set();
-          fieldOps.add(op);
-          operatorsMap.set(field, fieldOps);
-        }
-      });
-    }
-  });
-}
-
 /**
  * Get dynamic allowlist for an object, combining static + discovered fields
  */
 function getDynamicAllowedFields(objectName, staticFields = []) {
-  const discoveredFieldsSet = discoveredFields.get(objectName) || new Set();
+  const discoveredFieldsSet = discoveredFields().get(objectName) || new Set();
   
   // Combine static and discovered fields, removing duplicates
   return Array.from(new Set([...staticFields, ...discoveredFieldsSet]));
@@ -205,7 +172,7 @@ function getDynamicAllowedFields(objectName, staticFields = []) {
  * Get dynamic operators for a field, combining static + discovered operators
  */
 function getDynamicAllowedOperators(objectName, field, staticOps = ['=']) {
-  const discoveredOpsMap = discoveredOperators.get(objectName) || new Map();
+  const discoveredOpsMap = discoveredOperators().get(objectName) || new Map();
   const discoveredOps = Array.from(discoveredOpsMap.get(field) || new Set());
   
   // Combine static and discovered operators, removing duplicates
@@ -216,7 +183,7 @@ function getDynamicAllowedOperators(objectName, field, staticOps = ['=']) {
  * Check if an object is allowed (discovered fields available)
  */
 function isDynamicObjectAllowed(objectName) {
-  return discoveredFields.has(objectName);
+  return discoveredFields().has(objectName);
 }
 
 /**
@@ -224,7 +191,7 @@ function isDynamicObjectAllowed(objectName) {
  */
 function getDiscoveryStats(staticObjectsMap = {}) {
   const stats = {};
-  for (const [objectName, fieldsSet] of discoveredFields) {
+  for (const [objectName, fieldsSet] of discoveredFields()) {
     const staticCount = staticObjectsMap[objectName]?.fields?.length || 0;
     const staticFieldsSet = new Set(staticObjectsMap[objectName]?.fields || []);
     const totalFields = new Set([...staticFieldsSet, ...fieldsSet]).size;
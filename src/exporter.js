@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Streaming exports. Query results are paged with queryMore on the server
+ * and each page is written to the response as NDJSON or CSV as soon as it
+ * arrives (chunked transfer, no Content-Length). When the socket's buffer is
+ * full the next page is not fetched until it drains, so a slow client slows
+ * the export down instead of growing memory. Every API key has a hard row
+ * cap: exportMaxRows in api-keys.json, or EXPORT_MAX_ROWS (default 10000).
+ */
+
+const { csvHeaders, csvLine } = require('./format');
+
+const EXPORT_FORMATS = ['ndjson', 'csv'];
+const DEFAULT_EXPORT_MAX_ROWS = 10000;
+
+function defaultExportMaxRows() {
+  const n = Number.parseInt(process.env.EXPORT_MAX_ROWS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_EXPORT_MAX_ROWS;
+}
+
+/**
+ * Result pages of a query as { records, done }: the first batch, then one
+ * queryMore call per page until Salesforce reports done
+ */
+async function* queryPages(conn, soql) {
+  let result = await conn.query(soql);
+  for (;;) {
+    const done = !!result.done || !result.nextRecordsUrl;
+    yield { records: result.records || [], done };
+    if (done) return;
+    result = await conn.queryMore(result.nextRecordsUrl);
+  }
+}
+
+// Resolves once the response can take more data (or the client went away)
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+function formatChunk(format, records, state) {
+  if (format === 'ndjson') return records.map((r) => JSON.stringify(r) + '\n').join('');
+  let chunk = '';
+  // CSV columns are the caller's, or else come from the first non-empty page
+  if (!state.headers && (state.columns || records.length)) {
+    state.headers = state.columns || csvHeaders(records);
+    chunk += state.headers.join(',') + '\n';
+  }
+  for (const r of records) {
+    // The header is already out: values under any other key cannot be written
+    for (const [key, value] of Object.entries(r)) {
+      if (value !== null && value !== undefined && !state.headers.includes(key)) state.dropped.add(key);
+    }
+    chunk += csvLine(state.headers, r) + '\n';
+  }
+  return chunk;
+}
+
+/**
+ * Write `pages` (an async iterable of { records, done }) to an Express
+ * response. options: format (ndjson | csv), transform (page records -> rows
+ * to write, e.g. masking and flattening), maxRows (hard cap), columns (CSV
+ * header; without it the first non-empty page's keys are used).
+ *
+ * The first page is fetched before any header is sent, so a failing query
+ * still rejects while the caller can answer with a JSON error. Row count and
+ * truncation are sent as trailers (X-Export-Rows, X-Export-Truncated) and
+ * returned as { rows, truncated, aborted, droppedColumns }. CSV values under
+ * keys missing from the header are listed in X-Export-Dropped-Columns. Errors after the first page
+ * reject with headers already sent; callers should destroy the response so
+ * the client sees an incomplete transfer rather than a short, valid file.
+ */
+async function streamExport(res, pages, options = {}) {
+  const format = options.format || 'ndjson';
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format: ${format}`);
+  const transform = options.transform || ((records) => records);
+  const maxRows = options.maxRows || defaultExportMaxRows();
+  const iterator = pages[Symbol.asyncIterator]();
+  let next = await iterator.next();
+
+  res.status(200);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('X-Export-Max-Rows', String(maxRows));
+  res.setHeader('Trailer', 'X-Export-Rows, X-Export-Truncated, X-Export-Dropped-Columns');
+
+  let closed = false;
+  const onClose = () => {
+    closed = true;
+  };
+  res.on('close', onClose);
+  const state = { columns: format === 'csv' && options.columns && options.columns.length ? options.columns : null, headers: null, dropped: new Set() };
+  let rows = 0;
+  let truncated = false;
+  try {
+    while (!next.done && !closed) {
+      const { records, done } = next.value;
+      const room = maxRows - rows;
+      const chunk = formatChunk(format, transform(records.slice(0, room)), state);
+      rows += Math.min(records.length, room);
+      if (chunk && !res.write(chunk)) await drained(res);
+      if (rows >= maxRows) {
+        truncated = records.length > room || !done;
+        break;
+      }
+      if (closed) break;
+      next = await iterator.next();
+    }
+  } finally {
+    res.off('close', onClose);
+    if (iterator.return) await iterator.return();
+  }
+  const droppedColumns = Array.from(state.dropped);
+  if (closed) return { rows, truncated, aborted: true, droppedColumns };
+  res.addTrailers({ 'X-Export-Rows': String(rows), 'X-Export-Truncated': String(truncated), 'X-Export-Dropped-Columns': droppedColumns.join(',') });
+  res.end();
+  return { rows, truncated, aborted: false, droppedColumns };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_MAX_ROWS,
+  defaultExportMaxRows,
+  queryPages,
+  streamExport,
+};
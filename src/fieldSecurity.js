@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Field-level security view of the connected user, built from describe.
+ * Salesforce omits fields the user cannot read from describe results, so a
+ * field counts as accessible when describe returns it (and does not say
+ * otherwise). The allowlist intersects its rules with this view once an
+ * object has been loaded; objects that were never described are left alone.
+ * The same describes also keep field types and picklist values, which
+ * valueValidation.js uses to check where-clause values.
+ */
+
+const { perOrg } = require('./orgContext');
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+// objectName -> { queryable, keyPrefix, fields: Map, relationships: Map, loadedAt },
+// kept per org since each org has its own schema and connected user
+const cache = perOrg(() => new Map());
+const pending = perOrg(() => new Map());
+
+function isEnabled() {
+  return String(process.env.ALLOWLIST_FLS || 'true').toLowerCase() !== 'false';
+}
+
+function getTtlMs() {
+  const ttl = parseInt(process.env.ALLOWLIST_FLS_TTL_MS, 10);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_MS;
+}
+
+/**
+ * Reduce a describe result to the flags the allowlist cares about
+ */
+function summarizeDescribe(desc) {
+  const fields = new Map();
+  const relationships = new Map();
+  for (const f of (desc && desc.fields) || []) {
+    if (!f || !f.name) continue;
+    fields.set(f.name, {
+      accessible: f.accessible !== false,
+      filterable: f.filterable !== false,
+      sortable: f.sortable !== false,
+      groupable: f.groupable === true,
+      type: f.type || null,
+      referenceTo: f.referenceTo || [],
+      picklistValues: (f.picklistValues || []).map((v) => ({ value: v.value, active: v.active !== false })),
+    });
+    if (f.relationshipName) {
+      relationships.set(f.relationshipName, { field: f.name, referenceTo: f.referenceTo || [] });
+    }
+  }
+  return {
+    queryable: !desc || desc.queryable !== false,
+    keyPrefix: (desc && desc.keyPrefix) || null,
+    fields,
+    relationships,
+    loadedAt: Date.now(),
+  };
+}
+
+function setObjectSecurity(objectName, desc) {
+  cache().set(objectName, summarizeDescribe(desc));
+}
+
+function markObjectMissing(objectName) {
+  cache().set(objectName, { queryable: false, keyPrefix: null, fields: new Map(), relationships: new Map(), loadedAt: Date.now() });
+}
+
+function isFresh(entry) {
+  return entry && Date.now() - entry.loadedAt < getTtlMs();
+}
+
+// Describe errors for objects the user cannot see at all
+function isMissingObjectError(err) {
+  const text = `${err && err.errorCode} ${err && err.message}`;
+  return /NOT_FOUND|INVALID_TYPE|does not exist|not supported/i.test(text);
+}
+
+async function loadObject(conn, objectName) {
+  try {
+    setObjectSecurity(objectName, await conn.sobject(objectName).describe());
+  } catch (err) {
+    if (!isMissingObjectError(err)) throw err;
+    markObjectMissing(objectName);
+  }
+}
+
+/**
+ * Describe any of the given objects that are not cached (or are stale).
+ * Concurrent callers share the same in-flight describe.
+ */
+async function ensureFieldSecurity(conn, objectNames) {
+  if (!isEnabled()) return;
+  const names = [...new Set((objectNames || []).filter(Boolean))];
+  const inFlight = pending();
+  await Promise.all(names.map((name) => {
+    if (isFresh(cache().get(name))) return null;
+    if (!inFlight.has(name)) {
+      inFlight.set(name, loadObject(conn, name).finally(() => inFlight.delete(name)));
+    }
+    return inFlight.get(name);
+  }));
+}
+
+function getObjectSecurity(objectName) {
+  if (!isEnabled()) return null;
+  return cache().get(objectName) || null;
+}
+
+/**
+ * false when describe says the user cannot query the object, null if unknown
+ */
+function isObjectQueryable(objectName) {
+  const entry = getObjectSecurity(objectName);
+  return entry ? entry.queryable : null;
+}
+
+/**
+ * FLS flags for a field path, or null when the object was never described.
+ * Relationship paths (Owner.Name) require the lookup field to be readable and,
+ * when the target object is cached too, the rest of the path.
+ */
+function getFieldAccess(objectName, fieldPath) {
+  const entry = getObjectSecurity(objectName);
+  if (!entry) return null;
+  const [head, ...rest] = String(fieldPath).split('.');
+  if (!rest.length) {
+    return entry.fields.get(head) || { accessible: false, filterable: false, sortable: false, groupable: false };
+  }
+  const rel = entry.relationships.get(head);
+  if (!rel) return { accessible: false, filterable: false, sortable: false, groupable: false };
+  const lookup = entry.fields.get(rel.field);
+  if (lookup && !lookup.accessible) return lookup;
+  if (rel.referenceTo.length === 1 && getObjectSecurity(rel.referenceTo[0])) {
+    return getFieldAccess(rel.referenceTo[0], rest.join('.'));
+  }
+  return { accessible: true, filterable: true, sortable: true, groupable: true };
+}
+
+/**
+ * Describe metadata ({ type, referenceTo, picklistValues, ... }) for a field
+ * path, or null when it is unknown. Relationship paths resolve only when the
+ * target object has been described too.
+ */
+function getFieldMetadata(objectName, fieldPath) {
+  const entry = getObjectSecurity(objectName);
+  if (!entry) return null;
+  const [head, ...rest] = String(fieldPath).split('.');
+  if (!rest.length) return entry.fields.get(head) || null;
+  const rel = entry.relationships.get(head);
+  if (!rel || rel.referenceTo.length !== 1) return null;
+  return getFieldMetadata(rel.referenceTo[0], rest.join('.'));
+}
+
+/**
+ * Objects a relationship (What, Owner, ...) can point to, or null when the
+ * object has not been described
+ */
+function getRelationshipTargets(objectName, relationshipName) {
+  const entry = getObjectSecurity(objectName);
+  if (!entry) return null;
+  const rel = entry.relationships.get(relationshipName);
+  return rel ? rel.referenceTo : [];
+}
+
+/**
+ * Lookup field behind a relationship name (Account -> AccountId), or null
+ * when unknown
+ */
+function getRelationshipField(objectName, relationshipName) {
+  const entry = getObjectSecurity(objectName);
+  const rel = entry && entry.relationships.get(relationshipName);
+  return rel ? rel.field : null;
+}
+
+function getKeyPrefix(objectName) {
+  const entry = getObjectSecurity(objectName);
+  return entry ? entry.keyPrefix : null;
+}
+
+/**
+ * Compare allowlist specs with the cached describes: fields the user cannot
+ * read, fields with operators that cannot be filtered on, orderable or
+ * groupable claims that describe contradicts.
+ */
+function getFieldSecurityMismatches(objects = {}) {
+  const report = {};
+  for (const [name, spec] of Object.entries(objects)) {
+    const entry = getObjectSecurity(name);
+    if (!entry) continue;
+    const mismatch = {
+      queryable: entry.queryable,
+      notAccessible: [],
+      notFilterable: [],
+      notSortable: [],
+      notGroupable: [],
+      describedAt: new Date(entry.loadedAt).toISOString(),
+    };
+    for (const field of spec.fields || []) {
+      const access = getFieldAccess(name, field);
+      if (!access.accessible) {
+        mismatch.notAccessible.push(field);
+        continue;
+      }
+      if (!access.filterable && spec.operators && spec.operators[field]) mismatch.notFilterable.push(field);
+      if (!access.sortable) mismatch.notSortable.push(field);
+    }
+    for (const field of spec.groupable || []) {
+      const access = getFieldAccess(name, field);
+      if (access.accessible && !access.groupable) mismatch.notGroupable.push(field);
+    }
+    report[name] = mismatch;
+  }
+  return report;
+}
+
+function clearFieldSecurity() {
+  cache().clear();
+}
+
+module.exports = {
+  ensureFieldSecurity,
+  setObjectSecurity,
+  markObjectMissing,
+  isObjectQueryable,
+  getFieldAccess,
+  getFieldMetadata,
+  getRelationshipTargets,
+  getRelationshipField,
+  getKeyPrefix,
+  getFieldSecurityMismatches,
+  clearFieldSecurity,
+  summarizeDescribe,
+};
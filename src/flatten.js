@@ -1,6 +1,9 @@
 'use strict';
 
-function flattenRecord(record) {
+// options.typeOf lists polymorphic relationships selected with TYPEOF; their
+// flattened fields get a `<relationship>_typeof` key naming the record's type
+function flattenRecord(record, options = {}) {
+  const typeOf = options.typeOf || [];
   const out = {};
   // Copy top-level primitives
   for (const [k, v] of Object.entries(record)) {
@@ -13,6 +16,7 @@ function flattenRecord(record) {
   for (const [k, v] of Object.entries(record)) {
     if (k === 'attributes') continue;
     if (v && typeof v === 'object' && 'attributes' in v) {
+      if (typeOf.includes(k)) out[`${k.toLowerCase()}_typeof`] = v.attributes && v.attributes.type;
       for (const [k2, v2] of Object.entries(v)) {
         if (k2 === 'attributes') continue;
         const flatKey = `${k.toLowerCase()}_${k2}`;
@@ -20,16 +24,49 @@ function flattenRecord(record) {
       }
     }
   }
+  // Child relationship subqueries ({ totalSize, done, records }) become arrays
+  // of flattened child records under the relationship name
+  for (const [k, v] of Object.entries(record)) {
+    if (v && typeof v === 'object' && !('attributes' in v) && Array.isArray(v.records)) {
+      out[k] = v.records.map((child) => flattenRecord(child));
+    }
+  }
   return out;
 }
 
-function flattenRecords(records) {
-  return (records || []).map(flattenRecord);
+function flattenRecords(records, options = {}) {
+  return (records || []).map((record) => flattenRecord(record, options));
+}
+
+/**
+ * The keys flattenRecord gives a query's selected field paths (Owner.Name
+ * becomes owner_Name), so CSV columns can be fixed before any record is seen.
+ * options.typeOf adds each polymorphic field's `_typeof` column and
+ * options.children the child relationship names.
+ */
+function flattenedColumns(paths, options = {}) {
+  const typeOf = options.typeOf || [];
+  const columns = [];
+  const add = (column) => {
+    if (!columns.includes(column)) columns.push(column);
+  };
+  for (const path of paths || []) {
+    const [head, next] = String(path).split('.');
+    if (next === undefined) {
+      add(head);
+      continue;
+    }
+    if (typeOf.includes(head)) add(`${head.toLowerCase()}_typeof`);
+    add(`${head.toLowerCase()}_${next}`);
+  }
+  for (const relationship of options.children || []) add(relationship);
+  return columns;
 }
 
 module.exports = {
   flattenRecord,
   flattenRecords,
+  flattenedColumns,
 };
 
 
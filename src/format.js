@@ -8,28 +8,37 @@ function toNdjson(records) {
   return lines.join('\n') + (lines.length ? '\n' : '');
 }
 
-function toCsv(records) {
-  const rows = Array.isArray(records) ? records : [];
-  if (!rows.length) return '';
+function escapeCsvValue(v) {
+  if (v === null || v === undefined) return '';
+  // Nested values (child subquery results, relationship objects) are written as JSON
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  if (/[",\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
+  return s;
+}
+
+// Column names from every key that appears in the rows, in first-seen order
+function csvHeaders(rows) {
   const headerSet = new Set();
   for (const r of rows) {
     for (const k of Object.keys(r)) headerSet.add(k);
   }
-  const headers = Array.from(headerSet);
-  const escape = (v) => {
-    if (v === null || v === undefined) return '';
-    const s = String(v);
-    if (/[",\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
-    return s;
-  };
+  return Array.from(headerSet);
+}
+
+function csvLine(headers, record) {
+  return headers.map((h) => escapeCsvValue(record[h])).join(',');
+}
+
+function toCsv(records) {
+  const rows = Array.isArray(records) ? records : [];
+  if (!rows.length) return '';
+  const headers = csvHeaders(rows);
   const lines = [];
   lines.push(headers.join(','));
   for (const r of rows) {
-    lines.push(headers.map((h) => escape(r[h])).join(','));
+    lines.push(csvLine(headers, r));
   }
   return lines.join('\n') + '\n';
 }
 
-module.exports = { toNdjson, toCsv };
-
-
+module.exports = { toNdjson, toCsv, csvHeaders, csvLine };
@@ -2,13 +2,23 @@
 
 const { getConnection } = require('./sfConnection');
 const { getAllowedFields, getDefaultFields, isObjectAllowed } = require('./allowlist');
-const { buildSafeSoql } = require('./safeQuery');
+const { buildSafeSoql, buildRowFilter } = require('./safeQuery');
 const { flattenRecords } = require('./flatten');
+const { maskRecords, hasMaskingRules } = require('./masking');
 const analytics = require('./analytics');
 const jsforce = require('jsforce');
 
-function chooseSampleFields(objectName, describe) {
-  let fields = getDefaultFields(objectName);
+class ObjectNotAllowedError extends Error {
+  constructor(objectName) {
+    super(`Object not allowed: ${objectName}`);
+    this.name = 'ObjectNotAllowedError';
+    this.code = 'OBJECT_NOT_ALLOWED';
+    this.object = objectName;
+  }
+}
+
+function chooseSampleFields(objectName, describe, profile = null) {
+  let fields = getDefaultFields(objectName, profile);
   if (fields && fields.length) return fields;
   const has = (name) => (describe.fields || []).some((f) => f.name === name);
   const pick = [];
@@ -19,11 +29,23 @@ function chooseSampleFields(objectName, describe) {
   // Owner.Name if possible
   const ownerRel = (describe.fields || []).find((f) => f.name === 'OwnerId' || f.relationshipName === 'Owner');
   if (ownerRel) pick.push('Owner.Name');
-  return pick.length ? pick : (getAllowedFields(objectName).slice(0, 4) || ['Id']);
+  return pick.length ? pick : (getAllowedFields(objectName, profile).slice(0, 4) || ['Id']);
 }
 
+// options.profile: the caller's access profile; objects outside it throw
+// ObjectNotAllowedError and samples only use its fields.
+// options.rowFilters: the caller's mandatory row filters, ANDed into the
+// sample query; recently viewed records are left out for filtered objects.
+// options.masking: the caller's field masking rules for sample records.
 async function generateObjectInsights(objectName, options = {}) {
   const verbose = !!options.verbose;
+  const profile = options.profile || null;
+  // Unrestricted callers may look at objects outside the allowlist; a
+  // profile is a hard boundary
+  if (profile && !isObjectAllowed(objectName, profile)) throw new ObjectNotAllowedError(objectName);
+  const rowFilters = options.rowFilters || null;
+  const masking = options.masking || null;
+  const rowFilter = buildRowFilter(objectName, rowFilters);
   const log = (...args) => { if (verbose) console.log('[insights]', ...args); };
 
   log(`start ${objectName}`);
@@ -32,22 +54,23 @@ async function generateObjectInsights(objectName, options = {}) {
   const desc = await conn.sobject(objectName).describe();
   log('describe done');
 
-  const sampleFields = chooseSampleFields(objectName, desc);
+  const sampleFields = chooseSampleFields(objectName, desc, profile);
 
   let sampleQuery = null;
   let sampleRecords = [];
   try {
     log('sample query start (safe or raw)');
-    if (isObjectAllowed(objectName)) {
-      const built = buildSafeSoql({ object: objectName, fields: sampleFields, orderBy: { field: 'CreatedDate', direction: 'DESC' }, limit: 5 });
+    if (isObjectAllowed(objectName, profile)) {
+      const built = buildSafeSoql({ object: objectName, fields: sampleFields, orderBy: { field: 'CreatedDate', direction: 'DESC' }, limit: 5 }, { profile, rowFilters });
       sampleQuery = built.soql;
       const res = await conn.query(sampleQuery);
-      sampleRecords = flattenRecords(res.records);
+      sampleRecords = flattenRecords(maskRecords(res.records, objectName, masking));
     } else {
       const selectList = sampleFields.join(', ');
-      sampleQuery = `SELECT ${selectList} FROM ${objectName} ORDER BY CreatedDate DESC LIMIT 5`;
+      const whereSql = rowFilter ? ` WHERE ${rowFilter}` : '';
+      sampleQuery = `SELECT ${selectList} FROM ${objectName}${whereSql} ORDER BY CreatedDate DESC LIMIT 5`;
       const res = await conn.query(sampleQuery);
-      sampleRecords = flattenRecords(res.records);
+      sampleRecords = flattenRecords(maskRecords(res.records, objectName, masking));
     }
     log('sample query done');
   } catch (_) {
@@ -66,13 +89,15 @@ async function generateObjectInsights(objectName, options = {}) {
 
   // Recent viewed
   let recent = { totalSize: 0, records: [] };
-  try {
-    log('recent viewed query start');
-    const soql = `SELECT Id, Name, LastViewedDate FROM RecentlyViewed WHERE Type = '${objectName}' ORDER BY LastViewedDate DESC LIMIT 5`;
-    const r = await conn.query(soql);
-    recent = { totalSize: r.totalSize, records: r.records };
-    log('recent viewed query done');
-  } catch (_) { log('recent viewed query skipped'); }
+  if (!rowFilter) {
+    try {
+      log('recent viewed query start');
+      const soql = `SELECT Id, Name, LastViewedDate FROM RecentlyViewed WHERE Type = '${objectName}' ORDER BY LastViewedDate DESC LIMIT 5`;
+      const r = await conn.query(soql);
+      recent = { totalSize: r.totalSize, records: r.records };
+      log('recent viewed query done');
+    } catch (_) { log('recent viewed query skipped'); }
+  }
 
   // Top fields analytics
   log('top fields start');
@@ -241,6 +266,7 @@ async function generateObjectInsights(objectName, options = {}) {
       fields: getAllowedFields(objectName),
       allowlisted: isObjectAllowed(objectName),
     },
+    rowFilter,
   };
 
   const out = {
@@ -256,6 +282,7 @@ async function generateObjectInsights(objectName, options = {}) {
       fields: sampleFields,
       query: sampleQuery,
       records: sampleRecords,
+      masked: hasMaskingRules(masking),
     },
     picklists,
     // recentViewed removed to avoid user-centric data
@@ -265,6 +292,6 @@ async function generateObjectInsights(objectName, options = {}) {
   return out;
 }
 
-module.exports = { generateObjectInsights };
+module.exports = { generateObjectInsights, ObjectNotAllowedError };
 
 
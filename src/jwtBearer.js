@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * OAuth 2.0 JWT bearer flow for headless servers: a connected app with an
+ * uploaded certificate and pre-authorized users lets the server mint access
+ * tokens by signing a short-lived assertion with the matching private key,
+ * so no password (blocked by MFA) or refresh token (revoked when the app is
+ * rotated) is needed.
+ *
+ * Salesforce does not say when a JWT-minted session expires, so tokens are
+ * treated as valid for SF_JWT_SESSION_SECONDS (default 7200, the default
+ * session timeout) and re-minted shortly before that. A session that ends
+ * early (INVALID_SESSION_ID) is re-minted by jsforce through refreshFn.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SESSION_SECONDS = 7200;
+const ASSERTION_TTL_SECONDS = 180;
+const MAX_MARGIN_SECONDS = 300;
+const RETRY_DELAY_MS = 30 * 1000;
+
+class JwtBearerError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'JwtBearerError';
+    this.code = code;
+    this.status = status || null;
+  }
+}
+
+function sessionSeconds() {
+  const n = Number.parseInt(process.env.SF_JWT_SESSION_SECONDS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_SESSION_SECONDS;
+}
+
+/**
+ * Private key from PEM text (privateKey; "\n" escapes are accepted so it
+ * fits in one env line) or a file (privateKeyFile). Throws JwtBearerError
+ * JWT_KEY_INVALID when neither yields an RSA private key.
+ */
+function loadPrivateKey({ privateKey, privateKeyFile }) {
+  let pem = privateKey;
+  if (!pem && privateKeyFile) {
+    try {
+      pem = fs.readFileSync(path.resolve(privateKeyFile), 'utf8');
+    } catch (err) {
+      throw new JwtBearerError(`Cannot read JWT private key file ${privateKeyFile}: ${err.message}`, 'JWT_KEY_INVALID');
+    }
+  }
+  if (!pem) throw new JwtBearerError('No JWT private key configured', 'JWT_KEY_INVALID');
+  try {
+    const key = crypto.createPrivateKey(pem.includes('\\n') ? pem.replace(/\\n/g, '\n') : pem);
+    if (key.asymmetricKeyType !== 'rsa') throw new Error(`expected an RSA key, got ${key.asymmetricKeyType}`);
+    return key;
+  } catch (err) {
+    throw new JwtBearerError(`Invalid JWT private key: ${err.message}`, 'JWT_KEY_INVALID');
+  }
+}
+
+/**
+ * RS256 assertion for the token endpoint. options: clientId (iss), username
+ * (sub), audience (aud: the login URL), key, now (ms).
+ */
+function signAssertion({ clientId, username, audience, key, now = Date.now() }) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const claims = { iss: clientId, sub: username, aud: audience, exp: Math.floor(now / 1000) + ASSERTION_TTL_SECONDS };
+  const unsigned = `${encode({ alg: 'RS256' })}.${encode(claims)}`;
+  const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(key).toString('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Exchange a fresh assertion for an access token. config: clientId,
+ * username, loginUrl, audience (defaults to loginUrl), key, sessionSeconds.
+ * Returns { accessToken, instanceUrl, identityUrl, issuedAt, expiresAt }.
+ */
+async function mintAccessToken(config, { now = Date.now() } = {}) {
+  const loginUrl = config.loginUrl.replace(/\/$/, '');
+  const assertion = signAssertion({
+    clientId: config.clientId,
+    username: config.username,
+    audience: config.audience || loginUrl,
+    key: config.key,
+    now,
+  });
+  const response = await fetch(`${loginUrl}/services/oauth2/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }).toString(),
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {}
+  if (!response.ok || !data || !data.access_token) {
+    const detail = data && (data.error_description || data.error);
+    throw new JwtBearerError(`JWT bearer token request failed: ${detail || text || `HTTP ${response.status}`}`, (data && data.error) || 'JWT_TOKEN_FAILED', response.status);
+  }
+  const lifetime = Number(data.expires_in) > 0 ? Number(data.expires_in) : config.sessionSeconds || sessionSeconds();
+  return {
+    accessToken: data.access_token,
+    instanceUrl: data.instance_url,
+    identityUrl: data.id || null,
+    issuedAt: now,
+    expiresAt: now + lifetime * 1000,
+  };
+}
+
+/**
+ * Keeps one connection's JWT session fresh. mint() gets a token (concurrent
+ * calls share one request), refreshFn is handed to jsforce for sessions that
+ * end early, and keepFresh(conn) re-mints before expiry. status() reports
+ * { expiresAt, lastMintedAt, lastError } for health checks.
+ */
+function createJwtSession(config, { marginSeconds } = {}) {
+  let inFlight = null;
+  let current = null;
+  let lastError = null;
+  let timer = null;
+  let connection = null;
+
+  function schedule() {
+    if (!connection || !current) return;
+    clearTimeout(timer);
+    const lifetimeMs = current.expiresAt - current.issuedAt;
+    const marginMs = marginSeconds !== undefined ? marginSeconds * 1000 : Math.min(MAX_MARGIN_SECONDS * 1000, lifetimeMs / 10);
+    const delay = lastError ? RETRY_DELAY_MS : Math.max(current.expiresAt - marginMs - Date.now(), 0);
+    timer = setTimeout(() => {
+      mint()
+        .then((token) => {
+          connection.accessToken = token.accessToken;
+          if (token.instanceUrl) connection.instanceUrl = token.instanceUrl;
+          connection.emit('refresh', token.accessToken, token);
+        })
+        .catch(() => {})
+        .finally(schedule);
+    }, delay);
+    if (typeof timer.unref === 'function') timer.unref();
+  }
+
+  function mint() {
+    if (!inFlight) {
+      inFlight = mintAccessToken(config)
+        .then((token) => {
+          current = token;
+          lastError = null;
+          return token;
+        }, (err) => {
+          lastError = err;
+          throw err;
+        })
+        .finally(() => { inFlight = null; });
+    }
+    return inFlight;
+  }
+
+  function refreshFn(conn, callback) {
+    mint()
+      .then((token) => {
+        if (token.instanceUrl) conn.instanceUrl = token.instanceUrl;
+        schedule();
+        callback(null, token.accessToken, token);
+      }, (err) => callback(err));
+  }
+
+  function keepFresh(conn) {
+    connection = conn;
+    schedule();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    connection = null;
+  }
+
+  function status() {
+    return {
+      expiresAt: current ? new Date(current.expiresAt).toISOString() : null,
+      lastMintedAt: current ? new Date(current.issuedAt).toISOString() : null,
+      lastError: lastError ? lastError.message : null,
+    };
+  }
+
+  return { mint, refreshFn, keepFresh, stop, status };
+}
+
+module.exports = {
+  JwtBearerError,
+  DEFAULT_SESSION_SECONDS,
+  loadPrivateKey,
+  signAssertion,
+  mintAccessToken,
+  createJwtSession,
+};
@@ -16,6 +16,7 @@ function manifest(baseUrl) {
       health: `${baseUrl}/health`,
       me: `${baseUrl}/me`,
       limits: `${baseUrl}/limits`,
+      orgs: `${baseUrl}/orgs`,
       allowlist: `${baseUrl}/allowlist`,
       describe: `${baseUrl}/describe`,
       objectDescribe: `${baseUrl}/sobjects/{name}/describe`,
@@ -44,6 +45,7 @@ function openapi(baseUrl) {
       '/health': { get: { summary: 'Health', responses: { '200': { description: 'OK' } } } },
       '/me': { get: { summary: 'Identity', responses: { '200': { description: 'Identity' } } } },
       '/limits': { get: { summary: 'Limits', responses: { '200': { description: 'Limits' } } } },
+      '/orgs': { get: { summary: 'Configured Salesforce orgs; pick one per request with the X-SF-Org header or an /orgs/{org}/ path prefix', responses: { '200': { description: 'Orgs' } } } },
       '/allowlist': { get: { summary: 'Allowlisted objects/fields', responses: { '200': { description: 'Allowlist' } } } },
       '/describe': { get: { summary: 'Global describe', responses: { '200': { description: 'Global describe' } } } },
       '/sobjects/{name}/describe': { get: { summary: 'Object describe', parameters: [{ name: 'name', in: 'path', required: true }], responses: { '200': { description: 'Describe' } } } },
@@ -54,7 +56,17 @@ function openapi(baseUrl) {
         get: { summary: 'SOQL with pagination', parameters: [{ name: 'soql', in: 'query' }, { name: 'limit', in: 'query' }, { name: 'next', in: 'query' }], responses: { '200': { description: 'Query result' } } },
         post: { summary: 'SOQL via body', requestBody: { required: true }, responses: { '200': { description: 'Query result' } } }
       },
+      '/query/export': {
+        get: { summary: 'Stream every row of a SOQL query as NDJSON or CSV (follows queryMore up to the key export cap)', parameters: [{ name: 'soql', in: 'query', required: true }, { name: 'format', in: 'query' }], responses: { '200': { description: 'NDJSON or CSV stream' } } },
+        post: { summary: 'Stream every row of a SOQL query via body', requestBody: { required: true }, responses: { '200': { description: 'NDJSON or CSV stream' } } }
+      },
       '/safe-query': { post: { summary: 'Allowlisted safe query', requestBody: { required: true }, responses: { '200': { description: 'Query result' }, '400': { description: 'Validation error' } } } },
+      '/safe-query/explain': { post: { summary: 'Dry-run a safe query: SOQL, kept/dropped items, allowlist rules and query plan', requestBody: { required: true }, responses: { '200': { description: 'Explanation' }, '400': { description: 'Validation error' } } } },
+      '/safe-query/export': { post: { summary: 'Stream every row of a safe query as NDJSON or CSV (follows queryMore up to the key export cap)', requestBody: { required: true }, responses: { '200': { description: 'NDJSON or CSV stream' }, '400': { description: 'Validation error' } } } },
+      '/bulk/query': { post: { summary: 'Create a Bulk API 2.0 query job from a safe-query payload', requestBody: { required: true }, responses: { '202': { description: 'Job status' }, '400': { description: 'Validation error' } } } },
+      '/bulk/query/{id}': { get: { summary: 'Bulk query job status', parameters: [{ name: 'id', in: 'path', required: true }], responses: { '200': { description: 'Job status' }, '404': { description: 'Unknown job' } } } },
+      '/bulk/query/{id}/cancel': { post: { summary: 'Abort a bulk query job', parameters: [{ name: 'id', in: 'path', required: true }], responses: { '200': { description: 'Job status' }, '404': { description: 'Unknown job' } } } },
+      '/bulk/query/{id}/results': { get: { summary: 'Stream the masked CSV results of a completed bulk query job', parameters: [{ name: 'id', in: 'path', required: true }], responses: { '200': { description: 'CSV stream' }, '409': { description: 'Job not complete' } } } },
       '/search': { post: { summary: 'SOSL search', requestBody: { required: true }, responses: { '200': { description: 'Search result' } } } },
       '/analytics/top-fields': { get: { summary: 'Top fields by usage', parameters: [{ name: 'object', in: 'query' }, { name: 'top', in: 'query' }], responses: { '200': { description: 'Top fields' } } } },
       '/analytics/queries/recent': { get: { summary: 'Recent query analytics', parameters: [{ name: 'limit', in: 'query' }], responses: { '200': { description: 'Recent queries' } } } }
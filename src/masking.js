@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Field masking for records leaving the API. Rules are declared per object
+ * and field in api-keys.json, globally (top-level `masking`) and per access
+ * profile (a profile rule replaces the global one for the same field):
+ *
+ *   "masking": {
+ *     "Contact": { "Email": "partial", "Phone": { "mode": "partial", "keep": 2 } },
+ *     "Case": { "Description": { "mode": "truncate", "length": 40 }, "SuppliedEmail": "hash" }
+ *   }
+ *
+ * Modes: redact ("[REDACTED]"), partial (j***@acme.com, ***1234), hash
+ * (stable sha256 prefix, salted with MASKING_HASH_SALT) and truncate.
+ */
+
+const crypto = require('crypto');
+const { getRelationshipTargets } = require('./fieldSecurity');
+
+const MASK_MODES = ['redact', 'partial', 'hash', 'truncate'];
+const RULE_KEYS = ['mode', 'length', 'keep'];
+const REDACTED = '[REDACTED]';
+const DEFAULT_TRUNCATE_LENGTH = 20;
+const DEFAULT_PARTIAL_KEEP = 4;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeRule(errors, where, spec) {
+  const rule = typeof spec === 'string' ? { mode: spec } : spec;
+  if (!isPlainObject(rule)) {
+    errors.push(`${where} must be a mode name or an object with mode`);
+    return null;
+  }
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(key)) errors.push(`${where} has unknown key "${key}"`);
+  }
+  const mode = String(rule.mode || '').toLowerCase();
+  if (!MASK_MODES.includes(mode)) {
+    errors.push(`${where}.mode "${rule.mode}" must be one of ${MASK_MODES.join(', ')}`);
+    return null;
+  }
+  const normalized = { mode };
+  for (const key of ['length', 'keep']) {
+    if (rule[key] === undefined) continue;
+    if (!Number.isInteger(rule[key]) || rule[key] < 0) errors.push(`${where}.${key} must be a non-negative integer`);
+    else normalized[key] = rule[key];
+  }
+  return normalized;
+}
+
+/**
+ * Validate { Object: { Field: rule } } into normalized rules, collecting
+ * problems in `errors` (prefixed with `where`)
+ */
+function normalizeMaskingRules(errors, where, spec) {
+  if (spec === undefined) return {};
+  if (!isPlainObject(spec)) {
+    errors.push(`${where} must map object names to field rules`);
+    return {};
+  }
+  const rules = {};
+  for (const [objectName, fields] of Object.entries(spec)) {
+    if (!isPlainObject(fields)) {
+      errors.push(`${where}.${objectName} must map field names to rules`);
+      continue;
+    }
+    rules[objectName] = {};
+    for (const [field, ruleSpec] of Object.entries(fields)) {
+      const rule = normalizeRule(errors, `${where}.${objectName}.${field}`, ruleSpec);
+      if (rule) rules[objectName][field] = rule;
+    }
+  }
+  return rules;
+}
+
+/**
+ * Parse a standalone rule set, throwing with every problem found
+ */
+function parseMaskingRules(spec) {
+  const errors = [];
+  const rules = normalizeMaskingRules(errors, 'masking', spec);
+  if (errors.length) throw new Error(`Invalid masking rules: ${errors.join('; ')}`);
+  return rules;
+}
+
+/**
+ * Combine rule sets; later sets win per field
+ */
+function mergeMaskingRules(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [objectName, fields] of Object.entries(source || {})) {
+      merged[objectName] = Object.assign({}, merged[objectName], fields);
+    }
+  }
+  return merged;
+}
+
+function hasMaskingRules(rules) {
+  return !!rules && Object.values(rules).some((fields) => Object.keys(fields).length > 0);
+}
+
+function partialMask(text, keep) {
+  const at = text.indexOf('@');
+  if (at > 0) return `${text[0]}***${text.slice(at)}`;
+  if (text.length <= keep) return '***';
+  return `***${keep ? text.slice(-keep) : ''}`;
+}
+
+/**
+ * Mask one value. null and undefined pass through so callers can still tell
+ * empty fields apart.
+ */
+function maskValue(value, rule) {
+  if (value === null || value === undefined || !rule) return value;
+  const text = typeof value === 'string' ? value : String(value);
+  switch (rule.mode) {
+    case 'redact':
+      return REDACTED;
+    case 'partial':
+      return partialMask(text, rule.keep === undefined ? DEFAULT_PARTIAL_KEEP : rule.keep);
+    case 'hash': {
+      const salt = process.env.MASKING_HASH_SALT || '';
+      return `sha256:${crypto.createHash('sha256').update(salt + text).digest('hex').slice(0, 16)}`;
+    }
+    case 'truncate': {
+      const length = rule.length === undefined ? DEFAULT_TRUNCATE_LENGTH : rule.length;
+      if (typeof value !== 'string' || value.length <= length) return value;
+      return `${value.slice(0, length)}…`;
+    }
+    default:
+      return value;
+  }
+}
+
+// Object a dotted field path belongs to, or null when a relationship on the
+// way cannot be resolved from describe (undescribed or polymorphic)
+function pathObject(objectName, path) {
+  let current = objectName;
+  for (const rel of path) {
+    const targets = getRelationshipTargets(current, rel);
+    if (!targets || targets.length !== 1) return null;
+    current = targets[0];
+  }
+  return current;
+}
+
+/**
+ * Rule for a field path on objectName. Related fields (Owner.Email) use the
+ * rules of the object the relationship points to; when that cannot be
+ * determined, any rule for the same field name on any object applies.
+ */
+function ruleForPath(rules, objectName, fieldPath) {
+  const path = String(fieldPath).split('.');
+  const field = path.pop();
+  const target = path.length ? pathObject(objectName, path) : objectName;
+  const candidates = target ? [target] : Object.keys(rules || {});
+  return candidates.map((name) => rules && rules[name] && rules[name][field]).find(Boolean) || null;
+}
+
+// Nested relationship records and child subquery results carry their own
+// attributes.type; aggregate rows use the queried object's rules, except for
+// grouped relationship columns, which are resolved through groupPaths
+// (alias -> dotted path) to the related object's rules
+function maskRecord(record, objectName, rules, groupPaths) {
+  if (!record || typeof record !== 'object') return record;
+  const type = record.attributes && record.attributes.type;
+  const aggregate = type === 'AggregateResult';
+  const fieldRules = rules[type && !aggregate ? type : objectName] || {};
+  const out = {};
+  for (const [key, value] of Object.entries(record)) {
+    const path = aggregate && groupPaths ? groupPaths.get(key) : null;
+    if (key === 'attributes') {
+      out[key] = value;
+    } else if (value && typeof value === 'object' && Array.isArray(value.records)) {
+      out[key] = Object.assign({}, value, { records: value.records.map((child) => maskRecord(child, null, rules)) });
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && value.attributes) {
+      out[key] = maskRecord(value, null, rules);
+    } else if (path) {
+      const rule = ruleForPath(rules, objectName, path);
+      out[key] = rule ? maskValue(value, rule) : value;
+    } else {
+      out[key] = fieldRules[key] ? maskValue(value, fieldRules[key]) : value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Apply masking rules to Salesforce records (before flattening). Returns the
+ * input unchanged when no rule applies; records are copied, never mutated.
+ * Aggregate queries pass the builder's `columns` so grouped relationship
+ * fields, returned under their alias (Owner_Email), are masked by the rules
+ * of the object they belong to.
+ */
+function maskRecords(records, objectName, rules, options = {}) {
+  if (!Array.isArray(records) || !hasMaskingRules(rules)) return records;
+  const groupPaths = new Map((options.columns || [])
+    .filter((col) => col.kind === 'group' && col.field.includes('.'))
+    .map((col) => [col.key, col.field]));
+  return records.map((record) => maskRecord(record, objectName, rules, groupPaths));
+}
+
+module.exports = {
+  MASK_MODES,
+  REDACTED,
+  normalizeMaskingRules,
+  parseMaskingRules,
+  mergeMaskingRules,
+  hasMaskingRules,
+  maskValue,
+  ruleForPath,
+  maskRecords,
+};
@@ -4,17 +4,36 @@
  * API Key Authentication Middleware
  *
  * Provides simple API key-based authentication for the SFDC Helper API.
- * Keys are stored in environment variables or a keys file.
+ * Keys are stored in environment variables or a keys file. Keys in
+ * api-keys.json can name an access profile that narrows the allowlist for
+ * that caller (see src/accessProfiles.js); keys without one see all of it.
+ * Row filters from the key's profile and from the `users` entry named by the
+ * X-User-Id header are resolved here into req.rowFilters; the header must name
+ * a user bound to the key (its own or its profile's `users` list). Field masking rules
+ * are the top-level `masking` section merged with the key profile's. A key's
+ * `exportMaxRows` caps its streaming exports (default EXPORT_MAX_ROWS).
  */
 
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { logger } = require('./logger');
+const { parseProfiles, parseUsers, mergeRowFilters, normalizeUserList } = require('../accessProfiles');
+const { parseMaskingRules, mergeMaskingRules } = require('../masking');
+const { defaultExportMaxRows } = require('../exporter');
 
 // In-memory API key store
 const apiKeys = new Map();
 
+// Access profiles by name, from api-keys.json
+let profiles = new Map();
+
+// Per-user row policies by user id, from api-keys.json
+let users = new Map();
+
+// Masking rules for every caller, from api-keys.json
+let defaultMasking = {};
+
 // Load API keys from environment or file
 function loadApiKeys() {
   // Try environment variable first (comma-separated keys)
@@ -38,15 +57,8 @@ function loadApiKeys() {
   const keysPath = path.join(process.cwd(), 'api-keys.json');
   if (fs.existsSync(keysPath)) {
     try {
-      const keysData = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
-      keysData.forEach(keyObj => {
-        apiKeys.set(keyObj.key, {
-          name: keyObj.name || 'unnamed',
-          createdAt: new Date(keyObj.createdAt),
-          lastUsed: keyObj.lastUsed ? new Date(keyObj.lastUsed) : null
-        });
-      });
-      logger.info(`Loaded ${apiKeys.size} API keys from ${keysPath}`);
+      loadKeysData(JSON.parse(fs.readFileSync(keysPath, 'utf8')));
+      logger.info(`Loaded ${apiKeys.size} API keys from ${keysPath}`, { profiles: Array.from(profiles.keys()) });
     } catch (err) {
       logger.error('Failed to load API keys from file', { error: err.message });
     }
@@ -69,6 +81,94 @@ function loadApiKeys() {
   }
 }
 
+/**
+ * Load keys from api-keys.json content: either a plain array of keys or
+ * { profiles, keys }. A key naming an unknown profile is skipped rather than
+ * given the full allowlist.
+ */
+function loadKeysData(keysData) {
+  const list = Array.isArray(keysData) ? keysData : (keysData && keysData.keys) || [];
+  profiles = parseProfiles(Array.isArray(keysData) ? {} : keysData && keysData.profiles);
+  users = parseUsers(Array.isArray(keysData) ? {} : keysData && keysData.users);
+  defaultMasking = parseMaskingRules(Array.isArray(keysData) ? undefined : keysData && keysData.masking);
+  for (const profile of profiles.values()) {
+    const unknown = (profile.users || []).filter((id) => !users.has(id));
+    if (unknown.length) throw new Error(`Invalid access profile: profiles.${profile.name}.users names unknown users: ${unknown.join(', ')}`);
+  }
+  list.forEach(keyObj => {
+    const profile = keyObj.profile ? profiles.get(keyObj.profile) : null;
+    if (keyObj.profile && !profile) {
+      logger.error('API key references an unknown access profile; key not loaded', { name: keyObj.name, profile: keyObj.profile });
+      return;
+    }
+    const userErrors = [];
+    const keyUsers = normalizeUserList(userErrors, 'users', keyObj.users) || [];
+    const unknownUsers = keyUsers.filter((id) => !users.has(id));
+    if (userErrors.length || unknownUsers.length) {
+      logger.error('API key users must list configured user ids; key not loaded', { name: keyObj.name, errors: userErrors, unknownUsers });
+      return;
+    }
+    if (keyObj.exportMaxRows !== undefined && !(Number.isInteger(keyObj.exportMaxRows) && keyObj.exportMaxRows > 0)) {
+      logger.error('API key exportMaxRows must be a positive integer; key not loaded', { name: keyObj.name, exportMaxRows: keyObj.exportMaxRows });
+      return;
+    }
+    apiKeys.set(keyObj.key, {
+      name: keyObj.name || 'unnamed',
+      createdAt: new Date(keyObj.createdAt),
+      lastUsed: keyObj.lastUsed ? new Date(keyObj.lastUsed) : null,
+      profile,
+      users: boundUsers(profile, keyUsers),
+      exportMaxRows: keyObj.exportMaxRows || null
+    });
+  });
+}
+
+// User ids a key may send in X-User-Id: its own list plus its profile's
+function boundUsers(profile, keyUsers = []) {
+  const bound = new Set([...((profile && profile.users) || []), ...keyUsers]);
+  return bound.size ? Array.from(bound) : null;
+}
+
+function getProfile(name) {
+  return profiles.get(name) || null;
+}
+
+/**
+ * Row filters that apply to a request: the key profile's plus those of the
+ * configured user named by X-User-Id. Returns { error } when the header names
+ * an unknown user or one not bound to the key, or is missing while the key
+ * has bound users or its profile requires a user.
+ */
+function resolveRowPolicy(req, keyData) {
+  const profile = keyData && keyData.profile;
+  const bound = (keyData && keyData.users) || [];
+  const userId = req.headers['x-user-id'] || null;
+  if (userId && !users.has(userId)) return { error: `Unknown user: ${userId}` };
+  if (userId && !bound.includes(userId)) return { error: `User ${userId} is not bound to this API key` };
+  const user = userId ? users.get(userId) : null;
+  if (!user && (bound.length || (profile && profile.requireUser))) {
+    return { error: 'X-User-Id header required' };
+  }
+  const rowFilters = mergeRowFilters(profile && profile.rowFilters, user && user.rowFilters);
+  return { rowFilters, userId: user ? userId : null };
+}
+
+/**
+ * Masking rules for a caller (keyData may be undefined when auth is off)
+ */
+function resolveMasking(keyData) {
+  const profile = keyData && keyData.profile;
+  return mergeMaskingRules(defaultMasking, profile && profile.masking);
+}
+
+/**
+ * Row cap for a caller's streaming exports (keyData may be undefined when
+ * auth is off)
+ */
+function resolveExportMaxRows(keyData) {
+  return (keyData && keyData.exportMaxRows) || defaultExportMaxRows();
+}
+
 /**
  * Generate a secure random API key
  */
@@ -98,7 +198,7 @@ function validateApiKey(req) {
   // Update last used timestamp
   keyData.lastUsed = new Date();
 
-  return { valid: true, keyData };
+  return { valid: true, keyData, key: apiKey };
 }
 
 /**
@@ -132,8 +232,18 @@ function requireApiKey(req, res, next) {
     });
   }
 
-  // Add key info to request for logging
+  const rowPolicy = resolveRowPolicy(req, result.keyData);
+  if (rowPolicy.error) {
+    logger.warn('Row policy rejected request', { keyName: result.keyData.name, path: req.path, error: rowPolicy.error });
+    return res.status(403).json({ error: 'Row policy', message: rowPolicy.error });
+  }
+
+  // Add key info to request for logging; the raw key lets server-side
+  // clients (the chat agent) call back in with the caller's profile
   req.apiKey = result.keyData;
+  req.apiKeyValue = result.key;
+  req.rowFilters = rowPolicy.rowFilters;
+  req.rowPolicyUser = rowPolicy.userId;
 
   logger.debug('Request authenticated', {
     keyName: result.keyData.name,
@@ -152,8 +262,15 @@ function optionalApiKey(req, res, next) {
   }
 
   const result = validateApiKey(req);
+  const rowPolicy = result.valid ? resolveRowPolicy(req, result.keyData) : null;
+  if (rowPolicy && rowPolicy.error) {
+    return res.status(403).json({ error: 'Row policy', message: rowPolicy.error });
+  }
   if (result.valid) {
     req.apiKey = result.keyData;
+    req.apiKeyValue = result.key;
+    req.rowFilters = rowPolicy.rowFilters;
+    req.rowPolicyUser = rowPolicy.userId;
     req.authenticated = true;
   } else {
     req.authenticated = false;
@@ -165,15 +282,19 @@ function optionalApiKey(req, res, next) {
 /**
  * Add a new API key
  */
-function addApiKey(name = 'unnamed') {
+function addApiKey(name = 'unnamed', profileName = null) {
+  const profile = profileName ? getProfile(profileName) : null;
+  if (profileName && !profile) throw new Error(`Unknown access profile: ${profileName}`);
   const key = generateApiKey();
   apiKeys.set(key, {
     name,
     createdAt: new Date(),
-    lastUsed: null
+    lastUsed: null,
+    profile,
+    users: boundUsers(profile)
   });
 
-  logger.info('Created new API key', { name });
+  logger.info('Created new API key', { name, profile: profileName });
 
   return key;
 }
@@ -197,7 +318,9 @@ function listApiKeys() {
     keyPrefix: key.substring(0, 10) + '...',
     name: data.name,
     createdAt: data.createdAt,
-    lastUsed: data.lastUsed
+    lastUsed: data.lastUsed,
+    profile: data.profile ? data.profile.name : null,
+    exportMaxRows: data.exportMaxRows || null
   }));
 }
 
@@ -212,5 +335,10 @@ module.exports = {
   addApiKey,
   revokeApiKey,
   listApiKeys,
-  loadApiKeys
+  loadApiKeys,
+  loadKeysData,
+  resolveRowPolicy,
+  resolveMasking,
+  resolveExportMaxRows,
+  getProfile
 };
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Org Selection Middleware
+ *
+ * Picks the Salesforce org for a request from the X-SF-Org header or an
+ * /orgs/:org/ path prefix (stripped before routing, so /orgs/uat/safe-query
+ * is handled by /safe-query). Without either the registry's default org is
+ * used. The rest of the request runs inside that org's context (see
+ * orgContext.js) and req.sfOrg holds its profile.
+ */
+
+const { logger } = require('./logger');
+const { getOrg, listOrgs, defaultOrgName } = require('../orgRegistry');
+const { runWithOrg } = require('../orgContext');
+
+const ORG_PREFIX_RE = /^\/orgs\/([^/?]+)(\/[^?]*)?(\?.*)?$/;
+
+function selectOrg(req, res, next) {
+  const header = req.get('X-SF-Org');
+  const match = ORG_PREFIX_RE.exec(req.url);
+  let prefixed = null;
+  if (match) {
+    try {
+      prefixed = decodeURIComponent(match[1]);
+    } catch (_) {
+      return res.status(400).json({ error: 'Invalid org in path', code: 'INVALID_ORG' });
+    }
+  }
+
+  if (header && prefixed && header !== prefixed) {
+    return res.status(400).json({
+      error: `X-SF-Org header (${header}) and path org (${prefixed}) disagree`,
+      code: 'ORG_MISMATCH',
+    });
+  }
+
+  const name = prefixed || header || defaultOrgName();
+  const org = getOrg(name);
+  if (!org) {
+    logger.warn('Unknown org requested', { org: name, path: req.path, keyName: req.apiKey && req.apiKey.name });
+    return res.status(404).json({
+      error: `Unknown Salesforce org "${name}"`,
+      code: 'UNKNOWN_ORG',
+      orgs: listOrgs().map((o) => o.name),
+    });
+  }
+
+  if (match) req.url = `${match[2] || '/'}${match[3] || ''}`;
+  req.sfOrg = org;
+  res.setHeader('X-SF-Org', org.name);
+  runWithOrg(org.name, next);
+}
+
+module.exports = {
+  selectOrg,
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Raw Query Policy Middleware
+ *
+ * Applies the allowlist to caller-supplied SOQL (/query) and SOSL (/search).
+ * QUERY_POLICY_MODE selects the behavior:
+ *   off     - no checks
+ *   audit   - violations are logged and reported on req.queryPolicy
+ *   enforce - requests with violations are rejected (default)
+ * Any other value makes getPolicyMode() throw; server.js checks it at startup.
+ *
+ * Callers with row filters (req.rowFilters) are always checked in enforce
+ * mode, whatever QUERY_POLICY_MODE says: raw statements cannot be trusted to
+ * include the filters, so objects that have them can only be read through
+ * the safe-query endpoints.
+ */
+
+const { getConnection } = require('../sfConnection');
+const { perOrg } = require('../orgContext');
+const { normalizePolicyMode, checkSoqlPolicy, checkSoslPolicy } = require('../queryPolicy');
+const { logger } = require('./logger');
+
+// Per org: parentObject -> Map(relationshipName -> childObject); orgs can
+// have different relationships and custom child objects
+const childRelationshipCache = perOrg(() => new Map());
+
+function getPolicyMode() {
+  return normalizePolicyMode(process.env.QUERY_POLICY_MODE);
+}
+
+/**
+ * Resolve a child relationship name (e.g. Opportunities) to its object via describe
+ */
+async function resolveChildRelationship(parentObject, relationshipName) {
+  const cache = childRelationshipCache();
+  let map = cache.get(parentObject);
+  if (!map) {
+    const conn = await getConnection();
+    const desc = await conn.sobject(parentObject).describe();
+    map = new Map();
+    for (const rel of desc.childRelationships || []) {
+      if (rel && rel.relationshipName) map.set(rel.relationshipName.toLowerCase(), rel.childSObject);
+    }
+    cache.set(parentObject, map);
+  }
+  return map.get(String(relationshipName).toLowerCase()) || null;
+}
+
+function createPolicyMiddleware(kind, getStatement, check) {
+  return async function queryPolicyMiddleware(req, res, next) {
+    const rowFilters = req.rowFilters && Object.keys(req.rowFilters).length ? req.rowFilters : null;
+    let mode;
+    try {
+      mode = rowFilters ? 'enforce' : getPolicyMode();
+    } catch (err) {
+      return next(err);
+    }
+    const statement = getStatement(req);
+    if (mode === 'off' || !statement) return next();
+
+    let result;
+    try {
+      result = await check(statement, { resolveChildRelationship, profile: req.apiKey ? req.apiKey.profile : null, rowFilters });
+    } catch (err) {
+      return next(err);
+    }
+
+    req.queryPolicy = { mode, allowed: result.allowed, violations: result.violations };
+    if (result.allowed) return next();
+
+    logger.warn('Query policy violation', {
+      mode,
+      kind,
+      path: req.path,
+      apiKey: req.apiKey?.name,
+      profile: req.apiKey?.profile?.name,
+      violations: result.violations.map(v => v.message)
+    });
+
+    if (mode !== 'enforce') return next();
+
+    const syntaxOnly = result.violations.every(v => v.type === 'syntax');
+    return res.status(syntaxOnly ? 400 : 403).json({
+      error: syntaxOnly ? `Could not parse ${kind.toUpperCase()} for policy check` : `${kind.toUpperCase()} violates the allowlist policy`,
+      code: syntaxOnly ? 'MALFORMED_QUERY' : 'POLICY_VIOLATION',
+      violations: result.violations,
+      suggestions: [
+        'List allowed objects and fields with: GET /allowlist',
+        'Use the safe-query endpoint for validated queries: POST /safe-query'
+      ]
+    });
+  };
+}
+
+const enforceSoqlPolicy = createPolicyMiddleware(
+  'soql',
+  (req) => (req.body && req.body.soql) || req.query.soql,
+  checkSoqlPolicy
+);
+
+const enforceSoslPolicy = createPolicyMiddleware(
+  'sosl',
+  (req) => req.body && req.body.sosl,
+  checkSoslPolicy
+);
+
+module.exports = {
+  enforceSoqlPolicy,
+  enforceSoslPolicy,
+  getPolicyMode,
+  resolveChildRelationship
+};
@@ -8,6 +8,11 @@
 
 const { body, query, param, validationResult } = require('express-validator');
 const { logger } = require('./logger');
+const { MAX_WHERE_DEPTH, MAX_CHILD_QUERIES, MAX_TYPEOF_BLOCKS } = require('../safeQuery');
+const { AGGREGATE_FUNCTIONS } = require('../allowlist');
+const { EXPORT_FORMATS } = require('../exporter');
+
+const FIELD_NAME_RE = /^[A-Za-z][A-Za-z0-9_.]*$/;
 
 /**
  * Handle validation errors
@@ -39,10 +44,64 @@ function handleValidationErrors(req, res, next) {
 }
 
 /**
- * Validation rules for safe query endpoint
+ * Validate a typeof `when` map: { ObjectName: [fieldName, ...] }
  */
-const validateSafeQuery = [
+function isTypeOfWhen(when) {
+  if (!when || typeof when !== 'object' || Array.isArray(when) || !Object.keys(when).length) return false;
+  return Object.entries(when).every(([type, fields]) => (
+    /^[A-Za-z][A-Za-z0-9_]*$/.test(type) &&
+    Array.isArray(fields) &&
+    fields.every((f) => typeof f === 'string' && FIELD_NAME_RE.test(f))
+  ));
+}
+
+/**
+ * Validate a safe-query where tree: arrays of clauses, { and: [] }, { or: [] },
+ * { not: node } groups, or { field, op, value } leaves. Having trees also
+ * accept { fn, field?, op, value } aggregate leaves.
+ */
+function validateWhereNode(node, depth, allowAggregates = false) {
+  if (depth > MAX_WHERE_DEPTH) return false;
+  if (Array.isArray(node)) return node.every(child => validateWhereNode(child, depth + 1, allowAggregates));
+  if (!node || typeof node !== 'object') return false;
+
+  const groupKeys = ['and', 'or', 'not'].filter(k => k in node);
+  if (groupKeys.length > 1) return false;
+  if (groupKeys.length === 1) {
+    const key = groupKeys[0];
+    if (key === 'not') return validateWhereNode(node.not, depth + 1, allowAggregates);
+    return Array.isArray(node[key]) && node[key].length > 0 && node[key].every(child => validateWhereNode(child, depth + 1, allowAggregates));
+  }
+
+  if (allowAggregates && node.fn !== undefined) {
+    if (typeof node.fn !== 'string' || !AGGREGATE_FUNCTIONS.includes(node.fn.toUpperCase())) return false;
+    if (node.field !== undefined && (typeof node.field !== 'string' || !FIELD_NAME_RE.test(node.field))) return false;
+    return node.op === undefined || typeof node.op === 'string';
+  }
+  if (depth === 0 && !('field' in node)) {
+    // Legacy { Field: value } map
+    return Object.keys(node).every(k => FIELD_NAME_RE.test(k));
+  }
+  if (typeof node.field !== 'string' || !FIELD_NAME_RE.test(node.field)) return false;
+  if (node.op !== undefined && typeof node.op !== 'string') return false;
+  if (node.inSubquery !== undefined) {
+    // { field, op: IN | NOT IN, inSubquery: { object, field, where? } }
+    const sub = node.inSubquery;
+    if (allowAggregates || !sub || typeof sub !== 'object' || Array.isArray(sub)) return false;
+    if (typeof sub.object !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(sub.object)) return false;
+    if (typeof sub.field !== 'string' || !FIELD_NAME_RE.test(sub.field)) return false;
+    return sub.where === undefined || validateWhereNode(sub.where, depth + 1);
+  }
+  return true;
+}
+
+/**
+ * Validation rules for the safe query payload (limit is added per endpoint)
+ */
+const safeQueryRules = [
+  // A continuation ({ next }) names its object in the cursor
   body('object')
+    .if(body('next').not().exists())
     .isString()
     .notEmpty()
     .withMessage('Object name is required')
@@ -57,24 +116,210 @@ const validateSafeQuery = [
   body('fields.*')
     .optional()
     .isString()
-    .matches(/^[A-Za-z][A-Za-z0-9_.]*$/)
+    .matches(FIELD_NAME_RE)
     .withMessage('Invalid field name format'),
 
   body('where')
+    .optional()
+    .custom(value => validateWhereNode(value, 0))
+    .withMessage('Where must be an array of conditions or an { and | or | not } group'),
+
+  body('children')
+    .optional()
+    .isArray({ max: MAX_CHILD_QUERIES })
+    .withMessage(`Children must be an array of at most ${MAX_CHILD_QUERIES} subqueries`),
+
+  body('children.*.relationship')
+    .isString()
+    .matches(/^[A-Za-z][A-Za-z0-9_]*$/)
+    .withMessage('Child relationship must be a relationship name such as Opportunities'),
+
+  body('children.*.fields')
     .optional()
     .isArray()
-    .withMessage('Where conditions must be an array'),
+    .withMessage('Child fields must be an array'),
 
-  body('limit')
+  body('children.*.fields.*')
+    .isString()
+    .matches(FIELD_NAME_RE)
+    .withMessage('Invalid child field name format'),
+
+  body('children.*.where')
+    .optional()
+    .custom(value => validateWhereNode(value, 0))
+    .withMessage('Child where must be an array of conditions or an { and | or | not } group'),
+
+  body('children.*.limit')
     .optional()
     .isInt({ min: 1, max: 200 })
-    .withMessage('Limit must be between 1 and 200'),
+    .withMessage('Child limit must be between 1 and 200'),
+
+  body('typeof')
+    .optional()
+    .isArray({ max: MAX_TYPEOF_BLOCKS })
+    .withMessage(`Typeof must be an array of at most ${MAX_TYPEOF_BLOCKS} blocks`),
+
+  body('typeof.*.field')
+    .isString()
+    .matches(/^[A-Za-z][A-Za-z0-9_]*$/)
+    .withMessage('Typeof field must be a polymorphic relationship name such as What'),
+
+  body('typeof.*.when')
+    .custom(isTypeOfWhen)
+    .withMessage('Typeof when must map object names to arrays of field names'),
+
+  body('typeof.*.else')
+    .optional()
+    .isArray()
+    .withMessage('Typeof else must be an array of field names'),
+
+  body('typeof.*.else.*')
+    .isString()
+    .matches(FIELD_NAME_RE)
+    .withMessage('Invalid typeof else field name format'),
+
+  body('near')
+    .optional()
+    .isObject()
+    .withMessage('Near must be an object with field, latitude and longitude'),
+
+  body('near.field')
+    .if(body('near').exists())
+    .isString()
+    .matches(/^[A-Za-z][A-Za-z0-9_]*$/)
+    .withMessage('Near field must be a geolocation field name such as BillingAddress'),
+
+  body('near.latitude')
+    .if(body('near').exists())
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Near latitude must be between -90 and 90'),
+
+  body('near.longitude')
+    .if(body('near').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Near longitude must be between -180 and 180'),
+
+  body('near.radius')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Near radius must be a positive number'),
+
+  body('near.unit')
+    .optional()
+    .isIn(['mi', 'km'])
+    .withMessage('Near unit must be mi or km'),
+
+  body('aggregates')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Aggregates must be an array of at most 20 items'),
+
+  body('aggregates.*.fn')
+    .isString()
+    .customSanitizer(value => value.toUpperCase())
+    .isIn(AGGREGATE_FUNCTIONS)
+    .withMessage(`Aggregate fn must be one of ${AGGREGATE_FUNCTIONS.join(', ')}`),
+
+  body('aggregates.*.field')
+    .optional()
+    .isString()
+    .matches(FIELD_NAME_RE)
+    .withMessage('Invalid aggregate field name format'),
+
+  body('aggregates.*.alias')
+    .optional()
+    .isString()
+    .matches(/^[A-Za-z][A-Za-z0-9_]*$/)
+    .withMessage('Aggregate alias must start with a letter and contain only letters, digits and underscores'),
+
+  body('groupBy')
+    .optional()
+    .isArray()
+    .withMessage('GroupBy must be an array of field names'),
+
+  body('groupBy.*')
+    .isString()
+    .matches(FIELD_NAME_RE)
+    .withMessage('Invalid groupBy field name format'),
+
+  body('having')
+    .optional()
+    .custom(value => validateWhereNode(value, 0, true))
+    .withMessage('Having must be an array of conditions or an { and | or | not } group'),
 
   body('flatten')
     .optional()
     .isBoolean()
     .withMessage('Flatten must be a boolean'),
 
+  body('strict')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Strict must be a boolean'),
+];
+
+/**
+ * Validation rules for safe query endpoint
+ */
+const validateSafeQuery = [
+  ...safeQueryRules,
+
+  body('next')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Next must be a cursor from a previous response'),
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for safe-query exports: the safe-query payload plus an
+ * output format; limit is only bounded by the caller's export row cap
+ */
+const validateSafeQueryExport = [
+  ...safeQueryRules,
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive integer'),
+
+  body('next')
+    .not()
+    .exists()
+    .withMessage('Cursors are only accepted by /safe-query'),
+
+  body('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of ${EXPORT_FORMATS.join(', ')}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for Bulk API 2.0 query jobs: the safe-query payload with
+ * limit bounded only by the caller's export row cap
+ */
+const validateBulkQuery = [
+  ...safeQueryRules,
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive integer'),
+
+  body('next')
+    .not()
+    .exists()
+    .withMessage('Cursors are only accepted by /safe-query'),
+
   handleValidationErrors
 ];
 
@@ -212,11 +457,14 @@ const validateChat = [
 
 module.exports = {
   validateSafeQuery,
+  validateSafeQueryExport,
+  validateBulkQuery,
   validateQuery,
   validateSearch,
   validateObjectInsights,
   validateContextBundle,
   validateChanges,
   validateChat,
+  validateWhereNode,
   handleValidationErrors
 };
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * OAuth 2.0 web server flow with PKCE, for the setup wizard: a temporary
+ * listener on the Connected App's callback URL (it must be on this machine)
+ * catches the authorization code after the user signs in, and the code is
+ * exchanged for an access and refresh token. PKCE (S256) means the client
+ * secret is optional, for Connected Apps that do not require it.
+ *
+ * The Connected App needs the "api" and "refresh_token" scopes and the
+ * callback URL used here (default http://localhost:3978/oauth/callback).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const jsforce = require('jsforce');
+
+const DEFAULT_REDIRECT_URI = 'http://localhost:3978/oauth/callback';
+const DEFAULT_SCOPE = 'api refresh_token';
+const CALLBACK_TIMEOUT_MS = 5 * 60 * 1000;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+class OAuthFlowError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'OAuthFlowError';
+    this.code = code;
+    this.status = status || null;
+  }
+}
+
+// Verifier and S256 challenge (RFC 7636); 32 random bytes give a 43-character verifier
+function createPkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+function buildAuthorizeUrl({ loginUrl, clientId, redirectUri, scope = DEFAULT_SCOPE, state, codeChallenge }) {
+  const url = new URL(`${loginUrl.replace(/\/$/, '')}/services/oauth2/authorize`);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+}
+
+function page(title, message) {
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${title}</title></head><body style="font-family:sans-serif;margin:3em"><h2>${title}</h2><p>${message}</p></body></html>`;
+}
+
+/**
+ * Listen on redirectUri (http, loopback host). Port 0 picks a free port; the
+ * returned redirectUri has the real one. waitForCode(state) resolves with the
+ * authorization code, or rejects with OAuthFlowError (the error Salesforce
+ * sent back, OAUTH_STATE_MISMATCH or OAUTH_TIMEOUT).
+ */
+function startCallbackListener(redirectUri = DEFAULT_REDIRECT_URI) {
+  const target = new URL(redirectUri);
+  if (target.protocol !== 'http:' || !LOOPBACK_HOSTS.includes(target.hostname)) {
+    return Promise.reject(new OAuthFlowError(`Callback URL ${redirectUri} must be http:// on localhost for the setup wizard to receive it`, 'OAUTH_REDIRECT_NOT_LOCAL'));
+  }
+
+  let settle = null;
+  let expectedState = null;
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || target.host}`);
+    if (req.method !== 'GET' || url.pathname !== target.pathname) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    const reply = (status, title, message) => {
+      res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(page(title, message));
+    };
+    if (!settle) return reply(410, 'Sign-in already handled', 'You can close this window.');
+
+    const params = url.searchParams;
+    if (params.get('error')) {
+      reply(400, 'Salesforce sign-in failed', `${params.get('error')}: ${params.get('error_description') || ''}`.replace(/[<>&]/g, ''));
+      return settle(new OAuthFlowError(`Authorization failed: ${params.get('error_description') || params.get('error')}`, params.get('error')));
+    }
+    if (!params.get('code') || params.get('state') !== expectedState) {
+      reply(400, 'Salesforce sign-in failed', 'The response did not match this sign-in. Start the setup wizard again.');
+      return settle(new OAuthFlowError('Authorization response did not match this sign-in (state mismatch)', 'OAUTH_STATE_MISMATCH'));
+    }
+    reply(200, 'Salesforce sign-in complete', 'You can close this window and return to the setup wizard.');
+    settle(null, params.get('code'));
+  });
+
+  function waitForCode(state, { timeoutMs = CALLBACK_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        settle = null;
+        reject(new OAuthFlowError(`No authorization response within ${Math.round(timeoutMs / 1000)}s`, 'OAUTH_TIMEOUT'));
+      }, timeoutMs);
+      settle = (err, code) => {
+        clearTimeout(timer);
+        settle = null;
+        if (err) reject(err);
+        else resolve(code);
+      };
+      expectedState = state;
+    });
+  }
+
+  function close() {
+    if (settle) settle(new OAuthFlowError('Sign-in was cancelled', 'OAUTH_CANCELLED'));
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once('error', (err) => {
+      reject(new OAuthFlowError(`Cannot listen on ${target.host} for the OAuth callback: ${err.message}`, 'OAUTH_LISTEN_FAILED'));
+    });
+    server.listen(target.port === '' ? 80 : Number(target.port), target.hostname.replace(/^\[|\]$/g, ''), () => {
+      target.port = String(server.address().port);
+      resolve({ redirectUri: target.toString(), waitForCode, close });
+    });
+  });
+}
+
+/**
+ * Exchange an authorization code at the token endpoint. Returns
+ * { accessToken, refreshToken, instanceUrl, identityUrl, issuedAt }.
+ */
+async function exchangeCode({ loginUrl, clientId, clientSecret, redirectUri, code, codeVerifier }) {
+  const form = { grant_type: 'authorization_code', code, client_id: clientId, redirect_uri: redirectUri, code_verifier: codeVerifier };
+  if (clientSecret) form.client_secret = clientSecret;
+  const response = await fetch(`${loginUrl.replace(/\/$/, '')}/services/oauth2/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams(form).toString(),
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {}
+  if (!response.ok || !data || !data.access_token) {
+    const detail = data && (data.error_description || data.error);
+    throw new OAuthFlowError(`Token request failed: ${detail || text || `HTTP ${response.status}`}`, (data && data.error) || 'OAUTH_TOKEN_FAILED', response.status);
+  }
+  if (!data.refresh_token) {
+    throw new OAuthFlowError('No refresh token was issued; add the "refresh_token" scope to the Connected App', 'OAUTH_NO_REFRESH_TOKEN', response.status);
+  }
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    instanceUrl: data.instance_url,
+    identityUrl: data.id || null,
+    issuedAt: Date.now(),
+  };
+}
+
+/**
+ * The whole flow. onAuthorizeUrl(url) is called once the listener is up, to
+ * show or open the URL; it may be async. Resolves with exchangeCode's result.
+ */
+async function authorize({ loginUrl, clientId, clientSecret, redirectUri = DEFAULT_REDIRECT_URI, scope, timeoutMs, onAuthorizeUrl }) {
+  const listener = await startCallbackListener(redirectUri);
+  try {
+    const { verifier, challenge } = createPkcePair();
+    const state = crypto.randomBytes(16).toString('base64url');
+    const code = listener.waitForCode(state, { timeoutMs });
+    code.catch(() => {}); // awaited below; only unhandled if onAuthorizeUrl throws
+    await onAuthorizeUrl(buildAuthorizeUrl({ loginUrl, clientId, redirectUri: listener.redirectUri, scope, state, codeChallenge: challenge }));
+    return await exchangeCode({ loginUrl, clientId, clientSecret, redirectUri: listener.redirectUri, code: await code, codeVerifier: verifier });
+  } finally {
+    await listener.close();
+  }
+}
+
+/**
+ * Check new tokens with the calls behind GET /me and GET /limits. Returns
+ * { identity, limits }.
+ */
+async function verifyAccess({ instanceUrl, accessToken, identityUrl, apiVersion }) {
+  const conn = new jsforce.Connection({ instanceUrl, accessToken, version: apiVersion || undefined });
+  if (identityUrl) conn.userInfo = { url: identityUrl };
+  const identity = await conn.identity();
+  const limits = await conn.limits();
+  return { identity, limits };
+}
+
+module.exports = {
+  OAuthFlowError,
+  DEFAULT_REDIRECT_URI,
+  DEFAULT_SCOPE,
+  createPkcePair,
+  buildAuthorizeUrl,
+  startCallbackListener,
+  exchangeCode,
+  authorize,
+  verifyAccess,
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * The Salesforce org a request works against. The org middleware
+ * (middleware/org.js) runs the rest of the request inside runWithOrg, so
+ * modules that keep per-org state (connections, allowlists, describe caches,
+ * analytics, context bundles) can look up the current org without every
+ * call passing it along. Outside a request (startup, tests, scripts) the
+ * registry's default org is current.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { defaultOrgName } = require('./orgRegistry');
+
+const storage = new AsyncLocalStorage();
+
+function runWithOrg(orgName, fn) {
+  return storage.run(orgName, fn);
+}
+
+function currentOrgName() {
+  return storage.getStore() || defaultOrgName();
+}
+
+// Per-org instances of some state, created on first use
+function perOrg(create) {
+  const byOrg = new Map();
+  return (orgName = currentOrgName()) => {
+    if (!byOrg.has(orgName)) byOrg.set(orgName, create(orgName));
+    return byOrg.get(orgName);
+  };
+}
+
+module.exports = {
+  runWithOrg,
+  currentOrgName,
+  perOrg,
+};
@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Named Salesforce org profiles, so one server can front several orgs
+ * (production, a full sandbox, dev sandboxes). Requests pick an org with the
+ * X-SF-Org header or an /orgs/:org/ path prefix (see middleware/org.js).
+ *
+ * ORGS_FILE (.json, .yaml or .yml) lists the orgs:
+ *   default: prod
+ *   orgs:
+ *     prod:
+ *       envPrefix: PROD_          # credentials from PROD_SF_CLIENT_ID, PROD_SF_REFRESH_TOKEN, ...
+ *       allowlistFile: ./allowlist.prod.yaml
+ *     uat:
+ *       loginUrl: https://test.salesforce.com
+ *       apiVersion: "59.0"
+ *       envPrefix: UAT_
+ *       bundleDir: ./context_bundles/uat
+ *
+ * Credentials (clientId, clientSecret, redirectUri, refreshToken,
+ * instanceUrl, accessToken, username, password, securityToken, privateKey,
+ * privateKeyFile, jwtAudience) may also be given inline, but envPrefix keeps
+ * secrets out of the file. Relative paths are resolved against the file's
+ * directory.
+ *
+ * Without ORGS_FILE there is a single org named "default" configured by the
+ * plain SF_* variables, as before. The org named "default" keeps the
+ * original tokens.json entry, analytics.json and context_bundles directory;
+ * other orgs get their own.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const DEFAULT_ORG = 'default';
+const DEFAULT_LOGIN_URL = 'https://login.salesforce.com';
+const ORG_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const API_VERSION_RE = /^\d+\.0$/;
+
+// Credential keys and the SF_* variables they fall back to
+const CREDENTIAL_ENV = {
+  clientId: 'SF_CLIENT_ID',
+  clientSecret: 'SF_CLIENT_SECRET',
+  redirectUri: 'SF_REDIRECT_URI',
+  refreshToken: 'SF_REFRESH_TOKEN',
+  instanceUrl: 'SF_INSTANCE_URL',
+  accessToken: 'SF_ACCESS_TOKEN',
+  username: 'SF_USERNAME',
+  password: 'SF_PASSWORD',
+  securityToken: 'SF_SECURITY_TOKEN',
+  privateKey: 'SF_JWT_PRIVATE_KEY',
+  privateKeyFile: 'SF_JWT_PRIVATE_KEY_FILE',
+  jwtAudience: 'SF_JWT_AUDIENCE',
+};
+const ORG_KEYS = ['loginUrl', 'apiVersion', 'envPrefix', 'allowlistFile', 'bundleDir', ...Object.keys(CREDENTIAL_ENV)];
+
+class OrgConfigError extends Error {
+  constructor(file, errors) {
+    super(`Invalid org registry ${file}: ${errors.join('; ')}`);
+    this.name = 'OrgConfigError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function envValue(name) {
+  const value = process.env[name];
+  return value !== undefined && value !== '' ? value : undefined;
+}
+
+/**
+ * Validate a parsed registry document. Returns a list of error messages.
+ */
+function validateOrgConfig(doc) {
+  const errors = [];
+  if (!isPlainObject(doc)) return ['top level must be an object with orgs'];
+  for (const key of Object.keys(doc)) {
+    if (key !== 'default' && key !== 'orgs') errors.push(`unknown top-level key "${key}"`);
+  }
+  if (!isPlainObject(doc.orgs) || Object.keys(doc.orgs).length === 0) {
+    errors.push('orgs must be a non-empty map of org name to profile');
+    return errors;
+  }
+  if (doc.default !== undefined && !Object.prototype.hasOwnProperty.call(doc.orgs, doc.default)) {
+    errors.push(`default "${doc.default}" is not one of the orgs`);
+  }
+  for (const [name, spec] of Object.entries(doc.orgs)) {
+    const where = `orgs.${name}`;
+    if (!ORG_NAME_RE.test(name)) errors.push(`${where} is not a valid org name (letters, digits, _ and -)`);
+    if (!isPlainObject(spec)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(spec)) {
+      if (!ORG_KEYS.includes(key)) errors.push(`${where} has unknown key "${key}"`);
+      else if (typeof value !== 'string' || (value === '' && key !== 'envPrefix')) errors.push(`${where}.${key} must be a non-empty string`);
+    }
+    if (typeof spec.apiVersion === 'string' && !API_VERSION_RE.test(spec.apiVersion)) {
+      errors.push(`${where}.apiVersion must look like "59.0"`);
+    }
+    if (typeof spec.loginUrl === 'string' && !/^https?:\/\//.test(spec.loginUrl)) {
+      errors.push(`${where}.loginUrl must be an http(s) URL`);
+    }
+  }
+  return errors;
+}
+
+// Resolved profile: inline values win over <envPrefix>SF_* variables
+function toOrg(name, spec, baseDir) {
+  const prefix = spec.envPrefix || '';
+  const fromEnv = (key, variable) => (spec[key] !== undefined ? spec[key] : envValue(`${prefix}${variable}`));
+  const credentials = {};
+  for (const [key, variable] of Object.entries(CREDENTIAL_ENV)) {
+    const value = fromEnv(key, variable);
+    if (value !== undefined) credentials[key] = value;
+  }
+  if (spec.privateKeyFile) credentials.privateKeyFile = path.resolve(baseDir, spec.privateKeyFile);
+  const bundleDir = spec.bundleDir
+    ? path.resolve(baseDir, spec.bundleDir)
+    : path.resolve(process.cwd(), 'context_bundles', ...(name === DEFAULT_ORG ? [] : [name]));
+  return {
+    name,
+    loginUrl: fromEnv('loginUrl', 'SF_LOGIN_URL') || DEFAULT_LOGIN_URL,
+    apiVersion: fromEnv('apiVersion', 'SF_API_VERSION') || null,
+    credentials,
+    allowlistFile: spec.allowlistFile ? path.resolve(baseDir, spec.allowlistFile) : null,
+    bundleDir,
+  };
+}
+
+function parseOrgFile(text, file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.json') return JSON.parse(text);
+  if (ext === '.yaml' || ext === '.yml') return YAML.parse(text);
+  throw new Error(`Unsupported org registry extension "${ext}" (use .json, .yaml or .yml)`);
+}
+
+/**
+ * Build a registry from a parsed document (throws OrgConfigError), or from
+ * the SF_* variables when `doc` is null.
+ */
+function createOrgRegistry(doc, { file = 'ORGS_FILE', baseDir = process.cwd() } = {}) {
+  if (!doc) {
+    const org = toOrg(DEFAULT_ORG, {}, baseDir);
+    return { defaultOrg: DEFAULT_ORG, orgs: new Map([[DEFAULT_ORG, org]]), source: 'env' };
+  }
+  const errors = validateOrgConfig(doc);
+  if (errors.length) throw new OrgConfigError(file, errors);
+  const orgs = new Map(Object.entries(doc.orgs).map(([name, spec]) => [name, toOrg(name, spec, baseDir)]));
+  return { defaultOrg: doc.default || orgs.keys().next().value, orgs, source: file };
+}
+
+function readOrgFile(file) {
+  const resolved = path.resolve(file);
+  const text = fs.readFileSync(resolved, 'utf8');
+  let doc;
+  try {
+    doc = parseOrgFile(text, resolved);
+  } catch (err) {
+    throw new OrgConfigError(resolved, [err.message]);
+  }
+  return createOrgRegistry(doc, { file: resolved, baseDir: path.dirname(resolved) });
+}
+
+let registry = null;
+
+// Loaded from ORGS_FILE on first use
+function activeRegistry() {
+  if (!registry) registry = process.env.ORGS_FILE ? readOrgFile(process.env.ORGS_FILE) : createOrgRegistry(null);
+  return registry;
+}
+
+/**
+ * Replace the registry (tests, or a reload). Pass null to go back to
+ * ORGS_FILE / the environment on next use.
+ */
+function setOrgRegistry(next) {
+  registry = next;
+}
+
+function defaultOrgName() {
+  return activeRegistry().defaultOrg;
+}
+
+// Profile by name, or null for an unknown org
+function getOrg(name) {
+  return activeRegistry().orgs.get(name) || null;
+}
+
+function listOrgs() {
+  return Array.from(activeRegistry().orgs.values());
+}
+
+// What GET /orgs shows: no credentials, just which kinds are configured
+function describeOrg(org) {
+  const c = org.credentials;
+  const auth = c.clientId && c.username && (c.privateKey || c.privateKeyFile) ? 'jwt'
+    : c.clientId && c.refreshToken ? 'refresh_token'
+    : c.instanceUrl && c.accessToken ? 'access_token'
+      : c.username && c.password ? 'password' : null;
+  return {
+    name: org.name,
+    default: org.name === defaultOrgName(),
+    loginUrl: org.loginUrl,
+    apiVersion: org.apiVersion,
+    auth,
+    ownAllowlist: !!org.allowlistFile,
+  };
+}
+
+module.exports = {
+  DEFAULT_ORG,
+  OrgConfigError,
+  validateOrgConfig,
+  createOrgRegistry,
+  readOrgFile,
+  setOrgRegistry,
+  defaultOrgName,
+  getOrg,
+  listOrgs,
+  describeOrg,
+};
@@ -101,7 +101,7 @@ async function buildConnectionFromEnv() {
       try {
         const resolvedInstanceUrl = (res && res.instance_url) || connection.instanceUrl || instanceUrl || null;
         await tokenStore.saveToken({ instanceUrl: resolvedInstanceUrl, accessToken: newAccessToken });
-        console.log('[jsforce] Access token auto-refreshed and persisted to tokens.json.');
+        console.log('[jsforce] Access token auto-refreshed and persisted to the token store.');
       } catch (persistErr) {
         console.warn('[jsforce] Token refreshed but failed to persist:', persistErr && persistErr.message ? persistErr.message : persistErr);
       }
@@ -113,7 +113,7 @@ async function buildConnectionFromEnv() {
       try {
         const resolvedInstanceUrl = (res && res.instance_url) || connection.instanceUrl || instanceUrl || null;
         await tokenStore.saveToken({ instanceUrl: resolvedInstanceUrl, accessToken: connection.accessToken });
-        console.log('[jsforce] Access token obtained via refresh and persisted to tokens.json.');
+        console.log('[jsforce] Access token obtained via refresh and persisted to the token store.');
       } catch (persistErr) {
         console.warn('[jsforce] Token obtained but failed to persist:', persistErr && persistErr.message ? persistErr.message : persistErr);
       }
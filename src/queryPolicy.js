@@ -0,0 +1,289 @@
+'use strict';
+
+/**
+ * Allowlist policy checks for raw SOQL and SOSL.
+ *
+ * The safe-query builder only ever emits allowlisted fields and operators;
+ * these checks apply the same rules to caller-supplied SOQL (/query) and the
+ * RETURNING clauses of SOSL (/search) by walking the parsed query.
+ */
+
+const { parseSoql, tokenize, walkConditions, SoqlSyntaxError } = require('./soqlParser');
+const { isObjectAllowed, getAllowedFields, isOperatorAllowed, isFieldGroupable, isAggregateAllowed, AGGREGATE_FUNCTIONS } = require('./allowlist');
+
+const POLICY_MODES = ['off', 'audit', 'enforce'];
+const DEFAULT_POLICY_MODE = 'enforce';
+
+class QueryPolicyConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryPolicyConfigError';
+    this.code = 'QUERY_POLICY_MODE_INVALID';
+  }
+}
+
+/**
+ * Unset means enforce. Anything other than off, audit or enforce throws:
+ * a misspelled mode must not quietly weaken the policy.
+ */
+function normalizePolicyMode(mode) {
+  const m = String(mode || '').trim().toLowerCase();
+  if (!m) return DEFAULT_POLICY_MODE;
+  if (!POLICY_MODES.includes(m)) {
+    throw new QueryPolicyConfigError(`Unknown QUERY_POLICY_MODE "${mode}"; expected ${POLICY_MODES.join(', ')}`);
+  }
+  return m;
+}
+
+function normalizeOperator(op) {
+  return op === '<>' ? '!=' : String(op).toUpperCase();
+}
+
+function fieldsOf(expr, out = []) {
+  if (!expr) return out;
+  if (expr.type === 'Field') out.push(expr.name);
+  else if (expr.type === 'Function') for (const a of expr.args) fieldsOf(a, out);
+  return out;
+}
+
+function isAggregateCall(expr) {
+  return !!expr && expr.type === 'Function' && AGGREGATE_FUNCTIONS.includes(String(expr.name).toUpperCase());
+}
+
+function hasRowFilter(rowFilters, object) {
+  return !!rowFilters && Array.isArray(rowFilters[object]) && rowFilters[object].length > 0;
+}
+
+function rowFilterViolation(object, location) {
+  return { type: 'rowFilter', object, message: `Object has mandatory row filters; use POST /safe-query: ${object}`, location };
+}
+
+/**
+ * Check a parsed query against the allowlist. Child relationship subqueries
+ * name a relationship rather than an object, so they are resolved through
+ * options.resolveChildRelationship(parentObject, relationshipName) when given.
+ * options.profile narrows the allowlist to the caller's access profile.
+ * Objects in options.rowFilters carry mandatory row filters that raw SOQL
+ * cannot be trusted to include, so reading them is always a violation.
+ */
+async function checkQueryAst(ast, options = {}, path = '') {
+  const { profile = null, rowFilters = null } = options;
+  const violations = [];
+  const object = ast.from.object;
+  const where = path ? `${path} > ${object}` : object;
+
+  if (!isObjectAllowed(object, profile)) {
+    violations.push({ type: 'object', object, message: `Object not allowed: ${object}`, location: where });
+    return violations;
+  }
+  if (hasRowFilter(rowFilters, object)) {
+    violations.push(rowFilterViolation(object, where));
+  }
+
+  const allowed = new Set(getAllowedFields(object, profile));
+  const checkField = (field, clause) => {
+    if (!allowed.has(field)) {
+      violations.push({ type: 'field', object, field, clause, message: `Field not allowed: ${object}.${field}`, location: where });
+      return false;
+    }
+    return true;
+  };
+  const checkAggregate = (expr, clause) => {
+    const fn = String(expr.name).toUpperCase();
+    const fields = fieldsOf(expr);
+    if (!fields.every((f) => checkField(f, clause))) return;
+    if (!isAggregateAllowed(object, fn, fields[0], profile)) {
+      const target = `${fn}(${fields[0] || ''})`;
+      violations.push({ type: 'aggregate', object, field: fields[0] || null, function: fn, clause, message: `Aggregate ${target} not allowed on ${object}`, location: where });
+    }
+  };
+
+  for (const item of ast.select) {
+    if (item.type === 'Subquery') {
+      const relationship = item.query.from.object;
+      const childObject = options.resolveChildRelationship
+        ? await options.resolveChildRelationship(object, relationship)
+        : null;
+      if (!childObject) {
+        violations.push({ type: 'relationship', object, relationship, message: `Child relationship could not be verified: ${object}.${relationship}`, location: where });
+        continue;
+      }
+      const childAst = Object.assign({}, item.query, { from: Object.assign({}, item.query.from, { object: childObject }) });
+      violations.push(...await checkQueryAst(childAst, options, where));
+    } else if (item.type === 'TypeOf') {
+      const hasRelationship = Array.from(allowed).some((f) => f.startsWith(`${item.field}.`));
+      if (!hasRelationship) {
+        violations.push({ type: 'field', object, field: item.field, clause: 'select', message: `Polymorphic field not allowed: ${object}.${item.field}`, location: where });
+        continue;
+      }
+      const branches = item.whens.map((w) => ({ object: w.objectType, fields: w.fields }));
+      for (const branch of branches) {
+        if (!isObjectAllowed(branch.object, profile)) {
+          violations.push({ type: 'object', object: branch.object, message: `Object not allowed: ${branch.object}`, location: `${where} > TYPEOF ${item.field}` });
+          continue;
+        }
+        if (hasRowFilter(rowFilters, branch.object)) {
+          violations.push(rowFilterViolation(branch.object, `${where} > TYPEOF ${item.field}`));
+        }
+        const branchAllowed = new Set(getAllowedFields(branch.object, profile));
+        for (const f of branch.fields) {
+          if (!branchAllowed.has(f.name)) {
+            violations.push({ type: 'field', object: branch.object, field: f.name, clause: 'select', message: `Field not allowed: ${branch.object}.${f.name}`, location: `${where} > TYPEOF ${item.field}` });
+          }
+        }
+      }
+      for (const f of item.else || []) {
+        if (!allowed.has(`${item.field}.${f.name}`)) {
+          violations.push({ type: 'field', object, field: `${item.field}.${f.name}`, clause: 'select', message: `Field not allowed: ${object}.${item.field}.${f.name}`, location: where });
+        }
+      }
+    } else if (item.type === 'Function' && String(item.name).toUpperCase() === 'FIELDS') {
+      violations.push({ type: 'field', object, field: 'FIELDS()', clause: 'select', message: 'FIELDS() cannot be checked against the allowlist; list fields explicitly', location: where });
+    } else if (isAggregateCall(item)) {
+      checkAggregate(item, 'select');
+    } else {
+      for (const f of fieldsOf(item)) checkField(f, 'select');
+    }
+  }
+
+  const conditionChecks = [];
+  const checkConditions = (node, clause) => walkConditions(node, (c) => {
+    if (isAggregateCall(c.left)) {
+      checkAggregate(c.left, clause);
+      return;
+    }
+    const op = normalizeOperator(c.operator);
+    for (const f of fieldsOf(c.left)) {
+      if (!checkField(f, clause)) continue;
+      if (!isOperatorAllowed(object, f, op, profile)) {
+        violations.push({ type: 'operator', object, field: f, operator: op, clause, message: `Operator ${op} not allowed on ${object}.${f}`, location: where });
+      }
+    }
+    if (c.right.type === 'Subquery') conditionChecks.push(c.right.query);
+  });
+  checkConditions(ast.where, 'where');
+  if (ast.groupBy) {
+    for (const f of ast.groupBy.fields) {
+      for (const name of fieldsOf(f)) {
+        if (checkField(name, 'groupBy') && !isFieldGroupable(object, name, profile)) {
+          violations.push({ type: 'groupBy', object, field: name, clause: 'groupBy', message: `Field not groupable: ${object}.${name}`, location: where });
+        }
+      }
+    }
+  }
+  checkConditions(ast.having, 'having');
+  for (const o of ast.orderBy || []) for (const name of fieldsOf(o.expr)) checkField(name, 'orderBy');
+
+  for (const inner of conditionChecks) {
+    violations.push(...await checkQueryAst(inner, options, where));
+  }
+  return violations;
+}
+
+/**
+ * Check raw SOQL. Returns { allowed, object, violations }.
+ */
+async function checkSoqlPolicy(soql, options = {}) {
+  let ast;
+  try {
+    ast = parseSoql(soql);
+  } catch (err) {
+    return { allowed: false, object: null, violations: [{ type: 'syntax', message: err.message }] };
+  }
+  const violations = await checkQueryAst(ast, options);
+  if (ast.forClause === 'UPDATE') {
+    violations.push({ type: 'forUpdate', object: ast.from.object, message: 'FOR UPDATE locks records and is not allowed on this read-only server', location: ast.from.object });
+  }
+  return { allowed: violations.length === 0, object: ast.from.object, violations };
+}
+
+const RETURNING_CLAUSE_KEYWORDS = new Set(['WHERE', 'ORDER', 'LIMIT', 'OFFSET', 'USING']);
+
+/**
+ * Split the RETURNING clause of a SOSL search into { object, soql } entries,
+ * where soql is an equivalent SELECT for the object's field list and filters.
+ */
+function parseSoslReturning(sosl) {
+  if (typeof sosl !== 'string') throw new SoqlSyntaxError('SOSL must be a string');
+  const head = /^\s*FIND\s+(?:\{(?:\\.|[^}\\])*\}|'(?:\\.|[^'\\])*')/i.exec(sosl);
+  if (!head) throw new SoqlSyntaxError('SOSL must start with FIND {...}');
+  const rest = sosl.slice(head[0].length);
+  const tokens = tokenize(rest);
+
+  let i = tokens.findIndex((t) => t.type === 'ident' && t.upper === 'RETURNING');
+  if (i === -1) return null;
+  i++;
+
+  const entries = [];
+  while (i < tokens.length && tokens[i].type !== 'eof') {
+    const tok = tokens[i];
+    if (tok.type !== 'ident') throw new SoqlSyntaxError('Expected object name in RETURNING', tok.pos);
+    const object = tok.value;
+    i++;
+    let inner = '';
+    if (tokens[i] && tokens[i].type === 'punct' && tokens[i].value === '(') {
+      const open = tokens[i];
+      let depth = 0;
+      let j = i;
+      for (; j < tokens.length; j++) {
+        if (tokens[j].type === 'punct' && tokens[j].value === '(') depth++;
+        if (tokens[j].type === 'punct' && tokens[j].value === ')') depth--;
+        if (depth === 0) break;
+      }
+      if (depth !== 0) throw new SoqlSyntaxError(`Unbalanced parentheses in RETURNING ${object}`, open.pos);
+      inner = rest.slice(open.pos + 1, tokens[j].pos).trim();
+      i = j + 1;
+    }
+    entries.push({ object, soql: returningToSoql(object, inner) });
+    if (tokens[i] && tokens[i].type === 'punct' && tokens[i].value === ',') i++;
+    else break;
+  }
+  return entries;
+}
+
+function returningToSoql(object, inner) {
+  if (!inner) return `SELECT Id FROM ${object}`;
+  const tokens = tokenize(inner);
+  let depth = 0;
+  let split = inner.length;
+  for (const t of tokens) {
+    if (t.type === 'punct' && t.value === '(') depth++;
+    if (t.type === 'punct' && t.value === ')') depth--;
+    if (depth === 0 && t.type === 'ident' && RETURNING_CLAUSE_KEYWORDS.has(t.upper)) { split = t.pos; break; }
+  }
+  const fieldsPart = inner.slice(0, split).trim() || 'Id';
+  const clausePart = inner.slice(split).trim();
+  return `SELECT ${fieldsPart} FROM ${object}${clausePart ? ' ' + clausePart : ''}`;
+}
+
+/**
+ * Check a SOSL search. A search without RETURNING can reach every searchable
+ * object, so it is always a violation.
+ */
+async function checkSoslPolicy(sosl, options = {}) {
+  let entries;
+  try {
+    entries = parseSoslReturning(sosl);
+  } catch (err) {
+    return { allowed: false, objects: [], violations: [{ type: 'syntax', message: err.message }] };
+  }
+  if (!entries || !entries.length) {
+    return { allowed: false, objects: [], violations: [{ type: 'returning', message: 'SOSL must include a RETURNING clause listing allowlisted objects' }] };
+  }
+  const violations = [];
+  for (const entry of entries) {
+    const result = await checkSoqlPolicy(entry.soql, options);
+    violations.push(...result.violations.map((v) => Object.assign({ returning: entry.object }, v)));
+  }
+  return { allowed: violations.length === 0, objects: entries.map((e) => e.object), violations };
+}
+
+module.exports = {
+  POLICY_MODES,
+  DEFAULT_POLICY_MODE,
+  QueryPolicyConfigError,
+  normalizePolicyMode,
+  checkSoqlPolicy,
+  checkSoslPolicy,
+  parseSoslReturning,
+};
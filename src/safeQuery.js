@@ -1,109 +1,748 @@
 'use strict';
 
-const { isObjectAllowed, filterAllowedFields, clampLimit, getDefaultFields, isOperatorAllowed } = require('./allowlist');
+const {
+  isObjectAllowed,
+  getAllowedFields,
+  clampLimit,
+  getDefaultFields,
+  isOperatorAllowed,
+  isFieldGroupable,
+  isFieldGeolocation,
+  isFieldSortable,
+  isAggregateAllowed,
+  OBJECTS,
+} = require('./allowlist');
+const { getFieldAccess, getFieldMetadata, getRelationshipTargets, getRelationshipField } = require('./fieldSecurity');
+const { escapeSoqlLiteral, formatSoqlLiteral } = require('./soqlLiterals');
+const { formatTypedComparison } = require('./valueValidation');
+const { flattenedColumns } = require('./flatten');
 
-function escapeSoqlLiteral(value) {
-  if (value === null || value === undefined) return 'NULL';
-  if (typeof value === 'number') return String(value);
-  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
-  // Escape single quotes by doubling them
-  const s = String(value);
-  return `'${s.replace(/'/g, "''")}'`;
+const MAX_WHERE_DEPTH = 8;
+const GROUP_KEYS = ['and', 'or', 'not'];
+// Salesforce allows at most two semi-join/anti-join subqueries per query
+const MAX_SEMI_JOINS = 2;
+const SEMI_JOIN_OPERATORS = ['IN', 'NOT IN'];
+
+function isWhereGroup(node) {
+  return !!node && typeof node === 'object' && !Array.isArray(node) && GROUP_KEYS.some((k) => k in node);
 }
 
-function isIsoDateTimeLiteral(s) {
-  return /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}(?:\.[0-9]+)?Z$/.test(s);
+// Accepts the legacy forms (array of clauses, { field: value } map) and the
+// structured tree ({ and: [...] }, { or: [...] }, { not: node }); always
+// returns a tree node or null.
+function normalizeWhere(where) {
+  if (Array.isArray(where)) return { and: where };
+  if (isWhereGroup(where)) return where;
+  if (where && typeof where === 'object') {
+    // Convert object map to equality clauses; { op, value } entries keep their operator
+    return {
+      and: Object.entries(where).map(([field, value]) => (
+        value && typeof value === 'object' && !Array.isArray(value) && 'op' in value
+          ? { field, op: value.op, value: value.value !== undefined ? value.value : value.values }
+          : { field, op: '=', value }
+      )),
+    };
+  }
+  return null;
 }
 
-function isIsoDateLiteral(s) {
-  return /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(s);
+function formatComparison(expr, op, value) {
+  if ((op === 'IN' || op === 'NOT IN') && Array.isArray(value)) {
+    const list = value.map(formatSoqlLiteral).join(', ');
+    return `${expr} ${op} (${list})`;
+  }
+  if (op === 'LIKE' && typeof value === 'string') {
+    return `${expr} LIKE ${escapeSoqlLiteral(value)}`;
+  }
+  return `${expr} ${op} ${formatSoqlLiteral(value)}`;
 }
 
-function isRelativeDateLiteral(s) {
-  // Common SOQL date literals
-  return /^(TODAY|YESTERDAY|TOMORROW|THIS_WEEK|LAST_WEEK|NEXT_WEEK|THIS_MONTH|LAST_MONTH|NEXT_MONTH|THIS_QUARTER|LAST_QUARTER|NEXT_QUARTER|THIS_YEAR|LAST_YEAR|NEXT_YEAR|LAST_N_DAYS:\d+|NEXT_N_DAYS:\d+|LAST_N_WEEKS:\d+|NEXT_N_WEEKS:\d+|LAST_N_MONTHS:\d+|NEXT_N_MONTHS:\d+|LAST_N_QUARTERS:\d+|NEXT_N_QUARTERS:\d+|LAST_N_YEARS:\d+|NEXT_N_YEARS:\d+)$/.test(s);
+function clauseValue(clause) {
+  return clause.value !== undefined ? clause.value : clause.values;
 }
 
-function formatSoqlLiteral(value) {
-  if (value === null || value === undefined) return 'NULL';
-  if (typeof value === 'number') return String(value);
-  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
-  const s = String(value);
-  if (isIsoDateTimeLiteral(s) || isIsoDateLiteral(s) || isRelativeDateLiteral(s)) {
-    return s; // unquoted date/datetime literals
+/**
+ * Thrown in strict mode when any requested field, clause or aggregate would be
+ * left out of the query. `dropped` lists every such item and why.
+ */
+class SafeQueryStrictError extends Error {
+  constructor(dropped) {
+    super(`Strict mode: ${dropped.length} requested item(s) not allowed: ${dropped.map((d) => d.message).join('; ')}`);
+    this.name = 'SafeQueryStrictError';
+    this.code = 'STRICT_MODE_VIOLATION';
+    this.dropped = dropped;
   }
-  return `'${s.replace(/'/g, "''")}'`;
 }
 
-function normalizeWhereArray(where) {
-  if (Array.isArray(where)) return where;
-  if (where && typeof where === 'object') {
-    // Convert object map to array of equality clauses
-    return Object.entries(where).map(([field, value]) => ({ field, op: '=', value }));
+// Builder state for one FROM object: its allowlisted fields (narrowed by the
+// caller's access profile), the caller's row filters and the shared lists of
+// what went into the query and what was left out
+function createScope(object, parent, options = {}) {
+  const profile = parent ? parent.profile : options.profile || null;
+  return {
+    object,
+    profile,
+    rowFilters: parent ? parent.rowFilters : options.rowFilters || null,
+    allowed: new Set(getAllowedFields(object, profile)),
+    kept: parent ? parent.kept : [],
+    drops: parent ? parent.drops : [],
+    strict: parent ? parent.strict : !!options.strict,
+    relationship: options.relationship || null,
+    typeOf: options.typeOf || null,
+    inSubquery: options.inSubquery || null,
+    semiJoins: parent ? parent.semiJoins : { count: 0 },
+  };
+}
+
+function entryFor(scope, clause, details) {
+  return Object.assign(
+    { clause },
+    scope.relationship ? { relationship: scope.relationship } : {},
+    scope.typeOf ? { typeOf: scope.typeOf } : {},
+    scope.inSubquery ? { inSubquery: scope.inSubquery } : {},
+    details
+  );
+}
+
+function keep(scope, clause, details) {
+  scope.kept.push(entryFor(scope, clause, details));
+}
+
+function drop(scope, clause, details) {
+  scope.drops.push(entryFor(scope, clause, details));
+  return null;
+}
+
+// Why a field is missing from scope.allowed: allowlisted fields the connected
+// user cannot read get their own reason so callers know to fix permissions.
+function fieldDenial(scope, field) {
+  const spec = OBJECTS[scope.object];
+  const access = getFieldAccess(scope.object, field);
+  if (spec && spec.fields.includes(field) && access && !access.accessible) {
+    return { reason: 'field_not_accessible', message: `Field not readable by the connected user: ${scope.object}.${field}` };
+  }
+  return { reason: 'field_not_allowed', message: `Field not allowed: ${scope.object}.${field}` };
+}
+
+function selectFields(scope, fields) {
+  const requested = Array.isArray(fields) && fields.length ? fields : getDefaultFields(scope.object, scope.profile);
+  const selected = [];
+  for (const field of requested) {
+    if (scope.allowed.has(field)) {
+      selected.push(field);
+      keep(scope, 'fields', { field });
+    } else drop(scope, 'fields', Object.assign({ field }, fieldDenial(scope, field)));
+  }
+  return selected;
+}
+
+function buildClause(scope, clause) {
+  const { object } = scope;
+  if (!clause || typeof clause !== 'object') {
+    return drop(scope, 'where', { reason: 'invalid_clause', message: `Invalid where clause: ${JSON.stringify(clause)}` });
+  }
+  if (clause.fn) {
+    return drop(scope, 'where', { fn: clause.fn, field: clause.field, reason: 'invalid_clause', message: `Aggregate conditions belong in having: ${describeClause(clause)}` });
+  }
+  if (clause.inSubquery !== undefined) return buildSemiJoin(scope, clause);
+  const field = String(clause.field || '').trim();
+  if (!field) return drop(scope, 'where', { reason: 'invalid_clause', message: 'Where clause is missing a field' });
+  const op = String((clause.op || '=')).toUpperCase();
+  if (!scope.allowed.has(field)) {
+    return drop(scope, 'where', Object.assign({ field, op }, fieldDenial(scope, field)));
+  }
+  const access = getFieldAccess(object, field);
+  if (access && !access.filterable) {
+    return drop(scope, 'where', { field, op, reason: 'field_not_filterable', message: `Field cannot be filtered on: ${object}.${field}` });
+  }
+  if (!isOperatorAllowed(object, field, op, scope.profile)) {
+    return drop(scope, 'where', { field, op, reason: 'operator_not_allowed', message: `Operator ${op} not allowed on ${object}.${field}` });
+  }
+  const value = clauseValue(clause);
+  if (value === undefined) {
+    return drop(scope, 'where', { field, op, reason: 'missing_value', message: `Missing value for ${object}.${field} ${op}` });
+  }
+  // Throws ValueValidationError when describe says the value cannot match
+  const typed = formatTypedComparison(object, field, op, value);
+  keep(scope, 'where', { field, op });
+  return typed || formatComparison(field, op, value);
+}
+
+// Semi-join operands must be Id or lookup fields. Allowlists usually list
+// lookups as relationship paths (Account.Id), so either spelling is accepted
+// and written as the lookup field (AccountId). Returns { sql, allowedAs }
+// with allowedAs null when neither spelling is allowlisted.
+function idOperand(scope, field) {
+  const { object } = scope;
+  const path = /^([A-Za-z][A-Za-z0-9_]*)\.Id$/.exec(field);
+  let sql = field;
+  let relationship = null;
+  if (path) {
+    relationship = path[1];
+    sql = getRelationshipField(object, relationship) || (relationship.endsWith('__r') ? `${relationship.slice(0, -3)}__c` : `${relationship}Id`);
+  } else if (field !== 'Id') {
+    if (field.includes('.')) throw new Error(`inSubquery needs an Id or lookup field, not a relationship path: ${object}.${field}`);
+    relationship = field.endsWith('__c') ? `${field.slice(0, -3)}__r` : field.replace(/Id$/, '');
+  }
+  const meta = getFieldMetadata(object, sql);
+  const isId = meta && meta.type ? meta.type === 'id' || meta.type === 'reference' : /^[A-Za-z0-9_]*Id$/.test(sql);
+  if (!isId) throw new Error(`inSubquery needs an Id or lookup field, got ${object}.${field}`);
+  let allowedAs = null;
+  if (scope.allowed.has(sql)) allowedAs = sql;
+  else if (relationship && scope.allowed.has(`${relationship}.Id`)) allowedAs = `${relationship}.Id`;
+  return { sql, allowedAs };
+}
+
+// { field: 'Id', op: 'IN' | 'NOT IN', inSubquery: { object, field, where? } }
+// -> Id IN (SELECT AccountId FROM Opportunity WHERE ...). Both sides are
+// checked against the allowlist; Salesforce's semi-join restrictions (Id or
+// lookup operands, no nesting, no OR, at most two per query, different
+// objects) fail the request before it is sent.
+function buildSemiJoin(scope, clause) {
+  const { object } = scope;
+  const sub = clause.inSubquery;
+  const field = String(clause.field || '').trim();
+  const op = String(clause.op || 'IN').toUpperCase();
+  if (scope.inSubquery || scope.relationship) {
+    throw new Error(`inSubquery is only allowed in the top-level where: ${object}.${field}`);
+  }
+  if (!SEMI_JOIN_OPERATORS.includes(op)) throw new Error(`inSubquery needs IN or NOT IN, got ${op} on ${object}.${field}`);
+  if (!sub || typeof sub !== 'object' || Array.isArray(sub)) throw new Error(`inSubquery on ${object}.${field} must be an object with object and field`);
+  const innerObject = String(sub.object || '').trim();
+  const innerField = String(sub.field || '').trim();
+  if (!innerObject || !innerField) throw new Error(`inSubquery on ${object}.${field} must name an object and a field`);
+  if (innerObject === object) throw new Error(`inSubquery cannot select from the same object as the outer query (${object}.${field})`);
+  scope.semiJoins.count += 1;
+  if (scope.semiJoins.count > MAX_SEMI_JOINS) throw new Error(`At most ${MAX_SEMI_JOINS} inSubquery conditions are allowed per query`);
+
+  const outer = idOperand(scope, field);
+  if (!outer.allowedAs) return drop(scope, 'where', Object.assign({ field, op }, fieldDenial(scope, field)));
+  if (!isOperatorAllowed(object, outer.allowedAs, op, scope.profile)) {
+    return drop(scope, 'where', { field, op, reason: 'operator_not_allowed', message: `Operator ${op} not allowed on ${object}.${field}` });
+  }
+  if (!isObjectAllowed(innerObject, scope.profile)) {
+    return drop(scope, 'where', { field, op, reason: 'object_not_allowed', message: `Object not allowed: ${innerObject} (via inSubquery on ${object}.${field})` });
+  }
+
+  const inner = createScope(innerObject, scope, { inSubquery: innerObject });
+  const selected = idOperand(inner, innerField);
+  if (!selected.allowedAs) return drop(inner, 'where', Object.assign({ field: innerField }, fieldDenial(inner, innerField)));
+  // The inner query honors the caller's row filters on its object too
+  const whereSql = buildWhere(inner, sub.where);
+  keep(scope, 'where', { field, op, subquery: `${innerObject}.${selected.sql}` });
+  return `${outer.sql} ${op} (SELECT ${selected.sql} FROM ${innerObject}${whereSql})`;
+}
+
+// Semi-joins cannot sit under OR or NOT in SOQL
+function checkSemiJoinPlacement(node, underOrNot) {
+  if (Array.isArray(node)) return node.forEach((child) => checkSemiJoinPlacement(child, underOrNot));
+  if (!node || typeof node !== 'object') return;
+  if (isWhereGroup(node)) {
+    if (node.not !== undefined) return checkSemiJoinPlacement(node.not, true);
+    const children = node.and || node.or;
+    if (Array.isArray(children)) children.forEach((child) => checkSemiJoinPlacement(child, underOrNot || !!node.or));
+    return;
+  }
+  if (node.inSubquery !== undefined && underOrNot) {
+    throw new Error(`inSubquery cannot be used inside an OR or NOT group: ${node.field}`);
+  }
+}
+
+function describeClause(clause) {
+  if (!clause || typeof clause !== 'object') return JSON.stringify(clause);
+  const target = clause.fn ? `${String(clause.fn).toUpperCase()}(${clause.field || ''})` : (clause.field || '?');
+  return `${target} ${String(clause.op || '=').toUpperCase()}`;
+}
+
+// Build a condition tree, turning leaves into SQL with buildLeaf. Clauses that
+// are not allowed are skipped inside AND groups, like every other dropped
+// item: the query then matches more rows than asked for (never rows the
+// allowlist hides) and the drop is reported. Under OR or NOT a dropped clause
+// would invert or reshape what the query matches, so `exact` makes it an
+// error instead. In strict mode every drop is an error anyway, so building
+// continues to collect the full list.
+function buildCondition(scope, label, buildLeaf, node, depth, exact) {
+  if (depth > MAX_WHERE_DEPTH) throw new Error(`${label} clause nesting exceeds ${MAX_WHERE_DEPTH} levels`);
+  if (Array.isArray(node)) node = { and: node };
+
+  if (isWhereGroup(node)) {
+    const keys = GROUP_KEYS.filter((k) => k in node);
+    if (keys.length !== 1) throw new Error(`${label} group must have exactly one of and, or, not`);
+    const key = keys[0];
+
+    if (key === 'not') {
+      const inner = buildCondition(scope, label, buildLeaf, node.not, depth + 1, true);
+      return inner ? `(NOT ${inner})` : null;
+    }
+
+    const children = node[key];
+    if (!Array.isArray(children) || !children.length) throw new Error(`${label} "${key}" group must be a non-empty array`);
+    const childExact = exact || key === 'or';
+    const parts = children
+      .map((child) => buildCondition(scope, label, buildLeaf, child, depth + 1, childExact))
+      .filter(Boolean);
+    if (!parts.length) return null;
+    if (parts.length === 1) return parts[0];
+    const joined = parts.join(key === 'or' ? ' OR ' : ' AND ');
+    return depth === 0 ? joined : `(${joined})`;
   }
-  return [];
+
+  const sql = buildLeaf(node);
+  if (!sql && exact && !scope.strict) throw new Error(`${label} clause not allowed inside OR/NOT group: ${describeClause(node)}`);
+  return sql;
 }
 
-function buildWhere(object, where) {
-  const items = normalizeWhereArray(where);
+function rowFilterCondition(node) {
+  if (Array.isArray(node)) node = { and: node };
+  if (node.not) return `(NOT ${rowFilterCondition(node.not)})`;
+  if (node.and || node.or) {
+    const parts = (node.and || node.or).map(rowFilterCondition);
+    return parts.length === 1 ? parts[0] : `(${parts.join(node.and ? ' AND ' : ' OR ')})`;
+  }
+  const op = String(node.op || '=').toUpperCase();
+  const value = (op === 'IN' || op === 'NOT IN') && !Array.isArray(node.value) ? [node.value] : node.value;
+  return formatComparison(node.field, op, value);
+}
+
+/**
+ * Mandatory row filter SQL for an object, or null. Row filters come from
+ * server configuration (validated in accessProfiles.js), not from the caller,
+ * so they bypass the allowlist and cannot be dropped.
+ */
+function buildRowFilter(object, rowFilters) {
+  const nodes = rowFilters && rowFilters[object];
+  if (!nodes || !nodes.length) return null;
+  return nodes.map(rowFilterCondition).join(' AND ');
+}
+
+// extraSql is an already checked condition ANDed in (the `near` radius)
+function buildWhere(scope, where, extraSql = null) {
+  const tree = normalizeWhere(where);
+  if (tree) checkSemiJoinPlacement(tree, false);
+  const sql = tree ? buildCondition(scope, 'Where', (clause) => buildClause(scope, clause), tree, 0, false) : null;
+  const rowSql = buildRowFilter(scope.object, scope.rowFilters);
+  const conditions = [rowSql, extraSql, sql].filter(Boolean);
+  if (conditions.length > 1) return ` WHERE ${conditions.map((c) => `(${c})`).join(' AND ')}`;
+  if (conditions.length) return ' WHERE ' + conditions[0];
+  return '';
+}
+
+const DISTANCE_UNITS = ['mi', 'km'];
+const GEOLOCATION_TYPES = ['address', 'location'];
+// Unaliased DISTANCE() in SELECT comes back as expr0; attachDistance renames it
+const DISTANCE_KEY = 'distance';
+
+function coordinate(name, value, max) {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n) || Math.abs(n) > max) {
+    throw new Error(`near.${name} must be a number between -${max} and ${max}`);
+  }
+  return n;
+}
+
+// { field, latitude, longitude, radius?, unit? } -> DISTANCE(...) expression,
+// or null when the field is not flagged as geolocation in the allowlist
+function buildNear(scope, near) {
+  if (!near || typeof near !== 'object' || Array.isArray(near)) throw new Error('near must be an object with field, latitude and longitude');
+  const field = String(near.field || '').trim();
+  if (!field) throw new Error('near.field is required');
+  const latitude = coordinate('latitude', near.latitude, 90);
+  const longitude = coordinate('longitude', near.longitude, 180);
+  const unit = near.unit === undefined ? 'mi' : String(near.unit).toLowerCase();
+  if (!DISTANCE_UNITS.includes(unit)) throw new Error(`near.unit must be one of ${DISTANCE_UNITS.join(', ')}`);
+  let radius = null;
+  if (near.radius !== undefined) {
+    radius = typeof near.radius === 'string' ? Number(near.radius) : near.radius;
+    if (typeof radius !== 'number' || !Number.isFinite(radius) || radius <= 0) throw new Error('near.radius must be a positive number');
+  }
+  const meta = getFieldMetadata(scope.object, field);
+  if (!isFieldGeolocation(scope.object, field, scope.profile) || (meta && meta.type && !GEOLOCATION_TYPES.includes(meta.type))) {
+    return drop(scope, 'near', { field, reason: 'field_not_geolocation', message: `Field is not an allowlisted geolocation field: ${scope.object}.${field}` });
+  }
+  keep(scope, 'near', { field, unit, radius });
+  const expr = `DISTANCE(${field}, GEOLOCATION(${latitude}, ${longitude}), '${unit}')`;
+  return { field, latitude, longitude, unit, radius, expr, sql: radius === null ? null : `${expr} < ${radius}` };
+}
+
+/**
+ * Move the DISTANCE() column of a `near` query (expr0) to `distance`
+ */
+function attachDistance(records) {
+  return (Array.isArray(records) ? records : []).map((rec) => {
+    if (!rec || !('expr0' in rec)) return rec;
+    const out = Object.assign({}, rec, { [DISTANCE_KEY]: rec.expr0 === null ? null : Number(rec.expr0) });
+    delete out.expr0;
+    return out;
+  });
+}
+
+function orderDirection(item) {
+  return String(item.direction || 'ASC').toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+}
+
+function buildOrderBy(scope, orderBy, near = null) {
+  if (!orderBy) return '';
+  const list = Array.isArray(orderBy) ? orderBy : [orderBy];
   const parts = [];
-  for (const clause of items) {
-    if (!clause || typeof clause !== 'object') continue;
-    const field = String(clause.field || '').trim();
-    if (!field) continue;
-    const op = String((clause.op || '=')).toUpperCase();
-    if (!isOperatorAllowed(object, field, op)) continue;
-    const value = clause.value !== undefined ? clause.value : clause.values;
-    if (value === undefined) continue;
-    if ((op === 'IN' || op === 'NOT IN') && Array.isArray(value)) {
-      const list = value.map(formatSoqlLiteral).join(', ');
-      parts.push(`${field} ${op} (${list})`);
-    } else if (op === 'LIKE' && typeof value === 'string') {
-      parts.push(`${field} LIKE ${escapeSoqlLiteral(value)}`);
-    } else {
-      parts.push(`${field} ${op} ${formatSoqlLiteral(value)}`);
+  for (const item of list) {
+    if (!item || typeof item !== 'object' || typeof item.field !== 'string') {
+      drop(scope, 'orderBy', { reason: 'invalid_clause', message: `Invalid orderBy item: ${JSON.stringify(item)}` });
+      continue;
+    }
+    // `distance` orders by the `near` point
+    if (item.field === DISTANCE_KEY && near) {
+      keep(scope, 'orderBy', { field: DISTANCE_KEY, direction: orderDirection(item) });
+      parts.push(`${near.expr} ${orderDirection(item)}`);
+      continue;
+    }
+    // Only allow ordering by allowed fields
+    if (!scope.allowed.has(item.field)) {
+      drop(scope, 'orderBy', Object.assign({ field: item.field }, fieldDenial(scope, item.field)));
+      continue;
     }
+    if (!isFieldSortable(scope.object, item.field, scope.profile)) {
+      drop(scope, 'orderBy', { field: item.field, reason: 'field_not_sortable', message: `Field cannot be sorted on: ${scope.object}.${item.field}` });
+      continue;
+    }
+    keep(scope, 'orderBy', { field: item.field, direction: orderDirection(item) });
+    parts.push(`${item.field} ${orderDirection(item)}`);
   }
   if (!parts.length) return '';
-  return ' WHERE ' + parts.join(' AND ');
+  return ' ORDER BY ' + parts.join(', ');
+}
+
+const NUMERIC_AGGREGATES = ['COUNT', 'COUNT_DISTINCT', 'SUM', 'AVG'];
+const HAVING_OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'IN', 'NOT IN'];
+
+function aliasFor(field) {
+  return field.replace(/\./g, '_');
 }
 
-function buildOrderBy(object, orderBy) {
+// COUNT without a field counts rows and is emitted as COUNT(Id)
+function aggregateTarget(scope, clause, fn, field) {
+  const name = String(fn || '').toUpperCase();
+  const target = field ? String(field).trim() : (name === 'COUNT' ? 'Id' : '');
+  if (!target || !isAggregateAllowed(scope.object, name, target, scope.profile)) {
+    return drop(scope, clause, { fn: name, field: target || null, reason: 'aggregate_not_allowed', message: `Aggregate ${name}(${target}) not allowed on ${scope.object}` });
+  }
+  return { fn: name, field: target, expr: `${name}(${target})` };
+}
+
+// { fn, field?, alias? } -> { fn, field, alias, expr } or null if not allowed
+function normalizeAggregate(scope, item) {
+  if (!item || typeof item !== 'object') {
+    return drop(scope, 'aggregates', { reason: 'invalid_clause', message: `Invalid aggregate: ${JSON.stringify(item)}` });
+  }
+  const agg = aggregateTarget(scope, 'aggregates', item.fn, item.field);
+  if (!agg) return null;
+  const alias = item.alias ? String(item.alias) : `${agg.fn.toLowerCase()}_${aliasFor(agg.field)}`;
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(alias)) throw new Error(`Invalid aggregate alias: ${alias}`);
+  keep(scope, 'aggregates', { fn: agg.fn, field: agg.field, alias });
+  return Object.assign(agg, { alias });
+}
+
+function buildHavingClause(scope, groupBy, aggregates, clause) {
+  if (!clause || typeof clause !== 'object') {
+    return drop(scope, 'having', { reason: 'invalid_clause', message: `Invalid having clause: ${JSON.stringify(clause)}` });
+  }
+  const op = String(clause.op || '=').toUpperCase();
+  if (!HAVING_OPERATORS.includes(op)) {
+    return drop(scope, 'having', { field: clause.field, op, reason: 'operator_not_allowed', message: `Operator ${op} not allowed in having: ${describeClause(clause)}` });
+  }
+  const value = clauseValue(clause);
+  if (value === undefined) {
+    return drop(scope, 'having', { field: clause.field, op, reason: 'missing_value', message: `Missing value for having ${describeClause(clause)}` });
+  }
+  if (clause.fn) {
+    const agg = aggregateTarget(scope, 'having', clause.fn, clause.field);
+    if (!agg) return null;
+    keep(scope, 'having', { fn: agg.fn, field: agg.field, op });
+    return formatComparison(agg.expr, op, value);
+  }
+  // Bare names may refer to an aggregate alias or a grouped field
+  const byAlias = aggregates.find((a) => a.alias === clause.field);
+  if (byAlias) {
+    keep(scope, 'having', { fn: byAlias.fn, field: byAlias.field, alias: byAlias.alias, op });
+    return formatComparison(byAlias.expr, op, value);
+  }
+  const field = String(clause.field || '').trim();
+  if (!groupBy.includes(field)) {
+    return drop(scope, 'having', { field, op, reason: 'not_grouped', message: `Having field is neither a groupBy field nor an aggregate alias: ${field}` });
+  }
+  if (!isOperatorAllowed(scope.object, field, op, scope.profile)) {
+    return drop(scope, 'having', { field, op, reason: 'operator_not_allowed', message: `Operator ${op} not allowed on ${scope.object}.${field}` });
+  }
+  keep(scope, 'having', { field, op });
+  return formatComparison(field, op, value);
+}
+
+function buildAggregateOrderBy(scope, groupBy, aggregates, orderBy) {
   if (!orderBy) return '';
   const list = Array.isArray(orderBy) ? orderBy : [orderBy];
   const parts = [];
   for (const item of list) {
-    if (!item || typeof item !== 'object') continue;
-    const field = typeof item.field === 'string' ? item.field : null;
-    if (!field) continue;
-    // Only allow ordering by allowed fields
-    const direction = String(item.direction || 'ASC').toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-    parts.push(`${field} ${direction}`);
+    if (!item || typeof item !== 'object') {
+      drop(scope, 'orderBy', { reason: 'invalid_clause', message: `Invalid orderBy item: ${JSON.stringify(item)}` });
+      continue;
+    }
+    let expr = null;
+    if (item.fn) {
+      const agg = aggregateTarget(scope, 'orderBy', item.fn, item.field);
+      if (agg) expr = agg.expr;
+    } else {
+      const byAlias = aggregates.find((a) => a.alias === item.field);
+      if (byAlias) expr = byAlias.expr;
+      else if (groupBy.includes(item.field)) expr = item.field;
+      else drop(scope, 'orderBy', { field: item.field, reason: 'not_grouped', message: `Order by field is neither a groupBy field nor an aggregate alias: ${item.field}` });
+    }
+    if (!expr) continue;
+    keep(scope, 'orderBy', { expr, direction: orderDirection(item) });
+    parts.push(`${expr} ${orderDirection(item)}`);
   }
   if (!parts.length) return '';
   return ' ORDER BY ' + parts.join(', ');
 }
 
-function buildSafeSoql({ object, fields, filters, where, orderBy, limit }) {
-  if (!isObjectAllowed(object)) {
+function buildAggregateSoql(scope, { aggregates, groupBy, having, where, filters, orderBy, limit }) {
+  const { object } = scope;
+  const groupFields = Array.isArray(groupBy) ? groupBy.map((f) => String(f).trim()).filter(Boolean) : [];
+  for (const field of groupFields) {
+    // Dropping a grouping would silently change what every row means
+    if (!isFieldGroupable(object, field, scope.profile)) throw new Error(`Field not groupable: ${object}.${field}`);
+    keep(scope, 'groupBy', { field });
+  }
+  const aggs = (Array.isArray(aggregates) ? aggregates : [])
+    .map((item) => normalizeAggregate(scope, item))
+    .filter(Boolean);
+
+  const columns = [
+    ...groupFields.map((field) => ({ name: field, kind: 'group', field, key: field.includes('.') ? aliasFor(field) : field })),
+    ...aggs.map((a) => ({ name: a.alias, kind: 'aggregate', fn: a.fn, field: a.field, key: a.alias })),
+  ];
+  const seen = new Set();
+  for (const col of columns) {
+    if (seen.has(col.key.toLowerCase())) throw new Error(`Duplicate aggregate column: ${col.key}`);
+    seen.add(col.key.toLowerCase());
+  }
+
+  const selectList = [
+    ...groupFields.map((field) => (field.includes('.') ? `${field} ${aliasFor(field)}` : field)),
+    ...aggs.map((a) => `${a.expr} ${a.alias}`),
+  ].join(', ');
+  const whereSql = buildWhere(scope, where || filters);
+  const groupSql = groupFields.length ? ' GROUP BY ' + groupFields.join(', ') : '';
+  let havingSql = '';
+  const havingTree = normalizeWhere(having);
+  if (havingTree) {
+    if (!groupFields.length) throw new Error('Having requires groupBy');
+    const sql = buildCondition(scope, 'Having', (clause) => buildHavingClause(scope, groupFields, aggs, clause), havingTree, 0, false);
+    if (sql) havingSql = ' HAVING ' + sql;
+  }
+  const orderSql = buildAggregateOrderBy(scope, groupFields, aggs, orderBy);
+  finishBuild(scope, aggs.length ? null : 'No allowed aggregates requested');
+  const soql = `SELECT ${selectList} FROM ${object}${whereSql}${groupSql}${havingSql}${orderSql} LIMIT ${clampLimit(limit, scope.profile)}`;
+  const fieldsUsed = Array.from(new Set([...groupFields, ...aggs.map((a) => a.field)]));
+  return { soql, fieldsUsed, aggregate: true, columns, kept: scope.kept, warnings: scope.drops };
+}
+
+/**
+ * Turn AggregateResult records into plain rows keyed by column name, with
+ * grouped relationship fields restored to their dotted path and counts/sums/
+ * averages as numbers.
+ */
+function shapeAggregateRows(records, columns) {
+  return (Array.isArray(records) ? records : []).map((rec) => {
+    const row = {};
+    for (const col of columns) {
+      const raw = rec ? rec[col.key] : undefined;
+      if (col.kind === 'aggregate' && NUMERIC_AGGREGATES.includes(col.fn)) {
+        row[col.name] = raw === null || raw === undefined ? null : Number(raw);
+      } else {
+        row[col.name] = raw === undefined ? null : raw;
+      }
+    }
+    return row;
+  });
+}
+
+// Salesforce allows at most 20 child relationship subqueries per query
+const MAX_CHILD_QUERIES = 20;
+
+function buildChildSubquery(parent, child, childObjects) {
+  const { object } = parent;
+  if (!child || typeof child !== 'object') throw new Error('Each child must be an object with a relationship');
+  const relationship = String(child.relationship || '').trim();
+  if (!relationship) throw new Error('Child relationship name is required');
+  const childObject = childObjects && childObjects[relationship];
+  if (!childObject) throw new Error(`Unknown child relationship: ${object}.${relationship}`);
+  if (!isObjectAllowed(childObject, parent.profile)) throw new Error(`Object not allowed: ${childObject} (via ${object}.${relationship})`);
+
+  const scope = createScope(childObject, parent, { relationship });
+  const fieldsUsed = selectFields(scope, child.fields);
+  const whereSql = buildWhere(scope, child.where);
+  const orderSql = buildOrderBy(scope, child.orderBy);
+  const sql = `(SELECT ${fieldsUsed.join(', ')} FROM ${relationship}${whereSql}${orderSql} LIMIT ${clampLimit(child.limit, scope.profile)})`;
+  return { sql, relationship, object: childObject, fieldsUsed };
+}
+
+// TYPEOF is only valid in the outer SELECT of non-aggregate queries
+const MAX_TYPEOF_BLOCKS = 5;
+
+function hasRowFilter(rowFilters, object) {
+  return !!(rowFilters && rowFilters[object] && rowFilters[object].length);
+}
+
+// One `typeof` block: { field: 'What', when: { Opportunity: [fields] }, else?: [fields] }.
+// Branch fields are checked against the branch object's allowlist, ELSE
+// fields against the relationship paths (What.Name) allowed on the parent.
+function buildTypeOf(parent, block) {
+  if (!block || typeof block !== 'object') throw new Error('Each typeof block must be an object with a field');
+  const field = String(block.field || '').trim();
+  if (!field) throw new Error('Typeof field is required');
+  const relScope = createScope(parent.object, parent, { relationship: field });
+  const pathPrefix = `${field}.`;
+  if (!Array.from(parent.allowed).some((f) => f.startsWith(pathPrefix))) {
+    return drop(relScope, 'typeof', { field, reason: 'field_not_allowed', message: `Polymorphic field not allowed: ${parent.object}.${field}` });
+  }
+  const targets = getRelationshipTargets(parent.object, field);
+  const when = block.when && typeof block.when === 'object' && !Array.isArray(block.when) ? block.when : {};
+
+  const branches = [];
+  for (const [type, fields] of Object.entries(when)) {
+    if (!isObjectAllowed(type, parent.profile)) {
+      drop(relScope, 'typeof', { field, type, reason: 'object_not_allowed', message: `Object not allowed: ${type} (via TYPEOF ${parent.object}.${field})` });
+      continue;
+    }
+    if (targets && !targets.includes(type)) {
+      drop(relScope, 'typeof', { field, type, reason: 'invalid_type', message: `${parent.object}.${field} cannot point to ${type}` });
+      continue;
+    }
+    // A row filter cannot be expressed inside TYPEOF
+    if (hasRowFilter(parent.rowFilters, type)) {
+      throw new Error(`Row filters apply to ${type}; it cannot be selected through TYPEOF ${parent.object}.${field}`);
+    }
+    const scope = createScope(type, parent, { relationship: field, typeOf: type });
+    const selected = selectFields(scope, fields);
+    if (selected.length) branches.push({ type, fields: selected });
+  }
+
+  const elseFields = [];
+  for (const name of Array.isArray(block.else) ? block.else : []) {
+    const path = `${field}.${name}`;
+    if (parent.allowed.has(path)) {
+      elseFields.push(name);
+      keep(relScope, 'typeof', { field: path });
+    } else drop(relScope, 'typeof', Object.assign({ field: path }, fieldDenial(parent, path)));
+  }
+
+  if (!branches.length && !elseFields.length) return null;
+  const whens = branches.map((b) => `WHEN ${b.type} THEN ${b.fields.join(', ')}`);
+  const elsePart = elseFields.length ? ` ELSE ${elseFields.join(', ')}` : '';
+  // SOQL needs at least one WHEN; an ELSE-only block is a plain relationship select
+  if (!whens.length) return { sql: elseFields.map((f) => `${field}.${f}`).join(', '), field, branches, else: elseFields };
+  return { sql: `TYPEOF ${field} ${whens.join(' ')}${elsePart} END`, field, branches, else: elseFields };
+}
+
+// Exports page through results with queryMore, so the LIMIT is the export
+// row cap rather than the per-request maximum. One row past the cap is
+// requested so the export can tell a truncated result from one that fit.
+function exportLimit(limit, max) {
+  const n = Number.parseInt(limit, 10);
+  return Number.isFinite(n) && n > 0 && n <= max ? n : max + 1;
+}
+
+// Strict mode rejects the request if anything was dropped; otherwise an
+// empty select list is still an error.
+function finishBuild(scope, emptyMessage) {
+  if (scope.strict && scope.drops.length) throw new SafeQueryStrictError(scope.drops);
+  if (emptyMessage) throw new Error(emptyMessage);
+}
+
+/**
+ * Build allowlisted SOQL from a safe-query payload. Child relationship names
+ * in payload.children are mapped to objects through options.childObjects
+ * ({ relationshipName: objectName }), which callers resolve from describe.
+ * options.profile is the caller's access profile and options.rowFilters the
+ * caller's mandatory row filters ({ Object: [condition] }), if any.
+ * payload.typeof selects per-type fields of polymorphic lookups (Task.What);
+ * payload.near filters by DISTANCE from a point and selects the distance.
+ * options.exportLimit (exports only) replaces the per-request limit cap with
+ * the caller's export row cap; the payload limit may only lower it.
+ *
+ * Anything not allowed is left out and reported in `warnings` (what went in
+ * is listed in `kept`); with payload.strict (or options.strict as the
+ * default) it throws SafeQueryStrictError instead.
+ */
+function buildSafeSoql(payload, options = {}) {
+  const { object, fields, filters, where, orderBy, limit, aggregates, children, near: nearSpec, typeof: typeOfBlocks } = payload;
+  if (!isObjectAllowed(object, options.profile)) {
     throw new Error(`Object not allowed: ${object}`);
   }
-  let requestedFields = Array.isArray(fields) && fields.length ? fields : getDefaultFields(object);
-  const allowedFields = filterAllowedFields(object, requestedFields);
-  if (!allowedFields.length) {
-    throw new Error('No allowed fields requested');
+  const strict = typeof payload.strict === 'boolean' ? payload.strict : !!options.strict;
+  const scope = createScope(object, null, { strict, profile: options.profile, rowFilters: options.rowFilters });
+  const childList = Array.isArray(children) ? children : [];
+  const typeOfList = Array.isArray(typeOfBlocks) ? typeOfBlocks : [];
+  if (Array.isArray(aggregates) && aggregates.length) {
+    if (options.exportLimit) throw new Error('Aggregate queries cannot be exported');
+    if (childList.length) throw new Error('Child subqueries cannot be combined with aggregates');
+    if (typeOfList.length) throw new Error('TYPEOF cannot be combined with aggregates');
+    if (nearSpec !== undefined) throw new Error('near cannot be combined with aggregates');
+    return buildAggregateSoql(scope, payload);
   }
-  const finalLimit = clampLimit(limit);
-  const whereSql = buildWhere(object, where || filters);
-  const orderSql = buildOrderBy(object, orderBy);
-  const selectList = allowedFields.join(', ');
+  const allowedFields = selectFields(scope, fields);
+  if (childList.length > MAX_CHILD_QUERIES) {
+    throw new Error(`At most ${MAX_CHILD_QUERIES} child subqueries are allowed`);
+  }
+  if (typeOfList.length > MAX_TYPEOF_BLOCKS) {
+    throw new Error(`At most ${MAX_TYPEOF_BLOCKS} typeof blocks are allowed`);
+  }
+  const typeOfs = typeOfList.map((block) => buildTypeOf(scope, block)).filter(Boolean);
+  const subqueries = childList.map((child) => buildChildSubquery(scope, child, options.childObjects));
+  const near = nearSpec !== undefined ? buildNear(scope, nearSpec) : null;
+  const finalLimit = options.exportLimit ? exportLimit(limit, options.exportLimit) : clampLimit(limit, scope.profile);
+  const whereSql = buildWhere(scope, where || filters, near && near.sql);
+  const orderSql = buildOrderBy(scope, orderBy, near);
+  const emptyChild = subqueries.find((c) => !c.fieldsUsed.length);
+  if (!allowedFields.length && !typeOfs.length) finishBuild(scope, 'No allowed fields requested');
+  else finishBuild(scope, emptyChild ? `No allowed fields requested for ${emptyChild.relationship}` : null);
+  const selectList = [...allowedFields, ...(near ? [near.expr] : []), ...typeOfs.map((t) => t.sql), ...subqueries.map((c) => c.sql)].join(', ');
   const soql = `SELECT ${selectList} FROM ${object}${whereSql}${orderSql} LIMIT ${finalLimit}`;
-  return { soql, fieldsUsed: allowedFields };
+  const built = { soql, fieldsUsed: allowedFields, kept: scope.kept, warnings: scope.drops };
+  if (subqueries.length) {
+    built.children = subqueries.map(({ relationship, object: childObject, fieldsUsed }) => ({ relationship, object: childObject, fieldsUsed }));
+  }
+  if (typeOfs.length) built.typeOf = typeOfs.map(({ field, branches, else: elseFields }) => ({ field, branches, else: elseFields }));
+  if (near) built.near = { field: near.field, latitude: near.latitude, longitude: near.longitude, unit: near.unit, radius: near.radius };
+  return built;
+}
+
+/**
+ * CSV columns for an export of a built (non-aggregate) query, in flattened
+ * form. Taken from the select list rather than the first page of results, so
+ * a relationship that is null throughout that page still gets its column.
+ */
+function exportColumns(built) {
+  const typeOf = built.typeOf || [];
+  const paths = [...built.fieldsUsed, ...(built.near ? [DISTANCE_KEY] : [])];
+  for (const block of typeOf) {
+    for (const branch of block.branches) paths.push(...branch.fields.map((f) => `${block.field}.${f}`));
+    paths.push(...block.else.map((f) => `${block.field}.${f}`));
+  }
+  return flattenedColumns(paths, { typeOf: typeOf.map((t) => t.field), children: (built.children || []).map((c) => c.relationship) });
 }
 
 module.exports = {
   buildSafeSoql,
+  exportColumns,
+  buildRowFilter,
+  shapeAggregateRows,
+  attachDistance,
   escapeSoqlLiteral,
+  normalizeWhere,
+  isWhereGroup,
+  SafeQueryStrictError,
+  MAX_WHERE_DEPTH,
+  MAX_CHILD_QUERIES,
+  MAX_TYPEOF_BLOCKS,
+  MAX_SEMI_JOINS,
 };
-
-
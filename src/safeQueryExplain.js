@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Dry run for safe-query payloads: builds the SOQL exactly like /safe-query,
+ * reports what was kept or dropped and which allowlist rules applied, and asks
+ * Salesforce for its query plan without fetching any records.
+ */
+
+const { buildSafeSoql } = require('./safeQuery');
+const {
+  getAllowedFields,
+  getAllowedOperators,
+  isFieldGroupable,
+  getAllowedAggregates,
+  clampLimit,
+  getMaxLimit,
+} = require('./allowlist');
+const { getFieldAccess } = require('./fieldSecurity');
+
+/**
+ * The allowlist rule for every field the payload referenced, per object, as
+ * seen through the caller's access profile
+ */
+function explainRules(payload, built, profile = null) {
+  const childObjects = new Map((built.children || []).map((c) => [c.relationship, c.object]));
+  const objects = {};
+  for (const entry of [...built.kept, ...built.warnings]) {
+    if (!entry.field) continue;
+    // `near` fields and the computed distance are not allowlist fields
+    if (entry.clause === 'near' || (built.near && entry.clause === 'orderBy' && entry.field === 'distance')) continue;
+    let object = payload.object;
+    if (entry.typeOf) object = entry.typeOf;
+    else if (entry.inSubquery) object = entry.inSubquery;
+    else if (entry.relationship && entry.clause !== 'typeof') object = childObjects.get(entry.relationship);
+    if (!object) continue;
+    if (!objects[object]) objects[object] = { allowedFields: new Set(getAllowedFields(object, profile)), fields: {} };
+    const target = objects[object];
+    if (target.fields[entry.field]) continue;
+    target.fields[entry.field] = {
+      allowed: target.allowedFields.has(entry.field),
+      operators: getAllowedOperators(object, entry.field, profile),
+      groupable: isFieldGroupable(object, entry.field, profile),
+      aggregates: getAllowedAggregates(object, entry.field, profile),
+      fieldSecurity: getFieldAccess(object, entry.field),
+    };
+  }
+  const rules = { objects: {}, limit: { requested: payload.limit === undefined ? null : payload.limit, applied: clampLimit(payload.limit, profile), max: getMaxLimit(profile) } };
+  for (const [object, { fields }] of Object.entries(objects)) rules.objects[object] = { fields };
+  return rules;
+}
+
+/**
+ * Condense the REST explain response. Plans come back cheapest first; a
+ * relativeCost above 1 means Salesforce would not use a selective index.
+ */
+function summarizePlan(response) {
+  const plans = Array.isArray(response && response.plans) ? response.plans : [];
+  if (!plans.length) return { plans, best: null };
+  const top = plans[0];
+  return {
+    plans,
+    best: {
+      leadingOperation: top.leadingOperationType,
+      cardinality: top.cardinality,
+      sobjectCardinality: top.sobjectCardinality,
+      relativeCost: top.relativeCost,
+      selective: typeof top.relativeCost === 'number' ? top.relativeCost <= 1 : null,
+      notes: top.notes || [],
+    },
+  };
+}
+
+async function fetchQueryPlan(conn, soql) {
+  const response = await conn.request(`/services/data/v${conn.version}/query/?explain=${encodeURIComponent(soql)}`);
+  return summarizePlan(response);
+}
+
+/**
+ * Explain a safe-query payload. The query is always built leniently so that
+ * every dropped item can be shown; `wouldReject` tells whether /safe-query
+ * would refuse it under the effective strict setting.
+ */
+async function explainSafeQuery(payload, { conn, childObjects, strict = false, profile = null, rowFilters = null } = {}) {
+  const effectiveStrict = typeof payload.strict === 'boolean' ? payload.strict : !!strict;
+  const built = buildSafeSoql(Object.assign({}, payload, { strict: false }), { childObjects, profile, rowFilters });
+
+  let plan = null;
+  let planError = null;
+  if (conn) {
+    try {
+      plan = await fetchQueryPlan(conn, built.soql);
+    } catch (err) {
+      planError = err && err.message ? err.message : String(err);
+    }
+  }
+
+  const result = {
+    objectName: payload.object,
+    soql: built.soql,
+    strict: effectiveStrict,
+    wouldReject: effectiveStrict && built.warnings.length > 0,
+    fieldsUsed: built.fieldsUsed,
+    kept: built.kept,
+    dropped: built.warnings,
+    rules: explainRules(payload, built, profile),
+    plan,
+  };
+  if (built.children) result.children = built.children;
+  if (built.typeOf) result.typeOf = built.typeOf;
+  if (built.near) result.near = built.near;
+  if (built.aggregate) result.columns = built.columns.map(({ name, kind, fn, field }) => ({ name, kind, fn, field }));
+  if (planError) result.planError = planError;
+  return result;
+}
+
+module.exports = {
+  explainSafeQuery,
+  explainRules,
+  summarizePlan,
+};
@@ -5,27 +5,43 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const { getConnection } = require('./sfConnection');
+const { getConnection, getAuthStatus, getConnectionState } = require('./sfConnection');
 const { extractObjectName, extractFields } = require('./soqlUtils');
 const analytics = require('./analytics');
-const { buildSafeSoql, escapeSoqlLiteral } = require('./safeQuery');
+const { buildSafeSoql, buildRowFilter, escapeSoqlLiteral, shapeAggregateRows, attachDistance, exportColumns, SafeQueryStrictError } = require('./safeQuery');
+const { explainSafeQuery } = require('./safeQueryExplain');
 const { flattenRecords } = require('./flatten');
-const { OBJECTS, getAllowedFields, getDefaultFields } = require('./allowlist');
+const { maskRecords } = require('./masking');
+const { ValueValidationError } = require('./valueValidation');
+const { resolveDateLiteral, DateLiteralError, DATE_LITERAL_NAMES } = require('./dateLiterals');
+const { OBJECTS, isObjectAllowed, getAllowedFields, getDefaultFields, getAllowedOperators, isFieldGroupable, isFieldGeolocation, getMaxLimit, getAllowlistInfo } = require('./allowlist');
+const { initAllowlistFromEnv } = require('./allowlistConfig');
+const { ensureFieldSecurity, getFieldSecurityMismatches } = require('./fieldSecurity');
+const { describeProfile } = require('./accessProfiles');
 const { manifest, openapi } = require('./manifest');
 const { toolsSchema } = require('./tools');
-const { generateObjectInsights } = require('./insights');
+const { generateObjectInsights, ObjectNotAllowedError } = require('./insights');
 const { toNdjson, toCsv } = require('./format');
+const { EXPORT_FORMATS, queryPages, streamExport } = require('./exporter');
+const { CursorError, issueCursor, readCursor } = require('./cursors');
+const { BulkApiError, assertBulkPayload, createQueryJob, getQueryJob, abortQueryJob, bulkResultPages, createColumnMasker, createJobRegistry } = require('./bulkQuery');
 const { renderInsightsMarkdown, renderInsightsSegments } = require('./contextRenderer');
 const { errorHandlerMiddleware, asyncHandler, enhanceError } = require('./errorHandler');
+const { listOrgs, describeOrg } = require('./orgRegistry');
+const { runWithOrg, currentOrgName, perOrg } = require('./orgContext');
 const fs = require('fs');
 const path = require('path');
 
 // Middleware imports
 const { logger, requestLogger, logQuery, logError } = require('./middleware/logger');
-const { requireApiKey, optionalApiKey } = require('./middleware/auth');
+const { requireApiKey, optionalApiKey, resolveMasking, resolveExportMaxRows } = require('./middleware/auth');
 const { apiLimiter, strictLimiter } = require('./middleware/rateLimiter');
+const { selectOrg } = require('./middleware/org');
+const { enforceSoqlPolicy, enforceSoslPolicy, getPolicyMode, resolveChildRelationship } = require('./middleware/queryPolicy');
 const {
   validateSafeQuery,
+  validateSafeQueryExport,
+  validateBulkQuery,
   validateQuery,
   validateSearch,
   validateObjectInsights,
@@ -42,6 +58,24 @@ try {
   logger.info('Dynamic allowlist not available, using static only');
 }
 
+// Org registry (ORGS_FILE) and versioned allowlist files (ALLOWLIST_FILE and
+// per-org allowlistFile); an invalid file stops startup
+try {
+  logger.info('Salesforce orgs configured', { orgs: listOrgs().map((org) => org.name), default: currentOrgName() });
+  initAllowlistFromEnv({ watch: true });
+} catch (err) {
+  logger.error('Failed to load org registry or allowlist file', { error: err.message });
+  process.exit(1);
+}
+
+// A misspelled QUERY_POLICY_MODE must not leave raw queries unchecked
+try {
+  getPolicyMode();
+} catch (err) {
+  logger.error('Invalid query policy configuration', { error: err.message, code: err.code });
+  process.exit(1);
+}
+
 const app = express();
 
 // Security middleware
@@ -61,15 +95,21 @@ app.use('/api/*', apiLimiter);
 // Health endpoints are excluded in the auth middleware
 app.use(requireApiKey);
 
+// Pick the Salesforce org (X-SF-Org header or /orgs/:org/ prefix); every
+// route below works against that org
+app.use(selectOrg);
+
 // Initialize dynamic allowlist on startup
 async function initializeDynamicAllowlist() {
   if (dynamicAllowlist) {
-    try {
-      const contextBundlesDir = path.resolve(process.cwd(), 'context_bundles');
-      await dynamicAllowlist.initialize(contextBundlesDir);
-      logger.info('Dynamic allowlist initialized');
-    } catch (err) {
-      logger.warn('Failed to initialize dynamic allowlist', { error: err.message });
+    // Each org discovers fields from its own context bundle directory
+    for (const org of listOrgs()) {
+      try {
+        await runWithOrg(org.name, () => dynamicAllowlist.initialize(org.bundleDir));
+        logger.info('Dynamic allowlist initialized', { org: org.name });
+      } catch (err) {
+        logger.warn('Failed to initialize dynamic allowlist', { org: org.name, error: err.message });
+      }
     }
   }
 }
@@ -87,6 +127,184 @@ function parsePositiveInt(value, fallback) {
   return Number.isFinite(n) && n > 0 ? n : fallback;
 }
 
+// Violations found by the raw query policy in audit mode are echoed back to the caller
+function policyReport(req) {
+  const policy = req.queryPolicy;
+  if (!policy || policy.allowed) return undefined;
+  return { mode: policy.mode, violations: policy.violations };
+}
+
+// Safe-query strict mode default (SAFE_QUERY_STRICT); a payload `strict` flag overrides it
+function isSafeQueryStrict() {
+  return process.env.SAFE_QUERY_STRICT === 'true';
+}
+
+function strictModeError(res, err) {
+  return res.status(400).json({
+    error: 'Safe query requested items that are not allowed',
+    code: err.code,
+    dropped: err.dropped,
+    suggestions: [
+      'List allowed objects, fields and operators with: GET /allowlist',
+      'Send strict: false to run the query without the dropped items'
+    ]
+  });
+}
+
+// Where-clause value that cannot match the field's describe type
+function invalidValueError(res, err) {
+  return res.status(400).json({
+    error: err.message,
+    code: err.code,
+    field: `${err.object}.${err.field}`,
+    validValues: err.validValues,
+    suggestions: [`Check field types and picklist values with: GET /sobjects/${err.object}/describe`]
+  });
+}
+
+// An object outside the caller's access profile
+function objectNotAllowedError(res, err) {
+  return res.status(403).json({ error: err.message, code: err.code });
+}
+
+// Access profile of the calling API key (null: the full allowlist)
+function callerProfile(req) {
+  return (req.apiKey && req.apiKey.profile) || null;
+}
+
+// Mandatory row filters of the caller ({ Object: [condition] }), from the key
+// profile and X-User-Id (see middleware/auth.js)
+function callerRowFilters(req) {
+  return req.rowFilters || {};
+}
+
+// Field masking rules for the caller (global rules plus the key profile's)
+function callerMasking(req) {
+  return resolveMasking(req.apiKey);
+}
+
+// Single masking step for records returned by jsforce, before any flattening
+// or shaping; nested records are masked by their own attributes.type
+function maskResponseRecords(req, records, objectName, options) {
+  return maskRecords(records, objectName || null, callerMasking(req), options);
+}
+
+// Export failures after the first page has been written cannot become a JSON
+// error: the transfer is aborted so the client never mistakes a partial
+// export for a complete one
+function abortExport(req, res, err) {
+  if (!res.headersSent) return false;
+  logger.error('Export failed mid-stream', { path: req.path, error: err && err.message ? err.message : String(err) });
+  res.destroy(err);
+  return true;
+}
+
+// Log a finished export; CSV values that had no column in the header are
+// also reported to the client in the X-Export-Dropped-Columns trailer
+function logExport(message, meta, exported) {
+  logger.info(message, Object.assign({}, meta, exported));
+  if (exported.droppedColumns && exported.droppedColumns.length) {
+    logger.warn('Export left out values with no CSV column', Object.assign({}, meta, { droppedColumns: exported.droppedColumns }));
+  }
+}
+
+// Pagination cursors are bound to the API key and X-User-Id that ran the query
+function cursorCaller(req) {
+  return { key: req.apiKeyValue || null, userId: req.rowPolicyUser || null, org: req.sfOrg.name };
+}
+
+// Opaque cursor for the page after `result` (null on the last page) in place
+// of Salesforce's nextRecordsUrl; page: { route, object, context }
+function pageCursor(req, result, page) {
+  if (!result.nextRecordsUrl) return null;
+  return issueCursor(Object.assign({ nextRecordsUrl: result.nextRecordsUrl }, page), cursorCaller(req));
+}
+
+const CURSOR_ERROR_STATUS = { CURSOR_EXPIRED: 410, CURSOR_CALLER_MISMATCH: 403 };
+
+// Open a caller-supplied cursor issued by `expected.route`. When it is
+// refused the error response is sent and null returned.
+function resumeCursor(req, res, token, expected) {
+  try {
+    return readCursor(token, expected, cursorCaller(req));
+  } catch (err) {
+    if (!(err instanceof CursorError)) throw err;
+    logger.warn('Cursor refused', { path: req.path, code: err.code, keyName: req.apiKey && req.apiKey.name });
+    res.status(CURSOR_ERROR_STATUS[err.code] || 400).json({ error: err.message, code: err.code });
+    return null;
+  }
+}
+
+// Endpoints that read records without going through the safe-query builder
+// refuse objects the caller has row filters for
+function rejectRowFiltered(req, res, objectNames) {
+  const rowFilters = callerRowFilters(req);
+  const filtered = objectNames ? objectNames.filter((name) => rowFilters[name]) : Object.keys(rowFilters);
+  if (!filtered.length) return false;
+  res.status(403).json({
+    error: 'Row policy',
+    message: `Endpoint does not apply mandatory row filters (${filtered.join(', ')}); use POST /safe-query`,
+  });
+  return true;
+}
+
+// Map safe-query `children` relationship names to their objects via describe
+async function resolveChildObjects(objectName, children, profile) {
+  const childObjects = {};
+  if (!Array.isArray(children) || !children.length || !isObjectAllowed(objectName, profile)) return childObjects;
+  for (const child of children) {
+    const rel = child && child.relationship;
+    if (typeof rel === 'string' && !(rel in childObjects)) {
+      childObjects[rel] = await resolveChildRelationship(objectName, rel);
+    }
+  }
+  return childObjects;
+}
+
+// Objects named in safe-query `inSubquery` conditions
+function semiJoinObjects(node) {
+  if (Array.isArray(node)) return node.flatMap(semiJoinObjects);
+  if (!node || typeof node !== 'object') return [];
+  if (node.and || node.or) return semiJoinObjects(node.and || node.or);
+  if (node.not) return semiJoinObjects(node.not);
+  const sub = node.inSubquery;
+  return sub && typeof sub.object === 'string' ? [sub.object, ...semiJoinObjects(sub.where)] : [];
+}
+
+// Other objects a safe-query payload touches: `typeof` branch targets and
+// `inSubquery` objects
+function referencedObjects(payload) {
+  const blocks = Array.isArray(payload.typeof) ? payload.typeof : [];
+  const typeOfObjects = blocks.flatMap((block) => (block && block.when && typeof block.when === 'object' ? Object.keys(block.when) : []));
+  return [...typeOfObjects, ...semiJoinObjects(payload.where || payload.filters)];
+}
+
+// Describe the objects a request touches so allowlist checks follow the
+// connected user's field-level security. A failed describe is only logged;
+// its message is returned (null on success).
+async function loadFieldSecurity(conn, objectNames) {
+  try {
+    await ensureFieldSecurity(conn, objectNames.filter(isObjectAllowed));
+    return null;
+  } catch (err) {
+    logger.warn('Field security describe failed', { objects: objectNames, error: err.message });
+    return err.message;
+  }
+}
+
+// Field security for the whole allowlist (/allowlist and /allowlist/stats).
+// Without it the static allowlist is reported; the reason is returned.
+async function loadAllowlistFieldSecurity() {
+  let conn;
+  try {
+    conn = await getConnection();
+  } catch (err) {
+    logger.warn('Field security not loaded: no Salesforce connection', { error: err.message });
+    return err.message;
+  }
+  return loadFieldSecurity(conn, Object.keys(OBJECTS));
+}
+
 // Serve static admin dashboard
 app.use('/admin', express.static(path.join(__dirname, '../public')));
 app.get('/', (req, res) => {
@@ -119,39 +337,58 @@ app.get('/health/ready', async (req, res) => {
     res.json({
       status: 'ready',
       salesforce: 'connected',
+      org: req.sfOrg.name,
       instanceUrl: conn.instanceUrl,
+      auth: getAuthStatus(),
+      connection: getConnectionState(),
       timestamp: new Date().toISOString()
     });
   } catch (err) {
-    logger.error('Readiness check failed', { error: err.message });
+    logger.error('Readiness check failed', { org: req.sfOrg.name, error: err.message });
 
     res.status(503).json({
       status: 'not ready',
       salesforce: 'disconnected',
+      org: req.sfOrg.name,
+      auth: getAuthStatus(),
+      connection: getConnectionState(),
       error: err.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+// Configured orgs (no credentials) and the one this request resolved to
+app.get('/orgs', (req, res) => {
+  res.json({
+    current: req.sfOrg.name,
+    orgs: listOrgs().map((org) => Object.assign(describeOrg(org), { allowlistVersion: getAllowlistInfo(org.name).version })),
+  });
+});
+
 // Dynamic allowlist stats and refresh
 app.get('/allowlist/stats', async (_req, res) => {
+  const flsError = await loadAllowlistFieldSecurity();
+  const fieldSecurity = getFieldSecurityMismatches(OBJECTS);
+
   if (!dynamicAllowlist) {
     return res.json({ 
       dynamic: false, 
-      message: 'Dynamic allowlist not available, using static allowlist only' 
+      message: 'Dynamic allowlist not available, using static allowlist only',
+      fieldSecurity,
+      ...(flsError ? { flsError } : {})
     });
   }
   
   try {
     const stats = dynamicAllowlist.getDiscoveryStats(OBJECTS);
-    res.json({ dynamic: true, stats });
+    res.json({ dynamic: true, stats, fieldSecurity, ...(flsError ? { flsError } : {}) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/allowlist/refresh', async (_req, res) => {
+app.post('/allowlist/refresh', async (req, res) => {
   if (!dynamicAllowlist) {
     return res.status(400).json({ 
       error: 'Dynamic allowlist not available' 
@@ -159,8 +396,7 @@ app.post('/allowlist/refresh', async (_req, res) => {
   }
   
   try {
-    const contextBundlesDir = path.resolve(process.cwd(), 'context_bundles');
-    await dynamicAllowlist.analyzeContextBundles(contextBundlesDir);
+    await dynamicAllowlist.analyzeContextBundles(req.sfOrg.bundleDir);
     const stats = dynamicAllowlist.getDiscoveryStats(OBJECTS);
     res.json({ 
       message: 'Dynamic allowlist refreshed', 
@@ -171,23 +407,27 @@ app.post('/allowlist/refresh', async (_req, res) => {
   }
 });
 
-// GET /query?soql=...&limit=200&next=nextUrl
-// - If next is provided, it will be used with conn.queryMore for pagination
-app.get('/query', asyncHandler(async (req, res) => {
+// GET /query?soql=...&limit=200&next=cursor
+// - next is the cursor from a previous /query response; the page after it is
+//   fetched with conn.queryMore
+app.get('/query', enforceSoqlPolicy, asyncHandler(async (req, res) => {
   const soql = req.query.soql;
   const limit = parsePositiveInt(req.query.limit, undefined);
-  const nextUrl = req.query.next;
+  const next = req.query.next;
 
-  if (!soql && !nextUrl) {
+  if (!soql && !next) {
     return res.status(400).json({ error: 'Provide soql or next parameter.' });
   }
 
   try {
+    const cursor = next ? resumeCursor(req, res, next, { route: 'query' }) : null;
+    if (next && !cursor) return;
+    const objectName = cursor ? cursor.object : extractObjectName(soql);
     const conn = await getConnection();
     let result;
 
-    if (nextUrl) {
-      result = await conn.queryMore(nextUrl);
+    if (cursor) {
+      result = await conn.queryMore(cursor.nextRecordsUrl);
     } else {
       if (limit && /\blimit\b/i.test(soql) === false) {
         // If client asked for limit and query has none, append it
@@ -199,7 +439,6 @@ app.get('/query', asyncHandler(async (req, res) => {
     }
 
     try {
-      const objectName = extractObjectName(soql || '');
       const fields = extractFields(soql || '');
       await analytics.recordQueryEvent({ kind: 'soql', objectName, fields, soql: soql || null, resultCount: (result.records || []).length });
     } catch (_) {}
@@ -207,8 +446,9 @@ app.get('/query', asyncHandler(async (req, res) => {
     res.json({
       totalSize: result.totalSize,
       done: result.done,
-      next: result.nextRecordsUrl || null,
-      records: result.records,
+      next: pageCursor(req, result, { route: 'query', object: objectName }),
+      records: maskResponseRecords(req, result.records, objectName),
+      policy: policyReport(req),
     });
   } catch (err) {
     res.status(500).json({ error: err && err.message ? err.message : String(err) });
@@ -216,7 +456,7 @@ app.get('/query', asyncHandler(async (req, res) => {
 }));
 
 // POST /query - JSON body { soql: string, limit?: number }
-app.post('/query', async (req, res) => {
+app.post('/query', enforceSoqlPolicy, async (req, res) => {
   const soql = req.body && req.body.soql;
   const limit = parsePositiveInt(req.body && req.body.limit, undefined);
 
@@ -234,14 +474,44 @@ app.post('/query', async (req, res) => {
     res.json({
       totalSize: result.totalSize,
       done: result.done,
-      next: result.nextRecordsUrl || null,
-      records: result.records,
+      next: pageCursor(req, result, { route: 'query', object: extractObjectName(finalSoql) }),
+      records: maskResponseRecords(req, result.records, extractObjectName(finalSoql)),
+      policy: policyReport(req),
     });
   } catch (err) {
     res.status(500).json({ error: err && err.message ? err.message : String(err) });
   }
 });
 
+// Streaming export of a raw query, following queryMore up to the caller's
+// export row cap. GET /query/export?soql=...&format=ndjson|csv or
+// POST /query/export { soql, format? }
+async function queryExport(req, res) {
+  const soql = (req.body && req.body.soql) || req.query.soql;
+  const format = (req.body && req.body.format) || req.query.format || 'ndjson';
+  if (!soql) return res.status(400).json({ error: 'Missing soql' });
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `Format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  const objectName = extractObjectName(soql);
+  try {
+    const conn = await getConnection();
+    const transform = (records) => {
+      const masked = maskResponseRecords(req, records, objectName);
+      return format === 'csv' ? flattenRecords(masked) : masked;
+    };
+    const exported = await streamExport(res, queryPages(conn, soql), { format, transform, maxRows: resolveExportMaxRows(req.apiKey) });
+    logExport('Query export finished', { objectName, format }, exported);
+    try {
+      await analytics.recordQueryEvent({ kind: 'soql_export', objectName, fields: extractFields(soql), soql, resultCount: exported.rows });
+    } catch (_) {}
+  } catch (err) {
+    if (abortExport(req, res, err)) return;
+    res.status(500).json({ error: err && err.message ? err.message : String(err) });
+  }
+}
+
+app.get('/query/export', enforceSoqlPolicy, queryExport);
+app.post('/query/export', enforceSoqlPolicy, queryExport);
+
 // Reports: Top recent reports (by LastRunDate)
 app.get('/reports/top', async (req, res) => {
   const limit = parsePositiveInt(req.query.limit, 10);
@@ -272,6 +542,7 @@ app.get('/reports/:id/run', async (req, res) => {
   const id = req.params.id;
   const format = (req.query.format || 'json').toString().toLowerCase();
   const includeDetails = String(req.query.includeDetails || 'false').toLowerCase() === 'true';
+  if (rejectRowFiltered(req, res)) return;
   try {
     const conn = await getConnection();
     const url = `/services/data/v${conn.version}/analytics/reports/${id}${includeDetails ? '?includeDetails=true' : ''}`;
@@ -545,6 +816,41 @@ app.get('/org/settings', async (_req, res) => {
   }
 });
 
+// Fiscal year start and time zone used to resolve date literals; read once
+// per org (a failed read is retried on the next request)
+const fiscalSettings = perOrg(() => ({ promise: null }));
+function getFiscalSettings(conn) {
+  const entry = fiscalSettings();
+  if (!entry.promise) {
+    entry.promise = conn.query('SELECT FiscalYearStartMonth, DefaultTimeZoneSidKey FROM Organization LIMIT 1')
+      .then((r) => {
+        const org = (r.records && r.records[0]) || {};
+        return { fiscalYearStartMonth: org.FiscalYearStartMonth || 1, timeZone: org.DefaultTimeZoneSidKey || undefined };
+      })
+      .catch((err) => {
+        entry.promise = null;
+        throw err;
+      });
+  }
+  return entry.promise;
+}
+
+// GET /org/date-literals/:literal
+// - Resolves a SOQL date literal (THIS_FISCAL_QUARTER, LAST_N_DAYS:30, ...) to
+//   concrete start/end dates using the org's fiscal year and time zone
+app.get('/org/date-literals/:literal', async (req, res) => {
+  try {
+    const conn = await getConnection();
+    const settings = await getFiscalSettings(conn);
+    res.json(resolveDateLiteral(String(req.params.literal).toUpperCase(), settings));
+  } catch (err) {
+    if (err instanceof DateLiteralError) {
+      return res.status(400).json({ error: err.message, code: err.code, validLiterals: DATE_LITERAL_NAMES });
+    }
+    res.status(500).json({ error: err && err.message ? err.message : String(err) });
+  }
+});
+
 // Global describe
 app.get('/describe', async (_req, res) => {
   try {
@@ -571,6 +877,7 @@ app.get('/sobjects/:name/describe', async (req, res) => {
 // Recent records by object
 app.get('/sobjects/:name/recent-records', async (req, res) => {
   const name = req.params.name;
+  if (rejectRowFiltered(req, res, [name])) return;
   const limit = parsePositiveInt(req.query.limit, 10);
   try {
     const conn = await getConnection();
@@ -687,6 +994,7 @@ app.get('/sobjects/:name/stages', async (req, res) => {
 // - Computes average days per stage and most common transitions using OpportunityHistory
 app.get('/sobjects/Opportunity/stage-history', async (req, res) => {
   const limitOpps = parsePositiveInt(req.query.limitOpps, 500);
+  if (rejectRowFiltered(req, res, ['Opportunity', 'OpportunityHistory'])) return;
   try {
     const conn = await getConnection();
     // Pull a recent slice of closed and open opportunities to get diverse histories
@@ -755,6 +1063,7 @@ app.get('/sobjects/Opportunity/stage-history', async (req, res) => {
 // GET /sobjects/:name/usage?sample=500
 app.get('/sobjects/:name/usage', async (req, res) => {
   const name = req.params.name;
+  if (rejectRowFiltered(req, res, [name])) return;
   const sample = parsePositiveInt(req.query.sample, 500);
   try {
     const conn = await getConnection();
@@ -841,6 +1150,7 @@ app.get('/sobjects/:name/usage', async (req, res) => {
 // GET /sobjects/Opportunity/closed-date-rule?sample=500
 app.get('/sobjects/Opportunity/closed-date-rule', async (req, res) => {
   const sample = parsePositiveInt(req.query.sample, 500);
+  if (rejectRowFiltered(req, res, ['Opportunity'])) return;
   try {
     const conn = await getConnection();
     const desc = await conn.sobject('Opportunity').describe();
@@ -913,7 +1223,8 @@ app.get('/openapi.json', (req, res) => {
 
 app.get('/tools.json', (req, res) => {
   const base = `${req.protocol}://${req.get('host')}`;
-  res.json(toolsSchema(base));
+  const profile = callerProfile(req);
+  res.json(toolsSchema(base, profile ? { objects: Object.keys(OBJECTS).filter((name) => isObjectAllowed(name, profile)) } : {}));
 });
 
 // Object insights (org-aware summary for a single object)
@@ -921,34 +1232,53 @@ app.get('/objects/:name/insights', async (req, res) => {
   const name = req.params.name;
   try {
     const verbose = String(req.query.verbose || 'false').toLowerCase() === 'true';
-    const data = await generateObjectInsights(name, { verbose });
+    const data = await generateObjectInsights(name, { verbose, profile: callerProfile(req), rowFilters: callerRowFilters(req), masking: callerMasking(req) });
     res.json(data);
   } catch (err) {
+    if (err instanceof ObjectNotAllowedError) return objectNotAllowedError(res, err);
     res.status(500).json({ error: err && err.message ? err.message : String(err) });
   }
 });
 
 // Execute a suggestion from insights via safe-query, with export formats
 // POST /objects/:name/insights/run { suggestion: {...}, fields?:[], format?: json|ndjson|csv }
+// or { next: cursor, format? } for the following page
 app.post('/objects/:name/insights/run', async (req, res) => {
   const name = req.params.name;
   const suggestion = req.body && req.body.suggestion;
   const fields = req.body && req.body.fields;
   const format = (req.body && req.body.format) || 'json';
-  if (!suggestion || !Array.isArray(suggestion.where)) return res.status(400).json({ error: 'Missing suggestion.where' });
+  const next = req.body && req.body.next;
+  if (!next && (!suggestion || !Array.isArray(suggestion.where))) return res.status(400).json({ error: 'Missing suggestion.where' });
   try {
-    const built = buildSafeSoql({ object: name, fields, where: suggestion.where, limit: suggestion.limit || 200 });
+    const cursor = next ? resumeCursor(req, res, next, { route: 'insights', object: name }) : null;
+    if (next && !cursor) return;
     const conn = await getConnection();
-    const result = await conn.query(built.soql);
-    const records = Array.isArray(result.records) ? result.records : [];
+    let result;
+    let built = null;
+    if (cursor) {
+      result = await conn.queryMore(cursor.nextRecordsUrl);
+    } else {
+      await loadFieldSecurity(conn, [name]);
+      built = buildSafeSoql({ object: name, fields, where: suggestion.where, limit: suggestion.limit || 200, strict: req.body.strict }, { strict: isSafeQueryStrict(), profile: callerProfile(req), rowFilters: callerRowFilters(req) });
+      result = await conn.query(built.soql);
+    }
+    const fieldsUsed = built ? built.fieldsUsed : cursor.context.fieldsUsed;
+    const records = maskResponseRecords(req, Array.isArray(result.records) ? result.records : [], name);
+    const nextCursor = pageCursor(req, result, { route: 'insights', object: name, context: { fieldsUsed } });
     if (format === 'ndjson') {
+      if (nextCursor) res.set('X-Next-Cursor', nextCursor);
       res.type('application/x-ndjson').send(toNdjson(records));
     } else if (format === 'csv') {
+      if (nextCursor) res.set('X-Next-Cursor', nextCursor);
       res.type('text/csv').send(toCsv(records));
     } else {
-      res.json({ objectName: name, fieldsUsed: built.fieldsUsed, totalSize: result.totalSize, done: result.done, next: result.nextRecordsUrl || null, records });
+      res.json({ objectName: name, fieldsUsed, totalSize: result.totalSize, done: result.done, next: nextCursor, records, warnings: built ? built.warnings : [] });
     }
   } catch (err) {
+    if (err instanceof SafeQueryStrictError) return strictModeError(res, err);
+    if (err instanceof ValueValidationError) return invalidValueError(res, err);
+    if (err instanceof DateLiteralError) return res.status(400).json({ error: err.message, code: err.code });
     res.status(500).json({ error: err && err.message ? err.message : String(err) });
   }
 });
@@ -960,7 +1290,7 @@ app.post('/objects/:name/context', async (req, res) => {
   const dir = (req.body && req.body.dir) || path.resolve(process.cwd(), 'context');
   try {
     const verbose = !!(req.body && req.body.verbose);
-    const data = await generateObjectInsights(name, { verbose });
+    const data = await generateObjectInsights(name, { verbose, profile: callerProfile(req), rowFilters: callerRowFilters(req), masking: callerMasking(req) });
     const md = renderInsightsMarkdown(data);
     if (persist) {
       await fs.promises.mkdir(dir, { recursive: true });
@@ -970,6 +1300,7 @@ app.post('/objects/:name/context', async (req, res) => {
     }
     res.type('text/markdown').send(md);
   } catch (err) {
+    if (err instanceof ObjectNotAllowedError) return objectNotAllowedError(res, err);
     res.status(500).json({ error: err && err.message ? err.message : String(err) });
   }
 });
@@ -979,13 +1310,13 @@ app.post('/objects/:name/context', async (req, res) => {
 app.post('/objects/:name/context/bundle', strictLimiter, validateContextBundle, async (req, res) => {
   const name = req.params.name;
   const persist = !!(req.body && req.body.persist);
-  const baseDir = (req.body && req.body.dir) || path.resolve(process.cwd(), 'context_bundles');
+  const baseDir = (req.body && req.body.dir) || req.sfOrg.bundleDir;
   const runQueries = !!(req.body && req.body.runQueries);
   const sample = parsePositiveInt(req.body && req.body.sample, 50);
   const verbose = !!(req.body && req.body.verbose);
   try {
     const conn = await getConnection();
-    const insights = await generateObjectInsights(name, { verbose });
+    const insights = await generateObjectInsights(name, { verbose, profile: callerProfile(req), rowFilters: callerRowFilters(req), masking: callerMasking(req) });
 
     // Fetch extras in parallel
     const [stages, validationRules, requirements, formulas, automations, listViews, usage, stageHistory, closedDateRule, orgSettings] = await Promise.all([
@@ -1029,7 +1360,7 @@ app.post('/objects/:name/context/bundle', strictLimiter, validateContextBundle,
       const fields = (insights.sample && insights.sample.fields) || (insights.summary.allowlist && insights.summary.allowlist.defaultFields) || ['Id'];
       for (const sug of insights.suggestions.slice(0, 5)) {
         try {
-          const built = buildSafeSoql({ object: name, fields, where: sug.where, limit: Math.min(sample, 50) });
+          const built = buildSafeSoql({ object: name, fields, where: sug.where, limit: Math.min(sample, 50) }, { profile: callerProfile(req), rowFilters: callerRowFilters(req) });
           const r = await conn.query(built.soql);
           queryRuns.push({ title: sug.title, payload: { object: name, fields, where: sug.where, limit: Math.min(sample, 50) }, records: (r.records || []).slice(0, 10) });
         } catch (_) {}
@@ -1037,7 +1368,7 @@ app.post('/objects/:name/context/bundle', strictLimiter, validateContextBundle,
     }
     extras.queryRuns = queryRuns;
 
-    const files = renderInsightsSegments(insights, extras);
+    const files = renderInsightsSegments(insights, extras, { masking: callerMasking(req) });
 
     if (!persist) return res.json({ files });
 
@@ -1059,6 +1390,7 @@ app.post('/objects/:name/context/bundle', strictLimiter, validateContextBundle,
     
     res.json({ ok: true, dir, files: Object.keys(files) });
   } catch (err) {
+    if (err instanceof ObjectNotAllowedError) return objectNotAllowedError(res, err);
     res.status(500).json({ error: err && err.message ? err.message : String(err) });
   }
 });
@@ -1067,79 +1399,306 @@ app.post('/objects/:name/context/bundle', strictLimiter, validateContextBundle,
 async function fetchLocal(pathname) {
   const base = `http://localhost:${port}`;
   const url = `${base}${pathname}`;
-  const result = await (await require('undici').request(url)).body.json();
+  const result = await (await require('undici').request(url, { headers: { 'X-SF-Org': currentOrgName() } })).body.json();
   return { json: result };
 }
 
 // Allowlist discoverability (org-aware facade for the bot)
-app.get('/allowlist', (_req, res) => {
+app.get('/allowlist', async (req, res) => {
+  const profile = callerProfile(req);
+  const flsError = await loadAllowlistFieldSecurity();
+  // Only what this caller can use: fields outside its access profile or
+  // the connected user's field-level security are left out
   const objects = {};
   for (const [name, spec] of Object.entries(OBJECTS)) {
+    if (!isObjectAllowed(name, profile)) continue;
+    const fields = getAllowedFields(name, profile).filter((f) => spec.fields.includes(f));
     objects[name] = {
-      fields: spec.fields,
-      defaultFields: spec.defaultFields || [],
+      fields,
+      defaultFields: getDefaultFields(name, profile),
+      operators: Object.fromEntries(fields.map((f) => [f, getAllowedOperators(name, f, profile)]).filter(([, ops]) => ops.length)),
+      groupable: (spec.groupable || []).filter((f) => isFieldGroupable(name, f, profile)),
+      aggregates: Object.fromEntries(Object.entries(spec.aggregates || {}).filter(([f]) => f === 'Id' || fields.includes(f))),
+      geolocation: (spec.geolocation || []).filter((f) => isFieldGeolocation(name, f, profile)),
     };
   }
-  res.json({ objects });
+  const { version, hash, source, path: file, loadedAt } = getAllowlistInfo();
+  res.json({ version, hash, source, path: file, loadedAt, profile: describeProfile(profile), maxLimit: getMaxLimit(profile), objects, ...(flsError ? { flsError } : {}) });
 });
 
 // Changes endpoint using SystemModstamp / LastModifiedDate
-// GET /changes/:name?since=ISO&limit=200
+// GET /changes/:name?since=ISO&limit=200, then ?next=cursor for later pages
 app.get('/changes/:name', async (req, res) => {
   const name = req.params.name;
   const since = req.query.since;
   const limit = parsePositiveInt(req.query.limit, 100);
-  if (!since) return res.status(400).json({ error: 'Missing since (ISO date/time)' });
+  const next = req.query.next;
+  if (!since && !next) return res.status(400).json({ error: 'Missing since (ISO date/time)' });
+  const profile = callerProfile(req);
+  if (!isObjectAllowed(name, profile)) return res.status(400).json({ error: `Object not allowed: ${name}` });
   try {
+    if (next) {
+      const cursor = resumeCursor(req, res, next, { route: 'changes', object: name });
+      if (!cursor) return;
+      const conn = await getConnection();
+      const result = await conn.queryMore(cursor.nextRecordsUrl);
+      const page = { route: 'changes', object: name, context: cursor.context };
+      return res.json({ objectName: name, since: cursor.context.since, totalSize: result.totalSize, done: result.done, next: pageCursor(req, result, page), records: maskResponseRecords(req, result.records, name) });
+    }
     const conn = await getConnection();
-    const fields = getDefaultFields(name).length ? getDefaultFields(name) : getAllowedFields(name).slice(0, 5);
+    const fields = getDefaultFields(name, profile).length ? getDefaultFields(name, profile) : getAllowedFields(name, profile).slice(0, 5);
     const selectList = fields.join(', ');
     // Salesforce requires unquoted ISO8601 for datetime comparisons
     const isoRe = /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}(?:\.[0-9]+)?Z$/;
     const sinceLiteral = isoRe.test(String(since)) ? String(since) : escapeSoqlLiteral(since);
+    const rowFilter = buildRowFilter(name, callerRowFilters(req));
+    const rowSql = rowFilter ? ` AND (${rowFilter})` : '';
 
     // Try SystemModstamp first, then fall back to LastModifiedDate
     let result;
     try {
-      const soql1 = `SELECT ${selectList}, SystemModstamp FROM ${name} WHERE SystemModstamp >= ${sinceLiteral} ORDER BY SystemModstamp ASC LIMIT ${limit}`;
+      const soql1 = `SELECT ${selectList}, SystemModstamp FROM ${name} WHERE SystemModstamp >= ${sinceLiteral}${rowSql} ORDER BY SystemModstamp ASC LIMIT ${limit}`;
       result = await conn.query(soql1);
     } catch (e) {
-      const soql2 = `SELECT ${selectList}, LastModifiedDate FROM ${name} WHERE LastModifiedDate >= ${sinceLiteral} ORDER BY LastModifiedDate ASC LIMIT ${limit}`;
+      const soql2 = `SELECT ${selectList}, LastModifiedDate FROM ${name} WHERE LastModifiedDate >= ${sinceLiteral}${rowSql} ORDER BY LastModifiedDate ASC LIMIT ${limit}`;
       result = await conn.query(soql2);
     }
 
-    res.json({ objectName: name, since, totalSize: result.totalSize, done: result.done, next: result.nextRecordsUrl || null, records: result.records });
+    const page = { route: 'changes', object: name, context: { since } };
+    res.json({ objectName: name, since, totalSize: result.totalSize, done: result.done, next: pageCursor(req, result, page), records: maskResponseRecords(req, result.records, name) });
   } catch (err) {
     res.status(500).json({ error: err && err.message ? err.message : String(err) });
   }
 });
 
+// Records of a safe-query page: distance column, masking, then optional
+// flattening. shape: { flatten, typeOf, near, fieldsUsed }, also carried in
+// the page cursor so later pages come back the same way.
+function shapeSafeQueryRecords(req, records, objectName, shape) {
+  const masked = maskResponseRecords(req, shape.near ? attachDistance(records) : records, objectName);
+  return shape.flatten ? flattenRecords(masked, { typeOf: shape.typeOf }) : masked;
+}
+
+// Body { next, object? }: the page after a cursor from a previous response
+async function continueSafeQuery(req, res, payload) {
+  const cursor = resumeCursor(req, res, payload.next, { route: 'safe-query', object: payload.object });
+  if (!cursor) return;
+  const conn = await getConnection();
+  const result = await conn.queryMore(cursor.nextRecordsUrl);
+  const shape = cursor.context;
+  res.json({
+    objectName: cursor.object,
+    fieldsUsed: shape.fieldsUsed,
+    totalSize: result.totalSize,
+    done: result.done,
+    next: pageCursor(req, result, { route: 'safe-query', object: cursor.object, context: shape }),
+    records: shapeSafeQueryRecords(req, result.records, cursor.object, shape),
+  });
+}
+
 // Safe Query (READ-ONLY)
-// Body: { object: string, fields?: string[], where?: Array<{field, op, value}> | {[field]: value}, orderBy?: Array<{ field, direction }> | { field, direction }, limit?: number, flatten?: boolean }
+// Body: { object: string, fields?: string[], where?: Array<{field, op, value}> | {[field]: value}, orderBy?: Array<{ field, direction }> | { field, direction }, typeof?: Array<{ field, when, else? }>, near?: { field, latitude, longitude, radius?, unit? }, limit?: number, flatten?: boolean }
+// or { next: cursor } for the following page
 app.post('/safe-query', validateSafeQuery, async (req, res) => {
   try {
     const payload = req.body || {};
-    const built = buildSafeSoql(payload);
-    const soql = built.soql;
+    if (payload.next) return await continueSafeQuery(req, res, payload);
+    const profile = callerProfile(req);
+    const childObjects = await resolveChildObjects(payload.object, payload.children, profile);
     const conn = await getConnection();
+    await loadFieldSecurity(conn, [payload.object, ...Object.values(childObjects), ...referencedObjects(payload)]);
+    const built = buildSafeSoql(payload, { childObjects, strict: isSafeQueryStrict(), profile, rowFilters: callerRowFilters(req) });
+    const soql = built.soql;
     const result = await conn.query(soql);
-    const records = payload.flatten ? flattenRecords(result.records) : result.records;
+    const shape = { flatten: !!payload.flatten, typeOf: (built.typeOf || []).map((t) => t.field), near: !!built.near, fieldsUsed: built.fieldsUsed || payload.fields || null };
+    const records = built.aggregate
+      ? shapeAggregateRows(maskResponseRecords(req, result.records, payload.object, { columns: built.columns }), built.columns)
+      : shapeSafeQueryRecords(req, result.records, payload.object, shape);
 
     try {
       const objectName = payload.object || extractObjectName(soql || '');
       const fields = built.fieldsUsed || payload.fields || extractFields(soql || '');
-      await analytics.recordQueryEvent({ kind: 'safe_soql', objectName, fields, soql, resultCount: (records || []).length });
+      await analytics.recordQueryEvent({ kind: built.aggregate ? 'safe_aggregate' : 'safe_soql', objectName, fields, soql, resultCount: (records || []).length });
     } catch (_) {}
 
-    res.json({ objectName: payload.object || null, fieldsUsed: built.fieldsUsed || payload.fields || null, totalSize: result.totalSize, done: result.done, next: result.nextRecordsUrl || null, records });
+    // Aggregate results cannot be continued with queryMore
+    const next = built.aggregate ? null : pageCursor(req, result, { route: 'safe-query', object: payload.object, context: shape });
+    const response = { objectName: payload.object || null, fieldsUsed: shape.fieldsUsed, totalSize: result.totalSize, done: result.done, next, records, warnings: built.warnings };
+    if (built.children) response.children = built.children;
+    if (built.typeOf) response.typeOf = built.typeOf;
+    if (built.near) response.near = built.near;
+    if (built.aggregate) {
+      response.aggregate = true;
+      response.columns = built.columns.map(({ name, kind, fn, field }) => ({ name, kind, fn, field }));
+    }
+    res.json(response);
+  } catch (err) {
+    if (err instanceof SafeQueryStrictError) return strictModeError(res, err);
+    if (err instanceof ValueValidationError) return invalidValueError(res, err);
+    res.status(400).json({ error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Streaming export of a safe query: same payload as /safe-query plus
+// format (ndjson, the default, or csv; csv rows are always flattened).
+// Pages are fetched with queryMore up to the caller's export row cap; the
+// payload limit may only lower it.
+app.post('/safe-query/export', validateSafeQueryExport, async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const format = payload.format || 'ndjson';
+    const profile = callerProfile(req);
+    const maxRows = resolveExportMaxRows(req.apiKey);
+    const childObjects = await resolveChildObjects(payload.object, payload.children, profile);
+    const conn = await getConnection();
+    await loadFieldSecurity(conn, [payload.object, ...Object.values(childObjects), ...referencedObjects(payload)]);
+    const built = buildSafeSoql(payload, { childObjects, strict: isSafeQueryStrict(), profile, rowFilters: callerRowFilters(req), exportLimit: maxRows });
+    const shape = { flatten: format === 'csv' || !!payload.flatten, typeOf: (built.typeOf || []).map((t) => t.field), near: !!built.near };
+    const transform = (records) => shapeSafeQueryRecords(req, records, payload.object, shape);
+    if (built.warnings.length) res.setHeader('X-Safe-Query-Dropped', String(built.warnings.length));
+    const columns = format === 'csv' ? exportColumns(built) : null;
+    const exported = await streamExport(res, queryPages(conn, built.soql), { format, transform, maxRows, columns });
+    logExport('Safe query export finished', { objectName: payload.object, format }, exported);
+    try {
+      await analytics.recordQueryEvent({ kind: 'safe_export', objectName: payload.object, fields: built.fieldsUsed, soql: built.soql, resultCount: exported.rows });
+    } catch (_) {}
   } catch (err) {
+    if (abortExport(req, res, err)) return;
+    if (err instanceof SafeQueryStrictError) return strictModeError(res, err);
+    if (err instanceof ValueValidationError) return invalidValueError(res, err);
     res.status(400).json({ error: err && err.message ? err.message : String(err) });
   }
 });
 
+// Dry run: same payload and building path as /safe-query, but returns the
+// SOQL, kept/dropped items, applied allowlist rules and Salesforce's query plan
+app.post('/safe-query/explain', validateSafeQuery, async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const profile = callerProfile(req);
+    const childObjects = await resolveChildObjects(payload.object, payload.children, profile);
+    const conn = await getConnection();
+    await loadFieldSecurity(conn, [payload.object, ...Object.values(childObjects), ...referencedObjects(payload)]);
+    const explanation = await explainSafeQuery(payload, { conn, childObjects, strict: isSafeQueryStrict(), profile, rowFilters: callerRowFilters(req) });
+    res.json(explanation);
+  } catch (err) {
+    if (err instanceof ValueValidationError) return invalidValueError(res, err);
+    res.status(400).json({ error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Bulk API 2.0 query jobs created through this server, by owning caller
+const bulkJobs = createJobRegistry();
+
+// Jobs belong to the API key and X-User-Id that created them
+function bulkJobOwner(req) {
+  return { key: req.apiKeyValue || null, userId: req.rowPolicyUser || null, org: req.sfOrg.name };
+}
+
+function bulkJobStatus(job, tracked) {
+  const processed = job.numberRecordsProcessed || 0;
+  return {
+    id: job.id,
+    state: job.state,
+    object: tracked.object,
+    soql: tracked.soql,
+    fieldsUsed: tracked.fieldsUsed,
+    numberRecordsProcessed: processed,
+    maxRows: tracked.maxRows,
+    truncated: job.state === 'JobComplete' ? processed > tracked.maxRows : null,
+    errorMessage: job.errorMessage || null,
+    createdDate: job.createdDate || null,
+  };
+}
+
+function bulkError(res, err) {
+  if (err instanceof BulkApiError) {
+    return res.status(err.status === 404 ? 404 : 502).json({ error: err.message, code: err.code });
+  }
+  return res.status(500).json({ error: err && err.message ? err.message : String(err) });
+}
+
+// Create a Bulk API 2.0 query job from a safe-query payload (same allowlist,
+// row filter and strict-mode handling). Children, typeof, near and
+// aggregates are not supported; LIMIT is the caller's export row cap.
+app.post('/bulk/query', validateBulkQuery, async (req, res) => {
+  try {
+    const payload = req.body || {};
+    assertBulkPayload(payload);
+    const profile = callerProfile(req);
+    const maxRows = resolveExportMaxRows(req.apiKey);
+    const conn = await getConnection();
+    await loadFieldSecurity(conn, [payload.object, ...referencedObjects(payload)]);
+    const built = buildSafeSoql(payload, { strict: isSafeQueryStrict(), profile, rowFilters: callerRowFilters(req), exportLimit: maxRows });
+    const job = await createQueryJob(conn, built.soql);
+    const tracked = { object: payload.object, soql: built.soql, fieldsUsed: built.fieldsUsed, maxRows };
+    bulkJobs.add(job.id, bulkJobOwner(req), tracked);
+    logger.info('Bulk query job created', { jobId: job.id, objectName: payload.object, keyName: req.apiKey && req.apiKey.name });
+    try {
+      await analytics.recordQueryEvent({ kind: 'bulk_query', objectName: payload.object, fields: built.fieldsUsed, soql: built.soql, resultCount: 0 });
+    } catch (_) {}
+    res.status(202).json(Object.assign(bulkJobStatus(job, tracked), { warnings: built.warnings }));
+  } catch (err) {
+    if (err instanceof SafeQueryStrictError) return strictModeError(res, err);
+    if (err instanceof ValueValidationError) return invalidValueError(res, err);
+    if (err instanceof BulkApiError) return bulkError(res, err);
+    res.status(400).json({ error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Job state, polled from Salesforce
+app.get('/bulk/query/:id', async (req, res) => {
+  const tracked = bulkJobs.get(req.params.id, bulkJobOwner(req));
+  if (!tracked) return res.status(404).json({ error: `Unknown bulk query job: ${req.params.id}` });
+  try {
+    const conn = await getConnection();
+    res.json(bulkJobStatus(await getQueryJob(conn, req.params.id), tracked));
+  } catch (err) {
+    bulkError(res, err);
+  }
+});
+
+// Abort a job that has not finished
+app.post('/bulk/query/:id/cancel', async (req, res) => {
+  const tracked = bulkJobs.get(req.params.id, bulkJobOwner(req));
+  if (!tracked) return res.status(404).json({ error: `Unknown bulk query job: ${req.params.id}` });
+  try {
+    const conn = await getConnection();
+    const job = await abortQueryJob(conn, req.params.id);
+    logger.info('Bulk query job aborted', { jobId: req.params.id });
+    res.json(bulkJobStatus(job, tracked));
+  } catch (err) {
+    bulkError(res, err);
+  }
+});
+
+// Stream the results of a completed job as CSV, masked per column and
+// capped like /safe-query/export
+app.get('/bulk/query/:id/results', async (req, res) => {
+  const tracked = bulkJobs.get(req.params.id, bulkJobOwner(req));
+  if (!tracked) return res.status(404).json({ error: `Unknown bulk query job: ${req.params.id}` });
+  try {
+    const conn = await getConnection();
+    const job = await getQueryJob(conn, req.params.id);
+    if (job.state !== 'JobComplete') {
+      return res.status(409).json({ error: `Bulk query job is ${job.state}, results are available once it is JobComplete`, state: job.state });
+    }
+    const maskRow = createColumnMasker(tracked.object, callerMasking(req));
+    const exported = await streamExport(res, bulkResultPages(conn, req.params.id), {
+      format: 'csv',
+      transform: (rows) => rows.map(maskRow),
+      maxRows: tracked.maxRows,
+    });
+    logExport('Bulk query results streamed', { jobId: req.params.id }, exported);
+  } catch (err) {
+    if (abortExport(req, res, err)) return;
+    bulkError(res, err);
+  }
+});
+
 // SOSL (READ-ONLY)
 // Body: { sosl: string }
-app.post('/search', validateSearch, async (req, res) => {
+app.post('/search', validateSearch, enforceSoslPolicy, async (req, res) => {
   const sosl = req.body && req.body.sosl;
   if (!sosl) return res.status(400).json({ error: 'Missing body.sosl' });
   try {
@@ -1148,7 +1707,10 @@ app.post('/search', validateSearch, async (req, res) => {
     try {
       await analytics.recordQueryEvent({ kind: 'sosl', objectName: null, fields: [], soql: null, sosl, resultCount: Array.isArray(result) ? result.length : 0 });
     } catch (_) {}
-    res.json({ items: result });
+    const items = Array.isArray(result)
+      ? maskResponseRecords(req, result)
+      : Object.assign({}, result, { searchRecords: maskResponseRecords(req, result && result.searchRecords) });
+    res.json({ items, policy: policyReport(req) });
   } catch (err) {
     res.status(500).json({ error: err && err.message ? err.message : String(err) });
   }
@@ -1171,10 +1733,16 @@ app.post('/chat', validateChat, async (req, res) => {
     const { QuickSetup } = require('./chat');
     const { HttpLlmAdapter } = require('./chat/LlmAdapter');
     
-    const sfdcClient = new SFDCHelperClient(`http://localhost:${port}`);
+    // Call back in with the caller's key and user so the agent sees the same
+    // access profile and row filters
+    const clientOptions = {};
+    if (req.apiKeyValue) clientOptions.apiKey = req.apiKeyValue;
+    if (req.rowPolicyUser) clientOptions.userId = req.rowPolicyUser;
+    clientOptions.org = req.sfOrg.name;
+    const sfdcClient = new SFDCHelperClient(`http://localhost:${port}`, clientOptions);
     // If LLM_HTTP_URL is set, wire an HTTP adapter; otherwise require caller to supply llmAdapter upstream
     const llmAdapter = process.env.LLM_HTTP_URL ? new HttpLlmAdapter(process.env.LLM_HTTP_URL) : undefined;
-    const chatAgent = QuickSetup.sales(sfdcClient, llmAdapter ? { llmAdapter } : {});
+    const chatAgent = QuickSetup.sales(sfdcClient, Object.assign({ bundleDir: req.sfOrg.bundleDir }, llmAdapter ? { llmAdapter } : {}));
     
     console.log(`[Chat] User ${userId}: ${message}`);
     
@@ -1207,7 +1775,10 @@ app.listen(port, () => {
     port,
     url: `http://localhost:${port}`,
     nodeEnv: process.env.NODE_ENV || 'development',
-    authEnabled: process.env.DISABLE_AUTH !== 'true'
+    authEnabled: process.env.DISABLE_AUTH !== 'true',
+    queryPolicyMode: getPolicyMode(),
+    safeQueryStrict: isSafeQueryStrict(),
+    allowlistVersion: getAllowlistInfo().version
   });
 
   logger.info('API Endpoints:');
@@ -4,105 +4,179 @@ require('dotenv').config();
 
 const jsforce = require('jsforce');
 const tokenStore = require('./tokenStore');
+const { getOrg } = require('./orgRegistry');
+const { currentOrgName } = require('./orgContext');
+const { loadPrivateKey, createJwtSession } = require('./jwtBearer');
+const { createConnectionManager } = require('./connectionManager');
 
-function getEnv(name, defaultValue) {
-  const value = process.env[name];
-  return value !== undefined && value !== '' ? value : defaultValue;
-}
-
-function createOAuth2FromEnv() {
-  const clientId = getEnv('SF_CLIENT_ID');
-  const clientSecret = getEnv('SF_CLIENT_SECRET');
-  const redirectUri = getEnv('SF_REDIRECT_URI');
-  const loginUrl = getEnv('SF_LOGIN_URL', 'https://login.salesforce.com');
+// OAuth2 client for an org profile (see orgRegistry.js). Refresh tokens
+// issued through PKCE (bin/setup.js) work without a client secret.
+function createOAuth2(org, { requireSecret = true } = {}) {
+  const { clientId, clientSecret, redirectUri } = org.credentials;
+  const loginUrl = org.loginUrl;
 
-  if (!clientId || !clientSecret) return null;
+  if (!clientId || (requireSecret && !clientSecret)) return null;
 
   const options = { clientId, clientSecret, loginUrl };
   if (redirectUri) options.redirectUri = redirectUri;
   return new jsforce.OAuth2(options);
 }
 
-function refreshAccessToken(connection, refreshToken) {
-  return new Promise((resolve, reject) => {
-    connection.oauth2.refreshToken(refreshToken, (err, res) => {
-      if (err) return reject(err);
-      if (res && res.instance_url) connection.instanceUrl = res.instance_url;
-      if (res && res.access_token) connection.accessToken = res.access_token;
-      resolve(res);
-    });
-  });
+// JWT bearer needs a client id, the user to act as and the certificate's private key
+function hasJwtCredentials(org) {
+  const { clientId, username, privateKey, privateKeyFile } = org.credentials;
+  return !!(clientId && username && (privateKey || privateKeyFile));
 }
 
-let sharedConnectionPromise = null;
-
-async function getConnection() {
-  if (sharedConnectionPromise) return sharedConnectionPromise;
-
-  sharedConnectionPromise = (async () => {
-    const oauth2 = createOAuth2FromEnv();
-    const refreshToken = getEnv('SF_REFRESH_TOKEN');
-    let instanceUrl = getEnv('SF_INSTANCE_URL');
-    let accessToken = getEnv('SF_ACCESS_TOKEN');
+/**
+ * How an org authenticates, in order of preference. JWT bearer comes first:
+ * it is only configured on purpose.
+ */
+function authMethod(org) {
+  const c = org.credentials;
+  if (hasJwtCredentials(org)) return 'jwt';
+  if (c.clientId && c.refreshToken) return 'refresh_token';
+  if (c.instanceUrl && c.accessToken) return 'access_token';
+  if (c.username && c.password) return 'password';
+  return null;
+}
 
-    if (oauth2 && refreshToken) {
-      if (!accessToken || !instanceUrl) {
+/**
+ * ({ fresh }) => { accessToken, instanceUrl } for the org's method. A fresh
+ * call follows a rejected session, so saved or configured access tokens are
+ * not reused.
+ */
+function createAuthenticator(org, method, status) {
+  const orgName = org.name;
+
+  if (method === 'jwt') {
+    const { clientId, username, privateKey, privateKeyFile, jwtAudience } = org.credentials;
+    const session = createJwtSession({
+      clientId,
+      username,
+      loginUrl: org.loginUrl,
+      audience: jwtAudience,
+      key: loadPrivateKey({ privateKey, privateKeyFile }),
+    });
+    status.session = session;
+    return () => session.mint();
+  }
+
+  if (method === 'refresh_token') {
+    const oauth2 = createOAuth2(org, { requireSecret: false });
+    return async ({ fresh }) => {
+      let { instanceUrl, accessToken } = org.credentials;
+      if (!fresh && (!accessToken || !instanceUrl)) {
         try {
-          const saved = await tokenStore.loadSavedToken();
+          const saved = await tokenStore.loadSavedToken(orgName);
           if (saved) {
             if (!instanceUrl && saved.instanceUrl) instanceUrl = saved.instanceUrl;
             if (!accessToken && saved.accessToken) accessToken = saved.accessToken;
           }
         } catch (_) {}
       }
-
-      const connection = new jsforce.Connection({ oauth2, instanceUrl, accessToken, refreshToken });
-      connection.on('refresh', async (newAccessToken, res) => {
-        try {
-          const resolvedInstanceUrl = (res && res.instance_url) || connection.instanceUrl || instanceUrl || null;
-          await tokenStore.saveToken({ instanceUrl: resolvedInstanceUrl, accessToken: newAccessToken });
-          console.log('[jsforce] Access token auto-refreshed and persisted to tokens.json.');
-        } catch (err) {
-          console.warn('[jsforce] Token refreshed but failed to persist:', err && err.message ? err.message : err);
-        }
-      });
-
-      if (!accessToken) {
-        const res = await refreshAccessToken(connection, refreshToken);
-        try {
-          const resolvedInstanceUrl = (res && res.instance_url) || connection.instanceUrl || instanceUrl || null;
-          await tokenStore.saveToken({ instanceUrl: resolvedInstanceUrl, accessToken: connection.accessToken });
-          console.log('[jsforce] Access token obtained via refresh and persisted to tokens.json.');
-        } catch (err) {
-          console.warn('[jsforce] Token obtained but failed to persist:', err && err.message ? err.message : err);
-        }
+      if (!fresh && accessToken && instanceUrl) return { accessToken, instanceUrl };
+
+      const res = await oauth2.refreshToken(org.credentials.refreshToken);
+      const credentials = { accessToken: res.access_token, instanceUrl: res.instance_url || instanceUrl };
+      try {
+        await tokenStore.saveToken(credentials, orgName);
+        console.log(`[jsforce] Access token obtained via refresh and persisted to the token store (org ${orgName}).`);
+      } catch (err) {
+        console.warn('[jsforce] Token obtained but failed to persist:', err && err.message ? err.message : err);
+      }
+      return credentials;
+    };
+  }
+
+  if (method === 'access_token') {
+    return async ({ fresh }) => {
+      if (fresh) {
+        throw new Error(`The configured access token for org "${orgName}" was rejected; set a new one or configure a refresh token, JWT bearer or username+password`);
       }
+      return { accessToken: org.credentials.accessToken, instanceUrl: org.credentials.instanceUrl };
+    };
+  }
+
+  if (method === 'password') {
+    const { username, password, securityToken } = org.credentials;
+    return async () => {
+      const login = new jsforce.Connection({ loginUrl: org.loginUrl, oauth2: createOAuth2(org) || undefined });
+      await login.login(username, `${password}${securityToken || ''}`);
+      return { accessToken: login.accessToken, instanceUrl: login.instanceUrl, userInfo: login.userInfo };
+    };
+  }
+
+  return async () => {
+    throw new Error(`Missing Salesforce credentials for org "${orgName}". Provide OAuth refresh token, access token, JWT bearer key, or username+password.`);
+  };
+}
 
+// Connection manager per org; each keeps one jsforce connection for good
+const managers = new Map();
+
+// How each org's connection authenticates, for health checks
+const authStatus = new Map();
+
+function managerFor(orgName) {
+  if (managers.has(orgName)) return managers.get(orgName);
+  const org = getOrg(orgName);
+  if (!org) throw new Error(`Unknown Salesforce org "${orgName}"`);
+
+  const method = authMethod(org);
+  const status = { method, session: null };
+  authStatus.set(orgName, status);
+  // jsforce defaults to its own API version when the profile sets none
+  const version = org.apiVersion || undefined;
+
+  const manager = createConnectionManager({
+    name: orgName,
+    authenticate: createAuthenticator(org, method, status),
+    build: (credentials, refreshFn) => {
+      const connection = new jsforce.Connection({ instanceUrl: credentials.instanceUrl, accessToken: credentials.accessToken, refreshFn, version });
+      if (credentials.userInfo) connection.userInfo = credentials.userInfo;
+      if (status.session) {
+        connection.on('refresh', () => {
+          console.log(`[jsforce] JWT bearer access token re-minted (org ${orgName}).`);
+        });
+        status.session.keepFresh(connection);
+      }
       return connection;
-    }
-
-    // Fallbacks
-    if (instanceUrl && accessToken) {
-      return new jsforce.Connection({ instanceUrl, accessToken });
-    }
-
-    const loginUrl = getEnv('SF_LOGIN_URL', 'https://login.salesforce.com');
-    const username = getEnv('SF_USERNAME');
-    const password = getEnv('SF_PASSWORD');
-    const securityToken = getEnv('SF_SECURITY_TOKEN', '');
-    if (!username || !password) {
-      throw new Error('Missing Salesforce credentials. Provide OAuth refresh token, access token, or username+password.');
-    }
-    const connection = new jsforce.Connection({ loginUrl });
-    await connection.login(username, `${password}${securityToken || ''}`);
-    return connection;
-  })();
-
-  return sharedConnectionPromise;
+    },
+  });
+  managers.set(orgName, manager);
+  return manager;
+}
+
+/**
+ * The org's connection. A failed connect is retried on a later call (after
+ * a backoff) rather than cached; see connectionManager.js.
+ */
+async function getConnection(orgName = currentOrgName()) {
+  return managerFor(orgName).get();
+}
+
+/**
+ * How the org's connection authenticates ({ method } plus, for JWT bearer,
+ * { expiresAt, lastMintedAt, lastError }), or null before its first use.
+ */
+function getAuthStatus(orgName = currentOrgName()) {
+  const status = authStatus.get(orgName);
+  if (!status) return null;
+  return Object.assign({ method: status.method }, status.session ? status.session.status() : {});
+}
+
+/**
+ * Connection state for health checks: { state, since, attempts, lastError,
+ * nextAttemptAt }; state is "idle" before the org's first use.
+ */
+function getConnectionState(orgName = currentOrgName()) {
+  const manager = managers.get(orgName);
+  return manager ? manager.status() : { state: 'idle', since: null, attempts: 0, lastError: null, nextAttemptAt: null };
 }
 
 module.exports = {
   getConnection,
+  getAuthStatus,
+  getConnectionState,
 };
-
-
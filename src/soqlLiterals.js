@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * SOQL literal formatting shared by the safe-query builder and value
+ * validation. Date, datetime and relative date literals are written unquoted.
+ */
+
+const { parseDateLiteral } = require('./dateLiterals');
+
+function escapeSoqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  // Escape single quotes by doubling them
+  const s = String(value);
+  return `'${s.replace(/'/g, "''")}'`;
+}
+
+function isIsoDateTimeLiteral(s) {
+  return /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}(?:\.[0-9]+)?Z$/.test(s);
+}
+
+function isIsoDateLiteral(s) {
+  return /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(s);
+}
+
+function formatSoqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  const s = String(value);
+  // parseDateLiteral throws for malformed literals (LAST_N_DAYS:x) instead of
+  // letting them through as quoted strings
+  if (isIsoDateTimeLiteral(s) || isIsoDateLiteral(s) || parseDateLiteral(s)) {
+    return s; // unquoted date/datetime literals
+  }
+  return `'${s.replace(/'/g, "''")}'`;
+}
+
+module.exports = {
+  escapeSoqlLiteral,
+  formatSoqlLiteral,
+  isIsoDateTimeLiteral,
+  isIsoDateLiteral,
+};
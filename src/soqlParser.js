@@ -0,0 +1,614 @@
+'use strict';
+
+/**
+ * SOQL tokenizer, parser and serializer.
+ *
+ * Produces a plain-object AST for SELECT queries (including child subqueries,
+ * TYPEOF, aggregate/functions, aliases and nested boolean WHERE/HAVING
+ * clauses) and can serialize the AST back to SOQL. Read-only by design:
+ * only SELECT statements are understood.
+ */
+
+const KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'GROUP', 'BY', 'HAVING', 'ORDER',
+  'LIMIT', 'OFFSET', 'USING', 'SCOPE', 'WITH', 'FOR', 'TYPEOF', 'WHEN', 'THEN', 'ELSE',
+  'END', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'IN', 'LIKE', 'INCLUDES', 'EXCLUDES',
+  'ROLLUP', 'CUBE', 'UPDATE', 'TRUE', 'FALSE', 'NULL',
+]);
+
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>='];
+const SET_OPERATORS = ['IN', 'NOT IN', 'INCLUDES', 'EXCLUDES'];
+
+class SoqlSyntaxError extends Error {
+  constructor(message, position) {
+    super(position !== undefined ? `${message} (at position ${position})` : message);
+    this.name = 'SoqlSyntaxError';
+    this.code = 'MALFORMED_QUERY';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a SOQL string into tokens: ident, string, number, date, datetime, op, punct, eof
+ */
+function tokenize(soql) {
+  if (typeof soql !== 'string') throw new SoqlSyntaxError('SOQL must be a string');
+  const tokens = [];
+  const src = soql;
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === "'") {
+      const start = i;
+      let value = '';
+      i++;
+      let closed = false;
+      while (i < src.length) {
+        const c = src[i];
+        if (c === '\\') {
+          const next = src[i + 1];
+          if (next === undefined) break;
+          // LIKE wildcards stay escaped so the pattern keeps its meaning
+          if (next === '_' || next === '%') value += '\\' + next;
+          else if (next === 'n') value += '\n';
+          else if (next === 'r') value += '\r';
+          else if (next === 't') value += '\t';
+          else if (next === 'b') value += '\b';
+          else if (next === 'f') value += '\f';
+          else value += next;
+          i += 2;
+          continue;
+        }
+        if (c === "'") { closed = true; i++; break; }
+        value += c;
+        i++;
+      }
+      if (!closed) throw new SoqlSyntaxError('Unterminated string literal', start);
+      tokens.push({ type: 'string', value, pos: start });
+      continue;
+    }
+
+    const rest = src.slice(i);
+    const dateTime = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})/.exec(rest);
+    if (dateTime) {
+      tokens.push({ type: 'datetime', value: dateTime[0], pos: i });
+      i += dateTime[0].length;
+      continue;
+    }
+    const date = /^\d{4}-\d{2}-\d{2}(?![\d:T])/.exec(rest);
+    if (date) {
+      tokens.push({ type: 'date', value: date[0], pos: i });
+      i += date[0].length;
+      continue;
+    }
+    const number = /^[+-]?\d+(?:\.\d+)?/.exec(rest);
+    if (number && (/\d/.test(ch) || ((ch === '-' || ch === '+') && /\d/.test(src[i + 1] || '')))) {
+      tokens.push({ type: 'number', value: number[0], pos: i });
+      i += number[0].length;
+      continue;
+    }
+    const ident = /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(rest);
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0], upper: ident[0].toUpperCase(), pos: i });
+      i += ident[0].length;
+      continue;
+    }
+    const op = /^(?:!=|<>|<=|>=|=|<|>)/.exec(rest);
+    if (op) {
+      tokens.push({ type: 'op', value: op[0], pos: i });
+      i += op[0].length;
+      continue;
+    }
+    if (ch === '(' || ch === ')' || ch === ',' || ch === ':') {
+      tokens.push({ type: 'punct', value: ch, pos: i });
+      i++;
+      continue;
+    }
+    throw new SoqlSyntaxError(`Unexpected character '${ch}'`, i);
+  }
+  tokens.push({ type: 'eof', value: null, pos: src.length });
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const tok = this.peek();
+    if (tok.type !== 'eof') this.index++;
+    return tok;
+  }
+
+  isKeyword(word, offset = 0) {
+    const tok = this.peek(offset);
+    return tok.type === 'ident' && tok.upper === word;
+  }
+
+  isPunct(value, offset = 0) {
+    const tok = this.peek(offset);
+    return tok.type === 'punct' && tok.value === value;
+  }
+
+  acceptKeyword(word) {
+    if (this.isKeyword(word)) { this.next(); return true; }
+    return false;
+  }
+
+  expectKeyword(word) {
+    if (!this.acceptKeyword(word)) this.fail(`Expected ${word}`);
+  }
+
+  expectPunct(value) {
+    if (!this.isPunct(value)) this.fail(`Expected '${value}'`);
+    this.next();
+  }
+
+  expectIdentifier(what) {
+    const tok = this.peek();
+    if (tok.type !== 'ident' || KEYWORDS.has(tok.upper)) this.fail(`Expected ${what}`);
+    this.next();
+    return tok.value;
+  }
+
+  fail(message) {
+    const tok = this.peek();
+    const found = tok.type === 'eof' ? 'end of query' : `'${tok.value}'`;
+    throw new SoqlSyntaxError(`${message} but found ${found}`, tok.pos);
+  }
+
+  parseQuery() {
+    this.expectKeyword('SELECT');
+    const select = this.parseSelectList();
+    this.expectKeyword('FROM');
+    const from = { object: this.expectIdentifier('object name'), alias: null };
+    if (this.peek().type === 'ident' && !KEYWORDS.has(this.peek().upper)) {
+      from.alias = this.next().value;
+    }
+
+    const query = {
+      type: 'Query',
+      select,
+      from,
+      scope: null,
+      where: null,
+      with: null,
+      groupBy: null,
+      having: null,
+      orderBy: [],
+      limit: null,
+      offset: null,
+      forClause: null,
+    };
+
+    if (this.isKeyword('USING') && this.isKeyword('SCOPE', 1)) {
+      this.next(); this.next();
+      query.scope = this.expectIdentifier('scope name');
+    }
+    if (this.acceptKeyword('WHERE')) query.where = this.parseCondition();
+    if (this.acceptKeyword('WITH')) {
+      const tok = this.peek();
+      if (tok.type !== 'ident') this.fail('Expected WITH filter');
+      if (tok.upper === 'DATA') this.fail('WITH DATA CATEGORY is not supported');
+      query.with = this.next().value.toUpperCase();
+    }
+    if (this.isKeyword('GROUP') && this.isKeyword('BY', 1)) {
+      this.next(); this.next();
+      query.groupBy = this.parseGroupBy();
+    }
+    if (this.acceptKeyword('HAVING')) query.having = this.parseCondition();
+    if (this.isKeyword('ORDER') && this.isKeyword('BY', 1)) {
+      this.next(); this.next();
+      query.orderBy = this.parseOrderBy();
+    }
+    if (this.acceptKeyword('LIMIT')) query.limit = this.parseInteger('LIMIT');
+    if (this.acceptKeyword('OFFSET')) query.offset = this.parseInteger('OFFSET');
+    if (this.acceptKeyword('FOR')) {
+      const tok = this.peek();
+      if (tok.type !== 'ident' || !['VIEW', 'REFERENCE', 'UPDATE'].includes(tok.upper)) this.fail('Expected VIEW, REFERENCE or UPDATE');
+      query.forClause = this.next().upper;
+    }
+    return query;
+  }
+
+  parseInteger(clause) {
+    const tok = this.peek();
+    if (tok.type !== 'number' || !/^\d+$/.test(tok.value)) this.fail(`Expected integer after ${clause}`);
+    this.next();
+    return Number.parseInt(tok.value, 10);
+  }
+
+  parseSelectList() {
+    const items = [this.parseSelectItem()];
+    while (this.isPunct(',')) {
+      this.next();
+      items.push(this.parseSelectItem());
+    }
+    return items;
+  }
+
+  parseSelectItem() {
+    if (this.isPunct('(')) {
+      this.next();
+      const query = this.parseQuery();
+      this.expectPunct(')');
+      return { type: 'Subquery', query };
+    }
+    if (this.isKeyword('TYPEOF')) return this.parseTypeOf();
+    const expr = this.parseExpression();
+    const tok = this.peek();
+    if (tok.type === 'ident' && !KEYWORDS.has(tok.upper)) {
+      expr.alias = this.next().value;
+    }
+    return expr;
+  }
+
+  parseTypeOf() {
+    this.expectKeyword('TYPEOF');
+    const field = this.expectIdentifier('polymorphic field');
+    const whens = [];
+    while (this.acceptKeyword('WHEN')) {
+      const objectType = this.expectIdentifier('object type');
+      this.expectKeyword('THEN');
+      whens.push({ objectType, fields: this.parseFieldList() });
+    }
+    if (!whens.length) this.fail('Expected WHEN');
+    let elseFields = null;
+    if (this.acceptKeyword('ELSE')) elseFields = this.parseFieldList();
+    this.expectKeyword('END');
+    return { type: 'TypeOf', field, whens, else: elseFields };
+  }
+
+  parseFieldList() {
+    const fields = [{ type: 'Field', name: this.expectIdentifier('field name') }];
+    while (this.isPunct(',') && this.peek(1).type === 'ident' && !KEYWORDS.has(this.peek(1).upper)) {
+      this.next();
+      fields.push({ type: 'Field', name: this.next().value });
+    }
+    return fields;
+  }
+
+  // Field reference or function call, e.g. Owner.Name, COUNT(Id), FORMAT(MIN(CloseDate))
+  parseExpression() {
+    const tok = this.peek();
+    if (tok.type !== 'ident' || (KEYWORDS.has(tok.upper) && !this.isPunct('(', 1))) this.fail('Expected field or function');
+    this.next();
+    if (this.isPunct('(')) {
+      this.next();
+      const args = [];
+      if (!this.isPunct(')')) {
+        args.push(this.parseArgument());
+        while (this.isPunct(',')) {
+          this.next();
+          args.push(this.parseArgument());
+        }
+      }
+      this.expectPunct(')');
+      return { type: 'Function', name: tok.value, args };
+    }
+    return { type: 'Field', name: tok.value };
+  }
+
+  parseArgument() {
+    const tok = this.peek();
+    if (tok.type === 'ident') return this.parseExpression();
+    return this.parseLiteral();
+  }
+
+  parseGroupBy() {
+    let kind = 'plain';
+    let wrapped = false;
+    if ((this.isKeyword('ROLLUP') || this.isKeyword('CUBE')) && this.isPunct('(', 1)) {
+      kind = this.next().upper;
+      this.next();
+      wrapped = true;
+    }
+    const fields = [this.parseExpression()];
+    while (this.isPunct(',')) {
+      this.next();
+      fields.push(this.parseExpression());
+    }
+    if (wrapped) this.expectPunct(')');
+    return { type: kind, fields };
+  }
+
+  parseOrderBy() {
+    const items = [];
+    do {
+      if (items.length) this.next();
+      const expr = this.parseExpression();
+      let direction = null;
+      if (this.isKeyword('ASC') || this.isKeyword('DESC')) direction = this.next().upper;
+      let nulls = null;
+      if (this.acceptKeyword('NULLS')) {
+        if (!this.isKeyword('FIRST') && !this.isKeyword('LAST')) this.fail('Expected FIRST or LAST');
+        nulls = this.next().upper;
+      }
+      items.push({ expr, direction, nulls });
+    } while (this.isPunct(','));
+    return items;
+  }
+
+  parseCondition() {
+    const first = this.parseAnd();
+    if (!this.isKeyword('OR')) return first;
+    const conditions = [first];
+    while (this.acceptKeyword('OR')) conditions.push(this.parseAnd());
+    return { type: 'Or', conditions };
+  }
+
+  parseAnd() {
+    const first = this.parseNot();
+    if (!this.isKeyword('AND')) return first;
+    const conditions = [first];
+    while (this.acceptKeyword('AND')) conditions.push(this.parseNot());
+    return { type: 'And', conditions };
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('NOT')) return { type: 'Not', condition: this.parseNot() };
+    if (this.isPunct('(')) {
+      this.next();
+      const inner = this.parseCondition();
+      this.expectPunct(')');
+      return inner;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseExpression();
+    const tok = this.peek();
+    let operator = null;
+    if (tok.type === 'op') {
+      operator = this.next().value;
+    } else if (this.isKeyword('NOT') && this.isKeyword('IN', 1)) {
+      this.next(); this.next();
+      operator = 'NOT IN';
+    } else if (this.isKeyword('IN') || this.isKeyword('LIKE') || this.isKeyword('INCLUDES') || this.isKeyword('EXCLUDES')) {
+      operator = this.next().upper;
+    } else {
+      this.fail('Expected comparison operator');
+    }
+
+    let right;
+    if (SET_OPERATORS.includes(operator)) {
+      if (this.isPunct(':')) {
+        right = this.parseBind();
+      } else {
+        this.expectPunct('(');
+        if (this.isKeyword('SELECT')) {
+          right = { type: 'Subquery', query: this.parseQuery() };
+        } else {
+          const values = [this.parseLiteral()];
+          while (this.isPunct(',')) {
+            this.next();
+            values.push(this.parseLiteral());
+          }
+          right = { type: 'List', values };
+        }
+        this.expectPunct(')');
+      }
+    } else if (this.isPunct(':')) {
+      right = this.parseBind();
+    } else {
+      right = this.parseLiteral();
+    }
+    return { type: 'Comparison', left, operator, right };
+  }
+
+  parseBind() {
+    this.expectPunct(':');
+    return { type: 'Bind', name: this.expectIdentifier('bind variable') };
+  }
+
+  parseLiteral() {
+    const tok = this.peek();
+    switch (tok.type) {
+      case 'string':
+        this.next();
+        return { type: 'Literal', kind: 'string', value: tok.value };
+      case 'number':
+        this.next();
+        return { type: 'Literal', kind: 'number', value: Number(tok.value), raw: tok.value };
+      case 'date':
+        this.next();
+        return { type: 'Literal', kind: 'date', value: tok.value };
+      case 'datetime':
+        this.next();
+        return { type: 'Literal', kind: 'datetime', value: tok.value };
+      case 'ident': {
+        this.next();
+        if (tok.upper === 'TRUE' || tok.upper === 'FALSE') return { type: 'Literal', kind: 'boolean', value: tok.upper === 'TRUE' };
+        if (tok.upper === 'NULL') return { type: 'Literal', kind: 'null', value: null };
+        if (/^[A-Z]{3}\d+(?:\.\d+)?$/.test(tok.value)) return { type: 'Literal', kind: 'currency', value: tok.value };
+        if (/^[A-Z][A-Z0-9_]*$/i.test(tok.value)) {
+          // Relative date literals: TODAY, LAST_N_DAYS:30, ...
+          let value = tok.upper;
+          if (this.isPunct(':') && this.peek(1).type === 'number') {
+            this.next();
+            value += ':' + this.next().value;
+          }
+          return { type: 'Literal', kind: 'dateLiteral', value };
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    this.fail('Expected literal value');
+    return null;
+  }
+}
+
+/**
+ * Parse a SOQL SELECT statement into an AST. Throws SoqlSyntaxError on invalid input.
+ */
+function parseSoql(soql) {
+  const parser = new Parser(tokenize(soql));
+  const ast = parser.parseQuery();
+  if (parser.peek().type !== 'eof') parser.fail('Unexpected token');
+  return ast;
+}
+
+function escapeString(value) {
+  return String(value)
+    .replace(/\\(?![_%])/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+function serializeLiteral(node) {
+  switch (node.kind) {
+    case 'string': return `'${escapeString(node.value)}'`;
+    case 'number': return node.raw !== undefined ? node.raw : String(node.value);
+    case 'boolean': return node.value ? 'TRUE' : 'FALSE';
+    case 'null': return 'NULL';
+    default: return String(node.value);
+  }
+}
+
+function serializeExpression(node) {
+  if (node.type === 'Field') return node.name;
+  if (node.type === 'Function') {
+    const args = node.args.map((a) => (a.type === 'Literal' ? serializeLiteral(a) : serializeExpression(a)));
+    return `${node.name}(${args.join(', ')})`;
+  }
+  if (node.type === 'Literal') return serializeLiteral(node);
+  throw new SoqlSyntaxError(`Cannot serialize expression of type ${node.type}`);
+}
+
+function serializeSelectItem(item) {
+  if (item.type === 'Subquery') return `(${serializeSoql(item.query)})`;
+  if (item.type === 'TypeOf') {
+    const whens = item.whens.map((w) => `WHEN ${w.objectType} THEN ${w.fields.map((f) => f.name).join(', ')}`);
+    const elsePart = item.else && item.else.length ? ` ELSE ${item.else.map((f) => f.name).join(', ')}` : '';
+    return `TYPEOF ${item.field} ${whens.join(' ')}${elsePart} END`;
+  }
+  const expr = serializeExpression(item);
+  return item.alias ? `${expr} ${item.alias}` : expr;
+}
+
+function serializeValue(node) {
+  if (node.type === 'List') return `(${node.values.map(serializeLiteral).join(', ')})`;
+  if (node.type === 'Subquery') return `(${serializeSoql(node.query)})`;
+  if (node.type === 'Bind') return `:${node.name}`;
+  return serializeLiteral(node);
+}
+
+/**
+ * Serialize a condition tree. Nested AND/OR groups are parenthesized so that
+ * precedence survives a round trip.
+ */
+function serializeCondition(node, parentType) {
+  switch (node.type) {
+    case 'And':
+    case 'Or': {
+      const joined = node.conditions.map((c) => serializeCondition(c, node.type)).join(` ${node.type.toUpperCase()} `);
+      return parentType ? `(${joined})` : joined;
+    }
+    case 'Not':
+      return `NOT ${serializeCondition(node.condition, 'Not')}`;
+    case 'Comparison':
+      return `${serializeExpression(node.left)} ${node.operator} ${serializeValue(node.right)}`;
+    default:
+      throw new SoqlSyntaxError(`Cannot serialize condition of type ${node.type}`);
+  }
+}
+
+/**
+ * Serialize an AST produced by parseSoql (or built by hand) back to SOQL.
+ */
+function serializeSoql(ast) {
+  let soql = `SELECT ${ast.select.map(serializeSelectItem).join(', ')} FROM ${ast.from.object}`;
+  if (ast.from.alias) soql += ` ${ast.from.alias}`;
+  if (ast.scope) soql += ` USING SCOPE ${ast.scope}`;
+  if (ast.where) soql += ` WHERE ${serializeCondition(ast.where)}`;
+  if (ast.with) soql += ` WITH ${ast.with}`;
+  if (ast.groupBy && ast.groupBy.fields.length) {
+    const list = ast.groupBy.fields.map(serializeExpression).join(', ');
+    soql += ast.groupBy.type === 'plain' ? ` GROUP BY ${list}` : ` GROUP BY ${ast.groupBy.type}(${list})`;
+  }
+  if (ast.having) soql += ` HAVING ${serializeCondition(ast.having)}`;
+  if (ast.orderBy && ast.orderBy.length) {
+    const parts = ast.orderBy.map((o) => {
+      let s = serializeExpression(o.expr);
+      if (o.direction) s += ` ${o.direction}`;
+      if (o.nulls) s += ` NULLS ${o.nulls}`;
+      return s;
+    });
+    soql += ` ORDER BY ${parts.join(', ')}`;
+  }
+  if (ast.limit !== null && ast.limit !== undefined) soql += ` LIMIT ${ast.limit}`;
+  if (ast.offset !== null && ast.offset !== undefined) soql += ` OFFSET ${ast.offset}`;
+  if (ast.forClause) soql += ` FOR ${ast.forClause}`;
+  return soql;
+}
+
+/**
+ * Walk a condition tree and call visit(comparison) for each leaf.
+ */
+function walkConditions(node, visit) {
+  if (!node) return;
+  if (node.type === 'And' || node.type === 'Or') {
+    for (const c of node.conditions) walkConditions(c, visit);
+  } else if (node.type === 'Not') {
+    walkConditions(node.condition, visit);
+  } else if (node.type === 'Comparison') {
+    visit(node);
+  }
+}
+
+function expressionFields(node, out) {
+  if (!node) return out;
+  if (node.type === 'Field') out.push(node.name);
+  else if (node.type === 'Function') {
+    // FIELDS(ALL|STANDARD|CUSTOM) selects a field set, not a field
+    if (String(node.name).toUpperCase() !== 'FIELDS') {
+      for (const arg of node.args) expressionFields(arg, out);
+    }
+  }
+  return out;
+}
+
+/**
+ * Collect the fields a query references on its FROM object, grouped by clause.
+ * Child subqueries and semi-join subqueries are returned separately since they
+ * target other objects.
+ */
+function collectFieldReferences(ast) {
+  const refs = { select: [], where: [], groupBy: [], having: [], orderBy: [], typeOf: [], subqueries: [] };
+  for (const item of ast.select) {
+    if (item.type === 'Subquery') refs.subqueries.push({ clause: 'select', query: item.query });
+    else if (item.type === 'TypeOf') refs.typeOf.push(item);
+    else expressionFields(item, refs.select);
+  }
+  walkConditions(ast.where, (c) => {
+    expressionFields(c.left, refs.where);
+    if (c.right.type === 'Subquery') refs.subqueries.push({ clause: 'where', query: c.right.query, field: c.left.name });
+  });
+  if (ast.groupBy) for (const f of ast.groupBy.fields) expressionFields(f, refs.groupBy);
+  walkConditions(ast.having, (c) => expressionFields(c.left, refs.having));
+  for (const o of ast.orderBy || []) expressionFields(o.expr, refs.orderBy);
+  return refs;
+}
+
+module.exports = {
+  SoqlSyntaxError,
+  tokenize,
+  parseSoql,
+  serializeSoql,
+  serializeCondition,
+  walkConditions,
+  collectFieldReferences,
+};
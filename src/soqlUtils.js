@@ -1,73 +1,58 @@
 'use strict';
 
-function extractObjectName(soql) {
-  if (typeof soql !== 'string') return null;
-  const m = /\bfrom\s+([a-zA-Z0-9_]+)/i.exec(soql);
-  return m ? m[1] : null;
+const { parseSoql, serializeSoql, collectFieldReferences, walkConditions, SoqlSyntaxError } = require('./soqlParser');
+
+function tryParseSoql(soql) {
+  if (typeof soql !== 'string' || !soql.trim()) return null;
+  try {
+    return parseSoql(soql);
+  } catch (_) {
+    return null;
+  }
 }
 
-function extractSelectList(soql) {
-  if (typeof soql !== 'string') return [];
-  const m = /\bselect\s+([\s\S]*?)\s+from\b/i.exec(soql);
-  if (!m) return [];
-  const list = m[1];
-  // Naive split on commas not inside parentheses
-  const fields = [];
-  let current = '';
+// Top-level FROM object without a full parse: skips string literals and
+// parenthesized subqueries, so valid SOQL the parser does not cover (WITH
+// DATA CATEGORY, UPDATE VIEWSTAT, ...) still yields its object.
+function scanObjectName(soql) {
+  if (typeof soql !== 'string') return null;
+  const text = soql.replace(/'(?:\\.|[^'\\])*'/g, "''");
   let depth = 0;
-  for (let i = 0; i < list.length; i++) {
-    const ch = list[i];
-    if (ch === '(') depth++;
-    if (ch === ')') depth = Math.max(0, depth - 1);
-    if (ch === ',' && depth === 0) {
-      fields.push(current.trim());
-      current = '';
-      continue;
-    }
-    current += ch;
+  let topLevel = '';
+  for (const ch of text) {
+    if (ch === '(') depth += 1;
+    else if (ch === ')') depth = Math.max(depth - 1, 0);
+    else if (depth === 0) topLevel += ch;
   }
-  if (current.trim()) fields.push(current.trim());
-  return fields;
+  const m = /\bfrom\s+([a-zA-Z0-9_]+)/i.exec(topLevel);
+  return m ? m[1] : null;
 }
 
-function normalizeFieldToken(token) {
-  if (!token) return null;
-  let t = String(token).trim();
-  // Remove aliases: "field AS alias" or "field alias"
-  t = t.replace(/\s+as\s+[^\s]+$/i, '').replace(/\s+[^\s]+$/, '');
-  // Remove functions: e.g., COUNT(Id), FORMAT(DATEVALUE(CreatedDate)) → keep inner argument if present
-  const inner = /\(([^()]*)\)/.exec(t);
-  if (/^[a-zA-Z_]+\s*\(/.test(t) && inner) {
-    t = inner[1].trim();
-  }
-  // Remove type casts or wrappers like toLabel()
-  t = t.replace(/^toLabel\((.*)\)$/i, '$1');
-  // Strip qualifiers like "TYPEOF" blocks (skip these)
-  if (/^typeof\b/i.test(t)) return null;
-  // Remove spaces
-  t = t.replace(/\s+/g, '');
-  if (!t) return null;
-  return t;
+// Falls back to a lexical lookup so analytics and masking keep the object
+// for queries the parser rejects
+function extractObjectName(soql) {
+  const ast = tryParseSoql(soql);
+  return ast ? ast.from.object : scanObjectName(soql);
 }
 
+// Fields referenced on the FROM object: select list (including function
+// arguments such as COUNT(Id)) followed by WHERE, GROUP BY, HAVING and ORDER BY.
+// Child subqueries and TYPEOF branches target other objects and are skipped.
 function extractFields(soql) {
-  const raw = extractSelectList(soql);
-  const result = [];
-  for (const token of raw) {
-    const norm = normalizeFieldToken(token);
-    if (!norm) continue;
-    // Skip wildcard
-    if (norm === '*') continue;
-    // Handle dotted fields and base fields
-    result.push(norm);
-  }
-  // De-duplicate
-  return Array.from(new Set(result));
+  const ast = tryParseSoql(soql);
+  if (!ast) return [];
+  const refs = collectFieldReferences(ast);
+  const all = [...refs.select, ...refs.where, ...refs.groupBy, ...refs.having, ...refs.orderBy];
+  return Array.from(new Set(all));
 }
 
 module.exports = {
   extractObjectName,
   extractFields,
+  tryParseSoql,
+  parseSoql,
+  serializeSoql,
+  collectFieldReferences,
+  walkConditions,
+  SoqlSyntaxError,
 };
-
-
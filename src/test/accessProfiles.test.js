@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Tests for per-API-key access profiles
+ */
+
+const { parseProfiles } = require('../accessProfiles');
+const { isObjectAllowed, getAllowedFields, getDefaultFields, getAllowedOperators, clampLimit } = require('../allowlist');
+const { buildSafeSoql } = require('../safeQuery');
+const { checkSoqlPolicy } = require('../queryPolicy');
+const { toolsSchema } = require('../tools');
+const { generateObjectInsights, ObjectNotAllowedError } = require('../insights');
+const { loadKeysData, validateApiKey, getProfile } = require('../middleware/auth');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Access Profiles');
+
+const profiles = parseProfiles({
+  support: {
+    objects: {
+      Case: { fields: ['Id', 'CaseNumber', 'Subject', 'Status', 'Secret__c'], operators: { Status: ['=', 'in'] } },
+      Contact: true,
+    },
+    maxLimit: 25,
+  },
+  sales: { objects: { Opportunity: {}, Account: {} } },
+});
+const support = profiles.get('support');
+
+runner.test('Rejects malformed profiles with every problem listed', () => {
+  let error = null;
+  try {
+    parseProfiles({ broken: { objects: { Case: { fields: 'Id', extra: 1 } }, maxLimit: 5000 } });
+  } catch (err) {
+    error = err;
+  }
+  runner.assert(error, 'Should throw');
+  runner.assert(error.message.includes('profiles.broken.objects.Case.fields must be an array'), error.message);
+  runner.assert(error.message.includes('profiles.broken.objects.Case has unknown key "extra"'), error.message);
+  runner.assert(error.message.includes('profiles.broken.maxLimit'), error.message);
+});
+
+runner.test('Profiles narrow objects, fields, operators and limits', () => {
+  runner.assert(isObjectAllowed('Case', support) && isObjectAllowed('Contact', support), 'Profile objects allowed');
+  runner.assert(!isObjectAllowed('Opportunity', support), 'Other objects hidden');
+  runner.assert(isObjectAllowed('Opportunity'), 'No profile sees the whole allowlist');
+
+  runner.assertEqual(getAllowedFields('Case', support).join(','), 'Id,CaseNumber,Subject,Status');
+  runner.assertEqual(getDefaultFields('Case', support).join(','), 'Id,CaseNumber,Subject,Status');
+  runner.assertEqual(getAllowedOperators('Case', 'Status', support).join(','), '=,IN');
+  runner.assertEqual(getAllowedOperators('Case', 'Priority', support).length, 0);
+  runner.assertEqual(getAllowedFields('Contact', support).join(','), getAllowedFields('Contact').join(','));
+
+  runner.assertEqual(clampLimit(undefined, support), 25);
+  runner.assertEqual(clampLimit(150, support), 25);
+  runner.assertEqual(clampLimit(150), 150);
+});
+
+runner.test('Safe queries and raw SOQL resolve the caller profile', async () => {
+  const built = buildSafeSoql({
+    object: 'Case',
+    fields: ['Id', 'Subject', 'Priority'],
+    where: [{ field: 'Status', op: 'NOT IN', value: ['Closed'] }, { field: 'Status', op: '=', value: 'New' }],
+    limit: 100,
+  }, { profile: support });
+  runner.assertEqual(built.soql, "SELECT Id, Subject FROM Case WHERE Status = 'New' LIMIT 25");
+  runner.assertEqual(built.warnings.map((w) => w.reason).join(','), 'field_not_allowed,operator_not_allowed');
+
+  let error = null;
+  try {
+    buildSafeSoql({ object: 'Opportunity', fields: ['Id'] }, { profile: support });
+  } catch (err) {
+    error = err;
+  }
+  runner.assertEqual(error && error.message, 'Object not allowed: Opportunity');
+
+  const raw = await checkSoqlPolicy('SELECT Id, Name FROM Opportunity', { profile: support });
+  runner.assert(!raw.allowed && raw.violations[0].type === 'object', 'Raw SOQL honors the profile');
+});
+
+runner.test('API keys in api-keys.json carry their profile', () => {
+  loadKeysData({
+    profiles: { support: { objects: { Case: true } } },
+    keys: [
+      { key: 'sk_support_test', name: 'support-bot', profile: 'support', createdAt: '2024-01-01' },
+      { key: 'sk_orphan_test', name: 'orphan', profile: 'missing', createdAt: '2024-01-01' },
+    ],
+  });
+  const result = validateApiKey({ headers: { 'x-api-key': 'sk_support_test' }, query: {} });
+  runner.assert(result.valid, 'Key is valid');
+  runner.assertEqual(result.keyData.profile.name, 'support');
+  runner.assert(getProfile('support') === result.keyData.profile, 'Profile resolved by name');
+  runner.assert(!validateApiKey({ headers: { 'x-api-key': 'sk_orphan_test' }, query: {} }).valid, 'Unknown profile: key not loaded');
+});
+
+runner.test('Tool definitions only advertise profile objects', () => {
+  const tools = toolsSchema('http://localhost:3000', { objects: ['Case', 'Contact'] }).tools;
+  const safeQuery = tools.find((t) => t.name === 'sf_safe_query');
+  runner.assertEqual(safeQuery.input_schema.properties.object.enum.join(','), 'Case,Contact');
+  const open = toolsSchema('http://localhost:3000').tools.find((t) => t.name === 'sf_safe_query');
+  runner.assert(!open.input_schema.properties.object.enum, 'No enum without a profile');
+});
+
+runner.test('Insights refuse objects outside the caller profile', async () => {
+  let error = null;
+  try {
+    await generateObjectInsights('Opportunity', { profile: support });
+  } catch (err) {
+    error = err;
+  }
+  // Refused before any Salesforce call, so no sample records can leak
+  runner.assert(error instanceof ObjectNotAllowedError, error && error.message);
+  runner.assertEqual(error.code, 'OBJECT_NOT_ALLOWED');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
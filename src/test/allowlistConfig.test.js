@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Tests for loading the allowlist from a versioned JSON/YAML file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadAllowlistFile,
+  reloadAllowlistFile,
+  validateAllowlistConfig,
+  initAllowlistFromEnv,
+  AllowlistConfigError,
+} = require('../allowlistConfig');
+const { OBJECTS, isOperatorAllowed, getAllowlistInfo, useBuiltinAllowlist } = require('../allowlist');
+const { buildSafeSoql } = require('../safeQuery');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Allowlist Config');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'allowlist-'));
+
+function writeFile(name, content) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+const v1 = {
+  version: '2024-06-01',
+  objects: {
+    Account: {
+      fields: ['Id', 'Name', 'Industry'],
+      defaultFields: ['Id', 'Name'],
+      operators: { Name: ['=', 'like'] },
+      groupable: ['Industry'],
+      aggregates: { Id: ['count_distinct'] },
+    },
+  },
+};
+
+runner.test('Reports schema errors with the path of each bad entry', () => {
+  const errors = validateAllowlistConfig({
+    objects: {
+      Account: {
+        fields: ['Id', 'Name'],
+        defaultFields: ['Phone'],
+        operators: { Name: ['REGEX'] },
+        extra: true,
+      },
+    },
+  });
+  const text = errors.join('\n');
+  runner.assert(text.includes('version is required'), text);
+  runner.assert(text.includes('objects.Account.defaultFields[0] "Phone" is not in fields'), text);
+  runner.assert(text.includes('objects.Account.operators.Name[0] unknown operator "REGEX"'), text);
+  runner.assert(text.includes('objects.Account has unknown key "extra"'), text);
+  runner.assertEqual(validateAllowlistConfig(v1).length, 0);
+});
+
+runner.test('Loads a JSON file and reports its version and hash', () => {
+  try {
+    const info = loadAllowlistFile(writeFile('allowlist.json', v1));
+    runner.assertEqual(info.version, '2024-06-01');
+    runner.assertEqual(info.source, 'file');
+    runner.assert(/^sha256:[0-9a-f]{64}$/.test(info.hash), `Unexpected hash ${info.hash}`);
+    runner.assertEqual(Object.keys(OBJECTS).join(','), 'Account');
+    runner.assert(!OBJECTS.Opportunity, 'Built-in objects are replaced');
+    runner.assert(isOperatorAllowed('Account', 'Name', 'LIKE'), 'Operators are normalized to upper case');
+
+    const { soql } = buildSafeSoql({ object: 'Account', groupBy: ['Industry'], aggregates: [{ fn: 'COUNT_DISTINCT', field: 'Id' }] });
+    runner.assertEqual(soql, 'SELECT Industry, COUNT_DISTINCT(Id) count_distinct_Id FROM Account GROUP BY Industry LIMIT 50');
+  } finally {
+    useBuiltinAllowlist();
+  }
+});
+
+runner.test('Loads YAML and rejects an invalid file at startup', () => {
+  const previous = process.env.ALLOWLIST_FILE;
+  try {
+    process.env.ALLOWLIST_FILE = writeFile('allowlist.yaml', [
+      'version: 3',
+      'objects:',
+      '  Contact:',
+      '    fields: [Id, Email]',
+    ].join('\n'));
+    runner.assertEqual(initAllowlistFromEnv().version, '3');
+    runner.assertEqual(OBJECTS.Contact.fields.join(','), 'Id,Email');
+
+    process.env.ALLOWLIST_FILE = writeFile('broken.yml', 'version: 4\nobjects:\n  Contact:\n    fields: []\n');
+    let error = null;
+    try {
+      initAllowlistFromEnv();
+    } catch (err) {
+      error = err;
+    }
+    runner.assert(error instanceof AllowlistConfigError, 'Should throw AllowlistConfigError');
+    runner.assert(error.errors[0].includes('objects.Contact.fields'), error.message);
+    runner.assertEqual(getAllowlistInfo().version, '3');
+  } finally {
+    if (previous === undefined) delete process.env.ALLOWLIST_FILE;
+    else process.env.ALLOWLIST_FILE = previous;
+    useBuiltinAllowlist();
+  }
+});
+
+runner.test('Reload swaps in a valid edit and keeps the previous version on a bad one', () => {
+  try {
+    const file = writeFile('reload.json', v1);
+    loadAllowlistFile(file);
+    runner.assertEqual(reloadAllowlistFile(file), false);
+
+    fs.writeFileSync(file, JSON.stringify({ version: '2024-07-01', objects: { Lead: { fields: ['Id', 'Company'] } } }));
+    runner.assertEqual(reloadAllowlistFile(file), true);
+    runner.assertEqual(getAllowlistInfo().version, '2024-07-01');
+    runner.assert(OBJECTS.Lead && !OBJECTS.Account, 'Objects replaced in place');
+
+    fs.writeFileSync(file, '{ "version": "broken"');
+    runner.assertEqual(reloadAllowlistFile(file), false);
+    runner.assertEqual(getAllowlistInfo().version, '2024-07-01');
+    runner.assert(!!OBJECTS.Lead, 'Previous allowlist still active');
+  } finally {
+    useBuiltinAllowlist();
+  }
+});
+
+runner.test('Geolocation fields are checked but need not be selectable', () => {
+  const doc = { version: '1', objects: { Account: { fields: ['Id'], geolocation: ['BillingAddress', 'bad name'] } } };
+  const errors = validateAllowlistConfig(doc);
+  runner.assertEqual(errors.join('\n'), 'objects.Account.geolocation[1] is not a valid field name');
+  try {
+    loadAllowlistFile(writeFile('geo.json', { version: '1', objects: { Account: { fields: ['Id'], geolocation: ['BillingAddress'] } } }));
+    runner.assertEqual(OBJECTS.Account.geolocation.join(','), 'BillingAddress');
+  } finally {
+    useBuiltinAllowlist();
+  }
+});
+
+runner.test('Built-in map is the default', () => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  const info = getAllowlistInfo();
+  runner.assertEqual(info.source, 'builtin');
+  runner.assertEqual(info.version, 'builtin');
+  runner.assert(!!OBJECTS.Opportunity, 'Built-in objects restored');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
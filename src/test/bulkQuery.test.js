@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * Tests for Bulk API 2.0 query jobs against a local stand-in for the
+ * jobs/query endpoints
+ */
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const jsforce = require('jsforce');
+const { createQueryJob, getQueryJob, abortQueryJob, bulkResultPages, createCsvParser, createColumnMasker, createJobRegistry, BulkApiError } = require('../bulkQuery');
+const { streamExport } = require('../exporter');
+const { parseMaskingRules } = require('../masking');
+const { setObjectSecurity, clearFieldSecurity } = require('../fieldSecurity');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Bulk Query');
+
+// Two result pages; the first is written in pieces that split a quoted field
+const RESULT_PAGES = {
+  first: { locator: 'page2', chunks: ['Id,Name,Email,Owner.Email\n001A,"Acme, Inc.",a@acme.com,', 'kim@corp.com\n001B,"Multi\nline ""quoted', '"" name",,sam@corp.com\n'] },
+  page2: { locator: 'null', chunks: ['Id,Name,Email,Owner.Email\n001C,Globex,c@globex.com,lee@corp.com\n'] },
+};
+
+const ACCEPTED_TOKENS = ['Bearer test-token', 'Bearer refreshed-token'];
+
+function startStandIn() {
+  const jobs = new Map();
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      requests.push({ method: req.method, url: req.url, auth: req.headers.authorization, body: body ? JSON.parse(body) : null });
+      const url = new URL(req.url, 'http://localhost');
+      if (!ACCEPTED_TOKENS.includes(req.headers.authorization)) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify([{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }]));
+      }
+      if (url.pathname === '/services/data/v59.0/limits') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ DailyApiRequests: { Max: 15000, Remaining: 14990 } }));
+      }
+      const match = /^\/services\/data\/v59\.0\/jobs\/query(?:\/([^/]+))?(\/results)?$/.exec(url.pathname);
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (!match) return json(404, [{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+      const [, id, results] = match;
+      if (!id && req.method === 'POST') {
+        const job = { id: '750000000000001', operation: 'query', object: 'Contact', state: 'UploadComplete', query: JSON.parse(body).query, createdDate: '2024-06-01T00:00:00.000+0000' };
+        jobs.set(job.id, job);
+        return json(200, job);
+      }
+      const job = jobs.get(id);
+      if (!job) return json(404, [{ errorCode: 'NOT_FOUND', message: `Job ${id} not found` }]);
+      if (results) {
+        const page = RESULT_PAGES[url.searchParams.get('locator') || 'first'];
+        res.writeHead(200, { 'Content-Type': 'text/csv', 'Sforce-Locator': page.locator });
+        for (const chunk of page.chunks) {
+          res.write(chunk);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+        return res.end();
+      }
+      if (req.method === 'PATCH') job.state = JSON.parse(body).state;
+      else if (job.state === 'UploadComplete') job.state = 'JobComplete';
+      json(200, Object.assign({ numberRecordsProcessed: job.state === 'JobComplete' ? 3 : 0 }, job));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const conn = { instanceUrl: `http://127.0.0.1:${server.address().port}`, accessToken: 'test-token', version: '59.0' };
+      resolve({ server, conn, requests });
+    });
+  });
+}
+
+function collectingResponse() {
+  const res = new EventEmitter();
+  return Object.assign(res, {
+    chunks: [],
+    headers: {},
+    status() { return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    write(chunk) { this.chunks.push(chunk); return true; },
+    addTrailers(trailers) { this.trailers = trailers; },
+    end() { this.ended = true; },
+  });
+}
+
+runner.test('Parses CSV fed in arbitrary pieces', () => {
+  const parser = createCsvParser();
+  const text = 'a,b\n"x, y","say ""hi""\nthere"\r\n,last';
+  const rows = [];
+  for (const piece of text.match(/.{1,3}/gs)) rows.push(...parser.feed(piece));
+  rows.push(...parser.end());
+  runner.assertEqual(JSON.stringify(rows), JSON.stringify([['a', 'b'], ['x, y', 'say "hi"\nthere'], ['', 'last']]));
+});
+
+runner.test('Creates, polls and aborts jobs through the Bulk endpoints', async () => {
+  const { server, conn, requests } = await startStandIn();
+  try {
+    const job = await createQueryJob(conn, 'SELECT Id FROM Contact LIMIT 10001');
+    runner.assertEqual(job.state, 'UploadComplete');
+    runner.assertEqual(JSON.stringify(requests[0].body), JSON.stringify({ operation: 'query', query: 'SELECT Id FROM Contact LIMIT 10001', contentType: 'CSV', columnDelimiter: 'COMMA', lineEnding: 'LF' }));
+    runner.assertEqual(requests[0].auth, 'Bearer test-token');
+    runner.assertEqual((await getQueryJob(conn, job.id)).state, 'JobComplete');
+    runner.assertEqual((await abortQueryJob(conn, job.id)).state, 'Aborted');
+    runner.assertEqual(requests[2].method, 'PATCH');
+
+    let error = null;
+    try {
+      await getQueryJob(conn, '750000000000009');
+    } catch (err) {
+      error = err;
+    }
+    runner.assert(error instanceof BulkApiError && error.status === 404 && error.code === 'NOT_FOUND', error && error.message);
+  } finally {
+    server.close();
+  }
+});
+
+runner.test('Refreshes an expired session through the connection and retries once', async () => {
+  const { server, conn: standIn, requests } = await startStandIn();
+  try {
+    let refreshes = 0;
+    const conn = new jsforce.Connection({
+      instanceUrl: standIn.instanceUrl,
+      accessToken: 'expired-token',
+      version: '59.0',
+      refreshFn: (_conn, callback) => {
+        refreshes += 1;
+        callback(null, 'refreshed-token');
+      },
+    });
+    const job = await createQueryJob(conn, 'SELECT Id FROM Contact');
+    runner.assertEqual(job.id, '750000000000001');
+    runner.assertEqual(refreshes, 1);
+    runner.assertEqual(requests.map((r) => `${r.method} ${r.url.replace('/services/data/v59.0', '')} ${r.auth}`).join(' | '), [
+      'POST /jobs/query Bearer expired-token',
+      'GET /limits Bearer expired-token',
+      'GET /limits Bearer refreshed-token',
+      'POST /jobs/query Bearer refreshed-token',
+    ].join(' | '));
+    runner.assertEqual((await getQueryJob(conn, job.id)).state, 'JobComplete');
+    runner.assertEqual(refreshes, 1, 'Later calls use the refreshed session');
+
+    // A session that cannot be refreshed fails instead of looping
+    const stuck = new jsforce.Connection({
+      instanceUrl: standIn.instanceUrl,
+      accessToken: 'expired-token',
+      version: '59.0',
+      refreshFn: (_conn, callback) => callback(new Error('Salesforce rejected the session right after re-authenticating')),
+    });
+    let error = null;
+    try {
+      await getQueryJob(stuck, job.id);
+    } catch (err) {
+      error = err;
+    }
+    runner.assert(error instanceof BulkApiError && error.status === 401 && error.message.includes('rejected the session'), error && error.message);
+  } finally {
+    server.close();
+  }
+});
+
+runner.test('Streams result locators as masked CSV', async () => {
+  const { server, conn, requests } = await startStandIn();
+  try {
+    setObjectSecurity('Contact', { name: 'Contact', fields: [{ name: 'OwnerId', type: 'reference', referenceTo: ['User'], relationshipName: 'Owner' }] });
+    const job = await createQueryJob(conn, 'SELECT Id, Name, Email, Owner.Email FROM Contact');
+    const rules = parseMaskingRules({ Contact: { Email: 'partial' }, User: { Email: 'redact' } });
+    const res = collectingResponse();
+    const exported = await streamExport(res, bulkResultPages(conn, job.id, { pageSize: 2 }), {
+      format: 'csv',
+      transform: (rows) => rows.map(createColumnMasker('Contact', rules)),
+      maxRows: 100,
+    });
+    runner.assertEqual(res.chunks.join(''), [
+      'Id,Name,Email,Owner.Email',
+      '001A,"Acme, Inc.",a***@acme.com,[REDACTED]',
+      '001B,"Multi\nline ""quoted"" name",,[REDACTED]',
+      '001C,Globex,c***@globex.com,[REDACTED]',
+      '',
+    ].join('\n'));
+    runner.assertEqual(JSON.stringify(exported), '{"rows":3,"truncated":false,"aborted":false,"droppedColumns":[]}');
+    const resultCalls = requests.filter((r) => r.url.includes('/results'));
+    runner.assertEqual(resultCalls.map((r) => r.url.split('?')[1]).join(' | '), 'maxRecords=2 | maxRecords=2&locator=page2');
+  } finally {
+    clearFieldSecurity();
+    server.close();
+  }
+});
+
+runner.test('Jobs are only visible to the caller that created them', () => {
+  const registry = createJobRegistry();
+  registry.add('750A', { key: 'sk_one', userId: null }, { object: 'Contact', maxRows: 10 });
+  registry.add('750B', { key: 'sk_one', userId: '005A' }, { object: 'Contact', maxRows: 10 });
+  runner.assertEqual(registry.get('750A', { key: 'sk_one', userId: null }).object, 'Contact');
+  runner.assertEqual(registry.get('750A', { key: 'sk_two', userId: null }), null);
+  runner.assertEqual(registry.get('750B', { key: 'sk_one', userId: '005B' }), null, 'Other X-User-Id');
+  runner.assertEqual(registry.get('750C', { key: 'sk_one', userId: null }), null);
+
+  // Related columns of unknown type fall back to any rule for that field name
+  const mask = createColumnMasker('Task', parseMaskingRules({ Contact: { Email: 'redact' } }));
+  runner.assertEqual(JSON.stringify(mask({ 'Who.Email': 'x@y.com', Subject: 'Call' })), '{"Who.Email":"[REDACTED]","Subject":"Call"}');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Tests for the connection manager: login backoff, state reporting, and
+ * recovery from a rejected session through jsforce's refreshFn
+ */
+
+const http = require('http');
+const jsforce = require('jsforce');
+const { createConnectionManager, ConnectionUnavailableError } = require('../connectionManager');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Connection Manager');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function errorOf(fn) {
+  try {
+    await fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+// authenticate() stand-in that fails `failures` times, then hands out token-1, token-2, ...
+function fakeAuth(failures = 0) {
+  const calls = [];
+  let issued = 0;
+  const authenticate = async ({ fresh }) => {
+    calls.push(fresh);
+    if (calls.length <= failures) throw new Error('INVALID_LOGIN: Invalid username, password, security token; or user locked out.');
+    issued += 1;
+    return { accessToken: `token-${issued}`, instanceUrl: 'https://example.my.salesforce.com' };
+  };
+  return { authenticate, calls };
+}
+
+const buildPlain = (credentials, refreshFn) => ({ accessToken: credentials.accessToken, instanceUrl: credentials.instanceUrl, refreshFn });
+
+runner.test('A failed login is retried after a backoff instead of cached', async () => {
+  const auth = fakeAuth(2);
+  const manager = createConnectionManager({ name: 'test', authenticate: auth.authenticate, build: buildPlain, baseDelayMs: 50 });
+  runner.assertEqual(manager.status().state, 'idle');
+
+  const first = await errorOf(() => manager.get());
+  runner.assert(/INVALID_LOGIN/.test(first.message), first.message);
+  const status = manager.status();
+  runner.assertEqual(status.state, 'disconnected');
+  runner.assertEqual(status.attempts, 1);
+  runner.assert(status.nextAttemptAt && status.lastError.includes('INVALID_LOGIN'), JSON.stringify(status));
+
+  const fastFail = await errorOf(() => manager.get());
+  runner.assert(fastFail instanceof ConnectionUnavailableError, 'Fails fast during the backoff');
+  runner.assertEqual(fastFail.code, 'SF_UNAVAILABLE');
+  runner.assertEqual(auth.calls.length, 1, 'No login attempt during the backoff');
+
+  await sleep(60);
+  await errorOf(() => manager.get());
+  runner.assertEqual(manager.status().attempts, 2);
+  await sleep(60);
+  runner.assert((await errorOf(() => manager.get())) instanceof ConnectionUnavailableError, 'The delay doubles');
+  await sleep(50);
+  const conn = await manager.get();
+  runner.assertEqual(conn.accessToken, 'token-1');
+  const { state, attempts, lastError, nextAttemptAt } = manager.status();
+  runner.assertEqual(JSON.stringify([state, attempts, lastError, nextAttemptAt]), JSON.stringify(['connected', 0, null, null]));
+  runner.assertEqual(await manager.get(), conn, 'Same connection afterwards');
+});
+
+runner.test('Concurrent first requests share one login', async () => {
+  const auth = fakeAuth();
+  const manager = createConnectionManager({ name: 'test', authenticate: auth.authenticate, build: buildPlain });
+  const [a, b] = await Promise.all([manager.get(), manager.get()]);
+  runner.assertEqual(a, b);
+  runner.assertEqual(auth.calls.length, 1);
+});
+
+runner.test('refreshFn re-authenticates from scratch and updates the connection in place', async () => {
+  const auth = fakeAuth();
+  const manager = createConnectionManager({ name: 'test', authenticate: auth.authenticate, build: buildPlain, baseDelayMs: 50, minReauthIntervalMs: 40 });
+  const conn = await manager.get();
+  const refresh = () => new Promise((resolve, reject) => {
+    conn.refreshFn(conn, (err, accessToken) => (err ? reject(err) : resolve(accessToken)));
+  });
+
+  runner.assertEqual(await refresh(), 'token-2');
+  runner.assertEqual(conn.accessToken, 'token-2');
+  runner.assertEqual(JSON.stringify(auth.calls), JSON.stringify([false, true]), 'Re-authentication is fresh');
+
+  const rejectedAgain = await errorOf(refresh);
+  runner.assertEqual(rejectedAgain.code, 'SF_SESSION_REJECTED', 'A session rejected right after re-authenticating is not retried');
+  runner.assertEqual(manager.status().state, 'disconnected');
+
+  await sleep(60);
+  runner.assertEqual(await refresh(), 'token-3', 'Recovers once the backoff has passed');
+  runner.assertEqual(manager.status().state, 'connected');
+});
+
+// Answers queries with 401 INVALID_SESSION_ID until it sees `validToken`
+function startApi(validToken) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(req.headers.authorization);
+    res.setHeader('Content-Type', 'application/json');
+    if (req.headers.authorization !== `Bearer ${validToken}`) {
+      res.statusCode = 401;
+      return res.end(JSON.stringify([{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }]));
+    }
+    res.end(JSON.stringify({ totalSize: 1, done: true, records: [{ attributes: { type: 'User' }, Id: '005xx0000000001' }] }));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, seen, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+runner.test('A query on an expired session is retried once with a new session', async () => {
+  const { server, seen, url } = await startApi('token-2');
+  let issued = 0;
+  const manager = createConnectionManager({
+    name: 'test',
+    authenticate: async () => {
+      issued += 1;
+      return { accessToken: `token-${issued}`, instanceUrl: url };
+    },
+    build: (credentials, refreshFn) => new jsforce.Connection({ instanceUrl: credentials.instanceUrl, accessToken: credentials.accessToken, refreshFn, version: '59.0' }),
+  });
+  try {
+    const conn = await manager.get();
+    const result = await conn.query('SELECT Id FROM User LIMIT 1');
+    runner.assertEqual(result.records[0].Id, '005xx0000000001');
+    runner.assertEqual(JSON.stringify(seen), JSON.stringify(['Bearer token-1', 'Bearer token-2']));
+    runner.assertEqual(manager.status().state, 'connected');
+  } finally {
+    server.close();
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
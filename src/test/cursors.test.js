@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Tests for opaque, signed pagination cursors
+ */
+
+const { issueCursor, readCursor, CursorError } = require('../cursors');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Cursors');
+
+const SECRET = 'test-cursor-secret';
+const caller = { key: 'sk_cursor_one', userId: null };
+const page = {
+  route: 'safe-query',
+  object: 'Account',
+  nextRecordsUrl: '/services/data/v59.0/query/01gxx0000000001-2000',
+  context: { flatten: true, typeOf: [], near: false, fieldsUsed: ['Id', 'Name'] },
+};
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+runner.test('Round-trips the locator and context without exposing them', () => {
+  const token = issueCursor(page, caller, { secret: SECRET });
+  runner.assert(!token.includes('query/01g') && !Buffer.from(token.split('.')[0], 'base64url').toString('latin1').includes('01gxx'), 'Locator is not readable');
+  const cursor = readCursor(token, { route: 'safe-query', object: 'Account' }, caller, { secret: SECRET });
+  runner.assertEqual(cursor.nextRecordsUrl, page.nextRecordsUrl);
+  runner.assertEqual(cursor.object, 'Account');
+  runner.assertEqual(cursor.context.fieldsUsed.join(','), 'Id,Name');
+  runner.assert(issueCursor(page, caller, { secret: SECRET }) !== token, 'Each cursor is unique');
+});
+
+runner.test('Refuses tampered, foreign and malformed cursors', () => {
+  const token = issueCursor(page, caller, { secret: SECRET });
+  const [body, signature] = token.split('.');
+  const bytes = Buffer.from(body, 'base64url');
+  bytes[bytes.length - 1] ^= 1;
+  const tampered = `${bytes.toString('base64url')}.${signature}`;
+  runner.assertEqual(errorOf(() => readCursor(tampered, { route: 'safe-query' }, caller, { secret: SECRET })).code, 'INVALID_CURSOR');
+  runner.assertEqual(errorOf(() => readCursor(token, { route: 'safe-query' }, caller, { secret: 'other-secret' })).code, 'INVALID_CURSOR');
+  runner.assertEqual(errorOf(() => readCursor('/services/data/v59.0/query/01gxx-2000', { route: 'query' }, caller, { secret: SECRET })).code, 'INVALID_CURSOR');
+  runner.assert(errorOf(() => readCursor(undefined, { route: 'query' }, caller, { secret: SECRET })) instanceof CursorError, 'Missing cursor');
+});
+
+runner.test('Binds cursors to the caller, route and object', () => {
+  const token = issueCursor(page, caller, { secret: SECRET });
+  runner.assertEqual(errorOf(() => readCursor(token, { route: 'safe-query' }, { key: 'sk_cursor_two', userId: null }, { secret: SECRET })).code, 'CURSOR_CALLER_MISMATCH');
+  runner.assertEqual(errorOf(() => readCursor(token, { route: 'safe-query' }, { key: 'sk_cursor_one', userId: '005A' }, { secret: SECRET })).code, 'CURSOR_CALLER_MISMATCH');
+  runner.assertEqual(errorOf(() => readCursor(token, { route: 'query' }, caller, { secret: SECRET })).code, 'CURSOR_ROUTE_MISMATCH');
+  runner.assertEqual(errorOf(() => readCursor(token, { route: 'safe-query', object: 'Contact' }, caller, { secret: SECRET })).code, 'CURSOR_ROUTE_MISMATCH');
+});
+
+runner.test('Cursors expire', () => {
+  const now = Date.parse('2024-06-01T12:00:00Z');
+  const token = issueCursor(page, caller, { secret: SECRET, ttlSeconds: 60, now });
+  runner.assertEqual(readCursor(token, { route: 'safe-query' }, caller, { secret: SECRET, now: now + 59 * 1000 }).object, 'Account');
+  const expired = errorOf(() => readCursor(token, { route: 'safe-query' }, caller, { secret: SECRET, now: now + 60 * 1000 }));
+  runner.assertEqual(expired.code, 'CURSOR_EXPIRED');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
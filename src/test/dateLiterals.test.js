@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Tests for SOQL date literal parsing and resolution
+ */
+
+const { parseDateLiteral, isDateLiteral, resolveDateLiteral, DateLiteralError } = require('../dateLiterals');
+const { formatSoqlLiteral } = require('../soqlLiterals');
+const { setObjectSecurity, clearFieldSecurity } = require('../fieldSecurity');
+const { formatTypedComparison, ValueValidationError } = require('../valueValidation');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Date Literals');
+
+// Wednesday 2024-09-18, fiscal year starting in February
+const now = new Date('2024-09-18T15:00:00Z');
+const fiscal = { fiscalYearStartMonth: 2, now };
+
+function range(literal, options = fiscal) {
+  const r = resolveDateLiteral(literal, options);
+  return `${r.start}..${r.end}`;
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+runner.test('Parses the full literal grammar', () => {
+  for (const literal of ['TODAY', 'LAST_90_DAYS', 'THIS_FISCAL_QUARTER', 'NEXT_FISCAL_YEAR', 'LAST_N_FISCAL_YEARS:2', 'N_DAYS_AGO:3', 'N_QUARTERS_AGO:1', 'NEXT_N_WEEKS:4']) {
+    runner.assert(isDateLiteral(literal), literal);
+  }
+  runner.assertEqual(parseDateLiteral('N_FISCAL_QUARTERS_AGO:2').unit, 'fiscalQuarter');
+  runner.assertEqual(parseDateLiteral('N_FISCAL_QUARTERS_AGO:2').n, 2);
+  runner.assertEqual(parseDateLiteral('Closed Won'), null);
+  runner.assertEqual(parseDateLiteral('THIS_DECADE'), null);
+});
+
+runner.test('Rejects known literals used wrongly', () => {
+  const missing = errorOf(() => parseDateLiteral('LAST_N_DAYS'));
+  runner.assert(missing instanceof DateLiteralError, 'Typed error');
+  runner.assert(missing.message.includes('needs a number, e.g. LAST_N_DAYS:3'), missing.message);
+  runner.assert(errorOf(() => parseDateLiteral('N_DAYS_AGO:x')).message.includes('expects a whole number'), 'Non-numeric n');
+  runner.assert(errorOf(() => parseDateLiteral('TODAY:3')).message.includes('does not take a number'), 'Fixed literal with n');
+  runner.assert(errorOf(() => formatSoqlLiteral('LAST_N_FISCAL_YEARS:two')) instanceof DateLiteralError, 'Not quoted as a string');
+  runner.assertEqual(formatSoqlLiteral('THIS_FISCAL_QUARTER'), 'THIS_FISCAL_QUARTER');
+  runner.assertEqual(formatSoqlLiteral('TODAY_X'), "'TODAY_X'");
+});
+
+runner.test('Resolves calendar and fiscal literals to inclusive ranges', () => {
+  runner.assertEqual(range('TODAY'), '2024-09-18..2024-09-18');
+  runner.assertEqual(range('N_DAYS_AGO:3'), '2024-09-15..2024-09-15');
+  runner.assertEqual(range('LAST_N_DAYS:7'), '2024-09-11..2024-09-18');
+  runner.assertEqual(range('THIS_WEEK'), '2024-09-15..2024-09-21');
+  runner.assertEqual(range('LAST_MONTH'), '2024-08-01..2024-08-31');
+  runner.assertEqual(range('N_QUARTERS_AGO:1'), '2024-04-01..2024-06-30');
+  runner.assertEqual(range('THIS_YEAR'), '2024-01-01..2024-12-31');
+  runner.assertEqual(range('THIS_FISCAL_QUARTER'), '2024-08-01..2024-10-31');
+  runner.assertEqual(range('THIS_FISCAL_YEAR'), '2024-02-01..2025-01-31');
+  runner.assertEqual(range('LAST_N_FISCAL_YEARS:2'), '2022-02-01..2024-01-31');
+  runner.assertEqual(range('NEXT_N_FISCAL_QUARTERS:2'), '2024-11-01..2025-04-30');
+  runner.assertEqual(range('THIS_FISCAL_YEAR', { now }), '2024-01-01..2024-12-31');
+});
+
+runner.test('Uses the org time zone for today', () => {
+  const lateUtc = new Date('2024-10-01T03:00:00Z');
+  runner.assertEqual(range('TODAY', { now: lateUtc, timeZone: 'America/Los_Angeles' }), '2024-09-30..2024-09-30');
+  runner.assertEqual(range('THIS_FISCAL_QUARTER', { now: lateUtc, fiscalYearStartMonth: 2, timeZone: 'America/Los_Angeles' }), '2024-08-01..2024-10-31');
+  runner.assertEqual(range('THIS_FISCAL_QUARTER', { now: lateUtc, fiscalYearStartMonth: 10 }), '2024-10-01..2024-12-31');
+});
+
+runner.test('Typed date values reject malformed literals', () => {
+  try {
+    setObjectSecurity('Opportunity', { name: 'Opportunity', fields: [{ name: 'CloseDate', type: 'date' }] });
+    runner.assertEqual(formatTypedComparison('Opportunity', 'CloseDate', '=', 'THIS_FISCAL_QUARTER'), 'CloseDate = THIS_FISCAL_QUARTER');
+    const err = errorOf(() => formatTypedComparison('Opportunity', 'CloseDate', '>', 'N_DAYS_AGO'));
+    runner.assert(err instanceof ValueValidationError, 'Reported against the field');
+    runner.assert(err.message.includes('Opportunity.CloseDate: Invalid date literal N_DAYS_AGO'), err.message);
+  } finally {
+    clearFieldSecurity();
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
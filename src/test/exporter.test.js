@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * Tests for streaming exports: queryMore paging, backpressure and row caps
+ */
+
+const { EventEmitter } = require('events');
+const { queryPages, streamExport, DEFAULT_EXPORT_MAX_ROWS } = require('../exporter');
+const { buildSafeSoql, exportColumns } = require('../safeQuery');
+const { flattenRecords } = require('../flatten');
+const { loadKeysData, validateApiKey, resolveExportMaxRows } = require('../middleware/auth');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Export');
+
+function record(n) {
+  return { attributes: { type: 'Account' }, Id: `001${n}`, Name: `Account ${n}` };
+}
+
+// Three pages of two records; logs every query call
+function fakeConn(calls) {
+  const pages = [
+    { records: [record(1), record(2)], done: false, nextRecordsUrl: '/next/1' },
+    { records: [record(3), record(4)], done: false, nextRecordsUrl: '/next/2' },
+    { records: [record(5), record(6)], done: true },
+  ];
+  return {
+    query: async (soql) => {
+      calls.push(soql);
+      return pages[0];
+    },
+    queryMore: async (url) => {
+      calls.push(url);
+      return pages[Number(url.split('/').pop())];
+    },
+  };
+}
+
+// Minimal Express response: write() reports a full buffer when `full` is set
+function fakeResponse({ full = false } = {}) {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: null,
+    headers: {},
+    chunks: [],
+    trailers: null,
+    ended: false,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    write(chunk) {
+      this.headersSent = true;
+      this.chunks.push(chunk);
+      return !full;
+    },
+    addTrailers(trailers) {
+      this.trailers = trailers;
+    },
+    end() {
+      this.ended = true;
+    },
+  });
+  return res;
+}
+
+runner.test('Follows queryMore and writes one NDJSON chunk per page', async () => {
+  const calls = [];
+  const res = fakeResponse();
+  const result = await streamExport(res, queryPages(fakeConn(calls), 'SELECT Id, Name FROM Account'), {
+    transform: (records) => records.map(({ Id }) => ({ Id })),
+    maxRows: 100,
+  });
+  runner.assertEqual(calls.join(' | '), 'SELECT Id, Name FROM Account | /next/1 | /next/2');
+  runner.assertEqual(res.chunks.length, 3);
+  runner.assertEqual(res.chunks[0], '{"Id":"0011"}\n{"Id":"0012"}\n');
+  runner.assertEqual(res.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+  runner.assertEqual(res.headers['x-export-max-rows'], '100');
+  runner.assertEqual(JSON.stringify(res.trailers), '{"X-Export-Rows":"6","X-Export-Truncated":"false","X-Export-Dropped-Columns":""}');
+  runner.assert(res.ended, 'Response ended');
+  runner.assertEqual(JSON.stringify(result), '{"rows":6,"truncated":false,"aborted":false,"droppedColumns":[]}');
+});
+
+runner.test('Waits for drain before fetching the next page', async () => {
+  const calls = [];
+  const res = fakeResponse({ full: true });
+  const exporting = streamExport(res, queryPages(fakeConn(calls), 'SELECT Id FROM Account'), { maxRows: 100 });
+  await new Promise((resolve) => setImmediate(resolve));
+  runner.assertEqual(calls.length, 1, 'No queryMore while the buffer is full');
+  res.emit('drain');
+  await new Promise((resolve) => setImmediate(resolve));
+  runner.assertEqual(calls.length, 2, 'Next page after drain');
+  res.emit('close');
+  const result = await exporting;
+  runner.assert(result.aborted, 'Client close stops the export');
+  runner.assertEqual(calls.length, 2, 'No more pages after close');
+  runner.assert(!res.ended && !res.trailers, 'Nothing more written');
+});
+
+runner.test('Stops at the row cap and reports truncation in CSV', async () => {
+  const calls = [];
+  const res = fakeResponse();
+  const result = await streamExport(res, queryPages(fakeConn(calls), 'SELECT Id, Name FROM Account'), {
+    format: 'csv',
+    transform: (records) => records.map(({ Id, Name }) => ({ Id, Name })),
+    maxRows: 3,
+  });
+  runner.assertEqual(res.chunks.join(''), 'Id,Name\n0011,Account 1\n0012,Account 2\n0013,Account 3\n');
+  runner.assertEqual(calls.length, 2, 'Paging stops at the cap');
+  runner.assertEqual(res.headers['content-type'], 'text/csv; charset=utf-8');
+  runner.assertEqual(res.trailers['X-Export-Truncated'], 'true');
+  runner.assertEqual(result.rows, 3);
+
+  // Exactly the cap on the last page is not a truncation
+  const exact = await streamExport(fakeResponse(), queryPages(fakeConn([]), 'SELECT Id FROM Account'), { maxRows: 6 });
+  runner.assertEqual(JSON.stringify(exact), '{"rows":6,"truncated":false,"aborted":false,"droppedColumns":[]}');
+});
+
+runner.test('CSV columns come from the query, not the first page', async () => {
+  // The Account lookup is empty on page 1 and set on page 2
+  const opportunity = (n, account) => ({ attributes: { type: 'Opportunity' }, Id: `006${n}`, Account: account });
+  const pages = () => (async function* () {
+    yield { records: [opportunity(1, null)], done: false };
+    yield { records: [opportunity(2, { attributes: { type: 'Account' }, Name: 'Acme' })], done: true };
+  })();
+  const transform = (records) => flattenRecords(records);
+
+  const built = buildSafeSoql({ object: 'Opportunity', fields: ['Id', 'Account.Name'] }, { exportLimit: 100 });
+  runner.assertEqual(exportColumns(built).join(','), 'Id,account_Name');
+  const res = fakeResponse();
+  const result = await streamExport(res, pages(), { format: 'csv', transform, columns: exportColumns(built) });
+  runner.assertEqual(res.chunks.join(''), 'Id,account_Name\n0061,\n0062,Acme\n');
+  runner.assertEqual(result.droppedColumns.length, 0);
+
+  // Without columns the header is page 1's, and the later column is reported
+  const guessed = fakeResponse();
+  const lossy = await streamExport(guessed, pages(), { format: 'csv', transform });
+  runner.assertEqual(guessed.chunks.join(''), 'Id,Account\n0061,\n0062,\n');
+  runner.assertEqual(lossy.droppedColumns.join(','), 'account_Name');
+  runner.assertEqual(guessed.trailers['X-Export-Dropped-Columns'], 'account_Name');
+
+  const typeOf = buildSafeSoql({ object: 'Task', fields: ['Id'], typeof: [{ field: 'What', when: { Account: ['Name'] } }] }, { exportLimit: 100 });
+  runner.assertEqual(exportColumns(typeOf).join(','), 'Id,what_typeof,what_Name');
+});
+
+runner.test('A failing first query rejects before any header is sent', async () => {
+  const res = fakeResponse();
+  const conn = { query: async () => { throw new Error('MALFORMED_QUERY'); } };
+  let error = null;
+  try {
+    await streamExport(res, queryPages(conn, 'SELECT Nope FROM Account'));
+  } catch (err) {
+    error = err;
+  }
+  runner.assert(error && error.message === 'MALFORMED_QUERY', 'Error propagates');
+  runner.assert(!res.headersSent && res.statusCode === null, 'Caller can still answer with JSON');
+});
+
+runner.test('Safe-query exports use the key cap as LIMIT', () => {
+  loadKeysData({
+    keys: [
+      { key: 'sk_export_capped', name: 'etl', exportMaxRows: 500, createdAt: '2024-01-01' },
+      { key: 'sk_export_default', name: 'bot', createdAt: '2024-01-01' },
+      { key: 'sk_export_invalid', name: 'bad', exportMaxRows: -1, createdAt: '2024-01-01' },
+    ],
+  });
+  const capped = validateApiKey({ headers: { 'x-api-key': 'sk_export_capped' }, query: {} });
+  const plain = validateApiKey({ headers: { 'x-api-key': 'sk_export_default' }, query: {} });
+  runner.assertEqual(resolveExportMaxRows(capped.keyData), 500);
+  runner.assertEqual(resolveExportMaxRows(plain.keyData), DEFAULT_EXPORT_MAX_ROWS);
+  runner.assert(!validateApiKey({ headers: { 'x-api-key': 'sk_export_invalid' }, query: {} }).valid, 'Invalid cap: key not loaded');
+  loadKeysData({ keys: [] });
+
+  // One row past the cap so truncation can be detected; a lower limit wins
+  const built = buildSafeSoql({ object: 'Account', fields: ['Id'] }, { exportLimit: 500 });
+  runner.assert(built.soql.endsWith('LIMIT 501'), built.soql);
+  runner.assert(buildSafeSoql({ object: 'Account', fields: ['Id'], limit: 20 }, { exportLimit: 500 }).soql.endsWith('LIMIT 20'), 'Lower limit kept');
+
+  let error = null;
+  try {
+    buildSafeSoql({ object: 'Account', aggregates: [{ fn: 'COUNT' }] }, { exportLimit: 500 });
+  } catch (err) {
+    error = err;
+  }
+  runner.assert(error && error.message.includes('cannot be exported'), error && error.message);
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
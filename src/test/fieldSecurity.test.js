@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * Tests for intersecting the allowlist with the connected user's describe
+ */
+
+const {
+  ensureFieldSecurity,
+  setObjectSecurity,
+  getFieldAccess,
+  getFieldSecurityMismatches,
+  clearFieldSecurity,
+} = require('../fieldSecurity');
+const { OBJECTS, isObjectAllowed, getAllowedFields, getAllowedOperators, isFieldGroupable } = require('../allowlist');
+const { buildSafeSoql } = require('../safeQuery');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Field Security');
+
+// Describe for a user who cannot read BillingCity; Description is a long
+// text area (not filterable or sortable) and Type is not groupable.
+const accountDescribe = {
+  name: 'Account',
+  queryable: true,
+  fields: [
+    { name: 'Id', filterable: true, sortable: true, groupable: true },
+    { name: 'Name', filterable: true, sortable: true, groupable: true },
+    { name: 'Industry', filterable: true, sortable: true, groupable: true },
+    { name: 'Type', filterable: true, sortable: true, groupable: false },
+    { name: 'BillingState', filterable: true, sortable: true, groupable: true },
+    { name: 'CreatedDate', filterable: true, sortable: true, groupable: false },
+    { name: 'LastModifiedDate', filterable: true, sortable: true, groupable: false },
+    { name: 'Description', filterable: false, sortable: false, groupable: false },
+    { name: 'OwnerId', filterable: true, sortable: true, groupable: true, relationshipName: 'Owner', referenceTo: ['User'] },
+  ],
+};
+
+function fakeConnection(describes) {
+  const calls = [];
+  return {
+    calls,
+    sobject(name) {
+      return {
+        async describe() {
+          calls.push(name);
+          const desc = describes[name];
+          if (desc instanceof Error) throw desc;
+          return desc;
+        },
+      };
+    },
+  };
+}
+
+runner.test('Fields the user cannot read are removed from the allowlist', () => {
+  try {
+    runner.assert(getAllowedFields('Account').includes('BillingCity'), 'Unchanged before describe');
+    setObjectSecurity('Account', accountDescribe);
+    const fields = getAllowedFields('Account');
+    runner.assert(!fields.includes('BillingCity'), 'BillingCity hidden by FLS');
+    runner.assert(fields.includes('Owner.Name'), 'Relationship path kept when the lookup is readable');
+    runner.assertEqual(getFieldAccess('Account', 'BillingCity').accessible, false);
+
+    const built = buildSafeSoql({ object: 'Account', fields: ['Id', 'BillingCity'] });
+    runner.assertEqual(built.soql, 'SELECT Id FROM Account LIMIT 50');
+    runner.assertEqual(built.warnings[0].reason, 'field_not_accessible');
+    runner.assertEqual(built.warnings[0].message, 'Field not readable by the connected user: Account.BillingCity');
+  } finally {
+    clearFieldSecurity();
+  }
+});
+
+runner.test('Unfilterable, unsortable and ungroupable fields lose those capabilities', () => {
+  const spec = OBJECTS.Account;
+  const original = { fields: spec.fields, operators: spec.operators, groupable: spec.groupable };
+  try {
+    spec.fields = [...original.fields, 'Description'];
+    spec.operators = Object.assign({}, original.operators, { Description: ['LIKE'] });
+    setObjectSecurity('Account', accountDescribe);
+
+    runner.assertEqual(getAllowedOperators('Account', 'Description').length, 0);
+    runner.assert(!isFieldGroupable('Account', 'Type'), 'Type is not groupable for this user');
+
+    const built = buildSafeSoql({
+      object: 'Account',
+      fields: ['Id', 'Description'],
+      where: [{ field: 'Description', op: 'LIKE', value: 'x%' }],
+      orderBy: [{ field: 'Description' }, { field: 'Name' }],
+    });
+    runner.assertEqual(built.soql, 'SELECT Id, Description FROM Account ORDER BY Name ASC LIMIT 50');
+    runner.assertEqual(built.warnings.map((w) => w.reason).join(','), 'field_not_filterable,field_not_sortable');
+
+    const report = getFieldSecurityMismatches({ Account: spec }).Account;
+    runner.assert(report.notAccessible.includes('BillingCity'), 'Reports unreadable fields');
+    runner.assertEqual(report.notFilterable.join(','), 'Description');
+    runner.assertEqual(report.notGroupable.join(','), 'Type');
+  } finally {
+    Object.assign(spec, original);
+    clearFieldSecurity();
+  }
+});
+
+runner.test('Describes each object once and treats missing objects as not allowed', async () => {
+  try {
+    const missing = Object.assign(new Error('The requested resource does not exist'), { errorCode: 'NOT_FOUND' });
+    const conn = fakeConnection({ Account: accountDescribe, Lead: missing });
+    await Promise.all([
+      ensureFieldSecurity(conn, ['Account', 'Lead']),
+      ensureFieldSecurity(conn, ['Account']),
+    ]);
+    await ensureFieldSecurity(conn, ['Account']);
+    runner.assertEqual(conn.calls.sort().join(','), 'Account,Lead');
+    runner.assert(isObjectAllowed('Account'), 'Account still allowed');
+    runner.assert(!isObjectAllowed('Lead'), 'Lead hidden from this user');
+    runner.assertEqual(getFieldSecurityMismatches(OBJECTS).Lead.queryable, false);
+
+    let error = null;
+    try {
+      await ensureFieldSecurity(fakeConnection({ Contact: new Error('socket hang up') }), ['Contact']);
+    } catch (err) {
+      error = err;
+    }
+    runner.assert(error && error.message === 'socket hang up', 'Other describe errors propagate');
+    runner.assert(isObjectAllowed('Contact'), 'A failed describe leaves the allowlist unchanged');
+  } finally {
+    clearFieldSecurity();
+  }
+});
+
+runner.test('Can be turned off with ALLOWLIST_FLS=false', () => {
+  const previous = process.env.ALLOWLIST_FLS;
+  try {
+    setObjectSecurity('Account', accountDescribe);
+    process.env.ALLOWLIST_FLS = 'false';
+    runner.assert(getAllowedFields('Account').includes('BillingCity'), 'FLS ignored when disabled');
+    runner.assertEqual(getFieldAccess('Account', 'BillingCity'), null);
+  } finally {
+    if (previous === undefined) delete process.env.ALLOWLIST_FLS;
+    else process.env.ALLOWLIST_FLS = previous;
+    clearFieldSecurity();
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Tests for record flattening and the CSV/NDJSON writers
+ */
+
+const { flattenRecords } = require('../flatten');
+const { toCsv, toNdjson } = require('../format');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Format');
+
+const accountWithChildren = {
+  attributes: { type: 'Account' },
+  Id: '001A',
+  Name: 'Acme',
+  Owner: { attributes: { type: 'User' }, Name: 'Kim Lee' },
+  Opportunities: {
+    totalSize: 2,
+    done: true,
+    records: [
+      { attributes: { type: 'Opportunity' }, Id: '006A', Name: 'Renewal', Account: { attributes: { type: 'Account' }, Name: 'Acme' } },
+      { attributes: { type: 'Opportunity' }, Id: '006B', Name: 'Expansion, phase 2', Account: null },
+    ],
+  },
+  Contacts: null,
+};
+
+runner.test('Flattens relationship fields and nests flattened child records', () => {
+  const [row] = flattenRecords([accountWithChildren]);
+  runner.assertEqual(row.owner_Name, 'Kim Lee');
+  runner.assert(Array.isArray(row.Opportunities), 'Child results should be an array');
+  runner.assertEqual(row.Opportunities.length, 2);
+  runner.assertEqual(row.Opportunities[0].account_Name, 'Acme');
+  runner.assert(!('attributes' in row.Opportunities[0]), 'Child attributes should be dropped');
+  runner.assertEqual(row.Contacts, null);
+});
+
+runner.test('CSV writes nested child results as JSON cells', () => {
+  const csv = toCsv(flattenRecords([accountWithChildren]));
+  const [header, line] = csv.trim().split('\n');
+  runner.assertEqual(header, 'Id,Name,Contacts,owner_Name,Opportunities');
+  runner.assert(line.startsWith('001A,Acme,,Kim Lee,"[{""Id"":""006A""'), `Unexpected CSV row: ${line}`);
+});
+
+runner.test('NDJSON keeps nested child results on one line per parent', () => {
+  const ndjson = toNdjson(flattenRecords([accountWithChildren, accountWithChildren]));
+  const lines = ndjson.trim().split('\n');
+  runner.assertEqual(lines.length, 2);
+  runner.assertEqual(JSON.parse(lines[0]).Opportunities[1].Name, 'Expansion, phase 2');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
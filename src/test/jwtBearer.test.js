@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Tests for the JWT bearer flow against a local stand-in for the OAuth token
+ * endpoint, with a key pair generated for the run
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { loadPrivateKey, mintAccessToken, createJwtSession, JwtBearerError } = require('../jwtBearer');
+const { createOrgRegistry, setOrgRegistry } = require('../orgRegistry');
+const { getConnection, getAuthStatus } = require('../sfConnection');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('JWT Bearer');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PEM = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+// Verifies assertions with the public key, like a connected app with the certificate uploaded
+function startTokenEndpoint({ expiresIn } = {}) {
+  const assertions = [];
+  let issued = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      const form = new URLSearchParams(body);
+      if (req.url !== '/services/oauth2/token' || form.get('grant_type') !== 'urn:ietf:params:oauth:grant-type:jwt-bearer') {
+        return json(400, { error: 'unsupported_grant_type', error_description: 'grant type not supported' });
+      }
+      const [head, claims, signature] = form.get('assertion').split('.');
+      const valid = crypto.createVerify('RSA-SHA256').update(`${head}.${claims}`).verify(publicKey, Buffer.from(signature, 'base64url'));
+      const decoded = JSON.parse(Buffer.from(claims, 'base64url').toString());
+      assertions.push({ header: JSON.parse(Buffer.from(head, 'base64url').toString()), claims: decoded });
+      if (!valid) return json(400, { error: 'invalid_grant', error_description: 'invalid assertion' });
+      if (decoded.sub !== 'integration@example.com') return json(400, { error: 'invalid_grant', error_description: 'user hasn\'t approved this consumer' });
+      issued += 1;
+      json(200, Object.assign({
+        access_token: `00Dxx!token-${issued}`,
+        instance_url: 'https://example.my.salesforce.com',
+        id: 'https://login.salesforce.com/id/00Dxx0000000001/005xx0000000001',
+        token_type: 'Bearer',
+      }, expiresIn ? { expires_in: expiresIn } : {}));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, assertions, loginUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+runner.test('Loads private keys from PEM text, escaped env values and files', async () => {
+  runner.assertEqual(loadPrivateKey({ privateKey: PEM }).asymmetricKeyType, 'rsa');
+  runner.assertEqual(loadPrivateKey({ privateKey: PEM.replace(/\n/g, '\\n') }).asymmetricKeyType, 'rsa', 'One-line env value');
+  const missing = await errorOf(() => loadPrivateKey({ privateKeyFile: '/nonexistent/server.key' }));
+  runner.assert(missing instanceof JwtBearerError && missing.code === 'JWT_KEY_INVALID', 'Missing file');
+  const garbage = await errorOf(() => loadPrivateKey({ privateKey: 'not a key' }));
+  runner.assertEqual(garbage.code, 'JWT_KEY_INVALID');
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ type: 'pkcs8', format: 'pem' });
+  runner.assert(/RSA/.test((await errorOf(() => loadPrivateKey({ privateKey: ec }))).message), 'Only RSA keys sign RS256');
+});
+
+runner.test('Mints access tokens with a signed assertion', async () => {
+  const { server, assertions, loginUrl } = await startTokenEndpoint();
+  try {
+    const now = Date.now();
+    const config = { clientId: '3MVG9.client', username: 'integration@example.com', loginUrl, audience: 'https://test.salesforce.com', key: loadPrivateKey({ privateKey: PEM }), sessionSeconds: 600 };
+    const token = await mintAccessToken(config, { now });
+    runner.assertEqual(token.accessToken, '00Dxx!token-1');
+    runner.assertEqual(token.instanceUrl, 'https://example.my.salesforce.com');
+    runner.assertEqual(token.expiresAt, now + 600 * 1000, 'Lifetime from sessionSeconds when expires_in is absent');
+    runner.assertEqual(assertions[0].header.alg, 'RS256');
+    runner.assertEqual(JSON.stringify([assertions[0].claims.iss, assertions[0].claims.sub, assertions[0].claims.aud]), JSON.stringify(['3MVG9.client', 'integration@example.com', 'https://test.salesforce.com']));
+    runner.assert(assertions[0].claims.exp - Math.floor(now / 1000) <= 180, 'Short-lived assertion');
+
+    const denied = await errorOf(() => mintAccessToken(Object.assign({}, config, { username: 'other@example.com' })));
+    runner.assert(denied instanceof JwtBearerError, 'JwtBearerError');
+    runner.assertEqual(denied.code, 'invalid_grant');
+    runner.assertEqual(denied.status, 400);
+    runner.assert(denied.message.includes('approved this consumer'), denied.message);
+
+    const wrongKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    runner.assert((await errorOf(() => mintAccessToken(Object.assign({}, config, { key: wrongKey })))).message.includes('invalid assertion'), 'Signature is checked');
+  } finally {
+    server.close();
+  }
+});
+
+runner.test('Re-mints before expiry and when jsforce reports an ended session', async () => {
+  const { server, loginUrl } = await startTokenEndpoint({ expiresIn: 1 });
+  const session = createJwtSession({ clientId: '3MVG9.client', username: 'integration@example.com', loginUrl, key: loadPrivateKey({ privateKey: PEM }) }, { marginSeconds: 0.8 });
+  try {
+    const [first, concurrent] = await Promise.all([session.mint(), session.mint()]);
+    runner.assertEqual(first.accessToken, '00Dxx!token-1');
+    runner.assertEqual(concurrent.accessToken, '00Dxx!token-1', 'Concurrent mints share one request');
+
+    const conn = Object.assign(new EventEmitter(), { accessToken: first.accessToken, instanceUrl: first.instanceUrl });
+    const refreshed = new Promise((resolve) => conn.once('refresh', resolve));
+    session.keepFresh(conn);
+    runner.assertEqual(await refreshed, '00Dxx!token-2', 'Re-minted ahead of expiry');
+    runner.assertEqual(conn.accessToken, '00Dxx!token-2');
+
+    const viaJsforce = await new Promise((resolve, reject) => {
+      session.refreshFn(conn, (err, accessToken) => (err ? reject(err) : resolve(accessToken)));
+    });
+    runner.assertEqual(viaJsforce, '00Dxx!token-3');
+    const status = session.status();
+    runner.assert(status.expiresAt && status.lastMintedAt && status.lastError === null, JSON.stringify(status));
+  } finally {
+    session.stop();
+    server.close();
+  }
+});
+
+runner.test('getConnection prefers JWT bearer when a key is configured', async () => {
+  const { server, loginUrl } = await startTokenEndpoint();
+  setOrgRegistry(createOrgRegistry({ orgs: { jwtorg: { loginUrl, clientId: '3MVG9.client', clientSecret: 'unused', refreshToken: 'unused', username: 'integration@example.com', privateKey: PEM, apiVersion: '59.0' } } }));
+  try {
+    const conn = await getConnection('jwtorg');
+    runner.assertEqual(conn.accessToken, '00Dxx!token-1');
+    runner.assertEqual(conn.instanceUrl, 'https://example.my.salesforce.com');
+    runner.assertEqual(conn.version, '59.0');
+    const status = getAuthStatus('jwtorg');
+    runner.assertEqual(status.method, 'jwt');
+    runner.assert(Date.parse(status.expiresAt) > Date.now(), 'Reports when the token expires');
+  } finally {
+    setOrgRegistry(null);
+    server.close();
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
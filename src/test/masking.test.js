@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Tests for field masking and PII redaction rules
+ */
+
+const { parseMaskingRules, mergeMaskingRules, maskValue, maskRecords, REDACTED } = require('../masking');
+const { parseProfiles } = require('../accessProfiles');
+const { loadKeysData, resolveMasking, validateApiKey } = require('../middleware/auth');
+const { renderInsightsSegments } = require('../contextRenderer');
+const { shapeAggregateRows } = require('../safeQuery');
+const { setObjectSecurity, clearFieldSecurity } = require('../fieldSecurity');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Masking');
+
+const rules = parseMaskingRules({
+  Contact: { Email: 'partial', Phone: { mode: 'partial', keep: 2 }, Description: { mode: 'truncate', length: 5 } },
+  User: { Email: 'redact' },
+  Case: { SuppliedEmail: 'hash' },
+});
+
+runner.test('Rejects unknown modes and options with their path', () => {
+  let error = null;
+  try {
+    parseMaskingRules({ Contact: { Email: 'scramble', Phone: { mode: 'truncate', length: -1, extra: true } } });
+  } catch (err) {
+    error = err;
+  }
+  runner.assert(error, 'Should throw');
+  runner.assert(error.message.includes('masking.Contact.Email.mode "scramble"'), error.message);
+  runner.assert(error.message.includes('masking.Contact.Phone has unknown key "extra"'), error.message);
+  runner.assert(error.message.includes('masking.Contact.Phone.length must be a non-negative integer'), error.message);
+
+  error = null;
+  try {
+    parseProfiles({ support: { objects: { Case: true }, masking: { Case: 'redact' } } });
+  } catch (err) {
+    error = err;
+  }
+  runner.assert(error && error.message.includes('profiles.support.masking.Case must map field names to rules'), error && error.message);
+});
+
+runner.test('Masks values by mode', () => {
+  runner.assertEqual(maskValue('jane.doe@acme.com', { mode: 'partial' }), 'j***@acme.com');
+  runner.assertEqual(maskValue('+1 555 123 4567', { mode: 'partial' }), '***4567');
+  runner.assertEqual(maskValue('12', { mode: 'partial' }), '***');
+  runner.assertEqual(maskValue('secret', { mode: 'redact' }), REDACTED);
+  runner.assertEqual(maskValue('A long description', { mode: 'truncate', length: 6 }), 'A long…');
+  runner.assertEqual(maskValue(null, { mode: 'redact' }), null);
+
+  const hashed = maskValue('jane@acme.com', { mode: 'hash' });
+  runner.assert(/^sha256:[0-9a-f]{16}$/.test(hashed), hashed);
+  runner.assertEqual(maskValue('jane@acme.com', { mode: 'hash' }), hashed);
+});
+
+runner.test('Masks records, related records and child rows by their type', () => {
+  const records = [{
+    attributes: { type: 'Contact' },
+    Id: '003A',
+    Email: 'jane@acme.com',
+    Phone: '5551234',
+    Description: 'Prefers email',
+    Owner: { attributes: { type: 'User' }, Name: 'Sam', Email: 'sam@corp.com' },
+    Cases: { totalSize: 1, done: true, records: [{ attributes: { type: 'Case' }, Id: '500A', SuppliedEmail: 'jane@acme.com' }] },
+  }];
+  const masked = maskRecords(records, 'Contact', rules)[0];
+  runner.assertEqual(masked.Email, 'j***@acme.com');
+  runner.assertEqual(masked.Phone, '***34');
+  runner.assertEqual(masked.Description, 'Prefe…');
+  runner.assertEqual(masked.Owner.Email, REDACTED);
+  runner.assertEqual(masked.Owner.Name, 'Sam');
+  runner.assert(masked.Cases.records[0].SuppliedEmail.startsWith('sha256:'), 'Child rows use their own rules');
+  runner.assertEqual(records[0].Email, 'jane@acme.com');
+  runner.assert(maskRecords(records, 'Contact', {}) === records, 'No rules: records returned as is');
+
+  // Aggregate rows use the queried object's rules
+  const rows = maskRecords([{ attributes: { type: 'AggregateResult' }, Email: 'jane@acme.com', expr0: 2 }], 'Contact', rules);
+  runner.assertEqual(rows[0].Email, 'j***@acme.com');
+});
+
+runner.test('Grouped relationship columns use the related object\'s rules', () => {
+  try {
+    setObjectSecurity('Contact', { name: 'Contact', fields: [{ name: 'OwnerId', type: 'reference', referenceTo: ['User'], relationshipName: 'Owner' }] });
+    // Columns as built for groupBy ['Owner.Email', 'Email'] with COUNT(Id)
+    const columns = [
+      { name: 'Owner.Email', kind: 'group', field: 'Owner.Email', key: 'Owner_Email' },
+      { name: 'Email', kind: 'group', field: 'Email', key: 'Email' },
+      { name: 'count', kind: 'aggregate', fn: 'COUNT', field: 'Id', key: 'count' },
+    ];
+    const records = [{ attributes: { type: 'AggregateResult' }, Owner_Email: 'sam@corp.com', Email: 'jane@acme.com', count: 3 }];
+    const rows = shapeAggregateRows(maskRecords(records, 'Contact', rules, { columns }), columns);
+    runner.assertEqual(rows[0]['Owner.Email'], REDACTED);
+    runner.assertEqual(rows[0].Email, 'j***@acme.com');
+    runner.assertEqual(rows[0].count, 3);
+
+    // Unresolvable relationships fall back to a rule for the same field name
+    clearFieldSecurity();
+    const fallback = maskRecords(records, 'Contact', { User: rules.User }, { columns })[0];
+    runner.assertEqual(fallback.Owner_Email, REDACTED);
+  } finally {
+    clearFieldSecurity();
+  }
+});
+
+runner.test('Callers get global rules merged with their profile rules', () => {
+  loadKeysData({
+    masking: { Contact: { Email: 'redact', Phone: 'redact' } },
+    profiles: { support: { objects: { Contact: true }, masking: { Contact: { Email: 'partial' } } } },
+    keys: [{ key: 'sk_masking_test', name: 'support-bot', profile: 'support', createdAt: '2024-01-01' }],
+  });
+  const { keyData } = validateApiKey({ headers: { 'x-api-key': 'sk_masking_test' }, query: {} });
+  const merged = resolveMasking(keyData);
+  runner.assertEqual(merged.Contact.Email.mode, 'partial');
+  runner.assertEqual(merged.Contact.Phone.mode, 'redact');
+  runner.assertEqual(resolveMasking(undefined).Contact.Email.mode, 'redact');
+  runner.assertEqual(mergeMaskingRules({ A: { x: { mode: 'hash' } } }, null).A.x.mode, 'hash');
+  loadKeysData({ keys: [] });
+});
+
+runner.test('Bundle sample tables honor masking rules', () => {
+  const insights = { summary: { objectName: 'Contact', label: 'Contact' }, picklists: [] };
+  const queryRuns = [{
+    title: 'Recent',
+    payload: { object: 'Contact', fields: ['Id', 'Email'] },
+    records: [{ attributes: { type: 'Contact' }, Id: '003A', Email: 'jane@acme.com' }],
+  }];
+  const files = renderInsightsSegments(insights, { queryRuns }, { masking: rules });
+  runner.assert(files['queries.md'].includes('j***@acme.com'), files['queries.md']);
+  runner.assert(!files['queries.md'].includes('jane@acme.com'), 'Raw email not written');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
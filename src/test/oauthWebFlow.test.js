@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Tests for the setup wizard's OAuth web server flow with PKCE, against a
+ * local stand-in for the Salesforce authorization server and REST API
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { createPkcePair, buildAuthorizeUrl, authorize, startCallbackListener, verifyAccess, OAuthFlowError } = require('../oauthWebFlow');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('OAuth Web Flow');
+
+const CLIENT_ID = '3MVG9.client';
+
+/**
+ * /services/oauth2/authorize redirects back with a code (or `deny`), the
+ * token endpoint checks the code verifier against the challenge, and the
+ * identity URL and /limits answer for the issued access token.
+ */
+function startAuthServer({ deny = false, refreshToken = '5Aep861.refresh' } = {}) {
+  const codes = new Map();
+  const requests = { authorize: [], token: [] };
+  const server = http.createServer((req, res) => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const url = new URL(req.url, base);
+    const json = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (url.pathname === '/services/oauth2/authorize') {
+      const params = Object.fromEntries(url.searchParams);
+      requests.authorize.push(params);
+      const back = new URL(params.redirect_uri);
+      back.searchParams.set('state', params.state);
+      if (deny) {
+        back.searchParams.set('error', 'access_denied');
+        back.searchParams.set('error_description', 'end-user denied authorization');
+      } else {
+        const code = crypto.randomBytes(8).toString('hex');
+        codes.set(code, params);
+        back.searchParams.set('code', code);
+      }
+      res.writeHead(302, { Location: back.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/services/oauth2/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      return req.on('end', () => {
+        const form = Object.fromEntries(new URLSearchParams(body));
+        requests.token.push(form);
+        const issued = codes.get(form.code);
+        codes.delete(form.code);
+        if (!issued || form.grant_type !== 'authorization_code' || form.client_id !== CLIENT_ID || form.redirect_uri !== issued.redirect_uri) {
+          return json(400, { error: 'invalid_grant', error_description: 'authentication failure' });
+        }
+        const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+        if (challenge !== issued.code_challenge) return json(400, { error: 'invalid_grant', error_description: 'invalid code verifier' });
+        json(200, Object.assign({
+          access_token: '00Dxx!access',
+          instance_url: base,
+          id: `${base}/id/00Dxx0000000001/005xx0000000001`,
+          token_type: 'Bearer',
+        }, refreshToken ? { refresh_token: refreshToken } : {}));
+      });
+    }
+
+    const authorized = req.headers.authorization === 'Bearer 00Dxx!access' || url.searchParams.get('oauth_token') === '00Dxx!access';
+    if (!authorized) return json(401, [{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }]);
+    if (url.pathname === '/id/00Dxx0000000001/005xx0000000001') {
+      return json(200, { id: `${base}${url.pathname}`, user_id: '005xx0000000001', organization_id: '00Dxx0000000001', username: 'admin@example.com', display_name: 'Ada Admin' });
+    }
+    if (url.pathname === '/services/data/v59.0/limits') {
+      return json(200, { DailyApiRequests: { Max: 15000, Remaining: 14990 } });
+    }
+    json(404, [{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, loginUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// Plays the browser: follows the authorize URL's redirect to the callback listener
+async function browse(url) {
+  const response = await fetch(url);
+  return { status: response.status, body: await response.text() };
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+runner.test('Authorize URL carries an S256 PKCE challenge', () => {
+  const { verifier, challenge } = createPkcePair();
+  runner.assert(verifier.length >= 43 && verifier.length <= 128, 'Verifier length within RFC 7636');
+  runner.assertEqual(challenge, crypto.createHash('sha256').update(verifier).digest('base64url'));
+  const url = new URL(buildAuthorizeUrl({ loginUrl: 'https://test.salesforce.com/', clientId: CLIENT_ID, redirectUri: 'http://localhost:3978/oauth/callback', state: 'xyz', codeChallenge: challenge }));
+  runner.assertEqual(url.origin + url.pathname, 'https://test.salesforce.com/services/oauth2/authorize');
+  const params = Object.fromEntries(url.searchParams);
+  runner.assertEqual(JSON.stringify([params.response_type, params.scope, params.code_challenge_method, params.state]), JSON.stringify(['code', 'api refresh_token', 'S256', 'xyz']));
+});
+
+runner.test('Signs in through the callback listener and exchanges the code', async () => {
+  const { server, requests, loginUrl } = await startAuthServer();
+  try {
+    let page = null;
+    const tokens = await authorize({
+      loginUrl,
+      clientId: CLIENT_ID,
+      redirectUri: 'http://127.0.0.1:0/oauth/callback',
+      onAuthorizeUrl: async (url) => { page = browse(url); },
+    });
+    runner.assertEqual(tokens.refreshToken, '5Aep861.refresh');
+    runner.assertEqual(tokens.accessToken, '00Dxx!access');
+    runner.assertEqual(tokens.instanceUrl, loginUrl);
+    runner.assert((await page).body.includes('sign-in complete'), 'Browser told to return to the wizard');
+    runner.assert(!('client_secret' in requests.token[0]), 'No secret needed with PKCE');
+    runner.assert(/^http:\/\/127\.0\.0\.1:\d+\/oauth\/callback$/.test(requests.authorize[0].redirect_uri) && !requests.authorize[0].redirect_uri.includes(':0/'), 'Real port in the redirect URI');
+
+    const { identity, limits } = await verifyAccess(Object.assign({ apiVersion: '59.0' }, tokens));
+    runner.assertEqual(identity.display_name, 'Ada Admin');
+    runner.assertEqual(limits.DailyApiRequests.Remaining, 14990);
+  } finally {
+    server.close();
+  }
+});
+
+runner.test('Reports denied sign-ins, missing refresh tokens and foreign callbacks', async () => {
+  const denied = await startAuthServer({ deny: true });
+  try {
+    const err = await errorOf(() => authorize({ loginUrl: denied.loginUrl, clientId: CLIENT_ID, redirectUri: 'http://127.0.0.1:0/cb', onAuthorizeUrl: (url) => { browse(url); } }));
+    runner.assert(err instanceof OAuthFlowError, 'OAuthFlowError');
+    runner.assertEqual(err.code, 'access_denied');
+  } finally {
+    denied.server.close();
+  }
+
+  const noRefresh = await startAuthServer({ refreshToken: null });
+  try {
+    const err = await errorOf(() => authorize({ loginUrl: noRefresh.loginUrl, clientId: CLIENT_ID, redirectUri: 'http://127.0.0.1:0/cb', onAuthorizeUrl: (url) => { browse(url); } }));
+    runner.assertEqual(err.code, 'OAUTH_NO_REFRESH_TOKEN');
+  } finally {
+    noRefresh.server.close();
+  }
+
+  const listener = await startCallbackListener('http://127.0.0.1:0/cb');
+  try {
+    const code = listener.waitForCode('expected-state', { timeoutMs: 2000 });
+    const [reply, mismatch] = await Promise.all([browse(`${listener.redirectUri}?code=abc&state=forged`), errorOf(() => code)]);
+    runner.assertEqual(reply.status, 400);
+    runner.assertEqual(mismatch.code, 'OAUTH_STATE_MISMATCH');
+    const timeout = await errorOf(() => listener.waitForCode('s', { timeoutMs: 20 }));
+    runner.assertEqual(timeout.code, 'OAUTH_TIMEOUT');
+  } finally {
+    await listener.close();
+  }
+
+  const remote = await errorOf(() => startCallbackListener('https://app.example.com/oauth/callback'));
+  runner.assertEqual(remote.code, 'OAUTH_REDIRECT_NOT_LOCAL');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
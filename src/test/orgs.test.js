@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Tests for the multi-org registry, org selection and per-org state
+ */
+
+const http = require('http');
+const path = require('path');
+const { createOrgRegistry, setOrgRegistry, getOrg, defaultOrgName, OrgConfigError } = require('../orgRegistry');
+const { runWithOrg, currentOrgName } = require('../orgContext');
+const { selectOrg } = require('../middleware/org');
+const { OBJECTS, setAllowlist, useBuiltinAllowlist, isObjectAllowed, getAllowlistInfo } = require('../allowlist');
+const { setObjectSecurity, isObjectQueryable, clearFieldSecurity } = require('../fieldSecurity');
+const { analyticsFilePath, ANALYTICS_FILE_PATH } = require('../analytics');
+const { issueCursor, readCursor } = require('../cursors');
+const { resolveChildRelationship } = require('../middleware/queryPolicy');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Orgs');
+
+const DOC = {
+  default: 'prod',
+  orgs: {
+    prod: { envPrefix: 'ORGTEST_PROD_', allowlistFile: './allowlist.prod.yaml' },
+    uat: { loginUrl: 'https://test.salesforce.com', apiVersion: '59.0', clientId: 'inline-id', envPrefix: 'ORGTEST_UAT_', bundleDir: './bundles/uat' },
+  },
+};
+
+function withRegistry(fn) {
+  setOrgRegistry(createOrgRegistry(DOC, { baseDir: '/etc/sfdc' }));
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => setOrgRegistry(null));
+}
+
+// Runs selectOrg and reports the response, or where next() ran and with what
+function select(headers, url) {
+  const req = { url, path: url.split('?')[0], get: (name) => headers[name.toLowerCase()] };
+  const result = { headers: {} };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; },
+    setHeader(name, value) { result.headers[name] = value; },
+  };
+  selectOrg(req, res, () => {
+    result.next = { org: currentOrgName(), url: req.url, profile: req.sfOrg.name };
+  });
+  return result;
+}
+
+runner.test('Resolves profiles from inline values and prefixed env vars', () => withRegistry(() => {
+  process.env.ORGTEST_PROD_SF_CLIENT_ID = 'prod-id';
+  process.env.ORGTEST_PROD_SF_REFRESH_TOKEN = 'prod-refresh';
+  process.env.ORGTEST_UAT_SF_CLIENT_ID = 'ignored';
+  try {
+    setOrgRegistry(createOrgRegistry(DOC, { baseDir: '/etc/sfdc' }));
+    const prod = getOrg('prod');
+    runner.assertEqual(prod.credentials.clientId, 'prod-id');
+    runner.assertEqual(prod.credentials.refreshToken, 'prod-refresh');
+    runner.assertEqual(prod.loginUrl, 'https://login.salesforce.com');
+    runner.assertEqual(prod.allowlistFile, path.resolve('/etc/sfdc/allowlist.prod.yaml'));
+    runner.assertEqual(prod.bundleDir, path.resolve(process.cwd(), 'context_bundles', 'prod'));
+    const uat = getOrg('uat');
+    runner.assertEqual(uat.credentials.clientId, 'inline-id', 'Inline values win over env');
+    runner.assertEqual(uat.apiVersion, '59.0');
+    runner.assertEqual(uat.bundleDir, path.resolve('/etc/sfdc/bundles/uat'));
+    runner.assertEqual(defaultOrgName(), 'prod');
+    runner.assertEqual(currentOrgName(), 'prod', 'Outside a request the default org is current');
+    runner.assertEqual(getOrg('dev'), null);
+  } finally {
+    delete process.env.ORGTEST_PROD_SF_CLIENT_ID;
+    delete process.env.ORGTEST_PROD_SF_REFRESH_TOKEN;
+    delete process.env.ORGTEST_UAT_SF_CLIENT_ID;
+  }
+}));
+
+runner.test('Rejects invalid registries and falls back to the environment', () => {
+  let error = null;
+  try {
+    createOrgRegistry({ default: 'qa', orgs: { 'bad name': {}, uat: { apiVersion: 59, password: '', sandbox: true } } });
+  } catch (err) {
+    error = err;
+  }
+  runner.assert(error instanceof OrgConfigError, 'OrgConfigError');
+  const text = error.errors.join('\n');
+  for (const expected of ['default "qa"', 'orgs.bad name is not a valid org name', 'orgs.uat.apiVersion must be a non-empty string', 'orgs.uat.password', 'unknown key "sandbox"']) {
+    runner.assert(text.includes(expected), `Reports ${expected}`);
+  }
+
+  const legacy = createOrgRegistry(null);
+  runner.assertEqual(legacy.defaultOrg, 'default');
+  runner.assertEqual(legacy.orgs.get('default').bundleDir, path.resolve(process.cwd(), 'context_bundles'));
+});
+
+runner.test('Selects the org from the header or the path prefix', () => withRegistry(() => {
+  runner.assertEqual(JSON.stringify(select({}, '/safe-query').next), '{"org":"prod","url":"/safe-query","profile":"prod"}');
+  runner.assertEqual(select({ 'x-sf-org': 'uat' }, '/safe-query').next.org, 'uat');
+
+  const prefixed = select({}, '/orgs/uat/query?soql=SELECT+Id+FROM+Account');
+  runner.assertEqual(prefixed.next.url, '/query?soql=SELECT+Id+FROM+Account', 'Prefix is stripped before routing');
+  runner.assertEqual(prefixed.next.org, 'uat');
+  runner.assertEqual(prefixed.headers['X-SF-Org'], 'uat');
+  runner.assertEqual(select({ 'x-sf-org': 'uat' }, '/orgs/uat/me').next.url, '/me');
+
+  const mismatch = select({ 'x-sf-org': 'prod' }, '/orgs/uat/me');
+  runner.assertEqual(mismatch.status, 400);
+  runner.assertEqual(mismatch.body.code, 'ORG_MISMATCH');
+  const unknown = select({ 'x-sf-org': 'dev' }, '/me');
+  runner.assertEqual(unknown.status, 404);
+  runner.assertEqual(unknown.body.orgs.join(','), 'prod,uat');
+  runner.assert(!unknown.next, 'Unknown orgs are not routed');
+  runner.assertEqual(select({}, '/orgs').next.url, '/orgs', 'The listing itself is not a prefix');
+}));
+
+runner.test('Keeps allowlists and describe caches per org', () => withRegistry(async () => {
+  try {
+    setAllowlist({ Lead: { fields: ['Id'], defaultFields: ['Id'], operators: {}, groupable: [], aggregates: {}, geolocation: [] } }, { source: 'file', version: 'uat-1' }, 'uat');
+    setObjectSecurity('Account', { name: 'Account', queryable: false, fields: [] });
+    runner.assert(!isObjectAllowed('Account'), 'Account is not queryable in prod');
+
+    await runWithOrg('uat', async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      runner.assertEqual(Object.keys(OBJECTS).join(','), 'Lead', 'uat sees its own allowlist across awaits');
+      runner.assertEqual(getAllowlistInfo().version, 'uat-1');
+      runner.assertEqual(isObjectQueryable('Account'), null, 'prod describes do not leak into uat');
+    });
+    runner.assertEqual(Object.keys(OBJECTS).length, 9, 'prod keeps the shared allowlist');
+    runner.assertEqual(getAllowlistInfo('prod').version, 'builtin');
+  } finally {
+    clearFieldSecurity();
+    useBuiltinAllowlist();
+  }
+}));
+
+// Account describe per org, told apart by the access token; dev has a
+// custom child object prod does not
+function startDescribeStandIn() {
+  const children = {
+    'Bearer prod-token': [{ relationshipName: 'Opportunities', childSObject: 'Opportunity' }],
+    'Bearer dev-token': [{ relationshipName: 'Opportunities', childSObject: 'Opportunity' }, { relationshipName: 'Projects__r', childSObject: 'Project__c' }],
+  };
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers.authorization);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ name: 'Account', fields: [], childRelationships: children[req.headers.authorization] || [] }));
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` })));
+}
+
+runner.test('Resolves child relationships per org', async () => {
+  const { server, requests, url } = await startDescribeStandIn();
+  setOrgRegistry(createOrgRegistry({
+    default: 'relprod',
+    orgs: {
+      relprod: { apiVersion: '59.0', instanceUrl: url, accessToken: 'prod-token', envPrefix: 'ORGTEST_RELPROD_' },
+      reldev: { apiVersion: '59.0', instanceUrl: url, accessToken: 'dev-token', envPrefix: 'ORGTEST_RELDEV_' },
+    },
+  }));
+  try {
+    runner.assertEqual(await runWithOrg('reldev', () => resolveChildRelationship('Account', 'Projects__r')), 'Project__c');
+    runner.assertEqual(await runWithOrg('relprod', () => resolveChildRelationship('Account', 'Projects__r')), null, 'dev relationships do not leak into prod');
+    runner.assertEqual(await runWithOrg('relprod', () => resolveChildRelationship('Account', 'opportunities')), 'Opportunity');
+    runner.assertEqual(requests.join(','), 'Bearer dev-token,Bearer prod-token', 'One describe per org');
+  } finally {
+    setOrgRegistry(null);
+    server.close();
+  }
+});
+
+runner.test('Partitions analytics, and binds cursors to the org', () => withRegistry(() => {
+  runner.assertEqual(analyticsFilePath('default'), ANALYTICS_FILE_PATH);
+  runner.assertEqual(path.basename(runWithOrg('uat', () => analyticsFilePath())), 'analytics.uat.json');
+
+  const options = { secret: 'org-test-secret' };
+  const page = { route: 'query', object: 'Account', nextRecordsUrl: '/services/data/v59.0/query/01g-2000' };
+  const token = issueCursor(page, { key: 'sk_org', userId: null, org: 'prod' }, options);
+  runner.assertEqual(readCursor(token, { route: 'query' }, { key: 'sk_org', userId: null, org: 'prod' }, options).object, 'Account');
+  let error = null;
+  try {
+    readCursor(token, { route: 'query' }, { key: 'sk_org', userId: null, org: 'uat' }, options);
+  } catch (err) {
+    error = err;
+  }
+  runner.assertEqual(error && error.code, 'CURSOR_CALLER_MISMATCH');
+}));
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Tests for allowlist policy checks on raw SOQL and SOSL
+ */
+
+const { checkSoqlPolicy, checkSoslPolicy, parseSoslReturning, normalizePolicyMode, QueryPolicyConfigError } = require('../queryPolicy');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Query Policy');
+
+runner.test('Allows queries that only use allowlisted fields and operators', async () => {
+  const result = await checkSoqlPolicy("SELECT Id, Name, Owner.Name FROM Account WHERE Industry IN ('Tech') AND CreatedDate > LAST_N_DAYS:30 ORDER BY Name");
+  runner.assert(result.allowed, JSON.stringify(result.violations));
+  runner.assertEqual(result.object, 'Account');
+});
+
+runner.test('Reports non-allowlisted objects', async () => {
+  const result = await checkSoqlPolicy('SELECT Id FROM PermissionSet');
+  runner.assert(!result.allowed, 'Should be rejected');
+  runner.assertEqual(result.violations[0].type, 'object');
+});
+
+runner.test('Reports non-allowlisted fields in every clause', async () => {
+  const result = await checkSoqlPolicy('SELECT Id, AnnualRevenue FROM Account WHERE NumberOfEmployees > 5 ORDER BY Rating');
+  const clauses = result.violations.filter(v => v.type === 'field').map(v => v.clause);
+  runner.assert(clauses.includes('select'), 'Should flag select field');
+  runner.assert(clauses.includes('where'), 'Should flag where field');
+  runner.assert(clauses.includes('orderBy'), 'Should flag order by field');
+});
+
+runner.test('Reports disallowed operators, including inside nested groups', async () => {
+  const result = await checkSoqlPolicy("SELECT Id FROM Account WHERE Name = 'x' OR (NOT Industry LIKE 'Tech%')");
+  runner.assertEqual(result.violations.length, 1);
+  runner.assertEqual(result.violations[0].type, 'operator');
+  runner.assertEqual(result.violations[0].field, 'Industry');
+});
+
+runner.test('Checks aggregate functions and GROUP BY against the allowlist flags', async () => {
+  const ok = await checkSoqlPolicy('SELECT StageName, COUNT(Id), SUM(Amount) total FROM Opportunity GROUP BY StageName HAVING SUM(Amount) > 5');
+  runner.assert(ok.allowed, JSON.stringify(ok.violations));
+  const bad = await checkSoqlPolicy('SELECT Name, SUM(Probability) FROM Opportunity GROUP BY Name');
+  runner.assertEqual(bad.violations.map(v => v.type).sort().join(','), 'aggregate,groupBy');
+});
+
+runner.test('Checks semi-join subqueries against their own object', async () => {
+  const result = await checkSoqlPolicy('SELECT Id FROM Account WHERE Id IN (SELECT AccountId FROM Opportunity)');
+  runner.assert(!result.allowed, 'AccountId is not allowlisted on Opportunity');
+  runner.assertEqual(result.violations[0].object, 'Opportunity');
+});
+
+runner.test('Resolves child relationship subqueries through the resolver', async () => {
+  const soql = 'SELECT Id, (SELECT Id, Name, Secret__c FROM Opportunities) FROM Account';
+  const unresolved = await checkSoqlPolicy(soql);
+  runner.assertEqual(unresolved.violations[0].type, 'relationship');
+  const resolved = await checkSoqlPolicy(soql, { resolveChildRelationship: async () => 'Opportunity' });
+  runner.assertEqual(resolved.violations.length, 1);
+  runner.assertEqual(resolved.violations[0].field, 'Secret__c');
+});
+
+runner.test('Reports unparseable SOQL as a syntax violation', async () => {
+  const result = await checkSoqlPolicy('SELECT FROM');
+  runner.assertEqual(result.violations[0].type, 'syntax');
+});
+
+runner.test('Parses SOSL RETURNING clauses into SELECT statements', () => {
+  const entries = parseSoslReturning("FIND {Acme} IN NAME FIELDS RETURNING Account(Id, Name WHERE Industry = 'Tech' LIMIT 5), Contact LIMIT 20");
+  runner.assertEqual(entries.length, 2);
+  runner.assertEqual(entries[0].soql, "SELECT Id, Name FROM Account WHERE Industry = 'Tech' LIMIT 5");
+  runner.assertEqual(entries[1].soql, 'SELECT Id FROM Contact');
+});
+
+runner.test('Requires RETURNING and checks SOSL objects and fields', async () => {
+  const noReturning = await checkSoslPolicy('FIND {Acme}');
+  runner.assertEqual(noReturning.violations[0].type, 'returning');
+  const bad = await checkSoslPolicy('FIND {Acme} RETURNING Account(Id, AnnualRevenue), Opportunity(Name)');
+  runner.assertEqual(bad.violations.length, 1);
+  runner.assertEqual(bad.violations[0].returning, 'Account');
+  const good = await checkSoslPolicy('FIND {Acme} RETURNING Account(Id, Name), Contact(Id, Email)');
+  runner.assert(good.allowed, JSON.stringify(good.violations));
+});
+
+runner.test('Defaults to enforce and refuses unknown policy modes', () => {
+  runner.assertEqual(normalizePolicyMode('AUDIT'), 'audit');
+  runner.assertEqual(normalizePolicyMode(' off '), 'off');
+  runner.assertEqual(normalizePolicyMode(undefined), 'enforce');
+  runner.assertEqual(normalizePolicyMode(''), 'enforce');
+  for (const mode of ['enforced', 'strict']) {
+    let error = null;
+    try {
+      normalizePolicyMode(mode);
+    } catch (err) {
+      error = err;
+    }
+    runner.assert(error instanceof QueryPolicyConfigError && error.code === 'QUERY_POLICY_MODE_INVALID', `${mode} refused`);
+  }
+});
+
+runner.test('Rejects FOR UPDATE on raw SOQL', async () => {
+  const locked = await checkSoqlPolicy('SELECT Id, Name FROM Account FOR UPDATE');
+  runner.assert(!locked.allowed, 'FOR UPDATE refused');
+  runner.assertEqual(locked.violations[0].type, 'forUpdate');
+  const viewed = await checkSoqlPolicy('SELECT Id, Name FROM Account FOR VIEW');
+  runner.assert(viewed.allowed, JSON.stringify(viewed.violations));
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * Tests for mandatory row filters bound to API key profiles and users
+ */
+
+const { parseProfiles, parseUsers } = require('../accessProfiles');
+const { buildSafeSoql, buildRowFilter } = require('../safeQuery');
+const { checkSoqlPolicy } = require('../queryPolicy');
+const { loadKeysData, requireApiKey } = require('../middleware/auth');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Row Policies');
+
+const rowFilters = {
+  Opportunity: [{ field: 'OwnerId', op: 'IN', value: ['005A', '005B'] }],
+  Account: [{ or: [{ field: 'BillingCountry', value: 'France' }, { field: 'BillingCountry', value: 'Germany' }] }],
+};
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+function authenticate(headers) {
+  const req = { headers, query: {}, path: '/safe-query', ip: '127.0.0.1' };
+  const res = fakeResponse();
+  let passed = false;
+  requireApiKey(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+runner.test('Rejects malformed row filters with their path', () => {
+  let error = null;
+  try {
+    parseProfiles({ sales: { objects: { Opportunity: true }, rowFilters: { Opportunity: { field: 'Owner Id', op: 'BETWEEN' } }, requireUser: 'yes' } });
+  } catch (err) {
+    error = err;
+  }
+  runner.assert(error, 'Should throw');
+  runner.assert(error.message.includes('profiles.sales.rowFilters.Opportunity.field must be a field name'), error.message);
+  runner.assert(error.message.includes('profiles.sales.rowFilters.Opportunity.op "BETWEEN"'), error.message);
+  runner.assert(error.message.includes('profiles.sales.rowFilters.Opportunity.value is required'), error.message);
+  runner.assert(error.message.includes('profiles.sales.requireUser must be a boolean'), error.message);
+
+  error = null;
+  try {
+    parseUsers({ '005A': { rowFilters: { Account: { and: [] } } } });
+  } catch (err) {
+    error = err;
+  }
+  runner.assert(error && error.message.includes('users.005A.rowFilters.Account.and must be a non-empty array'), error && error.message);
+});
+
+runner.test('Row filters are ANDed into every safe query', () => {
+  runner.assertEqual(buildRowFilter('Opportunity', rowFilters), "OwnerId IN ('005A', '005B')");
+  runner.assertEqual(buildRowFilter('Contact', rowFilters), null);
+
+  const plain = buildSafeSoql({ object: 'Opportunity', fields: ['Id'] }, { rowFilters });
+  runner.assertEqual(plain.soql, "SELECT Id FROM Opportunity WHERE OwnerId IN ('005A', '005B') LIMIT 50");
+
+  // An OR in the caller's where cannot widen the row filter
+  const widened = buildSafeSoql({
+    object: 'Opportunity',
+    fields: ['Id'],
+    where: { or: [{ field: 'StageName', op: '=', value: 'Closed Won' }, { field: 'Amount', op: '>', value: 0 }] },
+  }, { rowFilters });
+  runner.assertEqual(widened.soql, "SELECT Id FROM Opportunity WHERE (OwnerId IN ('005A', '005B')) AND (StageName = 'Closed Won' OR Amount > 0) LIMIT 50");
+
+  const aggregate = buildSafeSoql({ object: 'Account', aggregates: [{ fn: 'COUNT' }], groupBy: ['Industry'] }, { rowFilters });
+  runner.assert(aggregate.soql.includes("WHERE (BillingCountry = 'France' OR BillingCountry = 'Germany') GROUP BY Industry"), aggregate.soql);
+
+  const withChild = buildSafeSoql(
+    { object: 'Account', fields: ['Id'], children: [{ relationship: 'Opportunities', fields: ['Id'] }] },
+    { rowFilters, childObjects: { Opportunities: 'Opportunity' } }
+  );
+  runner.assert(withChild.soql.includes("(SELECT Id FROM Opportunities WHERE OwnerId IN ('005A', '005B') LIMIT 50)"), withChild.soql);
+});
+
+runner.test('Raw SOQL on a row-filtered object is a violation', async () => {
+  const filtered = await checkSoqlPolicy("SELECT Id FROM Opportunity WHERE OwnerId = '005Z'", { rowFilters });
+  runner.assert(!filtered.allowed, 'Filtered object refused');
+  runner.assertEqual(filtered.violations[0].type, 'rowFilter');
+
+  const child = await checkSoqlPolicy('SELECT Id, (SELECT Id FROM Opportunities) FROM Contact', {
+    rowFilters,
+    resolveChildRelationship: async () => 'Opportunity',
+  });
+  runner.assert(child.violations.some((v) => v.type === 'rowFilter' && v.object === 'Opportunity'), 'Child subqueries checked too');
+
+  const other = await checkSoqlPolicy('SELECT Id, FirstName FROM Contact', { rowFilters });
+  runner.assert(other.allowed, 'Objects without filters are unaffected');
+});
+
+runner.test('Requests get profile and user filters merged; requireUser is enforced', () => {
+  const previous = process.env.DISABLE_AUTH;
+  delete process.env.DISABLE_AUTH;
+  try {
+    loadKeysData({
+      profiles: {
+        regional: {
+          objects: { Account: true, Opportunity: true },
+          rowFilters: { Account: { field: 'Region__c', value: 'EMEA' } },
+          requireUser: true,
+          users: ['005A'],
+        },
+      },
+      users: { '005A': { rowFilters: { Opportunity: { field: 'OwnerId', op: 'IN', value: '005A' } } } },
+      keys: [{ key: 'sk_regional_test', name: 'regional-app', profile: 'regional', createdAt: '2024-01-01' }],
+    });
+
+    const ok = authenticate({ 'x-api-key': 'sk_regional_test', 'x-user-id': '005A' });
+    runner.assert(ok.passed, 'Known user passes');
+    runner.assertEqual(ok.req.rowPolicyUser, '005A');
+    runner.assertEqual(Object.keys(ok.req.rowFilters).sort().join(','), 'Account,Opportunity');
+    runner.assertEqual(buildRowFilter('Opportunity', ok.req.rowFilters), "OwnerId IN ('005A')");
+    runner.assertEqual(buildRowFilter('Account', ok.req.rowFilters), "Region__c = 'EMEA'");
+
+    const missing = authenticate({ 'x-api-key': 'sk_regional_test' });
+    runner.assert(!missing.passed, 'No user: rejected');
+    runner.assertEqual(missing.res.statusCode, 403);
+    runner.assertEqual(missing.res.body.message, 'X-User-Id header required');
+
+    const unknown = authenticate({ 'x-api-key': 'sk_regional_test', 'x-user-id': '005Z' });
+    runner.assertEqual(unknown.res.statusCode, 403);
+    runner.assertEqual(unknown.res.body.message, 'Unknown user: 005Z');
+  } finally {
+    if (previous !== undefined) process.env.DISABLE_AUTH = previous;
+  }
+});
+
+runner.test('User ids are only accepted from the keys they are bound to', () => {
+  const previous = process.env.DISABLE_AUTH;
+  delete process.env.DISABLE_AUTH;
+  try {
+    loadKeysData({
+      profiles: { sales: { objects: { Opportunity: true } } },
+      users: {
+        '005A': { rowFilters: { Opportunity: { field: 'OwnerId', value: '005A' } } },
+        '005B': { rowFilters: { Opportunity: { field: 'OwnerId', value: '005B' } } },
+      },
+      keys: [
+        { key: 'sk_portal_a', name: 'portal-a', profile: 'sales', users: ['005A'], createdAt: '2024-01-01' },
+        { key: 'sk_portal_b', name: 'portal-b', profile: 'sales', users: ['005B'], createdAt: '2024-01-01' },
+        { key: 'sk_reporting', name: 'reporting', profile: 'sales', createdAt: '2024-01-01' },
+        { key: 'sk_typo', name: 'typo', users: ['005Q'], createdAt: '2024-01-01' },
+      ],
+    });
+
+    const own = authenticate({ 'x-api-key': 'sk_portal_a', 'x-user-id': '005A' });
+    runner.assert(own.passed, 'Bound user passes');
+    runner.assertEqual(buildRowFilter('Opportunity', own.req.rowFilters), "OwnerId = '005A'");
+
+    // User filters apply without requireUser once a key has bound users
+    const omitted = authenticate({ 'x-api-key': 'sk_portal_a' });
+    runner.assert(!omitted.passed, 'Header omitted: rejected');
+    runner.assertEqual(omitted.res.statusCode, 403);
+    runner.assertEqual(omitted.res.body.message, 'X-User-Id header required');
+
+    const unknown = authenticate({ 'x-api-key': 'sk_portal_a', 'x-user-id': '005Z' });
+    runner.assertEqual(unknown.res.statusCode, 403);
+    runner.assertEqual(unknown.res.body.message, 'Unknown user: 005Z');
+
+    const foreign = authenticate({ 'x-api-key': 'sk_portal_a', 'x-user-id': '005B' });
+    runner.assert(!foreign.passed, "Another key's user: rejected");
+    runner.assertEqual(foreign.res.statusCode, 403);
+    runner.assertEqual(foreign.res.body.message, 'User 005B is not bound to this API key');
+
+    const unbound = authenticate({ 'x-api-key': 'sk_reporting', 'x-user-id': '005A' });
+    runner.assertEqual(unbound.res.statusCode, 403, 'Keys without users cannot name one');
+    const plain = authenticate({ 'x-api-key': 'sk_reporting' });
+    runner.assert(plain.passed, 'Keys without users work without the header');
+
+    const typo = authenticate({ 'x-api-key': 'sk_typo' });
+    runner.assertEqual(typo.res.statusCode, 401, 'Key naming an unknown user is not loaded');
+  } finally {
+    if (previous !== undefined) process.env.DISABLE_AUTH = previous;
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,368 @@
+'use strict';
+
+/**
+ * Tests for the safe-query SOQL builder
+ */
+
+const { buildSafeSoql, normalizeWhere, shapeAggregateRows, attachDistance, SafeQueryStrictError } = require('../safeQuery');
+const { validateWhereNode } = require('../middleware/validation');
+const { setObjectSecurity, clearFieldSecurity } = require('../fieldSecurity');
+const { flattenRecords } = require('../flatten');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Safe Query');
+
+function throws(fn) {
+  try { fn(); } catch (err) { return err; }
+  return null;
+}
+
+runner.test('Joins a legacy array of conditions with AND', () => {
+  const { soql } = buildSafeSoql({
+    object: 'Opportunity',
+    fields: ['Id'],
+    where: [
+      { field: 'StageName', op: '=', value: 'Prospecting' },
+      { field: 'Amount', op: '>', value: 1000 },
+    ],
+  });
+  runner.assertEqual(soql, "SELECT Id FROM Opportunity WHERE StageName = 'Prospecting' AND Amount > 1000 LIMIT 50");
+});
+
+runner.test('Builds nested and/or/not groups with parentheses', () => {
+  const { soql } = buildSafeSoql({
+    object: 'Opportunity',
+    fields: ['Id'],
+    where: {
+      and: [
+        { field: 'IsClosed', op: '=', value: false },
+        { or: [
+          { field: 'StageName', op: '=', value: 'Negotiation/Review' },
+          { and: [
+            { field: 'Amount', op: '>', value: 5 },
+            { not: { field: 'Type', op: 'IN', value: ['Renewal', 'Upsell'] } },
+          ] },
+        ] },
+      ],
+    },
+  });
+  runner.assertEqual(
+    soql,
+    "SELECT Id FROM Opportunity WHERE IsClosed = FALSE AND (StageName = 'Negotiation/Review' OR (Amount > 5 AND (NOT Type IN ('Renewal', 'Upsell')))) LIMIT 50"
+  );
+});
+
+runner.test('Skips disallowed conditions inside AND groups', () => {
+  const { soql } = buildSafeSoql({
+    object: 'Opportunity',
+    fields: ['Id'],
+    where: { and: [
+      { field: 'StageName', op: 'LIKE', value: 'Closed%' },
+      { field: 'Amount', op: '>', value: 10 },
+    ] },
+  });
+  runner.assertEqual(soql, 'SELECT Id FROM Opportunity WHERE Amount > 10 LIMIT 50');
+});
+
+runner.test('Rejects disallowed conditions inside OR and NOT groups', () => {
+  const orErr = throws(() => buildSafeSoql({
+    object: 'Opportunity',
+    where: { or: [
+      { field: 'Amount', op: '>', value: 10 },
+      { field: 'StageName', op: 'LIKE', value: 'Closed%' },
+    ] },
+  }));
+  runner.assert(orErr && /StageName LIKE/.test(orErr.message), 'OR with a disallowed clause should throw');
+
+  const notErr = throws(() => buildSafeSoql({
+    object: 'Opportunity',
+    where: { not: { field: 'Amount', op: 'LIKE', value: '1%' } },
+  }));
+  runner.assert(notErr, 'NOT with a disallowed clause should throw');
+});
+
+runner.test('Rejects malformed groups and excessive nesting', () => {
+  runner.assert(throws(() => buildSafeSoql({ object: 'Opportunity', where: { or: [] } })), 'Empty group should throw');
+  runner.assert(throws(() => buildSafeSoql({ object: 'Opportunity', where: { and: [], or: [] } })), 'Two group keys should throw');
+
+  let deep = { field: 'Amount', op: '>', value: 1 };
+  for (let i = 0; i < 10; i++) deep = { not: deep };
+  runner.assert(throws(() => buildSafeSoql({ object: 'Opportunity', where: deep })), 'Deep nesting should throw');
+});
+
+runner.test('Normalizes object maps, keeping { op, value } entries', () => {
+  const tree = normalizeWhere({ StageName: 'Prospecting', Amount: { op: '>=', value: 100 } });
+  runner.assertEqual(tree.and.length, 2);
+  runner.assertEqual(tree.and[0].op, '=');
+  runner.assertEqual(tree.and[1].op, '>=');
+  runner.assertEqual(normalizeWhere(undefined), null);
+});
+
+runner.test('Request validation accepts trees and rejects bad nodes', () => {
+  runner.assert(validateWhereNode({ or: [{ field: 'Name', op: '=', value: 'x' }, { not: { field: 'Amount', op: '>', value: 1 } }] }, 0));
+  runner.assert(validateWhereNode([{ field: 'Name', value: 'x' }], 0));
+  runner.assert(validateWhereNode({ Name: 'x' }, 0), 'Top-level object maps are still accepted');
+  runner.assert(!validateWhereNode({ or: [{ field: 'Name; DROP', value: 'x' }] }, 0), 'Invalid field names are rejected');
+  runner.assert(!validateWhereNode({ and: [], or: [] }, 0), 'Only one group key is allowed');
+  runner.assert(!validateWhereNode('Name = x', 0), 'Strings are rejected');
+});
+
+runner.test('Builds aggregate queries with GROUP BY, HAVING and ORDER BY', () => {
+  const built = buildSafeSoql({
+    object: 'Opportunity',
+    aggregates: [{ fn: 'COUNT' }, { fn: 'SUM', field: 'Amount', alias: 'total' }],
+    groupBy: ['StageName', 'Owner.Name'],
+    where: [{ field: 'IsClosed', op: '=', value: false }],
+    having: { or: [{ field: 'total', op: '>', value: 1000 }, { fn: 'COUNT', op: '>=', value: 5 }] },
+    orderBy: [{ field: 'total', direction: 'DESC' }, { field: 'StageName' }],
+    limit: 20,
+  });
+  runner.assertEqual(
+    built.soql,
+    'SELECT StageName, Owner.Name Owner_Name, COUNT(Id) count_Id, SUM(Amount) total FROM Opportunity WHERE IsClosed = FALSE GROUP BY StageName, Owner.Name HAVING SUM(Amount) > 1000 OR COUNT(Id) >= 5 ORDER BY SUM(Amount) DESC, StageName ASC LIMIT 20'
+  );
+  runner.assert(built.aggregate, 'Should be flagged as aggregate');
+  runner.assertEqual(built.columns.map(c => c.name).join(','), 'StageName,Owner.Name,count_Id,total');
+});
+
+runner.test('Checks aggregates and grouping against the allowlist flags', () => {
+  const dropped = buildSafeSoql({
+    object: 'Opportunity',
+    aggregates: [{ fn: 'SUM', field: 'Probability' }, { fn: 'AVG', field: 'Amount' }],
+  });
+  runner.assertEqual(dropped.soql, 'SELECT AVG(Amount) avg_Amount FROM Opportunity LIMIT 50');
+
+  const notGroupable = throws(() => buildSafeSoql({ object: 'Opportunity', aggregates: [{ fn: 'COUNT' }], groupBy: ['Name'] }));
+  runner.assert(notGroupable && /not groupable/.test(notGroupable.message), 'Non-groupable field should throw');
+  runner.assert(throws(() => buildSafeSoql({ object: 'Opportunity', aggregates: [{ fn: 'SUM', field: 'Name' }] })), 'No allowed aggregates should throw');
+  runner.assert(throws(() => buildSafeSoql({ object: 'Opportunity', aggregates: [{ fn: 'COUNT' }], having: [{ fn: 'COUNT', op: '>', value: 1 }] })), 'Having without groupBy should throw');
+});
+
+runner.test('Shapes aggregate results into typed rows', () => {
+  const { columns } = buildSafeSoql({
+    object: 'Opportunity',
+    aggregates: [{ fn: 'COUNT', alias: 'n' }, { fn: 'SUM', field: 'Amount', alias: 'total' }, { fn: 'MAX', field: 'CloseDate', alias: 'lastClose' }],
+    groupBy: ['Owner.Name'],
+  });
+  const rows = shapeAggregateRows([
+    { attributes: { type: 'AggregateResult' }, Owner_Name: 'Kim', n: 3, total: '1250.5', lastClose: '2025-03-31' },
+    { attributes: { type: 'AggregateResult' }, Owner_Name: 'Lee', n: 1, total: null, lastClose: '2025-01-15' },
+  ], columns);
+  runner.assertEqual(rows[0]['Owner.Name'], 'Kim');
+  runner.assertEqual(rows[0].total, 1250.5);
+  runner.assertEqual(rows[0].lastClose, '2025-03-31');
+  runner.assertEqual(rows[1].total, null);
+  runner.assert(!('attributes' in rows[0]), 'Should drop attributes');
+});
+
+runner.test('Builds child relationship subqueries with their own fields, where and limit', () => {
+  const built = buildSafeSoql({
+    object: 'Account',
+    fields: ['Id', 'Name'],
+    children: [{
+      relationship: 'Opportunities',
+      fields: ['Id', 'Name', 'Amount', 'Secret__c'],
+      where: [{ field: 'IsClosed', op: '=', value: false }],
+      orderBy: { field: 'Amount', direction: 'DESC' },
+      limit: 5,
+    }],
+    limit: 10,
+  }, { childObjects: { Opportunities: 'Opportunity' } });
+  runner.assertEqual(
+    built.soql,
+    'SELECT Id, Name, (SELECT Id, Name, Amount FROM Opportunities WHERE IsClosed = FALSE ORDER BY Amount DESC LIMIT 5) FROM Account LIMIT 10'
+  );
+  runner.assertEqual(built.children[0].object, 'Opportunity');
+  runner.assertEqual(built.children[0].fieldsUsed.length, 3);
+});
+
+runner.test('Rejects unresolved or non-allowlisted child relationships', () => {
+  const unknown = throws(() => buildSafeSoql({ object: 'Account', children: [{ relationship: 'Widgets' }] }, { childObjects: { Widgets: null } }));
+  runner.assert(unknown && /Unknown child relationship: Account.Widgets/.test(unknown.message), 'Unresolved relationship should throw');
+  const hidden = throws(() => buildSafeSoql({ object: 'Account', children: [{ relationship: 'Shares' }] }, { childObjects: { Shares: 'AccountShare' } }));
+  runner.assert(hidden && /Object not allowed: AccountShare/.test(hidden.message), 'Non-allowlisted child object should throw');
+  runner.assert(throws(() => buildSafeSoql({
+    object: 'Account',
+    aggregates: [{ fn: 'COUNT' }],
+    children: [{ relationship: 'Opportunities' }],
+  }, { childObjects: { Opportunities: 'Opportunity' } })), 'Children with aggregates should throw');
+});
+
+runner.test('Lenient mode reports every dropped item in warnings', () => {
+  const built = buildSafeSoql({
+    object: 'Opportunity',
+    fields: ['Id', 'Secret__c'],
+    where: [
+      { field: 'Amount', op: '>', value: 1000000 },
+      { field: 'Hidden__c', op: '=', value: 'x' },
+      { field: 'StageName', op: 'LIKE', value: 'Closed%' },
+    ],
+    orderBy: [{ field: 'Nope__c' }],
+  });
+  runner.assertEqual(built.soql, 'SELECT Id FROM Opportunity WHERE Amount > 1000000 LIMIT 50');
+  runner.assertEqual(built.warnings.map(w => `${w.clause}:${w.reason}`).join(','),
+    'fields:field_not_allowed,where:field_not_allowed,where:operator_not_allowed,orderBy:field_not_allowed');
+});
+
+runner.test('Strict mode rejects with the full list of dropped items', () => {
+  const payload = {
+    object: 'Account',
+    fields: ['Id', 'AnnualRevenue'],
+    where: { or: [{ field: 'Industry', op: 'LIKE', value: 'Tech%' }, { field: 'Rating', op: '=', value: 'Hot' }] },
+    children: [{ relationship: 'Opportunities', fields: ['Id', 'Secret__c'] }],
+  };
+  const childObjects = { Opportunities: 'Opportunity' };
+  const err = throws(() => buildSafeSoql(Object.assign({ strict: true }, payload), { childObjects }));
+  runner.assert(err instanceof SafeQueryStrictError, 'Should throw SafeQueryStrictError');
+  runner.assertEqual(err.dropped.length, 4);
+  runner.assertEqual(err.dropped.find(d => d.relationship === 'Opportunities').field, 'Secret__c');
+
+  const viaDefault = throws(() => buildSafeSoql(payload, { childObjects, strict: true }));
+  runner.assert(viaDefault instanceof SafeQueryStrictError, 'Server default should apply');
+  const overridden = throws(() => buildSafeSoql(Object.assign({ strict: false }, payload), { childObjects, strict: true }));
+  runner.assert(overridden && !(overridden instanceof SafeQueryStrictError), 'Payload flag should override the default');
+});
+
+runner.test('Strict mode passes clean queries through with no warnings', () => {
+  const built = buildSafeSoql({ object: 'Opportunity', fields: ['Id'], where: [{ field: 'Amount', op: '>', value: 5 }], strict: true });
+  runner.assertEqual(built.warnings.length, 0);
+});
+
+runner.test('Builds TYPEOF blocks checked against each branch object', () => {
+  const built = buildSafeSoql({
+    object: 'Task',
+    fields: ['Id', 'Subject'],
+    typeof: [{
+      field: 'What',
+      when: { Opportunity: ['Name', 'Amount', 'SecretScore__c'], Account: ['Name', 'Industry'], Widget__c: ['Name'] },
+      else: ['Name', 'Email'],
+    }],
+  });
+  runner.assertEqual(
+    built.soql,
+    'SELECT Id, Subject, TYPEOF What WHEN Opportunity THEN Name, Amount WHEN Account THEN Name, Industry ELSE Name END FROM Task LIMIT 50'
+  );
+  runner.assertEqual(built.typeOf[0].branches.map((b) => b.type).join(','), 'Opportunity,Account');
+  const dropped = built.warnings.map((w) => `${w.clause}:${w.typeOf || w.type || ''}:${w.field}:${w.reason}`);
+  runner.assert(dropped.includes('fields:Opportunity:SecretScore__c:field_not_allowed'), dropped.join(' | '));
+  runner.assert(dropped.includes('typeof:Widget__c:What:object_not_allowed'), dropped.join(' | '));
+  runner.assert(dropped.includes('typeof::What.Email:field_not_allowed'), dropped.join(' | '));
+
+  const noPaths = buildSafeSoql({ object: 'Opportunity', fields: ['Id'], typeof: [{ field: 'What', when: { Account: ['Name'] } }] });
+  runner.assertEqual(noPaths.soql, 'SELECT Id FROM Opportunity LIMIT 50');
+  runner.assert(throws(() => buildSafeSoql({ object: 'Task', typeof: [{ field: 'What', when: { Account: ['Name'] } }], aggregates: [{ fn: 'COUNT' }] })), 'No TYPEOF with aggregates');
+  const filtered = throws(() => buildSafeSoql(
+    { object: 'Task', fields: ['Id'], typeof: [{ field: 'What', when: { Account: ['Name'] } }] },
+    { rowFilters: { Account: [{ field: 'OwnerId', op: '=', value: '005000000000001' }] } }
+  ));
+  runner.assert(filtered && filtered.message.includes('Row filters apply to Account'), filtered && filtered.message);
+});
+
+runner.test('TYPEOF branches follow describe targets and flatten with the matched type', () => {
+  try {
+    setObjectSecurity('Task', {
+      name: 'Task',
+      fields: [{ name: 'Id', type: 'id' }, { name: 'WhatId', type: 'reference', referenceTo: ['Account', 'Opportunity'], relationshipName: 'What' }],
+    });
+    const built = buildSafeSoql({ object: 'Task', fields: ['Id'], typeof: [{ field: 'What', when: { Lead: ['Name'], Account: ['Name'] } }] });
+    runner.assertEqual(built.soql, 'SELECT Id, TYPEOF What WHEN Account THEN Name END FROM Task LIMIT 50');
+    runner.assertEqual(built.warnings[0].reason, 'invalid_type');
+    runner.assertEqual(throws(() => buildSafeSoql({ object: 'Task', fields: ['Id'], typeof: [{ field: 'What', when: { Lead: ['Name'] } }], strict: true })).code, 'STRICT_MODE_VIOLATION');
+  } finally {
+    clearFieldSecurity();
+  }
+
+  const rows = flattenRecords([
+    { attributes: { type: 'Task' }, Id: '00T1', What: { attributes: { type: 'Opportunity' }, Name: 'Big deal', Amount: 5000 } },
+    { attributes: { type: 'Task' }, Id: '00T2', What: null },
+  ], { typeOf: ['What'] });
+  runner.assertEqual(rows[0].what_typeof, 'Opportunity');
+  runner.assertEqual(rows[0].what_Amount, 5000);
+  runner.assertEqual(rows[1].what_typeof, undefined);
+  runner.assertEqual(flattenRecords([{ What: { attributes: { type: 'Account' }, Name: 'Acme' } }])[0].what_typeof, undefined);
+});
+
+runner.test('Builds inSubquery semi-joins and anti-joins against the allowlist', () => {
+  const semi = buildSafeSoql({
+    object: 'Account',
+    fields: ['Id', 'Name'],
+    where: [{ field: 'Id', op: 'IN', inSubquery: { object: 'Opportunity', field: 'AccountId', where: [{ field: 'IsClosed', op: '=', value: false }, { field: 'Amount', op: '>', value: 50000 }] } }],
+  });
+  runner.assertEqual(semi.soql, 'SELECT Id, Name FROM Account WHERE Id IN (SELECT AccountId FROM Opportunity WHERE IsClosed = FALSE AND Amount > 50000) LIMIT 50');
+
+  const anti = buildSafeSoql({
+    object: 'Contact',
+    fields: ['Id'],
+    where: [{ field: 'Id', op: 'NOT IN', inSubquery: { object: 'Task', field: 'Who.Id', where: [{ field: 'CreatedDate', op: '>=', value: 'LAST_N_DAYS:90' }, { field: 'Secret__c', op: '=', value: 1 }] } }],
+  });
+  runner.assertEqual(anti.soql, 'SELECT Id FROM Contact WHERE Id NOT IN (SELECT WhoId FROM Task WHERE CreatedDate >= LAST_N_DAYS:90) LIMIT 50');
+  runner.assertEqual(anti.warnings.map((w) => `${w.inSubquery}.${w.field}`).join(','), 'Task.Secret__c');
+
+  const filtered = buildSafeSoql(
+    { object: 'Account', fields: ['Id'], where: [{ field: 'Id', op: 'IN', inSubquery: { object: 'Opportunity', field: 'AccountId' } }] },
+    { rowFilters: { Opportunity: [{ field: 'OwnerId', op: '=', value: '005000000000001' }] } }
+  );
+  runner.assertEqual(filtered.soql, "SELECT Id FROM Account WHERE Id IN (SELECT AccountId FROM Opportunity WHERE OwnerId = '005000000000001') LIMIT 50");
+  runner.assert(validateWhereNode([{ field: 'Id', op: 'IN', inSubquery: { object: 'Opportunity', field: 'AccountId', where: [{ field: 'Amount', op: '>', value: 1 }] } }], 0), 'Validator accepts inSubquery');
+  runner.assert(!validateWhereNode([{ field: 'Id', op: 'IN', inSubquery: { object: 'Opportunity' } }], 0), 'Validator needs the inner field');
+});
+
+runner.test('Rejects semi-joins Salesforce would refuse', () => {
+  const semi = (inSubquery, extra = {}) => Object.assign({ field: 'Id', op: 'IN', inSubquery }, extra);
+  const message = (where) => (throws(() => buildSafeSoql({ object: 'Account', fields: ['Id'], where })) || {}).message || '';
+  runner.assert(message([semi({ object: 'Opportunity', field: 'Amount' })]).includes('needs an Id or lookup field'), 'Inner field must be an Id');
+  runner.assert(message([semi({ object: 'Account', field: 'ParentId' })]).includes('same object'), 'Same object');
+  runner.assert(message({ or: [{ field: 'Name', op: '=', value: 'x' }, semi({ object: 'Opportunity', field: 'AccountId' })] }).includes('inside an OR or NOT group'), 'No OR');
+  runner.assert(message([semi({ object: 'Opportunity', field: 'AccountId', where: [semi({ object: 'Task', field: 'WhatId' })] })]).includes('only allowed in the top-level where'), 'No nesting');
+  runner.assert(message([semi({ object: 'Opportunity', field: 'AccountId' }, { op: '=' })]).includes('needs IN or NOT IN'), 'Operator');
+  const three = [semi({ object: 'Opportunity', field: 'AccountId' }), semi({ object: 'Case', field: 'AccountId' }), semi({ object: 'Contact', field: 'AccountId' })];
+  runner.assert(message(three).includes('At most 2 inSubquery conditions'), 'At most two');
+});
+
+runner.test('Builds near distance filters and ordering on geolocation fields', () => {
+  const near = { field: 'BillingAddress', latitude: 39.7392, longitude: -104.9903, radius: 25 };
+  const built = buildSafeSoql({
+    object: 'Account',
+    fields: ['Id', 'Name'],
+    near,
+    where: { or: [{ field: 'Industry', op: '=', value: 'Energy' }, { field: 'Type', op: '=', value: 'Customer' }] },
+    orderBy: [{ field: 'distance' }, { field: 'Name', direction: 'DESC' }],
+  });
+  const distance = "DISTANCE(BillingAddress, GEOLOCATION(39.7392, -104.9903), 'mi')";
+  runner.assertEqual(
+    built.soql,
+    `SELECT Id, Name, ${distance} FROM Account WHERE (${distance} < 25) AND (Industry = 'Energy' OR Type = 'Customer') ORDER BY ${distance} ASC, Name DESC LIMIT 50`
+  );
+  runner.assertEqual(built.near.unit, 'mi');
+
+  const km = buildSafeSoql({ object: 'Account', fields: ['Id'], near: { field: 'ShippingAddress', latitude: '48.85', longitude: 2.35, unit: 'KM' } });
+  runner.assertEqual(km.soql, "SELECT Id, DISTANCE(ShippingAddress, GEOLOCATION(48.85, 2.35), 'km') FROM Account LIMIT 50");
+
+  const notGeo = buildSafeSoql({ object: 'Account', fields: ['Id'], near: Object.assign({}, near, { field: 'BillingCity' }), orderBy: { field: 'distance' } });
+  runner.assertEqual(notGeo.soql, 'SELECT Id FROM Account LIMIT 50');
+  runner.assertEqual(notGeo.warnings.map((w) => w.reason).join(','), 'field_not_geolocation,field_not_allowed');
+  runner.assert(throws(() => buildSafeSoql({ object: 'Account', near: Object.assign({}, near, { latitude: 91 }) })).message.includes('near.latitude'), 'Latitude range');
+  runner.assert(throws(() => buildSafeSoql({ object: 'Account', near, aggregates: [{ fn: 'COUNT' }] })).message.includes('aggregates'), 'No near with aggregates');
+
+  try {
+    setObjectSecurity('Account', { name: 'Account', fields: [{ name: 'Id', type: 'id' }, { name: 'BillingAddress', type: 'string' }] });
+    runner.assertEqual(buildSafeSoql({ object: 'Account', fields: ['Id'], near }).warnings[0].reason, 'field_not_geolocation');
+  } finally {
+    clearFieldSecurity();
+  }
+});
+
+runner.test('Moves the DISTANCE column to distance', () => {
+  const [row, empty] = attachDistance([{ attributes: { type: 'Account' }, Id: '001A', expr0: '3.25' }, { Id: '001B', expr0: null }]);
+  runner.assertEqual(row.distance, 3.25);
+  runner.assert(!('expr0' in row), 'expr0 removed');
+  runner.assertEqual(empty.distance, null);
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Tests for the safe-query dry run / explain path
+ */
+
+const { explainSafeQuery, summarizePlan } = require('../safeQueryExplain');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Safe Query Explain');
+
+const samplePlan = {
+  plans: [
+    { cardinality: 120, fields: ['StageName'], leadingOperationType: 'Index', relativeCost: 0.4, sobjectCardinality: 90000, sobjectType: 'Opportunity', notes: [] },
+    { cardinality: 90000, fields: [], leadingOperationType: 'TableScan', relativeCost: 2.8, sobjectCardinality: 90000, sobjectType: 'Opportunity', notes: [] },
+  ],
+  sourceQuery: 'SELECT Id FROM Opportunity',
+};
+
+function fakeConnection(response) {
+  const calls = [];
+  return {
+    version: '59.0',
+    calls,
+    async request(url) {
+      calls.push(url);
+      if (response instanceof Error) throw response;
+      return response;
+    },
+  };
+}
+
+runner.test('Returns SOQL, kept and dropped items, and the query plan', async () => {
+  const conn = fakeConnection(samplePlan);
+  const result = await explainSafeQuery({
+    object: 'Opportunity',
+    fields: ['Id', 'Secret__c'],
+    where: [{ field: 'StageName', op: 'IN', value: ['Prospecting'] }, { field: 'Amount', op: 'LIKE', value: '1%' }],
+    limit: 500,
+  }, { conn });
+
+  runner.assertEqual(result.soql, "SELECT Id FROM Opportunity WHERE StageName IN ('Prospecting') LIMIT 200");
+  runner.assert(conn.calls[0].startsWith('/services/data/v59.0/query/?explain=SELECT%20Id'), `Unexpected URL: ${conn.calls[0]}`);
+  runner.assertEqual(result.kept.map(k => `${k.clause}:${k.field}`).join(','), 'fields:Id,where:StageName');
+  runner.assertEqual(result.dropped.length, 2);
+  runner.assertEqual(result.plan.best.leadingOperation, 'Index');
+  runner.assertEqual(result.plan.best.selective, true);
+  runner.assertEqual(result.rules.limit.applied, 200);
+});
+
+runner.test('Reports the allowlist rules behind each referenced field', async () => {
+  const result = await explainSafeQuery({
+    object: 'Opportunity',
+    fields: ['Id'],
+    where: [{ field: 'Amount', op: 'LIKE', value: '1%' }],
+  });
+  const amount = result.rules.objects.Opportunity.fields.Amount;
+  runner.assert(amount.allowed, 'Amount is allowlisted');
+  runner.assert(!amount.operators.includes('LIKE'), 'LIKE is not an Amount operator');
+  runner.assert(amount.aggregates.includes('SUM'), 'Amount is aggregatable');
+  runner.assertEqual(result.plan, null);
+});
+
+runner.test('Shows what strict mode would reject instead of throwing', async () => {
+  const payload = { object: 'Account', fields: ['Id', 'AnnualRevenue'], strict: true };
+  const result = await explainSafeQuery(payload);
+  runner.assert(result.strict && result.wouldReject, 'Should flag the rejection');
+  runner.assertEqual(result.dropped[0].field, 'AnnualRevenue');
+
+  const byDefault = await explainSafeQuery({ object: 'Account', fields: ['Id'] }, { strict: true });
+  runner.assert(byDefault.strict && !byDefault.wouldReject, 'Clean payload passes strict mode');
+});
+
+runner.test('Keeps the explanation when the plan request fails', async () => {
+  const result = await explainSafeQuery({ object: 'Account', fields: ['Id'] }, { conn: fakeConnection(new Error('INVALID_SESSION_ID')) });
+  runner.assertEqual(result.plan, null);
+  runner.assertEqual(result.planError, 'INVALID_SESSION_ID');
+  runner.assertEqual(result.soql, 'SELECT Id FROM Account LIMIT 50');
+});
+
+runner.test('Summarizes plans and flags non-selective leading operations', () => {
+  const summary = summarizePlan({ plans: [samplePlan.plans[1]] });
+  runner.assertEqual(summary.best.leadingOperation, 'TableScan');
+  runner.assertEqual(summary.best.selective, false);
+  runner.assertEqual(summarizePlan({}).best, null);
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
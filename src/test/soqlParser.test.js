@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Tests for the SOQL tokenizer, parser and serializer
+ */
+
+const { parseSoql, serializeSoql, collectFieldReferences, SoqlSyntaxError } = require('../soqlParser');
+const { extractObjectName, extractFields } = require('../soqlUtils');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('SOQL Parser');
+
+runner.test('Parses select list, object and limit', () => {
+  const ast = parseSoql('SELECT Id, Name, Owner.Name FROM Account LIMIT 10');
+  runner.assertEqual(ast.from.object, 'Account');
+  runner.assertEqual(ast.select.length, 3);
+  runner.assertEqual(ast.select[2].name, 'Owner.Name');
+  runner.assertEqual(ast.limit, 10);
+});
+
+runner.test('Parses aggregate functions with aliases and GROUP BY / HAVING', () => {
+  const ast = parseSoql('SELECT StageName, COUNT(Id) cnt, SUM(Amount) total FROM Opportunity GROUP BY StageName HAVING COUNT(Id) > 5');
+  runner.assertEqual(ast.select[1].type, 'Function');
+  runner.assertEqual(ast.select[1].name, 'COUNT');
+  runner.assertEqual(ast.select[1].alias, 'cnt');
+  runner.assertEqual(ast.groupBy.fields[0].name, 'StageName');
+  runner.assertEqual(ast.having.operator, '>');
+});
+
+runner.test('Parses nested AND/OR/NOT conditions', () => {
+  const ast = parseSoql("SELECT Id FROM Opportunity WHERE (StageName = 'Closed Won' OR Amount > 1000000) AND NOT Type IN ('Renewal', 'Upsell')");
+  runner.assertEqual(ast.where.type, 'And');
+  runner.assertEqual(ast.where.conditions[0].type, 'Or');
+  runner.assertEqual(ast.where.conditions[1].type, 'Not');
+  runner.assertEqual(ast.where.conditions[1].condition.right.values.length, 2);
+});
+
+runner.test('Parses child subqueries and semi-joins', () => {
+  const ast = parseSoql("SELECT Id, (SELECT Id, Name FROM Opportunities WHERE IsClosed = false) FROM Account WHERE Id IN (SELECT AccountId FROM Contact)");
+  runner.assertEqual(ast.select[1].type, 'Subquery');
+  runner.assertEqual(ast.select[1].query.from.object, 'Opportunities');
+  runner.assertEqual(ast.where.right.type, 'Subquery');
+  const refs = collectFieldReferences(ast);
+  runner.assertEqual(refs.subqueries.length, 2);
+});
+
+runner.test('Parses TYPEOF blocks', () => {
+  const ast = parseSoql('SELECT Id, TYPEOF What WHEN Opportunity THEN Amount, StageName WHEN Account THEN Industry ELSE Name END FROM Task');
+  const typeOf = ast.select[1];
+  runner.assertEqual(typeOf.type, 'TypeOf');
+  runner.assertEqual(typeOf.field, 'What');
+  runner.assertEqual(typeOf.whens.length, 2);
+  runner.assertEqual(typeOf.whens[0].fields.length, 2);
+  runner.assertEqual(typeOf.else[0].name, 'Name');
+});
+
+runner.test('Parses literals: dates, relative dates, booleans, null, strings with escapes', () => {
+  const ast = parseSoql("SELECT Id FROM Case WHERE CreatedDate = LAST_N_DAYS:30 AND ClosedDate > 2024-01-01T00:00:00Z AND IsClosed = false AND Subject != null AND Subject LIKE 'O\\'Brien%'");
+  const [rel, dt, bool, nul, str] = ast.where.conditions.map(c => c.right);
+  runner.assertEqual(rel.kind, 'dateLiteral');
+  runner.assertEqual(rel.value, 'LAST_N_DAYS:30');
+  runner.assertEqual(dt.kind, 'datetime');
+  runner.assertEqual(bool.value, false);
+  runner.assertEqual(nul.kind, 'null');
+  runner.assertEqual(str.value, "O'Brien%");
+});
+
+runner.test('Parses ORDER BY with NULLS and OFFSET', () => {
+  const ast = parseSoql('SELECT Id FROM Lead ORDER BY CreatedDate DESC NULLS LAST, Name LIMIT 5 OFFSET 10');
+  runner.assertEqual(ast.orderBy.length, 2);
+  runner.assertEqual(ast.orderBy[0].direction, 'DESC');
+  runner.assertEqual(ast.orderBy[0].nulls, 'LAST');
+  runner.assertEqual(ast.offset, 10);
+});
+
+runner.test('Serializer round-trips queries', () => {
+  const queries = [
+    "SELECT Id, Name FROM Account WHERE (Industry = 'Tech' OR Industry = 'Finance') AND NOT Name LIKE 'Test%' ORDER BY Name ASC LIMIT 5",
+    'SELECT StageName, SUM(Amount) total FROM Opportunity WHERE CloseDate = THIS_QUARTER GROUP BY ROLLUP(StageName)',
+    'SELECT Id, (SELECT Id FROM Contacts LIMIT 3) FROM Account WHERE Id IN (SELECT AccountId FROM Opportunity WHERE IsWon = TRUE)',
+    'SELECT Id, TYPEOF What WHEN Account THEN Name, Industry ELSE Name END FROM Event',
+  ];
+  for (const q of queries) {
+    const once = serializeSoql(parseSoql(q));
+    runner.assertEqual(once, q, `Round trip changed query: ${once}`);
+  }
+});
+
+runner.test('Rejects malformed queries with SoqlSyntaxError', () => {
+  for (const bad of ['SELECT FROM Account', 'SELECT Id FROM', "SELECT Id FROM Account WHERE Name = 'x", 'DELETE FROM Account']) {
+    let threw = false;
+    try { parseSoql(bad); } catch (err) { threw = err instanceof SoqlSyntaxError; }
+    runner.assert(threw, `Should reject: ${bad}`);
+  }
+});
+
+runner.test('soqlUtils extracts object and fields from the AST', () => {
+  const soql = "SELECT Name, COUNT(Id) FROM Opportunity WHERE StageName = 'Won' GROUP BY Name ORDER BY Name";
+  runner.assertEqual(extractObjectName(soql), 'Opportunity');
+  const fields = extractFields(soql);
+  runner.assert(fields.includes('Id'), 'Should include aggregate argument');
+  runner.assert(fields.includes('StageName'), 'Should include WHERE field');
+  runner.assertEqual(extractObjectName('not soql'), null);
+});
+
+runner.test('extractObjectName falls back to the top-level FROM when the parser rejects a query', () => {
+  runner.assertEqual(extractObjectName('SELECT Id, (SELECT Id FROM Contacts) FROM Account UPDATE VIEWSTAT'), 'Account');
+  runner.assertEqual(extractObjectName("SELECT Id FROM KnowledgeArticleVersion WHERE Title = 'from Lead' WITH DATA CATEGORY Geography__c AT usa__c"), 'KnowledgeArticleVersion');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Minimal test runner for the suites in src/test, in the style of the one in
+ * src/chat/test/Goal.test.js but named per suite
+ */
+
+class TestRunner {
+  constructor(name) {
+    this.name = name;
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log(`🧪 Running ${this.name} Tests\n`);
+
+    for (const { name, fn } of this.tests) {
+      try {
+        await fn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+  }
+}
+
+module.exports = { TestRunner };
@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Tests for the encrypted token store: backends, key handling, locking and
+ * migration from the plaintext tokens.json
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createTokenStore, setTokenStore, loadSavedToken, saveToken, TokenStoreError } = require('../tokenStore');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Token Store');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+const KEY = crypto.randomBytes(32).toString('hex');
+const TOKEN = '00Dxx0000000001!AQ4AQLive.Access.Token';
+
+runner.test('File backend encrypts entries per org', async () => {
+  const file = path.join(tmpDir, 'tokens.json');
+  const store = createTokenStore({ backend: 'file', path: file, key: KEY });
+  runner.assert(store.encrypted, 'Encrypted');
+  await store.save({ instanceUrl: 'https://prod.my.salesforce.com', accessToken: TOKEN }, 'default');
+  await store.save({ instanceUrl: 'https://uat.sandbox.my.salesforce.com', accessToken: 'uat-token' }, 'uat');
+
+  const text = fs.readFileSync(file, 'utf8');
+  runner.assert(!text.includes(TOKEN) && !text.includes('salesforce.com'), 'Nothing readable on disk');
+  runner.assertEqual(Object.keys(JSON.parse(text).orgs).join(','), 'default,uat');
+  runner.assertEqual((fs.statSync(file).mode & 0o777).toString(8), '600');
+
+  runner.assertEqual((await store.load('default')).accessToken, TOKEN);
+  runner.assertEqual((await store.load('uat')).accessToken, 'uat-token');
+  runner.assertEqual(await store.load('dev'), null);
+
+  const passphrase = createTokenStore({ backend: 'file', path: file, key: 'correct horse battery staple' });
+  runner.assertEqual(await passphrase.load('default'), null, 'Wrong key reads nothing');
+
+  // Entries are bound to their org
+  const doc = JSON.parse(text);
+  doc.orgs.uat = doc.orgs.default;
+  fs.writeFileSync(file, JSON.stringify(doc));
+  runner.assertEqual(await store.load('uat'), null, 'A swapped entry does not decrypt');
+});
+
+runner.test('Keys come from hex, base64, passphrases or a key file', async () => {
+  const file = path.join(tmpDir, 'keyed.json');
+  const keyFile = path.join(tmpDir, 'token.key');
+  fs.writeFileSync(keyFile, `${crypto.randomBytes(32).toString('base64')}\n`);
+  const fromFile = createTokenStore({ backend: 'file', path: file, keyFile });
+  await fromFile.save({ accessToken: 'a' }, 'default');
+  runner.assertEqual((await createTokenStore({ backend: 'file', path: file, keyFile }).load('default')).accessToken, 'a');
+
+  let short = null;
+  try {
+    createTokenStore({ backend: 'file', path: file, key: 'too-short' });
+  } catch (err) {
+    short = err;
+  }
+  runner.assert(short instanceof TokenStoreError && short.code === 'TOKEN_STORE_KEY_INVALID', 'Short passphrases are refused');
+
+  const noKey = createTokenStore({ backend: 'file', path: path.join(tmpDir, 'never.json'), key: null, keyFile: null });
+  runner.assertEqual(noKey.backend, 'memory', 'Without a key nothing is written to disk');
+  await noKey.save({ accessToken: 'b' }, 'default');
+  runner.assert(!fs.existsSync(path.join(tmpDir, 'never.json')), 'No plaintext file');
+});
+
+runner.test('Concurrent writers do not lose each other\'s entries', async () => {
+  const file = path.join(tmpDir, 'shared.json');
+  const writers = [createTokenStore({ backend: 'file', path: file, key: KEY }), createTokenStore({ backend: 'file', path: file, key: KEY })];
+  const orgs = Array.from({ length: 12 }, (_, i) => `org${i}`);
+  await Promise.all(orgs.map((org, i) => writers[i % 2].save({ accessToken: `token-${org}` }, org)));
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8')).orgs;
+  runner.assertEqual(Object.keys(stored).sort().join(','), orgs.slice().sort().join(','));
+  runner.assert(!fs.existsSync(`${file}.lock`), 'Lock released');
+});
+
+runner.test('Directory, memory and custom module backends', async () => {
+  const dir = path.join(tmpDir, 'dir-store');
+  const store = createTokenStore({ backend: 'dir', dir, key: KEY });
+  await store.save({ accessToken: TOKEN }, 'default');
+  await store.save({ accessToken: 'uat-token' }, 'uat');
+  runner.assertEqual(fs.readdirSync(dir).sort().join(','), 'default.token,uat.token');
+  runner.assert(!fs.readFileSync(path.join(dir, 'default.token'), 'utf8').includes(TOKEN), 'Encrypted');
+  await store.clear('uat');
+  runner.assertEqual(await store.load('uat'), null);
+
+  const memory = createTokenStore({ backend: 'memory' });
+  await memory.save({ accessToken: 'm' }, 'default');
+  runner.assertEqual((await memory.load('default')).accessToken, 'm');
+
+  const modulePath = path.join(tmpDir, 'kvStore.js');
+  fs.writeFileSync(modulePath, [
+    "'use strict';",
+    'const values = new Map();',
+    'module.exports = () => ({ values, get: (org) => values.get(org) || null, set: (org, value) => { values.set(org, value); } });',
+  ].join('\n'));
+  const custom = createTokenStore({ backend: modulePath, key: KEY });
+  await custom.save({ accessToken: TOKEN }, 'default');
+  runner.assertEqual(custom.backend, 'module');
+  runner.assertEqual((await custom.load('default')).accessToken, TOKEN);
+});
+
+runner.test('Plaintext tokens.json is migrated and replaced', async () => {
+  const legacy = path.join(tmpDir, 'legacy.json');
+  fs.writeFileSync(legacy, JSON.stringify({ instanceUrl: 'https://prod.my.salesforce.com', accessToken: TOKEN, lastRefreshed: '2024-01-15T10:30:00.000Z', orgs: { uat: { accessToken: 'uat-token' } } }));
+
+  const dirStore = createTokenStore({ backend: 'dir', dir: path.join(tmpDir, 'migrated'), key: KEY, legacyFile: legacy });
+  runner.assertEqual((await dirStore.load('default')).accessToken, TOKEN);
+  runner.assertEqual((await dirStore.load('uat')).accessToken, 'uat-token');
+  runner.assert(!fs.existsSync(legacy), 'Plaintext file removed');
+
+  fs.writeFileSync(legacy, JSON.stringify({ instanceUrl: 'https://prod.my.salesforce.com', accessToken: TOKEN }));
+  const fileStore = createTokenStore({ backend: 'file', path: legacy, key: KEY });
+  runner.assertEqual((await fileStore.load('default')).instanceUrl, 'https://prod.my.salesforce.com');
+  runner.assert(!fs.readFileSync(legacy, 'utf8').includes(TOKEN), 'Rewritten encrypted in place');
+
+  setTokenStore(createTokenStore({ backend: 'memory' }));
+  try {
+    await saveToken({ instanceUrl: 'https://prod.my.salesforce.com', accessToken: 'a', refreshToken: 'r' });
+    await saveToken({ instanceUrl: 'https://prod.my.salesforce.com', accessToken: 'b' });
+    const saved = await loadSavedToken();
+    runner.assertEqual(`${saved.accessToken}/${saved.refreshToken}`, 'b/r', 'Refresh token kept across access token updates');
+  } finally {
+    setTokenStore(null);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
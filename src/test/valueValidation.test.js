@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Tests for where-clause values typed by describe metadata
+ */
+
+const { setObjectSecurity, clearFieldSecurity } = require('../fieldSecurity');
+const { formatTypedComparison, ValueValidationError } = require('../valueValidation');
+const { buildSafeSoql } = require('../safeQuery');
+const { TestRunner } = require('./testRunner');
+
+const runner = new TestRunner('Value Validation');
+
+const opportunityDescribe = {
+  name: 'Opportunity',
+  keyPrefix: '006',
+  fields: [
+    { name: 'Id', type: 'id' },
+    { name: 'Name', type: 'string' },
+    { name: 'Amount', type: 'currency' },
+    { name: 'IsClosed', type: 'boolean' },
+    { name: 'CloseDate', type: 'date' },
+    { name: 'CreatedDate', type: 'datetime' },
+    { name: 'AccountId', type: 'reference', referenceTo: ['Account'], relationshipName: 'Account' },
+    {
+      name: 'StageName',
+      type: 'picklist',
+      picklistValues: [
+        { value: 'Prospecting', active: true },
+        { value: 'Closed Won', active: true },
+        { value: 'Legacy', active: false },
+      ],
+    },
+  ],
+};
+
+function withDescribes(fn) {
+  return () => {
+    try {
+      setObjectSecurity('Opportunity', opportunityDescribe);
+      setObjectSecurity('Account', { name: 'Account', keyPrefix: '001', fields: [{ name: 'Id', type: 'id' }, { name: 'Name', type: 'string' }] });
+      fn();
+    } finally {
+      clearFieldSecurity();
+    }
+  };
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+runner.test('Coerces values to the literal each field type needs', withDescribes(() => {
+  runner.assertEqual(formatTypedComparison('Opportunity', 'Amount', '>', '1000.50'), 'Amount > 1000.5');
+  runner.assertEqual(formatTypedComparison('Opportunity', 'IsClosed', '=', 'true'), 'IsClosed = TRUE');
+  runner.assertEqual(formatTypedComparison('Opportunity', 'CreatedDate', '>=', '2024-01-01'), 'CreatedDate >= 2024-01-01T00:00:00Z');
+  runner.assertEqual(formatTypedComparison('Opportunity', 'CloseDate', '=', 'LAST_N_DAYS:30'), 'CloseDate = LAST_N_DAYS:30');
+  runner.assertEqual(formatTypedComparison('Opportunity', 'Name', '=', '2024-01-01'), "Name = '2024-01-01'");
+  runner.assertEqual(formatTypedComparison('Opportunity', 'StageName', 'IN', ['Prospecting', 'Legacy']), "StageName IN ('Prospecting', 'Legacy')");
+  runner.assertEqual(formatTypedComparison('Opportunity', 'AccountId', '=', '001000000000001AAA'), "AccountId = '001000000000001AAA'");
+  runner.assertEqual(formatTypedComparison('Opportunity', 'Account.Name', '=', 'Acme'), "Account.Name = 'Acme'");
+  runner.assertEqual(formatTypedComparison('Contact', 'Email', '=', 'x'), null);
+}));
+
+runner.test('Rejects values that cannot match, naming the field', withDescribes(() => {
+  const amount = errorOf(() => formatTypedComparison('Opportunity', 'Amount', '=', 'abc'));
+  runner.assert(amount instanceof ValueValidationError, 'Typed error');
+  runner.assertEqual(amount.message, 'Invalid value for Opportunity.Amount: expects a number (currency), got "abc"');
+
+  const date = errorOf(() => formatTypedComparison('Opportunity', 'CloseDate', '=', '2024-01-01T00:00:00Z'));
+  runner.assert(date.message.includes('Opportunity.CloseDate: expects a date (YYYY-MM-DD) or date literal, not a datetime'), date.message);
+
+  const id = errorOf(() => formatTypedComparison('Opportunity', 'AccountId', '=', '003000000000001AAA'));
+  runner.assert(id.message.includes('is not an Id of Account (001…)'), id.message);
+
+  const bool = errorOf(() => formatTypedComparison('Opportunity', 'IsClosed', '=', 'yes'));
+  runner.assert(bool.message.includes('expects true or false'), bool.message);
+
+  const like = errorOf(() => formatTypedComparison('Opportunity', 'Amount', 'LIKE', '10%'));
+  runner.assert(like.message.includes('LIKE is not supported on currency fields'), like.message);
+}));
+
+runner.test('Picklist errors list active and inactive values', withDescribes(() => {
+  const err = errorOf(() => formatTypedComparison('Opportunity', 'StageName', '=', 'Won'));
+  runner.assertEqual(err.code, 'INVALID_VALUE');
+  runner.assertEqual(err.message, 'Invalid value for Opportunity.StageName: "Won" is not a picklist value. Valid values: Prospecting, Closed Won (inactive: Legacy)');
+  runner.assertEqual(err.validValues.active.join(','), 'Prospecting,Closed Won');
+  runner.assertEqual(err.validValues.inactive.join(','), 'Legacy');
+}));
+
+runner.test('Safe queries use typed values once the object is described', withDescribes(() => {
+  const built = buildSafeSoql({
+    object: 'Opportunity',
+    fields: ['Id'],
+    where: [{ field: 'Amount', op: '>', value: '5000' }, { field: 'CreatedDate', op: '>=', value: '2024-06-01' }],
+  });
+  runner.assertEqual(built.soql, 'SELECT Id FROM Opportunity WHERE Amount > 5000 AND CreatedDate >= 2024-06-01T00:00:00Z LIMIT 50');
+
+  const err = errorOf(() => buildSafeSoql({ object: 'Opportunity', fields: ['Id'], where: [{ field: 'StageName', op: '=', value: 'Nope' }] }));
+  runner.assert(err instanceof ValueValidationError, 'Invalid values fail the query instead of being dropped');
+}));
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
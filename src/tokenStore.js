@@ -1,51 +1,391 @@
 'use strict';
 
+/**
+ * Where refreshed access tokens are kept between restarts, one entry per org.
+ * Entries are encrypted with AES-256-GCM; the key comes from
+ * TOKEN_STORE_KEY or TOKEN_STORE_KEY_FILE (64 hex characters, 32 bytes of
+ * base64, or a passphrase of at least 16 characters).
+ *
+ * TOKEN_STORE picks the backend:
+ *   file    (default) one JSON file, TOKEN_STORE_PATH or tokens.json in the
+ *           package directory; writers take a lock file, so several
+ *           processes can share it
+ *   dir     one file per org in TOKEN_STORE_DIR, or the per-user data
+ *           directory (works for read-only installs)
+ *   memory  nothing is persisted
+ *   a path  a module exporting a backend, or a function (options) =>
+ *           backend: { get(org) -> string|null, set(org, value), delete(org) }
+ *           (async or not). Values are encrypted when a key is configured.
+ *
+ * The file and dir backends never write plaintext: without a key tokens are
+ * kept in memory only. A plaintext tokens.json from earlier versions is
+ * imported and replaced on first use once a key is configured.
+ *
+ * Stored tokens are only a cache; losing them means one extra refresh.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
 const fs = require('fs');
 const fsp = fs.promises;
+const os = require('os');
 const path = require('path');
+const { DEFAULT_ORG } = require('./orgRegistry');
+const { logger } = require('./middleware/logger');
 
 const TOKENS_FILE_PATH = path.resolve(__dirname, '..', 'tokens.json');
+const FILE_FORMAT = 'sfdc-helper-tokens';
+const ENVELOPE_VERSION = 'v1';
+const KEY_SALT = 'sfdc-helper-token-store';
+const MIN_PASSPHRASE_LENGTH = 16;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30 * 1000;
+
+class TokenStoreError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenStoreError';
+    this.code = code;
+  }
+}
+
+/**
+ * 32-byte key from hex, base64 or a passphrase (stretched with scrypt).
+ * Throws TokenStoreError TOKEN_STORE_KEY_INVALID for short passphrases.
+ */
+function parseKey(material) {
+  const text = String(material).trim();
+  if (/^[0-9a-f]{64}$/i.test(text)) return Buffer.from(text, 'hex');
+  if (/^[A-Za-z0-9+/_-]{43}=?$/.test(text)) {
+    const bytes = Buffer.from(text, 'base64');
+    if (bytes.length === 32) return bytes;
+  }
+  if (text.length < MIN_PASSPHRASE_LENGTH) {
+    throw new TokenStoreError(`Token store key must be 64 hex characters, 32 bytes of base64 or a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`, 'TOKEN_STORE_KEY_INVALID');
+  }
+  return crypto.scryptSync(text, KEY_SALT, 32);
+}
+
+function readKeyFile(keyFile) {
+  try {
+    return fs.readFileSync(path.resolve(keyFile), 'utf8');
+  } catch (err) {
+    throw new TokenStoreError(`Cannot read token store key file ${keyFile}: ${err.message}`, 'TOKEN_STORE_KEY_INVALID');
+  }
+}
+
+// The org name is authenticated with the entry, so entries cannot be swapped between orgs
+function encrypt(key, orgName, entry) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(orgName));
+  const data = Buffer.concat([cipher.update(JSON.stringify(entry), 'utf8'), cipher.final()]);
+  return [ENVELOPE_VERSION, iv, cipher.getAuthTag(), data].map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part)).join(':');
+}
+
+function decrypt(key, orgName, value) {
+  const [version, iv, tag, data] = String(value).split(':');
+  if (version !== ENVELOPE_VERSION || !iv || !tag || data === undefined) {
+    throw new TokenStoreError(`Token store entry for org "${orgName}" is not encrypted or has an unknown format`, 'TOKEN_STORE_CORRUPT');
+  }
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAAD(Buffer.from(orgName));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+    return JSON.parse(text);
+  } catch (_) {
+    throw new TokenStoreError(`Cannot decrypt token store entry for org "${orgName}" (wrong key?)`, 'TOKEN_STORE_DECRYPT');
+  }
+}
 
 async function readJsonFile(filePath) {
   try {
-    const data = await fsp.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    return JSON.parse(await fsp.readFile(filePath, 'utf8'));
   } catch (error) {
-    if (error && (error.code === 'ENOENT' || error.name === 'SyntaxError')) {
+    if (error && (error.code === 'ENOENT' || error.name === 'SyntaxError')) return null;
+    throw error;
+  }
+}
+
+// Write to a temporary file and rename, so readers never see half a file
+async function writeFileAtomic(filePath, text) {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  const temp = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fsp.writeFile(temp, text, { encoding: 'utf8', mode: 0o600 });
+    await fsp.rename(temp, filePath);
+  } catch (err) {
+    await fsp.unlink(temp).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Run fn holding <file>.lock, created exclusively so other processes wait.
+ * A lock older than 30s is taken to be left over from a crashed process.
+ */
+async function withFileLock(file, fn, { timeoutMs = LOCK_TIMEOUT_MS, staleMs = LOCK_STALE_MS } = {}) {
+  const lockPath = `${file}.lock`;
+  const started = Date.now();
+  await fsp.mkdir(path.dirname(lockPath), { recursive: true, mode: 0o700 });
+  for (;;) {
+    try {
+      await fsp.writeFile(lockPath, String(process.pid), { flag: 'wx', mode: 0o600 });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const stat = await fsp.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > staleMs) {
+        await fsp.unlink(lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() - started > timeoutMs) throw new TokenStoreError(`Timed out waiting for token store lock ${lockPath}`, 'TOKEN_STORE_LOCKED');
+      await new Promise((resolve) => setTimeout(resolve, 20 + Math.random() * 30));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fsp.unlink(lockPath).catch(() => {});
+  }
+}
+
+// Plaintext tokens.json from earlier versions: default org at the top level, others under orgs
+function isLegacyDocument(doc) {
+  return !!doc && typeof doc === 'object' && !Array.isArray(doc) && doc.format !== FILE_FORMAT;
+}
+
+function legacyEntries(doc) {
+  const entries = {};
+  if (doc.instanceUrl || doc.accessToken) {
+    entries[DEFAULT_ORG] = { instanceUrl: doc.instanceUrl || null, accessToken: doc.accessToken || null, lastRefreshed: doc.lastRefreshed };
+  }
+  if (doc.orgs && typeof doc.orgs === 'object') {
+    for (const [name, entry] of Object.entries(doc.orgs)) {
+      if (entry && typeof entry === 'object') entries[name] = entry;
+    }
+  }
+  return entries;
+}
+
+function fileBackend(filePath) {
+  async function readDocument() {
+    const doc = await readJsonFile(filePath);
+    return doc && doc.format === FILE_FORMAT && doc.orgs && typeof doc.orgs === 'object' ? doc : { format: FILE_FORMAT, version: 1, orgs: {} };
+  }
+  async function update(change) {
+    await withFileLock(filePath, async () => {
+      const doc = await readDocument();
+      change(doc.orgs);
+      await writeFileAtomic(filePath, JSON.stringify(doc, null, 2));
+    });
+  }
+  return {
+    name: 'file',
+    location: filePath,
+    persistent: true,
+    async get(orgName) {
+      const doc = await readDocument();
+      return Object.prototype.hasOwnProperty.call(doc.orgs, orgName) ? doc.orgs[orgName] : null;
+    },
+    set: (orgName, value) => update((orgs) => { orgs[orgName] = value; }),
+    delete: (orgName) => update((orgs) => { delete orgs[orgName]; }),
+  };
+}
+
+// Per-user data directory: %LOCALAPPDATA%, ~/Library/Application Support or $XDG_DATA_HOME
+function defaultTokenDir() {
+  const home = os.homedir();
+  const base = process.platform === 'win32' ? process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local')
+    : process.platform === 'darwin' ? path.join(home, 'Library', 'Application Support')
+      : process.env.XDG_DATA_HOME || path.join(home, '.local', 'share');
+  return path.join(base, 'sfdc-helper', 'tokens');
+}
+
+function dirBackend(dir) {
+  // Org names are letters, digits, _ and - (see orgRegistry.js)
+  const entryPath = (orgName) => path.join(dir, `${orgName}.token`);
+  return {
+    name: 'dir',
+    location: dir,
+    persistent: true,
+    async get(orgName) {
+      try {
+        return (await fsp.readFile(entryPath(orgName), 'utf8')).trim();
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    set: (orgName, value) => writeFileAtomic(entryPath(orgName), value),
+    async delete(orgName) {
+      await fsp.unlink(entryPath(orgName)).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+  };
+}
+
+function memoryBackend() {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    location: null,
+    persistent: false,
+    get: async (orgName) => (entries.has(orgName) ? entries.get(orgName) : null),
+    set: async (orgName, value) => { entries.set(orgName, value); },
+    delete: async (orgName) => { entries.delete(orgName); },
+  };
+}
+
+function moduleBackend(spec, options) {
+  const resolved = path.resolve(spec);
+  let exported;
+  try {
+    exported = require(resolved);
+  } catch (err) {
+    throw new TokenStoreError(`Cannot load token store module ${resolved}: ${err.message}`, 'TOKEN_STORE_INVALID');
+  }
+  const backend = typeof exported === 'function' ? exported(options) : exported;
+  if (!backend || typeof backend.get !== 'function' || typeof backend.set !== 'function') {
+    throw new TokenStoreError(`Token store module ${resolved} must export get(org) and set(org, value), or a function returning them`, 'TOKEN_STORE_INVALID');
+  }
+  return Object.assign({ name: 'module', location: resolved, persistent: true }, backend, { name: 'module' });
+}
+
+/**
+ * options: backend ('file', 'dir', 'memory', a module path, or a backend
+ * object), path (file backend), dir (dir backend), key or keyFile, and
+ * legacyFile (plaintext tokens.json to import; defaults to the file backend's
+ * path or tokens.json). Defaults come from the TOKEN_STORE_* variables.
+ *
+ * Returns { backend, location, encrypted, load(org), save(entry, org), clear(org) }.
+ */
+function createTokenStore(options = {}) {
+  const spec = options.backend || process.env.TOKEN_STORE || 'file';
+  const filePath = path.resolve(options.path || process.env.TOKEN_STORE_PATH || TOKENS_FILE_PATH);
+  const keyFile = options.keyFile || process.env.TOKEN_STORE_KEY_FILE;
+  const keyMaterial = options.key || process.env.TOKEN_STORE_KEY || (keyFile ? readKeyFile(keyFile) : null);
+  const key = keyMaterial ? (Buffer.isBuffer(keyMaterial) && keyMaterial.length === 32 ? keyMaterial : parseKey(keyMaterial)) : null;
+
+  let backend = typeof spec === 'object' ? spec
+    : spec === 'file' ? fileBackend(filePath)
+      : spec === 'dir' ? dirBackend(path.resolve(options.dir || process.env.TOKEN_STORE_DIR || defaultTokenDir()))
+        : spec === 'memory' ? memoryBackend()
+          : moduleBackend(spec, options);
+
+  // Local files are never written in plaintext
+  if (!key && (backend.name === 'file' || backend.name === 'dir')) {
+    logger.warn('No TOKEN_STORE_KEY or TOKEN_STORE_KEY_FILE set; Salesforce access tokens are kept in memory only', { backend: backend.name });
+    backend = memoryBackend();
+  }
+  const encrypted = !!key && backend.persistent !== false;
+  const legacyFile = options.legacyFile || (backend.name === 'file' ? backend.location : TOKENS_FILE_PATH);
+
+  const encode = (orgName, entry) => (encrypted ? encrypt(key, orgName, entry) : JSON.stringify(entry));
+  const decode = (orgName, value) => (encrypted ? decrypt(key, orgName, value) : JSON.parse(value));
+
+  let migration = null;
+  async function migrate() {
+    const doc = await readJsonFile(legacyFile).catch(() => null);
+    if (!isLegacyDocument(doc)) return;
+    if (!encrypted) {
+      logger.warn('Plaintext tokens.json found; set TOKEN_STORE_KEY or TOKEN_STORE_KEY_FILE to migrate it to the encrypted token store', { path: legacyFile });
+      return;
+    }
+    const entries = legacyEntries(doc);
+    // The file backend rewrites the legacy file in its own format; start from an empty document
+    if (backend.name === 'file' && backend.location === legacyFile) {
+      await withFileLock(legacyFile, () => writeFileAtomic(legacyFile, JSON.stringify({ format: FILE_FORMAT, version: 1, orgs: {} }, null, 2)));
+    }
+    for (const [orgName, entry] of Object.entries(entries)) {
+      if (!(await backend.get(orgName))) await backend.set(orgName, encode(orgName, entry));
+    }
+    if (backend.location !== legacyFile) await fsp.unlink(legacyFile).catch(() => {});
+    logger.info('Migrated plaintext tokens.json to the encrypted token store', { from: legacyFile, backend: backend.name, orgs: Object.keys(entries) });
+  }
+  function ready() {
+    if (!migration) migration = spec === 'memory' ? Promise.resolve() : migrate();
+    return migration;
+  }
+
+  async function load(orgName = DEFAULT_ORG) {
+    await ready();
+    const value = await backend.get(orgName);
+    if (!value) return null;
+    let entry;
+    try {
+      entry = typeof value === 'string' ? decode(orgName, value) : value;
+    } catch (err) {
+      logger.warn('Ignoring unreadable token store entry', { org: orgName, backend: backend.name, code: err.code, error: err.message });
       return null;
     }
-    throw error;
+    if (!entry || typeof entry !== 'object') return null;
+    return entry;
+  }
+
+  async function save(entry, orgName = DEFAULT_ORG) {
+    await ready();
+    await backend.set(orgName, encode(orgName, entry));
   }
+
+  async function clear(orgName = DEFAULT_ORG) {
+    await ready();
+    if (typeof backend.delete === 'function') await backend.delete(orgName);
+  }
+
+  return { backend: backend.name, location: backend.location || null, encrypted, load, save, clear };
+}
+
+let store = null;
+
+// Configured from the TOKEN_STORE_* variables on first use
+function activeStore() {
+  if (!store) store = createTokenStore();
+  return store;
 }
 
-async function writeJsonFile(filePath, jsonObject) {
-  const jsonText = JSON.stringify(jsonObject, null, 2);
-  await fsp.writeFile(filePath, jsonText, 'utf8');
+// Replace the store (tests). Pass null to go back to the environment on next use.
+function setTokenStore(next) {
+  store = next;
 }
 
-async function loadSavedToken() {
-  const data = await readJsonFile(TOKENS_FILE_PATH);
-  if (!data || typeof data !== 'object') return null;
+async function loadSavedToken(orgName = DEFAULT_ORG) {
+  const data = await activeStore().load(orgName);
+  if (!data) return null;
   const instanceUrl = typeof data.instanceUrl === 'string' ? data.instanceUrl : undefined;
   const accessToken = typeof data.accessToken === 'string' ? data.accessToken : undefined;
-  if (!instanceUrl && !accessToken) return null;
-  return { instanceUrl, accessToken, lastRefreshed: data.lastRefreshed };
+  const refreshToken = typeof data.refreshToken === 'string' ? data.refreshToken : undefined;
+  if (!instanceUrl && !accessToken && !refreshToken) return null;
+  return { instanceUrl, accessToken, refreshToken, lastRefreshed: data.lastRefreshed };
 }
 
-async function saveToken(tokenInfo) {
-  const nowIso = new Date().toISOString();
+// A refresh token saved earlier (bin/setup.js) is kept when only the access token changes
+async function saveToken(tokenInfo, orgName = DEFAULT_ORG) {
+  const existing = await activeStore().load(orgName);
   const payload = {
     instanceUrl: tokenInfo.instanceUrl || null,
     accessToken: tokenInfo.accessToken || null,
-    lastRefreshed: nowIso,
+    lastRefreshed: new Date().toISOString(),
   };
-  await writeJsonFile(TOKENS_FILE_PATH, payload);
+  const refreshToken = tokenInfo.refreshToken || (existing && existing.refreshToken);
+  if (refreshToken) payload.refreshToken = refreshToken;
+  await activeStore().save(payload, orgName);
+}
+
+async function clearSavedToken(orgName = DEFAULT_ORG) {
+  await activeStore().clear(orgName);
 }
 
 module.exports = {
+  TokenStoreError,
+  createTokenStore,
+  setTokenStore,
+  withFileLock,
   loadSavedToken,
   saveToken,
+  clearSavedToken,
   TOKENS_FILE_PATH,
 };
-
-
@@ -1,12 +1,129 @@
 'use strict';
 
-function toolsSchema(baseUrl) {
+// options.objects limits the object parameter to what the caller's access
+// profile allows, so tool definitions don't advertise other objects
+function toolsSchema(baseUrl, { objects } = {}) {
+  const objectSchema = Array.isArray(objects) ? { type: 'string', enum: objects } : { type: 'string' };
+  const safeQueryInputSchema = {
+    type: 'object',
+    properties: {
+      object: objectSchema,
+      fields: { type: 'array', items: { type: 'string' } },
+      where: {
+        description: 'Array of conditions (AND), or a boolean group: { and: [...] }, { or: [...] }, { not: condition }. Groups nest; leaves are { field, op, value }. A semi/anti-join leaf is { field: "Id", op: "IN" | "NOT IN", inSubquery: { object, field, where? } } (at most 2, not under or/not).',
+        oneOf: [
+          {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string' },
+                op: { type: 'string' },
+                value: {},
+                inSubquery: {
+                  type: 'object',
+                  properties: { object: { type: 'string' }, field: { type: 'string' }, where: { type: ['array', 'object'] } },
+                  required: ['object', 'field'],
+                  additionalProperties: false
+                }
+              },
+              required: ['field', 'op'],
+              additionalProperties: false
+            }
+          },
+          {
+            type: 'object',
+            properties: {
+              and: { type: 'array', items: { type: 'object' } },
+              or: { type: 'array', items: { type: 'object' } },
+              not: { type: 'object' }
+            },
+            minProperties: 1,
+            maxProperties: 1,
+            additionalProperties: false
+          },
+          { type: 'object', additionalProperties: {} }
+        ]
+      },
+      orderBy: {
+        oneOf: [
+          { type: 'object', properties: { field: { type: 'string' }, direction: { type: 'string', enum: ['ASC','DESC'] } }, required: ['field'] },
+          { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, direction: { type: 'string', enum: ['ASC','DESC'] } }, required: ['field'] } }
+        ]
+      },
+      aggregates: {
+        description: 'Switches to an aggregate query. Each item is { fn, field?, alias? }; COUNT without a field counts rows. Only fields listed as aggregatable for the function in /allowlist are accepted.',
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            fn: { type: 'string', enum: ['COUNT', 'COUNT_DISTINCT', 'SUM', 'AVG', 'MIN', 'MAX'] },
+            field: { type: 'string' },
+            alias: { type: 'string' }
+          },
+          required: ['fn'],
+          additionalProperties: false
+        }
+      },
+      children: {
+        description: 'Child relationship subqueries, e.g. { relationship: "Opportunities", fields: [...], where: [...], limit: 5 } on Account. Results are nested under the relationship name.',
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            relationship: { type: 'string' },
+            fields: { type: 'array', items: { type: 'string' } },
+            where: { type: ['array', 'object'] },
+            orderBy: { type: ['array', 'object'] },
+            limit: { type: 'integer', minimum: 1 }
+          },
+          required: ['relationship'],
+          additionalProperties: false
+        }
+      },
+      typeof: {
+        description: 'Per-type fields of polymorphic lookups, e.g. { field: "What", when: { Opportunity: ["Name", "Amount"], Account: ["Name", "Industry"] }, else: ["Name"] } on Task. Branch fields must be allowlisted on the branch object; flattened rows get what_typeof naming the matched type.',
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            when: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+            else: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['field', 'when'],
+          additionalProperties: false
+        }
+      },
+      near: {
+        description: 'Distance filter from a point on a field listed under geolocation in /allowlist, e.g. { field: "BillingAddress", latitude: 39.74, longitude: -104.99, radius: 25, unit: "mi" }. Each record gets distance; order by it with orderBy { field: "distance" }.',
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          latitude: { type: 'number', minimum: -90, maximum: 90 },
+          longitude: { type: 'number', minimum: -180, maximum: 180 },
+          radius: { type: 'number', exclusiveMinimum: 0 },
+          unit: { type: 'string', enum: ['mi', 'km'] }
+        },
+        required: ['field', 'latitude', 'longitude'],
+        additionalProperties: false
+      },
+      groupBy: { description: 'Groupable fields for an aggregate query', type: 'array', items: { type: 'string' } },
+      having: { description: 'Same shape as where; leaves may be { fn, field?, op, value }, an aggregate alias, or a groupBy field', type: ['array', 'object'] },
+      limit: { type: 'integer', minimum: 1 },
+      flatten: { type: 'boolean' },
+      strict: { description: 'Reject the query (400 listing each item) instead of dropping fields or conditions that are not allowed. Lenient responses list dropped items in warnings.', type: 'boolean' }
+    },
+    required: ['object'],
+    additionalProperties: false
+  };
+
   return {
     schema_version: '1.0',
     tools: [
       {
         name: 'sf_allowlist',
-        description: 'List allowlisted objects and fields',
+        description: 'List allowlisted objects and fields available to this API key',
         type: 'http',
         method: 'GET',
         url: `${baseUrl}/allowlist`,
@@ -137,41 +254,15 @@ function toolsSchema(baseUrl) {
         type: 'http',
         method: 'POST',
         url: `${baseUrl}/safe-query`,
-        input_schema: {
-          type: 'object',
-          properties: {
-            object: { type: 'string' },
-            fields: { type: 'array', items: { type: 'string' } },
-            where: {
-              oneOf: [
-                {
-                  type: 'array',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      field: { type: 'string' },
-                      op: { type: 'string' },
-                      value: {}
-                    },
-                    required: ['field', 'op', 'value'],
-                    additionalProperties: false
-                  }
-                },
-                { type: 'object', additionalProperties: {} }
-              ]
-            },
-            orderBy: {
-              oneOf: [
-                { type: 'object', properties: { field: { type: 'string' }, direction: { type: 'string', enum: ['ASC','DESC'] } }, required: ['field'] },
-                { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, direction: { type: 'string', enum: ['ASC','DESC'] } }, required: ['field'] } }
-              ]
-            },
-            limit: { type: 'integer', minimum: 1 },
-            flatten: { type: 'boolean' }
-          },
-          required: ['object'],
-          additionalProperties: false
-        }
+        input_schema: safeQueryInputSchema
+      },
+      {
+        name: 'sf_safe_query_explain',
+        description: 'Dry-run an sf_safe_query payload: returns the SOQL, which fields/conditions were kept or dropped and why, and the Salesforce query plan (cardinality, cost, selectivity) without fetching records',
+        type: 'http',
+        method: 'POST',
+        url: `${baseUrl}/safe-query/explain`,
+        input_schema: safeQueryInputSchema
       },
       {
         name: 'sf_query',
@@ -210,7 +301,7 @@ function toolsSchema(baseUrl) {
         method: 'GET',
         url: `${baseUrl}/changes/{name}`,
         path_params: ['name'],
-        input_schema: { type: 'object', properties: { name: { type: 'string' }, since: { type: 'string' }, limit: { type: 'integer' } }, required: ['name','since'], additionalProperties: false }
+        input_schema: { type: 'object', properties: { name: objectSchema, since: { type: 'string' }, limit: { type: 'integer' } }, required: ['name','since'], additionalProperties: false }
       },
       {
         name: 'sf_reports_top',
@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Where-clause values checked against the field types from describe (see
+ * fieldSecurity.js). Values are coerced to the literal the field needs
+ * (numbers, booleans, date vs datetime) and rejected with the valid options
+ * when they cannot match: unknown picklist values, Ids of the wrong object,
+ * non-numeric amounts. Fields without cached describe metadata fall back to
+ * the untyped formatting in safeQuery.js.
+ */
+
+const { getFieldMetadata, getKeyPrefix } = require('./fieldSecurity');
+const { escapeSoqlLiteral, isIsoDateTimeLiteral, isIsoDateLiteral } = require('./soqlLiterals');
+const { parseDateLiteral } = require('./dateLiterals');
+
+const NUMERIC_TYPES = ['currency', 'double', 'percent', 'int', 'long'];
+const INTEGER_TYPES = ['int', 'long'];
+const PICKLIST_TYPES = ['picklist', 'multipicklist'];
+const ID_TYPES = ['id', 'reference'];
+const NO_LIKE_TYPES = [...NUMERIC_TYPES, 'boolean', 'date', 'datetime', 'time'];
+const MAX_LISTED_VALUES = 50;
+const ID_RE = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const NUMBER_RE = /^-?\d+(?:\.\d+)?$/;
+
+class ValueValidationError extends Error {
+  constructor(objectName, field, message, validValues = null) {
+    super(`Invalid value for ${objectName}.${field}: ${message}`);
+    this.name = 'ValueValidationError';
+    this.code = 'INVALID_VALUE';
+    this.object = objectName;
+    this.field = field;
+    if (validValues) this.validValues = validValues;
+  }
+}
+
+function listValues(values) {
+  const shown = values.slice(0, MAX_LISTED_VALUES).join(', ');
+  return values.length > MAX_LISTED_VALUES ? `${shown}, … (${values.length} total)` : shown;
+}
+
+function picklistLiteral(fail, meta, value) {
+  const known = new Map(meta.picklistValues.map((v) => [v.value, v]));
+  const parts = meta.type === 'multipicklist' ? String(value).split(';') : [String(value)];
+  const missing = parts.filter((part) => !known.has(part));
+  if (missing.length && known.size) {
+    const active = meta.picklistValues.filter((v) => v.active).map((v) => v.value);
+    const inactive = meta.picklistValues.filter((v) => !v.active).map((v) => v.value);
+    const options = `Valid values: ${listValues(active)}${inactive.length ? ` (inactive: ${listValues(inactive)})` : ''}`;
+    fail(`${JSON.stringify(missing[0])} is not a picklist value. ${options}`, { active, inactive });
+  }
+  return escapeSoqlLiteral(String(value));
+}
+
+function idLiteral(fail, objectName, meta, value) {
+  const text = String(value);
+  const targets = meta.type === 'id' ? [objectName] : meta.referenceTo;
+  if (!ID_RE.test(text)) fail(`${JSON.stringify(value)} is not a 15 or 18 character Id`);
+  const prefixes = targets.map(getKeyPrefix);
+  if (prefixes.length && prefixes.every(Boolean) && !prefixes.includes(text.slice(0, 3))) {
+    const expected = targets.map((t, i) => `${t} (${prefixes[i]}…)`).join(' or ');
+    fail(`${JSON.stringify(value)} is not an Id of ${expected}`);
+  }
+  return escapeSoqlLiteral(text);
+}
+
+function dateLiteral(fail, text) {
+  try {
+    return parseDateLiteral(text);
+  } catch (err) {
+    return fail(err.message);
+  }
+}
+
+function typedLiteral(fail, objectName, meta, op, value) {
+  const type = meta.type;
+  if (value === null || value === undefined) {
+    if (op !== '=' && op !== '!=') fail(`null can only be compared with = or !=`);
+    return 'NULL';
+  }
+  if (op === 'LIKE') {
+    if (NO_LIKE_TYPES.includes(type)) fail(`LIKE is not supported on ${type} fields`);
+    return escapeSoqlLiteral(String(value));
+  }
+  if (NUMERIC_TYPES.includes(type)) {
+    const n = typeof value === 'number' ? value : (typeof value === 'string' && NUMBER_RE.test(value.trim()) ? Number(value) : NaN);
+    if (!Number.isFinite(n)) fail(`expects a number (${type}), got ${JSON.stringify(value)}`);
+    if (INTEGER_TYPES.includes(type) && !Number.isInteger(n)) fail(`expects a whole number (${type}), got ${JSON.stringify(value)}`);
+    return String(n);
+  }
+  if (type === 'boolean') {
+    const text = String(value).toLowerCase();
+    if (text !== 'true' && text !== 'false') fail(`expects true or false, got ${JSON.stringify(value)}`);
+    if (op !== '=' && op !== '!=') fail(`boolean fields only support = and !=`);
+    return text.toUpperCase();
+  }
+  if (type === 'date') {
+    const text = String(value);
+    if (isIsoDateLiteral(text) || dateLiteral(fail, text)) return text;
+    if (isIsoDateTimeLiteral(text)) fail(`expects a date (YYYY-MM-DD) or date literal, not a datetime: ${text}`);
+    fail(`expects a date (YYYY-MM-DD) or date literal such as LAST_N_DAYS:30, got ${JSON.stringify(value)}`);
+  }
+  if (type === 'datetime') {
+    const text = String(value);
+    if (isIsoDateTimeLiteral(text) || dateLiteral(fail, text)) return text;
+    if (isIsoDateLiteral(text)) return `${text}T00:00:00Z`;
+    fail(`expects a datetime (YYYY-MM-DDThh:mm:ssZ) or date literal such as LAST_N_DAYS:30, got ${JSON.stringify(value)}`);
+  }
+  if (ID_TYPES.includes(type)) return idLiteral(fail, objectName, meta, value);
+  if (PICKLIST_TYPES.includes(type)) return picklistLiteral(fail, meta, value);
+  // Text fields: always a quoted string, even when it looks like a date
+  return escapeSoqlLiteral(String(value));
+}
+
+/**
+ * SOQL for `field op value` typed by describe, or null when the field's type
+ * is not known. Throws ValueValidationError naming the field (and the valid
+ * picklist values) when the value cannot match the field.
+ */
+function formatTypedComparison(objectName, field, op, value) {
+  const meta = getFieldMetadata(objectName, field);
+  if (!meta || !meta.type) return null;
+  const fail = (message, validValues) => {
+    throw new ValueValidationError(objectName, field, message, validValues);
+  };
+  if (op === 'IN' || op === 'NOT IN') {
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.length) fail(`${op} needs at least one value`);
+    return `${field} ${op} (${list.map((v) => typedLiteral(fail, objectName, meta, '=', v)).join(', ')})`;
+  }
+  return `${field} ${op} ${typedLiteral(fail, objectName, meta, op, value)}`;
+}
+
+module.exports = {
+  formatTypedComparison,
+  ValueValidationError,
+};
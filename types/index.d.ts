@@ -8,6 +8,33 @@ export interface SFDCHelperClientOptions {
   timeout?: number;
   retries?: number;
   retryDelay?: number;
+  /** Sent as X-API-Key; the key's access profile decides what the client can query */
+  apiKey?: string;
+  /** Sent as X-User-Id; selects the per-user row filters configured for the key */
+  userId?: string;
+  /** Sent as X-SF-Org; the named org (ORGS_FILE) to work against instead of the server default */
+  org?: string;
+}
+
+export type OrgAuthKind = 'jwt' | 'refresh_token' | 'access_token' | 'password';
+
+export interface OrgSummary {
+  name: string;
+  default: boolean;
+  loginUrl: string;
+  /** null when jsforce's default API version is used */
+  apiVersion: string | null;
+  /** Which credentials are configured; null when none are */
+  auth: OrgAuthKind | null;
+  /** true when the org has its own allowlistFile */
+  ownAllowlist: boolean;
+  allowlistVersion: string;
+}
+
+export interface OrgsResponse {
+  /** The org this request resolved to */
+  current: string;
+  orgs: OrgSummary[];
 }
 
 export interface HealthResponse {
@@ -78,10 +105,24 @@ export interface OrgInfo {
   limits: OrgLimits;
 }
 
+export interface DateLiteralRange {
+  literal: string;
+  /** First day of the range (YYYY-MM-DD) */
+  start: string;
+  /** Last day of the range, inclusive (YYYY-MM-DD) */
+  end: string;
+  fiscalYearStartMonth: number;
+  timeZone: string;
+}
+
 export interface AllowlistObjectSpec {
   fields: string[];
   defaultFields?: string[];
   operators?: Record<string, string[]>;
+  groupable?: string[];
+  aggregates?: Record<string, AggregateFunction[]>;
+  /** Address/location fields safe-query `near` may measure distance from */
+  geolocation?: string[];
 }
 
 export interface Allowlist {
@@ -89,9 +130,40 @@ export interface Allowlist {
 }
 
 export interface AllowlistResponse {
+  /** Allowlist version: the file's `version`, or 'builtin' */
+  version: string;
+  /** sha256 of the loaded file (or of the built-in map) */
+  hash: string;
+  source: 'builtin' | 'file';
+  path: string | null;
+  loadedAt: string;
+  /** The calling key's access profile, or null when it sees the whole allowlist */
+  profile: AccessProfileSummary | null;
+  maxLimit: number;
   objects: Record<string, AllowlistObjectSpec>;
 }
 
+export interface AccessProfileSummary {
+  name: string;
+  objects: string[];
+  maxLimit: number | null;
+  /** Objects the profile adds mandatory row filters to */
+  rowFilteredObjects: string[];
+  /** Objects the profile adds field masking rules for */
+  maskedObjects: string[];
+}
+
+export type MaskingMode = 'redact' | 'partial' | 'hash' | 'truncate';
+
+/** A field masking rule in api-keys.json (`masking` / `profiles.*.masking`) */
+export type MaskingRule = MaskingMode | {
+  mode: MaskingMode;
+  /** truncate: characters kept (default 20) */
+  length?: number;
+  /** partial: trailing characters kept for non-email values (default 4) */
+  keep?: number;
+};
+
 export interface AllowlistStats {
   dynamic: boolean;
   message?: string;
@@ -100,33 +172,306 @@ export interface AllowlistStats {
     discoveredFields: number;
     totalFields: number;
   }>;
+  /** Allowlist entries the connected user's field-level security contradicts, per described object */
+  fieldSecurity: Record<string, FieldSecurityMismatch>;
+}
+
+export interface FieldSecurityMismatch {
+  /** False when the user cannot query the object at all */
+  queryable: boolean;
+  notAccessible: string[];
+  /** Fields with allowlisted operators that describe marks as not filterable */
+  notFilterable: string[];
+  notSortable: string[];
+  /** Allowlisted groupable fields that describe marks as not groupable */
+  notGroupable: string[];
+  describedAt: string;
 }
 
+export type WhereOperator = '=' | '!=' | 'LIKE' | 'IN' | 'NOT IN' | '>' | '>=' | '<' | '<=';
+
 export interface WhereCondition {
   field: string;
-  op: '=' | '!=' | 'LIKE' | 'IN' | 'NOT IN' | '>' | '>=' | '<' | '<=';
+  op: WhereOperator;
   value: any;
 }
 
+/**
+ * Semi-join (IN) or anti-join (NOT IN) on an Id or lookup field, e.g.
+ * { field: 'Id', op: 'IN', inSubquery: { object: 'Opportunity', field: 'AccountId', where: [...] } }
+ */
+export interface SubqueryCondition {
+  field: string;
+  op: 'IN' | 'NOT IN';
+  inSubquery: {
+    object: string;
+    /** Id or lookup field selected by the subquery */
+    field: string;
+    where?: WhereCondition[] | WhereGroup;
+  };
+}
+
+/**
+ * Boolean where tree. Every leaf is checked against the allowlist operators;
+ * arrays are treated as AND groups.
+ */
+export type WhereGroup =
+  | { and: WhereNode[] }
+  | { or: WhereNode[] }
+  | { not: WhereNode };
+
+export type WhereNode = WhereCondition | SubqueryCondition | WhereGroup | WhereNode[];
+
 export interface OrderBy {
+  /** In aggregate queries, a groupBy field or aggregate alias (or the aggregated field when fn is set) */
   field: string;
   direction: 'ASC' | 'DESC';
+  fn?: AggregateFunction;
+}
+
+export type AggregateFunction = 'COUNT' | 'COUNT_DISTINCT' | 'SUM' | 'AVG' | 'MIN' | 'MAX';
+
+export interface AggregateSpec {
+  fn: AggregateFunction;
+  /** Omit with COUNT to count rows */
+  field?: string;
+  alias?: string;
+}
+
+export interface HavingCondition {
+  /** Aggregate alias or groupBy field, or the aggregated field when fn is set */
+  field?: string;
+  fn?: AggregateFunction;
+  op: WhereOperator;
+  value: any;
 }
 
+export type HavingNode = HavingCondition | { and: HavingNode[] } | { or: HavingNode[] } | { not: HavingNode };
+
 export interface SafeQueryOptions {
+  /** Cursor from a previous result's `next`; the other options are then ignored */
+  next?: string;
   fields?: string[];
-  where?: WhereCondition[];
+  where?: WhereCondition[] | WhereGroup;
   orderBy?: OrderBy;
   limit?: number;
   flatten?: boolean;
   format?: 'json' | 'ndjson' | 'csv';
+  /** Reject instead of dropping disallowed items; defaults to the server's SAFE_QUERY_STRICT */
+  strict?: boolean;
+  /** Child relationship subqueries; results are nested under the relationship name */
+  children?: ChildQueryOptions[];
+  /** Per-type fields of polymorphic lookups such as Task.What */
+  typeof?: TypeOfOptions[];
+  /** Distance filter; records get `distance` and orderBy may use { field: 'distance' } */
+  near?: NearOptions;
+  /** Switches to an aggregate query; rows are keyed by groupBy field and alias */
+  aggregates?: AggregateSpec[];
+  groupBy?: string[];
+  having?: HavingCondition[] | HavingNode;
+}
+
+export interface ChildQueryOptions {
+  /** Child relationship name from describe, e.g. Opportunities on Account */
+  relationship: string;
+  fields?: string[];
+  where?: WhereCondition[] | WhereGroup;
+  orderBy?: OrderBy | OrderBy[];
+  limit?: number;
+}
+
+export interface TypeOfOptions {
+  /** Polymorphic relationship name, e.g. What or Who */
+  field: string;
+  /** Target object -> fields, checked against that object's allowlist */
+  when: Record<string, string[]>;
+  /** Relationship fields (What.<field> must be allowlisted) for other types */
+  else?: string[];
+}
+
+export interface NearOptions {
+  /** Field listed under geolocation in the allowlist, e.g. BillingAddress */
+  field: string;
+  latitude: number;
+  longitude: number;
+  /** Only records closer than this; omit to just compute distances */
+  radius?: number;
+  /** Default 'mi' */
+  unit?: 'mi' | 'km';
+}
+
+export interface NearInfo {
+  field: string;
+  latitude: number;
+  longitude: number;
+  unit: 'mi' | 'km';
+  radius: number | null;
+}
+
+export interface TypeOfInfo {
+  field: string;
+  branches: Array<{ type: string; fields: string[] }>;
+  else: string[];
+}
+
+/** A requested field, clause or aggregate that safe-query left out, and why */
+export interface SafeQueryWarning {
+  clause: 'fields' | 'where' | 'orderBy' | 'aggregates' | 'having' | 'typeof' | 'near';
+  relationship?: string;
+  /** Target object of the TYPEOF branch the item belongs to */
+  typeOf?: string;
+  /** Object of the inSubquery the item belongs to */
+  inSubquery?: string;
+  /** TYPEOF branch object that was left out */
+  type?: string;
+  field?: string;
+  op?: string;
+  fn?: AggregateFunction;
+  reason:
+    | 'field_not_allowed'
+    | 'field_not_accessible'
+    | 'field_not_filterable'
+    | 'field_not_sortable'
+    | 'operator_not_allowed'
+    | 'aggregate_not_allowed'
+    | 'missing_value'
+    | 'not_grouped'
+    | 'object_not_allowed'
+    | 'invalid_type'
+    | 'field_not_geolocation'
+    | 'invalid_clause';
+  message: string;
+}
+
+/** A field, clause or aggregate that went into the generated SOQL */
+export interface SafeQueryKeptItem {
+  clause: 'fields' | 'where' | 'orderBy' | 'aggregates' | 'groupBy' | 'having' | 'typeof' | 'near';
+  relationship?: string;
+  typeOf?: string;
+  inSubquery?: string;
+  /** Object.field selected by an inSubquery condition */
+  subquery?: string;
+  field?: string;
+  op?: string;
+  fn?: AggregateFunction;
+  alias?: string;
+  direction?: 'ASC' | 'DESC';
+  expr?: string;
+}
+
+export interface AllowlistFieldRule {
+  allowed: boolean;
+  operators: string[];
+  groupable: boolean;
+  aggregates: AggregateFunction[];
+  /** The connected user's describe flags, or null when the object has not been described */
+  fieldSecurity: FieldAccess | null;
+}
+
+export interface FieldAccess {
+  accessible: boolean;
+  filterable: boolean;
+  sortable: boolean;
+  groupable: boolean;
+}
+
+export interface QueryPlan {
+  cardinality: number;
+  fields: string[];
+  leadingOperationType: string;
+  relativeCost: number;
+  sobjectCardinality: number;
+  sobjectType: string;
+  notes?: Array<{ description: string; fields: string[]; tableEnumOrId: string }>;
+}
+
+export interface SafeQueryExplanation {
+  objectName: string;
+  soql: string;
+  strict: boolean;
+  /** True when /safe-query would reject the payload under the effective strict setting */
+  wouldReject: boolean;
+  fieldsUsed: string[];
+  kept: SafeQueryKeptItem[];
+  dropped: SafeQueryWarning[];
+  rules: {
+    objects: Record<string, { fields: Record<string, AllowlistFieldRule> }>;
+    limit: { requested: number | null; applied: number; max: number };
+  };
+  plan: {
+    plans: QueryPlan[];
+    best: {
+      leadingOperation: string;
+      cardinality: number;
+      sobjectCardinality: number;
+      relativeCost: number;
+      selective: boolean | null;
+      notes: QueryPlan['notes'];
+    } | null;
+  } | null;
+  planError?: string;
+  children?: ChildQueryInfo[];
+  typeOf?: TypeOfInfo[];
+  near?: NearInfo;
+  columns?: AggregateColumn[];
+}
+
+export interface ChildQueryInfo {
+  relationship: string;
+  object: string;
+  fieldsUsed: string[];
+}
+
+export interface AggregateColumn {
+  name: string;
+  kind: 'group' | 'aggregate';
+  fn?: AggregateFunction;
+  field: string;
 }
 
 export interface QueryOptions {
   limit?: number;
+  /** Cursor from a previous result's `next` */
   next?: string;
 }
 
+export type ExportFormat = 'ndjson' | 'csv';
+
+export interface ExportQueryOptions {
+  /** Output format; csv rows are always flattened */
+  format?: ExportFormat;
+}
+
+export interface ExportSafeQueryOptions extends Omit<SafeQueryOptions, 'format' | 'aggregates' | 'groupBy' | 'having'> {
+  format?: ExportFormat;
+}
+
+export type BulkJobState = 'Open' | 'UploadComplete' | 'InProgress' | 'JobComplete' | 'Failed' | 'Aborted';
+
+export interface BulkQueryJob {
+  id: string;
+  state: BulkJobState;
+  object: string;
+  soql: string;
+  fieldsUsed: string[];
+  numberRecordsProcessed: number;
+  /** Export row cap of the API key; results stop there */
+  maxRows: number;
+  /** Whether the job matched more rows than maxRows (null until JobComplete) */
+  truncated: boolean | null;
+  errorMessage: string | null;
+  createdDate: string | null;
+  /** Items dropped by the allowlist (create only) */
+  warnings?: SafeQueryWarning[];
+}
+
+export interface BulkQueryOptions extends Omit<SafeQueryOptions, 'format' | 'flatten' | 'children' | 'typeof' | 'near' | 'aggregates' | 'groupBy' | 'having'> {
+  /** Poll interval in ms (default 2000) */
+  pollInterval?: number;
+  /** Give up and cancel the job after this many ms (default 10 minutes) */
+  timeout?: number;
+}
+
 export interface SalesforceRecord {
   attributes: {
     type: string;
@@ -139,8 +484,19 @@ export interface SalesforceRecord {
 export interface QueryResult {
   totalSize: number;
   done: boolean;
-  next?: string;
+  /** Opaque, signed cursor for the next page (null on the last page); expires and only works for the same API key */
+  next?: string | null;
   records: SalesforceRecord[];
+  /** Set for safe-query aggregate requests; records are then plain rows keyed by column name */
+  aggregate?: boolean;
+  columns?: AggregateColumn[];
+  children?: ChildQueryInfo[];
+  /** Safe-query TYPEOF blocks as built; flattened rows carry <relationship>_typeof */
+  typeOf?: TypeOfInfo[];
+  /** Safe-query `near` as applied; each record carries `distance` in this unit */
+  near?: NearInfo;
+  /** Safe-query only: items dropped in lenient mode */
+  warnings?: SafeQueryWarning[];
 }
 
 export interface SearchResult {
@@ -298,6 +654,8 @@ export interface ObjectInsightsSummary {
   fieldCount: number;
   allowlisted: boolean;
   defaultFields: string[];
+  /** The caller's mandatory row filter for this object, as SOQL, if any */
+  rowFilter?: string | null;
 }
 
 export interface QuerySuggestion {
@@ -313,6 +671,8 @@ export interface ObjectInsights {
     query: string;
     fields: string[];
     records: SalesforceRecord[];
+    /** True when the caller's masking rules were applied to the records */
+    masked?: boolean;
   };
   picklists: PicklistField[];
   recent: {
@@ -379,13 +739,15 @@ export interface AnalyticsRecentQuery {
 
 export declare class SFDCHelperClient {
   readonly baseUrl: string;
-  readonly options: Required<SFDCHelperClientOptions>;
+  readonly options: Required<Omit<SFDCHelperClientOptions, 'apiKey' | 'userId' | 'org'>> & Pick<SFDCHelperClientOptions, 'apiKey' | 'userId' | 'org'>;
 
   constructor(baseUrl?: string, options?: SFDCHelperClientOptions);
 
   // Health and org info
   health(): Promise<HealthResponse>;
   getOrgInfo(): Promise<OrgInfo>;
+  listOrgs(): Promise<OrgsResponse>;
+  resolveDateLiteral(literal: string): Promise<DateLiteralRange>;
 
   // Allowlist management
   getAllowlist(refresh?: boolean): Promise<Allowlist | AllowlistResponse>;
@@ -400,10 +762,20 @@ export declare class SFDCHelperClient {
 
   // Data access
   safeQuery(objectName: string, options?: SafeQueryOptions): Promise<QueryResult>;
+  explainSafeQuery(objectName: string, options?: SafeQueryOptions): Promise<SafeQueryExplanation>;
   query(soql: string, options?: QueryOptions): Promise<QueryResult>;
+  /** All rows up to the API key's export cap, as NDJSON or CSV text */
+  exportSafeQuery(objectName: string, options?: ExportSafeQueryOptions): Promise<string>;
+  exportQuery(soql: string, options?: ExportQueryOptions): Promise<string>;
+  /** Bulk API 2.0 job: create, poll until done and return the masked CSV */
+  bulkQuery(objectName: string, options?: BulkQueryOptions): Promise<string>;
+  createBulkQuery(objectName: string, options?: BulkQueryOptions): Promise<BulkQueryJob>;
+  getBulkQueryJob(jobId: string): Promise<BulkQueryJob>;
+  cancelBulkQuery(jobId: string): Promise<BulkQueryJob>;
+  getBulkQueryResults(jobId: string): Promise<string>;
   search(sosl: string): Promise<SearchResult>;
   getRecentRecords(objectName: string, limit?: number): Promise<QueryResult>;
-  getChanges(objectName: string, since: string | Date, limit?: number): Promise<QueryResult>;
+  getChanges(objectName: string, since: string | Date, limit?: number, next?: string | null): Promise<QueryResult>;
 
   // Advanced features
   getObjectInsights(objectName: string, options?: { verbose?: boolean }): Promise<ObjectInsights>;